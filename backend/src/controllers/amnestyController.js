@@ -0,0 +1,109 @@
+// src/controllers/amnestyController.js
+import Joi from 'joi';
+import { connectDB } from '../config/db.js';
+import { initAmnestyModel, AMNESTY_CATEGORIES } from '../models/amnestyModel.js';
+
+/* --------------------------------------------------------------
+   JOI Schemas
+   -------------------------------------------------------------- */
+const rules = {
+  name: Joi.string().trim().min(3).max(120),
+  description: Joi.string().trim().allow('').max(1000),
+  startsAt: Joi.date(),
+  endsAt: Joi.date(),
+  waivePercent: Joi.number().min(1).max(100),
+  categories: Joi.array().items(Joi.string().valid(...AMNESTY_CATEGORIES)).unique(),
+  roles: Joi.array().items(Joi.string().valid('student', 'teacher', 'librarian', 'admin')).unique(),
+  departments: Joi.array().items(Joi.string().trim().min(1)).unique(),
+};
+
+const createSchema = Joi.object({
+  ...rules,
+  name: rules.name.required(),
+  startsAt: rules.startsAt.required(),
+  endsAt: rules.endsAt.greater(Joi.ref('startsAt')).required(),
+  waivePercent: rules.waivePercent.required(),
+});
+
+const updateSchema = Joi.object(rules).min(1);
+
+/* --------------------------------------------------------------
+   LIST – every campaign with what it forgave so far
+   -------------------------------------------------------------- */
+export const getAmnesties = async (req, res) => {
+  try {
+    const db = await connectDB();
+    res.json({ amnesties: await initAmnestyModel(db).getAll() });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   CREATE – define an amnesty window and its rules
+   -------------------------------------------------------------- */
+export const createAmnesty = async (req, res) => {
+  const { error, value } = createSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const amnesty = await initAmnestyModel(db).create(value, req.user);
+    res.status(201).json({ message: 'Amnesty created', amnesty });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   UPDATE – change the rules of a campaign that has not ended
+   -------------------------------------------------------------- */
+export const updateAmnesty = async (req, res) => {
+  const { error, value } = updateSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const result = await initAmnestyModel(db).update(req.params.id, value, req.user);
+    if (!result.success) {
+      const status = result.error === 'Amnesty not found' ? 404 : 400;
+      return res.status(status).json({ message: result.error });
+    }
+    res.json({ message: 'Amnesty updated', amnesty: result.campaign });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   CANCEL – stop a campaign; what it forgave stands
+   -------------------------------------------------------------- */
+export const cancelAmnesty = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const amnesty = await initAmnestyModel(db).cancel(req.params.id, req.user);
+    if (!amnesty) return res.status(404).json({ message: 'Amnesty not found or already cancelled' });
+    res.json({ message: 'Amnesty cancelled', amnesty });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   REPORT – how much a campaign forgave, and to whom
+   -------------------------------------------------------------- */
+export const getAmnestyReport = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const report = await initAmnestyModel(db).report(req.params.id);
+    if (!report) return res.status(404).json({ message: 'Amnesty not found' });
+    res.json(report);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,8 +1,32 @@
 //controllers/bookControllers.js
 import { connectDB } from '../config/db.js';
 import Joi from 'joi';
+import { initCopyModel } from '../models/copyModel.js';
+import { initHoldModel } from '../models/holdModel.js';
+import { AUTHOR_ROLES, BOOK_LANGUAGES, bookSearchFields, normalizeBibliographic } from '../models/bookModel.js';
+import { initBookSearchModel, BOOK_SORTS } from '../models/bookSearchModel.js';
 
-const bookSchema = Joi.object({
+// Descriptive metadata shared by adding and updating a book; all optional,
+// null or '' clears a field on update
+export const bibliographicFields = {
+  authors: Joi.array().items(Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    role: Joi.string().valid(...AUTHOR_ROLES).default('author'),
+  })).max(20).optional(),
+  subjects: Joi.array().items(Joi.string().trim().max(100)).max(30).optional(),
+  edition: Joi.string().trim().max(50).allow('', null).optional(),
+  publicationYear: Joi.number().integer().min(1000).max(new Date().getFullYear() + 1).allow(null).optional(),
+  language: Joi.string().valid(...Object.keys(BOOK_LANGUAGES)).allow(null).optional(),
+  pages: Joi.number().integer().min(1).max(100000).allow(null).optional(),
+  series: Joi.object({
+    name: Joi.string().trim().max(200).allow('').required(),
+    number: Joi.string().trim().max(20).allow('', null).optional(),
+  }).allow(null).optional(),
+  summary: Joi.string().trim().max(5000).allow('', null).optional(),
+  classification: Joi.string().trim().max(50).allow('', null).optional(), // Dewey or LC class number
+};
+
+export const bookSchema = Joi.object({
   id: Joi.string().required(),
   name: Joi.string().required(),
   title: Joi.string().required(),
@@ -10,6 +34,9 @@ const bookSchema = Joi.object({
   publisher: Joi.string().required(),
   isbn: Joi.string().required(),
   copies: Joi.number().integer().min(0).required(),
+  replacementCost: Joi.number().min(0).allow(null).optional(), // charged when a copy is lost or damaged
+  processingFee: Joi.number().min(0).allow(null).optional(),   // added to the replacement charge
+  ...bibliographicFields,
 });
 
 
@@ -20,6 +47,25 @@ const updateBookSchema = Joi.object({
   publisher: Joi.string().required(),
   isbn: Joi.string().required(),
   copies: Joi.number().integer().min(0).required(),
+  replacementCost: Joi.number().min(0).allow(null).optional(), // charged when a copy is lost or damaged
+  processingFee: Joi.number().min(0).allow(null).optional(),   // added to the replacement charge
+  ...bibliographicFields,
+});
+
+// Catalogue search; an empty filter ('') is the same as none
+const bookListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  search: Joi.string().trim().max(200).allow('').default(''),
+  category: Joi.string().trim().max(100).allow('').optional(),
+  publisher: Joi.string().trim().max(200).allow('').optional(),
+  language: Joi.string().valid(...Object.keys(BOOK_LANGUAGES)).allow('').optional(),
+  yearFrom: Joi.number().integer().min(0).allow('').optional(),
+  yearTo: Joi.number().integer().min(0).allow('').optional(),
+  available: Joi.boolean().allow('').optional(),
+  sort: Joi.string().valid(...BOOK_SORTS).default('relevance'),
+  transliterate: Joi.boolean().default(true),        // "fikir" also finds ፍቅር
+  facets: Joi.boolean().default(false),
 });
 
 export const addBook = async (req, res) => {
@@ -31,14 +77,23 @@ export const addBook = async (req, res) => {
     const existing = await db.collection('books').findOne({ id: value.id });
     if (existing) return res.status(400).json({ message: 'Book ID already exists' });
 
+    const details = normalizeBibliographic(value);
     const newBook = {
-      ...value,
+      ...details,
+      search: bookSearchFields(details),
+      totalCopies: value.copies,
+      copyRecords: true, // copies are registered below, not migrated later
       addedBy: req.user ? req.user.id : null,
       createdAt: new Date()
     };
 
     await db.collection('books').insertOne(newBook);
-    res.status(201).json({ message: 'Book added', book: newBook });
+
+    // Each physical copy gets its own accession number and barcode
+    const copyModel = initCopyModel(db);
+    const copies = await copyModel.createMany(value.id, value.copies, {}, newBook.addedBy);
+
+    res.status(201).json({ message: 'Book added', book: newBook, copies });
   } catch (e) {
     console.error(e);
     res.status(500).json({ message: 'Server error' });
@@ -46,29 +101,13 @@ export const addBook = async (req, res) => {
 };
 
 export const getBooks = async (req, res) => {
+  const { error, value } = bookListSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
   try {
     const db = await connectDB();
-    const { page = 1, limit = 10, search = '' } = req.query;
-
-    const query = search
-      ? {
-          $or: [
-            { id: { $regex: search, $options: 'i' } },
-            { name: { $regex: search, $options: 'i' } },
-            { title: { $regex: search, $options: 'i' } },
-          ],
-        }
-      : {};
-
-    const books = await db
-      .collection('books')
-      .find(query)
-      .skip((+page - 1) * +limit)
-      .limit(+limit)
-      .toArray();
-
-    const total = await db.collection('books').countDocuments(query);
-    res.json({ books, total, page: +page, limit: +limit });
+    const criteria = Object.fromEntries(Object.entries(value).filter(([, v]) => v !== ''));
+    res.json(await initBookSearchModel(db).search(criteria));
   } catch (e) {
     console.error(e);
     res.status(500).json({ message: 'Server error' });
@@ -93,11 +132,33 @@ export const updateBook = async (req, res) => {
 
   try {
     const db = await connectDB();
-    const result = await db.collection('books').updateOne(
+    const copyModel = initCopyModel(db);
+
+    const book = await db.collection('books').findOne({ id: req.params.id });
+    if (!book) return res.status(404).json({ message: 'Book not found' });
+    await copyModel.ensureCopies(book);
+
+    // 'copies' is the number on the shelf; raising it registers new copies,
+    // lowering it has to go through the copy inventory (lost, in repair, deleted)
+    const { copies, ...details } = normalizeBibliographic(value);
+    const { on_shelf: onShelf } = await copyModel.countByStatus(book.id);
+    if (copies < onShelf) {
+      return res.status(400).json({
+        message: 'To reduce copies, mark individual copies as lost, in repair or delete them from the copy inventory'
+      });
+    }
+
+    await db.collection('books').updateOne(
       { id: req.params.id },
-      { $set: value }
+      { $set: { ...details, search: bookSearchFields({ ...book, ...details }), updatedAt: new Date() } }
     );
-    if (result.matchedCount === 0) return res.status(404).json({ message: 'Book not found' });
+
+    if (copies > onShelf) {
+      await copyModel.createMany(book.id, copies - onShelf, {}, req.user.id);
+    }
+    await copyModel.syncBookAvailability(book.id);
+    await initHoldModel(db).promoteNext(book.id);
+
     res.json({ message: 'Book updated' });
   } catch (e) {
     res.status(500).json({ message: 'Server error' });
@@ -107,10 +168,35 @@ export const updateBook = async (req, res) => {
 export const deleteBook = async (req, res) => {
   try {
     const db = await connectDB();
+
+    const onLoan = await db.collection('copies').countDocuments({ bookId: req.params.id, status: 'on_loan' });
+    if (onLoan > 0) {
+      return res.status(400).json({ message: `Cannot delete: ${onLoan} copy(ies) are on loan` });
+    }
+
+    // Requests and loans still open against the title, copy or not
+    const open = await db.collection('borrows').countDocuments({
+      bookId: req.params.id,
+      status: { $in: ['pending', 'waitlisted', 'approved', 'borrowed'] },
+    });
+    if (open > 0) {
+      return res.status(400).json({ message: `Cannot delete: ${open} borrow request(s) or loan(s) are still open` });
+    }
+
     const result = await db.collection('books').deleteOne({ id: req.params.id });
     if (result.deletedCount === 0) return res.status(404).json({ message: 'Book not found' });
+    await db.collection('copies').deleteMany({ bookId: req.params.id });
+
+    // Nobody can be served from a deleted title any more
+    const holdModel = initHoldModel(db);
+    const holds = await db.collection('holds')
+      .find({ bookId: req.params.id, status: { $in: ['waiting', 'ready'] } })
+      .toArray();
+    for (const hold of holds) await holdModel.cancel(hold, req.user);
+
     res.json({ message: 'Book deleted' });
   } catch (e) {
+    console.error(e);
     res.status(500).json({ message: 'Server error' });
   }
 };
\ No newline at end of file
@@ -0,0 +1,384 @@
+// controllers/bookImportController.js
+import Joi from 'joi';
+import { connectDB } from '../config/db.js';
+import { bookSchema } from './bookController.js';
+import { BOOK_LANGUAGES, bookSearchQuery } from '../models/bookModel.js';
+import {
+  initBookImportModel,
+  BIBLIOGRAPHIC_UPDATE_FIELDS,
+  IMPORT_KEYS,
+  IMPORT_MODES,
+} from '../models/bookImportModel.js';
+import { MarcError, parseMarc, writeMarc21, writeMarcXml } from '../utils/marc.js';
+import { bookToRecord, recordToBook } from '../utils/marcMapping.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { parseXlsx, XlsxError } from '../utils/xlsx.js';
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Imported books get their ID assigned unless the source brings one
+const importedBookSchema = bookSchema.keys({ id: Joi.string().trim().max(50).optional() });
+
+// A row updating a catalogued book only needs the columns it changes
+const bookUpdateRowSchema = bookSchema.fork(
+  ['id', 'name', 'title', 'category', 'publisher', 'isbn', 'copies'],
+  field => field.optional()
+);
+
+const marcImportSchema = Joi.object({
+  data: Joi.string().required(),                      // the file, base64 encoded
+  fileName: Joi.string().max(200).optional(),
+  dryRun: Joi.boolean().default(true),
+  onDuplicate: Joi.string().valid('skip', 'update').default('skip'),
+  idFrom: Joi.string().valid('sequence', 'controlNumber').default('sequence'),
+  category: Joi.string().trim().min(1).max(100).default('General'),
+  copies: Joi.number().integer().min(0).max(100).default(1),
+});
+
+const spreadsheetImportSchema = Joi.object({
+  data: Joi.string().required(),                      // the .csv or .xlsx file, base64 encoded
+  fileName: Joi.string().max(200).optional(),
+  dryRun: Joi.boolean().default(true),
+  key: Joi.string().valid(...IMPORT_KEYS).default('id'),
+  mode: Joi.string().valid(...IMPORT_MODES).default('create'),
+  copies: Joi.number().integer().min(0).max(100).default(1), // for new books without a copies column
+});
+
+const importListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  dryRun: Joi.boolean().optional(),
+});
+
+const reportSchema = Joi.object({
+  rows: Joi.string().valid('problems', 'all').default('problems'),
+});
+
+const marcExportSchema = Joi.object({
+  format: Joi.string().valid('marc21', 'marcxml').default('marcxml'),
+  search: Joi.string().allow('').optional(),
+  category: Joi.string().optional(),
+  language: Joi.string().valid(...Object.keys(BOOK_LANGUAGES)).optional(),
+  ids: Joi.string().optional(),                       // comma separated book IDs
+});
+
+/**
+ * Turn a parsed MARC record into an import entry: the mapped book with the
+ * import's defaults, validated the way the add-book form is
+ */
+const marcEntry = (record, index, options) => {
+  const row = index + 1;
+  if (record.error) return { row, ref: null, book: null, errors: [record.error] };
+
+  const { controlNumber, book } = recordToBook(record);
+  const candidate = {
+    ...book,
+    id: options.idFrom === 'controlNumber' ? controlNumber || undefined : undefined,
+    category: options.category,
+    copies: options.copies,
+  };
+  const warnings = record.marc8 ? ['MARC-8 record: accented and non-Latin characters may not have been read correctly'] : [];
+
+  const { error, value } = importedBookSchema.validate(candidate, { abortEarly: false });
+  return {
+    row,
+    ref: controlNumber,
+    book: error ? candidate : value,
+    errors: error ? error.details.map(d => d.message) : [],
+    warnings,
+  };
+};
+
+/* ----  MARC IMPORT – MARC21 (ISO 2709) or MARCXML into books  ---- */
+
+export const importMarc = async (req, res) => {
+  const { error, value } = marcImportSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  let parsed;
+  try {
+    parsed = parseMarc(Buffer.from(value.data.replace(/^data:[^,]*,/, ''), 'base64'));
+  } catch (e) {
+    if (e instanceof MarcError) return res.status(400).json({ message: e.message });
+    // Any other parser failure is still a file we cannot read, not a server fault
+    console.error(e);
+    return res.status(400).json({ message: 'The file could not be read' });
+  }
+  if (!parsed.records.length) return res.status(400).json({ message: 'No MARC records found in the file' });
+  if (parsed.records.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ message: `Import at most ${MAX_IMPORT_ROWS} records at a time` });
+  }
+
+  try {
+    const db = await connectDB();
+    const importModel = initBookImportModel(db);
+    const source = { format: parsed.format, fileName: value.fileName || null };
+
+    const entries = parsed.records.map((record, i) => marcEntry(record, i, value));
+    const plan = await importModel.plan(entries, { key: 'isbn', mode: value.onDuplicate });
+    const rows = value.dryRun ? plan : await importModel.apply(plan, { userId: req.user.id, source });
+
+    const { data, ...options } = value;
+    const run = await importModel.record({ source, options, dryRun: value.dryRun, rows, userId: req.user.id });
+    res.json({ importId: run._id, dryRun: value.dryRun, format: parsed.format, summary: run.summary, rows });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* ----  MARC EXPORT – the catalogue or part of it as a MARC file  ---- */
+
+export const exportMarc = async (req, res) => {
+  const { error, value } = marcExportSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const query = value.ids
+      ? { id: { $in: value.ids.split(',').map(id => id.trim()).filter(Boolean) } }
+      : bookSearchQuery(value);
+    const books = await db.collection('books').find(query).sort({ id: 1 }).toArray();
+
+    const organization = process.env.MARC_ORGANIZATION_CODE || null;
+    const records = books.map(book => bookToRecord(book, { organization }));
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (value.format === 'marc21') {
+      res.setHeader('Content-Type', 'application/marc');
+      res.setHeader('Content-Disposition', `attachment; filename="catalog_${stamp}.mrc"`);
+      return res.send(writeMarc21(records));
+    }
+    res.setHeader('Content-Type', 'application/marcxml+xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="catalog_${stamp}.xml"`);
+    res.send(writeMarcXml(records));
+  } catch (e) {
+    if (e instanceof MarcError) return res.status(422).json({ message: e.message });
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* ----  SPREADSHEET IMPORT – CSV or XLSX, one book per row  ---- */
+
+// Column headers are matched loosely ("Book ID", "book_id", "BOOKID")
+const COLUMN_ALIASES = {
+  id: ['id', 'bookid'],
+  name: ['name', 'shorttitle'],
+  title: ['title', 'fulltitle'],
+  category: ['category'],
+  publisher: ['publisher'],
+  isbn: ['isbn'],
+  copies: ['copies', 'quantity'],
+  replacementCost: ['replacementcost'],
+  processingFee: ['processingfee'],
+  authors: ['authors', 'author'],
+  subjects: ['subjects', 'subject'],
+  edition: ['edition'],
+  publicationYear: ['publicationyear', 'year'],
+  language: ['language'],
+  pages: ['pages'],
+  series: ['series'],
+  seriesNumber: ['seriesnumber', 'volume'],
+  summary: ['summary'],
+  classification: ['classification', 'callnumber'],
+};
+
+// What a spreadsheet row may change on a catalogued book: any column but the ID
+const SPREADSHEET_UPDATE_FIELDS = [
+  ...BIBLIOGRAPHIC_UPDATE_FIELDS, 'category', 'copies', 'replacementCost', 'processingFee',
+];
+
+const TEMPLATE_COLUMNS = [
+  'ID', 'Name', 'Title', 'Category', 'Publisher', 'ISBN', 'Copies', 'Authors', 'Subjects', 'Edition',
+  'Publication year', 'Language', 'Pages', 'Series', 'Series number', 'Summary', 'Classification',
+  'Replacement cost', 'Processing fee',
+];
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const splitList = (value) => value.split(/[;|]/).map(v => v.trim()).filter(Boolean);
+
+// "Haddis Alemayehu; Sisay T. (translator)"
+const parseAuthors = (value) => splitList(value).map(item => {
+  const match = item.match(/^(.*?)\s*\((\w+)\)$/);
+  return match ? { name: match[1], role: match[2].toLowerCase() } : { name: item, role: 'author' };
+});
+
+// A language given by code ("amh") or by name ("Amharic")
+const parseLanguage = (value) => {
+  const code = value.toLowerCase();
+  if (BOOK_LANGUAGES[code]) return code;
+  return Object.keys(BOOK_LANGUAGES).find(c => BOOK_LANGUAGES[c].toLowerCase() === code) || value;
+};
+
+/**
+ * A spreadsheet row as a candidate book. Only non-empty cells are taken,
+ * so an update row leaves the other fields alone; values are checked by
+ * the book schema afterwards.
+ */
+const rowToBook = (row, columns) => {
+  const cell = (field) => {
+    const header = columns[field];
+    const value = header === undefined ? '' : String(row[header] ?? '').trim();
+    return value === '' ? undefined : value;
+  };
+
+  const book = {};
+  for (const field of ['id', 'name', 'title', 'category', 'publisher', 'isbn', 'copies', 'replacementCost',
+    'processingFee', 'edition', 'publicationYear', 'pages', 'summary', 'classification']) {
+    if (cell(field) !== undefined) book[field] = cell(field);
+  }
+  if (cell('authors')) book.authors = parseAuthors(cell('authors'));
+  if (cell('subjects')) book.subjects = splitList(cell('subjects'));
+  if (cell('language')) book.language = parseLanguage(cell('language'));
+  if (cell('series')) book.series = { name: cell('series'), number: cell('seriesNumber') || null };
+  return book;
+};
+
+const readSpreadsheet = (buffer) => {
+  if (buffer.subarray(0, 4).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0]))) {
+    throw new XlsxError('Old .xls workbooks are not supported; save the sheet as .xlsx or CSV');
+  }
+  const isZip = buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+  return isZip
+    ? { format: 'xlsx', ...parseXlsx(buffer) }
+    : { format: 'csv', ...parseCsv(buffer.toString('utf8')) };
+};
+
+export const importBooks = async (req, res) => {
+  const { error, value } = spreadsheetImportSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  let sheet;
+  try {
+    sheet = readSpreadsheet(Buffer.from(value.data.replace(/^data:[^,]*,/, ''), 'base64'));
+  } catch (e) {
+    if (e instanceof XlsxError) return res.status(400).json({ message: e.message });
+    console.error(e);
+    return res.status(400).json({ message: 'The file could not be read' });
+  }
+  if (!sheet.rows.length) return res.status(400).json({ message: 'The file has no rows below the header' });
+  if (sheet.rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ message: `Import at most ${MAX_IMPORT_ROWS} rows at a time` });
+  }
+
+  const columns = {};
+  const ignoredColumns = [];
+  for (const header of sheet.headers.filter(Boolean)) {
+    const field = Object.keys(COLUMN_ALIASES).find(f => COLUMN_ALIASES[f].includes(headerKey(header)));
+    if (field && columns[field] === undefined) columns[field] = header;
+    else ignoredColumns.push(header);
+  }
+  if (columns[value.key] === undefined) {
+    return res.status(400).json({ message: `The file needs an ${value.key === 'id' ? 'ID' : 'ISBN'} column to match books on` });
+  }
+
+  // New books need every required field; updates only what they change
+  const validate = (book, action) => {
+    const schema = action === 'update' ? bookUpdateRowSchema : importedBookSchema;
+    const candidate = action === 'create' && book.copies === undefined ? { ...book, copies: value.copies } : book;
+    const { error: rowError, value: checked } = schema.validate(candidate, { abortEarly: false });
+    return { value: checked, errors: rowError ? rowError.details.map(d => d.message) : [] };
+  };
+
+  try {
+    const db = await connectDB();
+    const importModel = initBookImportModel(db);
+    const source = { format: sheet.format, fileName: value.fileName || null };
+
+    // Line numbers as the librarian sees them, the header being line 1
+    const entries = sheet.rows.map((row, i) => ({ row: i + 2, ref: null, book: rowToBook(row, columns), errors: [] }));
+    const plan = await importModel.plan(entries, { key: value.key, mode: value.mode, validate });
+    const rows = value.dryRun
+      ? plan
+      : await importModel.apply(plan, { userId: req.user.id, source, updatable: SPREADSHEET_UPDATE_FIELDS });
+
+    const { data, ...options } = value;
+    const run = await importModel.record({ source, options, dryRun: value.dryRun, rows, userId: req.user.id });
+    res.json({
+      importId: run._id,
+      dryRun: value.dryRun,
+      format: sheet.format,
+      ignoredColumns,
+      summary: run.summary,
+      rows,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * An empty CSV with the columns the import understands
+ */
+export const getImportTemplate = (req, res) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="books_template.csv"');
+  res.send(toCsv([], TEMPLATE_COLUMNS.map(header => [header, () => ''])));
+};
+
+/* ----  IMPORT HISTORY – past runs and their row-by-row reports  ---- */
+
+const REPORT_COLUMNS = [
+  ['Row', r => r.row],
+  ['Reference', r => r.ref || ''],
+  ['Result', r => r.action],
+  ['Book ID', r => r.id || r.matchedId || ''],
+  ['ISBN', r => r.isbn || ''],
+  ['Title', r => r.title || ''],
+  ['Messages', r => r.messages.join('; ')],
+];
+
+export const getImports = async (req, res) => {
+  const { error, value } = importListSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    res.json(await initBookImportModel(db).getAll(value));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getImport = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const run = await initBookImportModel(db).getById(req.params.id);
+    if (!run) return res.status(404).json({ message: 'Import not found' });
+    res.json(run);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * The rows of a run as CSV: by default only those that were not imported
+ * cleanly (invalid, skipped, or with notes)
+ */
+export const getImportReport = async (req, res) => {
+  const { error, value } = reportSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const run = await initBookImportModel(db).getById(req.params.id);
+    if (!run) return res.status(404).json({ message: 'Import not found' });
+
+    const rows = value.rows === 'all'
+      ? run.rows
+      : run.rows.filter(r => r.action === 'invalid' || r.action === 'skip' || r.messages.length);
+    const stamp = run.createdAt.toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="import_report_${stamp}_${run._id}.csv"`);
+    res.send(toCsv(rows, REPORT_COLUMNS));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
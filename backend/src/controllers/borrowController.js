@@ -2,6 +2,14 @@
 import Joi from 'joi';
 import { ObjectId } from 'mongodb';
 import { connectDB } from '../config/db.js';
+import { initCopyModel } from '../models/copyModel.js';
+import { initLoanPolicyModel } from '../models/loanPolicyModel.js';
+import { initHoldModel, ACTIVE_HOLD_STATUSES } from '../models/holdModel.js';
+import { initBorrowModel, BORROW_TRANSITIONS, OPEN_BORROW_STATUSES } from '../models/borrowModel.js';
+import { initFineModel, fineStatus } from '../models/fineModel.js';
+import { initAmnestyModel } from '../models/amnestyModel.js';
+import { runTransaction, CirculationError, sendCirculationError } from '../utils/transaction.js';
+import { notifyUser } from '../utils/notify.js';
 
 /* --------------------------------------------------------------
    JOI Schemas
@@ -11,19 +19,24 @@ const requestSchema = Joi.object({
   username: Joi.string().required(),
   bookId: Joi.string().required(),
   bookName: Joi.string().required(),
-  dueDate: Joi.date().min('now').required(),
+  dueDate: Joi.date().min('now').optional(), // defaults to the policy loan period
   userType: Joi.string().valid('student', 'teacher', 'librarian', 'admin').optional(),
 });
 
+// Staff lending to a blocked patron must say why
+const overrideReason = Joi.string().trim().min(3).max(500).optional();
+
 const approvalSchema = Joi.object({
   borrowId: Joi.string().required(),
   action: Joi.string().valid('approve', 'reject').required(),
   reason: Joi.string().optional(),
+  overrideReason,
 });
 
 const returnSchema = Joi.object({
   userId: Joi.string().required(),
   bookId: Joi.string().required(),
+  condition: Joi.string().valid('new', 'good', 'fair', 'poor', 'damaged').optional(),
 });
 
 // Librarian direct borrow schema
@@ -32,36 +45,86 @@ const librarianBorrowSchema = Joi.object({
   username: Joi.string().required(),
   bookId: Joi.string().required(),
   bookName: Joi.string().required(),
-  dueDate: Joi.date().min('now').required(),
+  dueDate: Joi.date().min('now').optional(), // defaults to the policy loan period
   userType: Joi.string().valid('student', 'teacher', 'librarian', 'admin').optional(),
+  barcode: Joi.string().allow('').optional(), // lend a specific copy
+  overrideReason,
+});
+
+// A loan that will not come back (or came back unusable)
+const declareSchema = Joi.object({
+  kind: Joi.string().valid('lost', 'damaged').required(),
+  note: Joi.string().trim().allow('').max(500).optional(),
+  // Staff only: used when the book record has no cost on it
+  replacementCost: Joi.number().min(0).precision(2).optional(),
+  processingFee: Joi.number().min(0).precision(2).optional(),
+});
+
+const foundSchema = Joi.object({
+  condition: Joi.string().valid('new', 'good', 'fair', 'poor', 'damaged').optional(),
+  note: Joi.string().trim().allow('').max(500).optional(),
 });
 
 /* --------------------------------------------------------------
-   Helper – calculate fine based on user type
+   Helper – pick the due date allowed by the loan policy
    -------------------------------------------------------------- */
-const calculateFine = (dueDate, userType = 'student') => {
-  const now = new Date();
-  const due = new Date(dueDate);
-  const msDiff = now - due;
-  
-  if (msDiff <= 0) return 0; // Not overdue yet
-
-  const daysLate = Math.ceil(msDiff / (1000 * 60 * 60 * 24));
-  
-  // Teacher: 2 days grace period, then 10 ETB per day
-  if (userType === 'teacher') {
-    const daysAfterGrace = Math.max(0, daysLate - 2);
-    return daysAfterGrace * 10;
-  }
-  
-  // Student: 1 day grace period, then 10 ETB per day
-  if (userType === 'student') {
-    const daysAfterGrace = Math.max(0, daysLate - 1);
-    return daysAfterGrace * 10;
+const resolveDueDate = (policyModel, policy, requested) => {
+  const { defaultDueDate, maxDueDate } = policyModel.dueDateLimits(policy);
+  const dueDate = requested ? new Date(requested) : defaultDueDate;
+
+  if (dueDate > maxDueDate) {
+    return { error: `Due date can be at most ${policy.maxLoanDays} days from today`, maxDueDate };
   }
-  
-  // Other user types: immediate fine
-  return daysLate * 10;
+  return { dueDate };
+};
+
+// Refuse a patron at their concurrent-loan limit
+export const sendLimitReached = (res, limit) => res.status(400).json({
+  message: limit.error,
+  activeLoans: limit.activeLoans,
+  maxActiveLoans: limit.maxActiveLoans,
+});
+
+// Refuse a blocked patron; staff are told how to lend anyway
+export const sendBlocked = (res, block, { staff = false, username = null } = {}) => res.status(403).json({
+  message: staff
+    ? `Borrowing is blocked for ${username}: ${block.reasons.join(' and ')}. Give an override reason to lend anyway.`
+    : `Borrowing is blocked: you have ${block.reasons.join(' and ')}. Pay your fines or return overdue books at the library desk to borrow again.`,
+  block,
+  canOverride: staff,
+});
+
+// What is kept on the borrow when staff lend past a block
+export const blockOverrideRecord = (block, reason, actor) => ({
+  reason,
+  reasons: block.reasons,
+  balance: block.balance,
+  overdueItems: block.overdueItems,
+  by: actor.id,
+  byUsername: actor.username,
+  at: new Date(),
+});
+
+/* --------------------------------------------------------------
+   Helper – apply a running fine amnesty to a loan that has just
+   come back, and tell the patron what was forgiven
+   -------------------------------------------------------------- */
+const forgiveOnReturn = async (db, borrow, at) => {
+  const entries = await initAmnestyModel(db).applyForUser(borrow.userId, {
+    borrowIds: [borrow._id],
+    trigger: 'return',
+    at,
+  });
+  if (entries.length === 0) return 0;
+
+  const [entry] = entries;
+  await notifyUser(db, borrow.userId, {
+    type: 'fine_waived',
+    subject: 'Fine forgiven',
+    message: `${entry.amount} ETB of the fine on "${borrow.bookTitle || borrow.bookName}" was forgiven by the ${entry.amnesty.name} amnesty. Balance: ${entry.balanceAfter} ETB.`,
+    data: { borrowId: borrow._id, amnestyId: entry.amnesty.id },
+  });
+  return entry.amount;
 };
 
 /* --------------------------------------------------------------
@@ -87,19 +150,37 @@ export const requestBook = async (req, res) => {
     });
     if (!book) return res.status(404).json({ message: 'Invalid book ID or name' });
 
-    // Check if user already has a pending or active borrow
+    const policyModel = initLoanPolicyModel(db);
+    const policy = await policyModel.resolve(user.role || 'student', book.category || '*');
+    const due = resolveDueDate(policyModel, policy, value.dueDate);
+    if (due.error) return res.status(400).json({ message: due.error, maxDueDate: due.maxDueDate });
+
+    // Lapsed pickups should not count against the user
+    const holdModel = initHoldModel(db);
+    await holdModel.expireUncollected();
+
+    // One open request or loan per title
     const existingActive = await db.collection('borrows').findOne({
       userId: value.userId,
-      status: { $in: ['pending', 'approved', 'borrowed'] },
+      bookId: value.bookId,
+      status: { $in: ['pending', 'waitlisted', 'approved', 'borrowed'] },
       returnedAt: null,
     });
     if (existingActive) {
       return res.status(400).json({
-        message: 'You already have an active request or borrowed book',
+        message: 'You already have an active request or loan for this book',
         existingStatus: existingActive.status,
       });
     }
 
+    // Requests waiting for review or in a hold queue count towards the limit too
+    const limit = await initBorrowModel(db).loanLimit(user, { statuses: OPEN_BORROW_STATUSES, holds: true });
+    if (limit.error) return sendLimitReached(res, limit);
+
+    // Patrons who owe too much or hold too many overdue books cannot ask for more
+    const block = await initBorrowModel(db).borrowingBlock(user);
+    if (block.blocked) return sendBlocked(res, block);
+
     // Check if user has a rejected request for the same book within 24 hours
     const rejectedRequest = await db.collection('borrows').findOne({
       userId: value.userId,
@@ -121,6 +202,12 @@ export const requestBook = async (req, res) => {
       }
     }
 
+    // No copy on the shelf: the request waits in the book's hold queue
+    const waitlisted = book.copies <= 0;
+    if (waitlisted && await holdModel.findActive(value.userId, value.bookId)) {
+      return res.status(400).json({ message: 'You are already in the hold queue for this book' });
+    }
+
     // Create the request
     const borrowRequest = {
       userId: value.userId,
@@ -130,8 +217,8 @@ export const requestBook = async (req, res) => {
       bookTitle: book.title,
       userType: user.role || 'student',
       requestedAt: new Date(),
-      dueDate: new Date(value.dueDate),
-      status: 'pending',
+      dueDate: due.dueDate,
+      status: waitlisted ? 'waitlisted' : 'pending',
       borrowedAt: null,
       returnedAt: null,
       fine: 0,
@@ -141,14 +228,30 @@ export const requestBook = async (req, res) => {
       requestedBy: value.userId,
     };
 
-    await db.collection('borrows').insertOne(borrowRequest);
+    // The request and its queue entry are created together
+    const borrowModel = initBorrowModel(db);
+    const { request, hold } = await runTransaction(db, async (session) => {
+      const options = { session };
+      const request = await borrowModel.create(
+        borrowRequest,
+        req.user,
+        waitlisted ? 'No copy on the shelf; joined the hold queue' : null,
+        options
+      );
+      const hold = waitlisted ? await holdModel.place(user, book, request._id, options) : null;
+      return { request, hold };
+    });
+    if (hold) hold.position = await holdModel.position(hold);
 
     res.status(201).json({
-      message: 'Book request submitted for librarian approval',
-      request: borrowRequest,
-      availability: book.copies > 0 ? 'available' : 'none',
+      message: waitlisted
+        ? `No copies available. You are number ${hold.position} in the hold queue`
+        : 'Book request submitted for librarian approval',
+      request,
+      hold,
+      availability: waitlisted ? 'none' : 'available',
       userType: user.role,
-      finePolicy: user.role === 'teacher' ? '2 days grace period' : '1 day grace period'
+      finePolicy: policy.description
     });
   } catch (e) {
     console.error(e);
@@ -173,53 +276,114 @@ export const approveRequest = async (req, res) => {
     if (!borrow) return res.status(404).json({ message: 'Pending request not found' });
 
     if (value.action === 'approve') {
-      // Check if book still has copies available
       const book = await db.collection('books').findOne({ id: borrow.bookId });
-      if (!book || book.copies <= 0) {
-        return res.status(400).json({ message: 'No copies available' });
+      if (!book) return res.status(404).json({ message: 'Book not found' });
+
+      // Check the user is still within their concurrent-loan limit
+      const policyModel = initLoanPolicyModel(db);
+      const limit = await initBorrowModel(db).loanLimit(
+        { id: borrow.userId, role: borrow.userType },
+        { statuses: ['approved', 'borrowed'], excludeId: borrow._id }
+      );
+      if (limit.error) return sendLimitReached(res, limit);
+
+      // The patron may have become blocked since asking
+      const block = await initBorrowModel(db).borrowingBlock({ id: borrow.userId, role: borrow.userType });
+      if (block.blocked && !value.overrideReason) {
+        return sendBlocked(res, block, { staff: true, username: borrow.username });
       }
+      const blockOverride = block.blocked ? blockOverrideRecord(block, value.overrideReason, req.user) : null;
+      const overrideNote = blockOverride ? `Borrowing block overridden: ${blockOverride.reason}` : null;
+
+      // The copy is only kept aside for the policy's pickup window
+      const policy = await policyModel.policyFor(borrow.userType, borrow.bookId);
+      const copyModel = initCopyModel(db);
+      const holdModel = initHoldModel(db);
+      const borrowModel = initBorrowModel(db);
+      await copyModel.ensureCopies(book);
+
+      // Set a copy aside for the patron; with none on the shelf the
+      // request joins the hold queue instead. Only a pending request
+      // can be reviewed, so a second approval changes nothing.
+      const outcome = await runTransaction(db, async (session) => {
+        const options = { session };
+        const copy = await copyModel.reserve(book.id, borrow._id, options);
+
+        if (!copy) {
+          const claimed = await borrowModel.transition(
+            borrow,
+            'waitlisted',
+            {
+              actor: req.user,
+              reason: ['Approved with no copy on the shelf', overrideNote].filter(Boolean).join('; '),
+              set: blockOverride ? { blockOverride } : {},
+            },
+            options
+          );
+          if (!claimed) throw new CirculationError('Request has already been reviewed', 409);
+
+          const user = { id: borrow.userId, username: borrow.username, role: borrow.userType };
+          return { hold: await holdModel.place(user, book, borrow._id, options) };
+        }
 
-      // Check if user already has an active borrow or approved request
-      const existingBorrow = await db.collection('borrows').findOne({
-        userId: borrow.userId,
-        status: { $in: ['approved', 'borrowed'] },
-        returnedAt: null,
+        const approvedAt = new Date();
+        const pickupDeadline = policyModel.pickupDeadline(policy, approvedAt);
+
+        // Update borrow record to 'approved' (Student must confirm to borrow)
+        const claimed = await borrowModel.transition(
+          borrow,
+          'approved',
+          {
+            actor: req.user,
+            reason: overrideNote,
+            set: {
+              approvedBy: req.user.id,
+              approvedAt,
+              pickupDeadline,
+              copyId: copy._id,
+              accessionNumber: copy.accessionNumber,
+              barcode: copy.barcode,
+              ...(blockOverride ? { blockOverride } : {}),
+            },
+          },
+          options
+        );
+        if (!claimed) throw new CirculationError('Request has already been reviewed', 409);
+
+        return { pickupDeadline };
       });
-      if (existingBorrow) {
-        return res.status(400).json({ 
-          message: 'User already has a borrowed book or an approved request' 
+
+      if (outcome.hold) {
+        const position = await holdModel.position(outcome.hold);
+
+        return res.json({
+          message: `No copies available. Request added to the hold queue at position ${position}`,
+          status: 'waitlisted',
+          position,
+          userType: borrow.userType
         });
       }
 
-      // Update borrow record to 'approved' (Student must confirm to borrow)
-      await db.collection('borrows').updateOne(
-        { _id: borrow._id },
-        {
-          $set: {
-            status: 'approved',
-            approvedBy: req.user.id,
-            approvedAt: new Date(),
-          },
-        }
-      );
-
       res.json({ 
         message: 'Request approved. Student must confirm borrowing to finalize.', 
         status: 'approved',
+        pickupDeadline: outcome.pickupDeadline,
         userType: borrow.userType
       });
     } else if (value.action === 'reject') {
-      await db.collection('borrows').updateOne(
-        { _id: borrow._id },
-        {
-          $set: {
-            status: 'rejected',
-            approvedBy: req.user.id,
-            approvedAt: new Date(),
-            rejectionReason: value.reason || 'Request rejected',
-          },
-        }
-      );
+      const reason = value.reason || 'Request rejected';
+      const rejected = await initBorrowModel(db).transition(borrow, 'rejected', {
+        actor: req.user,
+        reason,
+        set: {
+          approvedBy: req.user.id,
+          approvedAt: new Date(),
+          rejectionReason: reason,
+        },
+      });
+      if (!rejected) {
+        return res.status(409).json({ message: 'Request has already been reviewed' });
+      }
 
       res.json({ 
         message: 'Request rejected', 
@@ -227,6 +391,7 @@ export const approveRequest = async (req, res) => {
       });
     }
   } catch (e) {
+    if (sendCirculationError(res, e)) return;
     console.error(e);
     res.status(500).json({ message: 'Server error' });
   }
@@ -241,6 +406,7 @@ export const confirmBorrow = async (req, res) => {
 
   try {
     const db = await connectDB();
+    await initHoldModel(db).expireUncollected();
     
     // Find the approved request for the authenticated user
     const borrow = await db.collection('borrows').findOne({
@@ -251,37 +417,78 @@ export const confirmBorrow = async (req, res) => {
     });
 
     if (!borrow) {
+      const expired = await db.collection('borrows').findOne({
+        _id: new ObjectId(borrowId),
+        userId: req.user.id,
+        status: 'expired',
+      });
+      if (expired) {
+        return res.status(400).json({ message: 'The pickup window for this request has passed. Please request the book again.' });
+      }
       return res.status(404).json({ message: 'No approved request found for confirmation' });
     }
 
+    // Other loans may have reached the limit since approval
+    const borrowModel = initBorrowModel(db);
+    const limit = await borrowModel.loanLimit(
+      { id: borrow.userId, role: borrow.userType },
+      { statuses: ['approved', 'borrowed'], excludeId: borrow._id }
+    );
+    if (limit.error) return sendLimitReached(res, limit);
+
+    // The patron may have become blocked since approval; a block staff
+    // overrode when approving stays overridden
+    if (!borrow.blockOverride) {
+      const block = await borrowModel.borrowingBlock({ id: borrow.userId, role: borrow.userType });
+      if (block.blocked) return sendBlocked(res, block);
+    }
+
     // Check book availability again
     const book = await db.collection('books').findOne({ id: borrow.bookId });
-    if (!book || book.copies <= 0) {
+    if (!book) {
       return res.status(400).json({ message: 'No copies available for confirmation' });
     }
 
-    // Update to borrowed status and set current date
-    await db.collection('borrows').updateOne(
-      { _id: borrow._id },
-      {
-        $set: {
-          status: 'borrowed',
-          borrowedAt: new Date(),
-        },
-      }
-    );
-
-    // Reduce book copies in inventory
-    await db.collection('books').updateOne(
-      { id: borrow.bookId },
-      { $inc: { copies: -1 } }
-    );
+    const copyModel = initCopyModel(db);
+    const holdModel = initHoldModel(db);
+    await copyModel.ensureCopies(book);
+
+    // Loans from the hold queue run from pickup, not from when the copy came back
+    const policyModel = initLoanPolicyModel(db);
+    const policy = borrow.holdId ? await policyModel.policyFor(borrow.userType, borrow.bookId) : null;
+
+    const copy = await runTransaction(db, async (session) => {
+      const options = { session };
+
+      // Hand over the copy set aside at approval; requests approved before
+      // copies were reserved take any copy on the shelf
+      const copy = (borrow.copyId && await copyModel.checkoutReserved(borrow.copyId, borrow._id, options))
+        || await copyModel.checkout(borrow.bookId, borrow._id, null, options);
+      if (!copy) throw new CirculationError('No copies available for confirmation');
+
+      const set = {
+        borrowedAt: new Date(),
+        copyId: copy._id,
+        accessionNumber: copy.accessionNumber,
+        barcode: copy.barcode,
+      };
+      if (policy) set.dueDate = policyModel.dueDateLimits(policy).defaultDueDate;
+
+      // Only an approved request can be confirmed, and only once
+      const confirmed = await borrowModel.transition(borrow, 'borrowed', { actor: req.user, set }, options);
+      if (!confirmed) throw new CirculationError('This request has already been confirmed', 409);
+
+      await holdModel.fulfil(borrow._id, options);
+      return copy;
+    });
 
     res.json({
       message: 'Book confirmed and borrowed successfully',
-      status: 'borrowed'
+      status: 'borrowed',
+      copy: { accessionNumber: copy.accessionNumber, barcode: copy.barcode }
     });
   } catch (e) {
+    if (sendCirculationError(res, e)) return;
     console.error(e);
     res.status(500).json({ message: 'Server error' });
   }
@@ -310,58 +517,100 @@ export const librarianBorrowBook = async (req, res) => {
     });
     if (!book) return res.status(404).json({ message: 'Invalid book ID or name' });
 
-    // Check if user already has an active borrow
+    const policyModel = initLoanPolicyModel(db);
+    const policy = await policyModel.resolve(user.role || 'student', book.category || '*');
+    const due = resolveDueDate(policyModel, policy, value.dueDate);
+    if (due.error) return res.status(400).json({ message: due.error, maxDueDate: due.maxDueDate });
+
+    // Check if user already has this book
     const existing = await db.collection('borrows').findOne({
       userId: value.userId,
+      bookId: value.bookId,
       status: 'borrowed',
       returnedAt: null,
     });
     if (existing) return res.status(400).json({ 
-      message: 'User already has a borrowed book' 
+      message: 'User already has this book on loan' 
     });
 
-    // Check book availability
-    if (book.copies <= 0) return res.status(400).json({ 
-      message: 'No copies available' 
-    });
+    const limit = await initBorrowModel(db).loanLimit(user, { statuses: ['approved', 'borrowed'] });
+    if (limit.error) return sendLimitReached(res, limit);
 
-    // Create borrow record with userType
-    const borrowRecord = {
-      userId: value.userId,
-      username: value.username,
-      bookId: value.bookId,
-      bookName: value.bookName,
-      bookTitle: book.title,
-      userType: user.role || 'student',
-      borrowedAt: new Date(),
-      dueDate: new Date(value.dueDate),
-      returnedAt: null,
-      fine: 0,
-      status: 'borrowed',
-      approvedBy: req.user.id,
-      approvedAt: new Date(),
-      requestedBy: req.user.id,
-    };
+    // A blocked patron is only lent to with a recorded reason
+    const block = await initBorrowModel(db).borrowingBlock(user);
+    if (block.blocked && !value.overrideReason) {
+      return sendBlocked(res, block, { staff: true, username: user.username });
+    }
+    const blockOverride = block.blocked ? blockOverrideRecord(block, value.overrideReason, req.user) : null;
 
-    await db.collection('borrows').insertOne(borrowRecord);
-    await db.collection('books').updateOne(
-      { id: value.bookId }, 
-      { $inc: { copies: -1 } }
-    );
+    // Pick the copy being handed over (scanned barcode) or any copy on the shelf
+    const copyModel = initCopyModel(db);
+    await copyModel.ensureCopies(book);
+
+    let requestedCopy = null;
+    if (value.barcode) {
+      requestedCopy = await copyModel.findByBarcode(value.barcode);
+      if (!requestedCopy || requestedCopy.bookId !== book.id) {
+        return res.status(404).json({ message: 'No copy of this book has that barcode' });
+      }
+      if (requestedCopy.status !== 'on_shelf') {
+        return res.status(400).json({ message: `Copy ${requestedCopy.barcode} is ${requestedCopy.status.replace('_', ' ')}` });
+      }
+    }
+
+    // The copy leaves the shelf and the loan opens together
+    const borrowModel = initBorrowModel(db);
+    const borrowRecord = await runTransaction(db, async (session) => {
+      const options = { session };
+      const borrowId = new ObjectId();
+      const copy = await copyModel.checkout(book.id, borrowId, requestedCopy?._id, options);
+
+      // Check book availability
+      if (!copy) throw new CirculationError('No copies available');
+
+      // Create borrow record with userType
+      const record = {
+        _id: borrowId,
+        userId: value.userId,
+        username: value.username,
+        bookId: value.bookId,
+        bookName: value.bookName,
+        bookTitle: book.title,
+        userType: user.role || 'student',
+        copyId: copy._id,
+        accessionNumber: copy.accessionNumber,
+        barcode: copy.barcode,
+        borrowedAt: new Date(),
+        dueDate: due.dueDate,
+        returnedAt: null,
+        fine: 0,
+        status: 'borrowed',
+        approvedBy: req.user.id,
+        approvedAt: new Date(),
+        requestedBy: req.user.id,
+        ...(blockOverride ? { blockOverride } : {}),
+      };
+
+      const note = blockOverride
+        ? `Lent at the desk; borrowing block overridden: ${blockOverride.reason}`
+        : 'Lent at the desk';
+      return await borrowModel.create(record, req.user, note, options);
+    });
 
     res.status(201).json({ 
       message: 'Book borrowed successfully', 
       borrow: borrowRecord,
-      finePolicy: user.role === 'teacher' ? '2 days grace period' : '1 day grace period'
+      finePolicy: policy.description
     });
   } catch (e) {
+    if (sendCirculationError(res, e)) return;
     console.error(e);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
 /* --------------------------------------------------------------
-   RETURN – Return book and calculate fine based on user type
+   RETURN – Librarian takes a book back; its fine is paid separately
    -------------------------------------------------------------- */
 export const returnBook = async (req, res) => {
   const { error, value } = returnSchema.validate(req.body);
@@ -382,34 +631,372 @@ export const returnBook = async (req, res) => {
       message: 'No active borrow found' 
     });
 
-    // Calculate fine based on user type
-    const fine = calculateFine(borrow.dueDate, borrow.userType);
+    // Calculate fine from the loan policy for this patron and book
+    const policyModel = initLoanPolicyModel(db);
+    const policy = await policyModel.policyFor(borrow.userType, borrow.bookId);
     const now = new Date();
+    const fine = policyModel.calculateFine(borrow.dueDate, policy, now);
+
+    // Close the loan and put the physical copy back on the shelf together.
+    // Only an open loan can be returned, so a repeated return changes nothing.
+    const copyModel = initCopyModel(db);
+    await runTransaction(db, async (session) => {
+      const options = { session };
+      const closed = await initBorrowModel(db).transition(
+        borrow,
+        'returned',
+        { actor: req.user, set: { returnedAt: now, fine }, filter: { returnedAt: null } },
+        options
+      );
+      if (!closed) throw new CirculationError('This book has already been returned', 409);
 
-    // Update borrow record
-    await db.collection('borrows').updateOne(
-      { _id: borrow._id },
-      { 
-        $set: { 
-          returnedAt: now, 
-          fine,
-          status: 'returned' 
-        } 
-      }
-    );
+      await initFineModel(db).chargeOverdue(closed, now, options);
+      await copyModel.releaseForBorrow(borrow, value.condition, options);
+    });
 
-    // Return book copy
-    await db.collection('books').updateOne(
-      { id: value.bookId },
-      { $inc: { copies: 1 } }
-    );
+    // Then set the copy aside for the next patron in the hold queue
+    const promoted = await initHoldModel(db).promoteNext(borrow.bookId);
+
+    // Returns during a fine amnesty have part of the fine forgiven
+    const forgiven = await forgiveOnReturn(db, borrow, now);
+
+    // The fine may already have been paid online while the book was out
+    const [owed] = await initFineModel(db).outstandingByBorrow(borrow.userId, { borrowIds: [borrow._id], includeSettled: true });
 
     res.json({ 
       message: 'Returned successfully', 
       fine,
+      fineOutstanding: owed?.balance || 0,
+      fineStatus: fineStatus(owed),
+      amnestyForgiven: forgiven,
+      heldFor: promoted[0]?.username || null,
       userType: borrow.userType,
-      daysLate: Math.ceil((now - new Date(borrow.dueDate)) / (1000 * 60 * 60 * 24)),
-      gracePeriod: borrow.userType === 'teacher' ? 2 : 1
+      daysLate: policyModel.daysLate(borrow.dueDate, now),
+      gracePeriod: policy.graceDays
+    });
+  } catch (e) {
+    if (sendCirculationError(res, e)) return;
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   RENEW – push out the due date of an active loan (patron or staff)
+   -------------------------------------------------------------- */
+export const renewBorrow = async (req, res) => {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).json({ message: 'Invalid borrow ID format' });
+  }
+
+  try {
+    const db = await connectDB();
+
+    const borrow = await db.collection('borrows').findOne({ _id: new ObjectId(id) });
+    if (!borrow) return res.status(404).json({ message: 'Borrow record not found' });
+
+    const isStaff = ['admin', 'librarian'].includes(req.user.role);
+    if (!isStaff && borrow.userId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (borrow.status !== 'borrowed' || borrow.returnedAt) {
+      return res.status(400).json({ message: 'Only books currently on loan can be renewed' });
+    }
+
+    const now = new Date();
+    if (new Date(borrow.dueDate) < now) {
+      return res.status(400).json({ message: 'Overdue loans cannot be renewed; please return the book' });
+    }
+
+    const policyModel = initLoanPolicyModel(db);
+    const policy = await policyModel.policyFor(borrow.userType, borrow.bookId);
+    const renewalCount = borrow.renewalCount || 0;
+    if (renewalCount >= policy.maxRenewals) {
+      return res.status(400).json({
+        message: `This loan has reached the renewal limit (${policy.maxRenewals})`,
+        renewalCount,
+        maxRenewals: policy.maxRenewals
+      });
+    }
+
+    const waiting = await db.collection('holds').countDocuments({ bookId: borrow.bookId, status: 'waiting' });
+    if (waiting > 0) {
+      return res.status(400).json({ message: 'Another patron is waiting for this book; it cannot be renewed' });
+    }
+
+    const newDueDate = policyModel.renewedDueDate(policy, borrow.dueDate);
+    const renewal = {
+      renewedAt: now,
+      renewedBy: req.user.id,
+      renewedByRole: req.user.role,
+      previousDueDate: borrow.dueDate,
+      newDueDate,
+    };
+
+    // Matching the old due date keeps two renewals at once from both applying
+    const result = await db.collection('borrows').updateOne(
+      { _id: borrow._id, status: 'borrowed', dueDate: borrow.dueDate },
+      {
+        $set: { dueDate: newDueDate },
+        $inc: { renewalCount: 1 },
+        $push: { renewals: renewal },
+      }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ message: 'Loan changed while renewing; please try again' });
+    }
+
+    res.json({
+      message: 'Loan renewed',
+      dueDate: newDueDate,
+      renewalCount: renewalCount + 1,
+      renewalsLeft: policy.maxRenewals - renewalCount - 1,
+      renewal
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   DECLARE LOST / DAMAGED – close a loan that is not coming back
+   (or came back unusable). The patron is charged the book's
+   replacement cost and processing fee and the copy leaves
+   circulation. Patrons may declare their own loans.
+   -------------------------------------------------------------- */
+export const declareLoss = async (req, res) => {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).json({ message: 'Invalid borrow ID format' });
+  }
+
+  const { error, value } = declareSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+
+    const borrow = await db.collection('borrows').findOne({ _id: new ObjectId(id) });
+    if (!borrow) return res.status(404).json({ message: 'Borrow record not found' });
+
+    const isStaff = ['admin', 'librarian'].includes(req.user.role);
+    if (!isStaff && borrow.userId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (borrow.status !== 'borrowed' || borrow.returnedAt) {
+      return res.status(400).json({ message: 'Only books currently on loan can be declared lost or damaged' });
+    }
+
+    // Costs come from the book record; staff may fill in what is missing
+    const book = await db.collection('books').findOne({ id: borrow.bookId });
+    const replacementCost = isStaff && value.replacementCost != null ? value.replacementCost : book?.replacementCost;
+    const processingFee = (isStaff && value.processingFee != null ? value.processingFee : book?.processingFee) || 0;
+    if (replacementCost == null) {
+      return res.status(400).json({
+        message: isStaff
+          ? 'This book has no replacement cost on record; set one on the book or enter it here'
+          : 'This book has no replacement cost on record; please report it at the library desk',
+      });
+    }
+
+    const now = new Date();
+    const lost = value.kind === 'lost';
+    const category = lost ? 'lost' : 'damage';
+    const note = value.note ? ` – ${value.note}` : '';
+    const fineModel = initFineModel(db);
+    const copyModel = initCopyModel(db);
+
+    // Overdue fines stop at the declaration; the loan closes, the charges
+    // are posted and the copy leaves circulation together
+    const closed = await runTransaction(db, async (session) => {
+      const options = { session };
+      await fineModel.chargeOverdue(borrow, now, options);
+
+      const record = await initBorrowModel(db).transition(
+        borrow,
+        value.kind,
+        {
+          actor: req.user,
+          reason: `Declared ${value.kind}${note}`,
+          set: {
+            declaredAt: now,
+            declaredBy: req.user.id,
+            replacementCost,
+            processingFee,
+          },
+          filter: { returnedAt: null },
+        },
+        options
+      );
+      if (!record) throw new CirculationError('This loan has already been closed', 409);
+
+      const entry = { userId: borrow.userId, username: borrow.username, borrow };
+      if (replacementCost > 0) {
+        await fineModel.charge({ ...entry, category, amount: replacementCost, note: `Replacement cost (${value.kind})${note}` }, req.user, options);
+      }
+      if (processingFee > 0) {
+        await fineModel.charge({ ...entry, category: 'processing', amount: processingFee, note: `Processing fee (${value.kind})` }, req.user, options);
+      }
+
+      if (borrow.copyId) {
+        await copyModel.withdrawFromLoan(
+          borrow.copyId,
+          lost ? 'lost' : 'withdrawn',
+          lost ? null : 'damaged',
+          options
+        );
+      }
+      return record;
+    });
+
+    const account = await fineModel.getAccount(borrow.userId);
+
+    if (isStaff) {
+      await notifyUser(db, borrow.userId, {
+        type: 'fine_charged',
+        subject: `Book declared ${value.kind}`,
+        message: `"${borrow.bookTitle || borrow.bookName}" was declared ${value.kind}. ` +
+          `You were charged ${replacementCost} ETB replacement cost${processingFee ? ` and a ${processingFee} ETB processing fee` : ''}. ` +
+          `Balance: ${account.balance} ETB.`,
+        data: { borrowId: borrow._id },
+      });
+    }
+
+    res.json({
+      message: lost ? 'Book declared lost' : 'Book declared damaged',
+      status: closed.status,
+      replacementCost,
+      processingFee,
+      balance: account.balance,
+    });
+  } catch (e) {
+    if (sendCirculationError(res, e)) return;
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   FOUND – a book declared lost turned up. The loan is returned,
+   the replacement cost is taken back (leaving a credit if it was
+   paid) and the copy goes back on the shelf. The processing fee
+   and overdue fine up to the declaration stand.
+   -------------------------------------------------------------- */
+export const markFound = async (req, res) => {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).json({ message: 'Invalid borrow ID format' });
+  }
+
+  const { error, value } = foundSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+
+    const borrow = await db.collection('borrows').findOne({ _id: new ObjectId(id) });
+    if (!borrow) return res.status(404).json({ message: 'Borrow record not found' });
+    if (borrow.status !== 'lost') {
+      return res.status(400).json({ message: 'Only books declared lost can be marked as found' });
+    }
+
+    const now = new Date();
+    const fineModel = initFineModel(db);
+    const copyModel = initCopyModel(db);
+
+    await runTransaction(db, async (session) => {
+      const options = { session };
+      const record = await initBorrowModel(db).transition(
+        borrow,
+        'returned',
+        {
+          actor: req.user,
+          reason: `Found after being declared lost${value.note ? ` – ${value.note}` : ''}`,
+          // fine stays at what was charged so no overdue is added for the lost period
+          set: { returnedAt: now, foundAt: now, fine: borrow.fineCharged || 0 },
+          filter: { returnedAt: null },
+        },
+        options
+      );
+      if (!record) throw new CirculationError('This loan has already been closed', 409);
+
+      if (borrow.replacementCost > 0) {
+        await fineModel.cancelCharge({
+          userId: borrow.userId,
+          username: borrow.username,
+          borrow,
+          amount: borrow.replacementCost,
+          note: 'Lost book found: replacement cost reversed',
+        }, req.user, options);
+      }
+
+      // Loans from before copy records have no copy to recover; the book
+      // that came back is registered as a new copy instead
+      if (borrow.copyId) await copyModel.recoverLost(borrow.copyId, value.condition, options);
+      else await copyModel.releaseForBorrow(borrow, value.condition, options);
+    });
+
+    const promoted = await initHoldModel(db).promoteNext(borrow.bookId);
+    const forgiven = await forgiveOnReturn(db, borrow, now);
+    const account = await fineModel.getAccount(borrow.userId);
+
+    await notifyUser(db, borrow.userId, {
+      type: 'fine_waived',
+      subject: 'Lost book found',
+      message: `"${borrow.bookTitle || borrow.bookName}" was found and checked in. ` +
+        (borrow.replacementCost > 0 ? `The ${borrow.replacementCost} ETB replacement cost was taken off your account. ` : '') +
+        `Balance: ${account.balance} ETB.`,
+      data: { borrowId: borrow._id },
+    });
+
+    res.json({
+      message: 'Book marked as found and checked in',
+      reversed: borrow.replacementCost || 0,
+      amnestyForgiven: forgiven,
+      balance: account.balance,
+      heldFor: promoted[0]?.username || null,
+    });
+  } catch (e) {
+    if (sendCirculationError(res, e)) return;
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   TIMELINE – who moved a borrow between states, when and why
+   -------------------------------------------------------------- */
+export const getBorrowTimeline = async (req, res) => {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).json({ message: 'Invalid borrow ID format' });
+  }
+
+  try {
+    const db = await connectDB();
+    const borrowModel = initBorrowModel(db);
+
+    const borrow = await borrowModel.findById(id);
+    if (!borrow) return res.status(404).json({ message: 'Borrow record not found' });
+
+    const isStaff = ['admin', 'librarian'].includes(req.user.role);
+    if (!isStaff && borrow.userId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({
+      borrowId: borrow._id,
+      status: borrow.status,
+      userId: borrow.userId,
+      username: borrow.username,
+      bookId: borrow.bookId,
+      bookTitle: borrow.bookTitle || borrow.bookName,
+      nextStates: BORROW_TRANSITIONS[borrow.status] || [],
+      timeline: borrowModel.timeline(borrow),
     });
   } catch (e) {
     console.error(e);
@@ -439,22 +1026,48 @@ export const deleteBorrow = async (req, res) => {
       return res.status(404).json({ message: 'Borrow record not found' });
     }
 
-    // Check if book is currently borrowed (not returned)
-    if (borrow.status === 'borrowed' && !borrow.returnedAt) {
-      // Return the book copy to inventory
-      await db.collection('books').updateOne(
-        { id: borrow.bookId },
-        { $inc: { copies: 1 } }
-      );
+    // The ledger keys fines by loan; deleting a loan that is still owed on
+    // would leave a balance nobody can see the reason for
+    const fineModel = initFineModel(db);
+    await fineModel.accrue(borrow.userId);
+    const [owed] = await fineModel.outstandingByBorrow(borrow.userId, { borrowIds: [borrow._id] });
+    if (owed) {
+      return res.status(409).json({
+        message: `${owed.balance} ETB is still owed on this loan; settle or waive the fine before deleting it`,
+        balance: owed.balance,
+      });
     }
 
-    // Delete the borrow record
-    const result = await db.collection('borrows').deleteOne({ 
-      _id: new ObjectId(id) 
+    const copyModel = initCopyModel(db);
+    const holdModel = initHoldModel(db);
+
+    // Delete the record and undo what it holds in one go; the status filter
+    // stops a concurrent return or confirmation from being undone twice
+    const removed = await runTransaction(db, async (session) => {
+      const options = { session };
+      const record = await db.collection('borrows').findOneAndDelete(
+        { _id: borrow._id, status: borrow.status },
+        options
+      );
+      if (!record) throw new CirculationError('Borrow record changed while deleting; please try again', 409);
+
+      if (record.status === 'borrowed' && !record.returnedAt) {
+        // Return the book copy to inventory
+        await copyModel.releaseForBorrow(record, null, options);
+      } else if (['approved', 'waitlisted'].includes(record.status)) {
+        // Drop the queue entry and free any copy set aside for it
+        await db.collection('holds').updateOne(
+          { borrowId: record._id, status: { $in: ACTIVE_HOLD_STATUSES } },
+          { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: req.user.id, updatedAt: new Date() } },
+          options
+        );
+        if (record.copyId) await copyModel.releaseReservation(record.copyId, options);
+      }
+      return record;
     });
 
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ message: 'Borrow record not found' });
+    if (['borrowed', 'approved'].includes(removed.status)) {
+      await holdModel.promoteNext(removed.bookId);
     }
 
     res.json({ 
@@ -462,6 +1075,7 @@ export const deleteBorrow = async (req, res) => {
       returnedCopy: borrow.status === 'borrowed' && !borrow.returnedAt
     });
   } catch (e) {
+    if (sendCirculationError(res, e)) return;
     console.error(e);
     res.status(500).json({ message: 'Server error' });
   }
@@ -474,6 +1088,7 @@ export const getAllBorrows = async (req, res) => {
   try {
     const db = await connectDB();
     const { page = 1, limit = 10, search = '', status, userType } = req.query;
+    await initHoldModel(db).expireUncollected();
 
     const query = search
       ? {
@@ -504,10 +1119,11 @@ export const getAllBorrows = async (req, res) => {
       .toArray();
 
     // Add live fine for borrowed (not returned) records
-    const enriched = borrows.map(b => ({
+    const policyModel = initLoanPolicyModel(db);
+    const enriched = await Promise.all(borrows.map(async b => ({
       ...b,
-      fine: b.status === 'borrowed' ? calculateFine(b.dueDate, b.userType) : (b.fine || 0),
-    }));
+      fine: b.status === 'borrowed' ? await policyModel.fineForBorrow(b) : (b.fine || 0),
+    })));
 
     const total = await db.collection('borrows').countDocuments(query);
     
@@ -524,7 +1140,8 @@ export const getAllBorrows = async (req, res) => {
 };
 
 /* --------------------------------------------------------------
-   GET MY BORROW – Teacher views their active borrow (using auth)
+   GET MY BORROW – all of the user's current loans with the fine
+   owed on each, plus open requests (using auth)
    -------------------------------------------------------------- */
 export const getMyBorrow = async (req, res) => {
   try {
@@ -537,46 +1154,48 @@ export const getMyBorrow = async (req, res) => {
     if (!userId || !username) {
       return res.status(401).json({ message: 'User not authenticated' });
     }
+    await initHoldModel(db).expireUncollected();
     
-    // Only return if status is 'borrowed' (approved and not returned)
-    const borrow = await db.collection('borrows').findOne({
-      userId: userId,
-      username: username,
-      status: 'borrowed',
-      returnedAt: null,
-    });
-    
-    if (!borrow) {
-      // Check if user has pending or approved requests
-      const pendingRequest = await db.collection('borrows').findOne({
-        userId: userId,
-        username: username,
-        status: { $in: ['pending', 'approved'] },
-        returnedAt: null,
-      });
-      
-      if (pendingRequest) {
-        return res.status(200).json({ 
-          message: pendingRequest.status === 'approved' ? 'Your request is approved! Please confirm borrowing.' : 'Your request is pending approval',
-          request: pendingRequest,
-          status: pendingRequest.status,
-          userType: req.user.role || 'teacher'
-        });
-      }
-      
-      return res.status(404).json({ 
-        message: 'No active borrow or pending request found' 
-      });
-    }
+    const loans = await db.collection('borrows')
+      .find({ userId, status: 'borrowed', returnedAt: null })
+      .sort({ dueDate: 1 })
+      .toArray();
+
+    const requests = await db.collection('borrows')
+      .find({ userId, status: { $in: ['pending', 'waitlisted', 'approved'] }, returnedAt: null })
+      .sort({ requestedAt: -1 })
+      .toArray();
+
+    // What is owed comes from the ledger, so a fine paid while the book is
+    // still out shows as paid rather than due
+    const fineModel = initFineModel(db);
+    await fineModel.accrue(userId);
+    const owed = await fineModel.outstandingByBorrow(userId, { borrowIds: loans.map(b => b._id), includeSettled: true });
+
+    // Renewals depend on each book's category, so resolve the policy per loan
+    const policyModel = initLoanPolicyModel(db);
+    const borrows = await Promise.all(loans.map(async borrow => {
+      const policy = await policyModel.policyFor(borrow.userType || req.user.role, borrow.bookId);
+      const row = owed.find(o => o.borrowId.equals(borrow._id));
+      return {
+        ...borrow,
+        fine: row?.balance || 0,
+        fineStatus: fineStatus(row),
+        renewalsLeft: Math.max(0, policy.maxRenewals - (borrow.renewalCount || 0)),
+        finePolicy: policy.description,
+      };
+    }));
 
-    const fine = calculateFine(borrow.dueDate, req.user.role || 'teacher');
-    const enriched = { ...borrow, fine, userType: req.user.role || 'teacher' };
+    const rolePolicy = await policyModel.resolve(req.user.role || 'student');
     
     res.json({ 
-      borrow: enriched,
-      status: 'borrowed',
+      borrows,
+      requests,
+      totalFine: borrows.reduce((sum, b) => sum + b.fine, 0),
+      activeLoans: borrows.length,
+      maxActiveLoans: rolePolicy.maxActiveLoans,
       userType: req.user.role || 'teacher',
-      finePolicy: req.user.role === 'teacher' ? '2 days grace period' : '1 day grace period'
+      finePolicy: rolePolicy.description
     });
   } catch (e) {
     console.error(e);
@@ -597,6 +1216,7 @@ export const getMyRequests = async (req, res) => {
     if (!userId) {
       return res.status(401).json({ message: 'User not authenticated' });
     }
+    await initHoldModel(db).expireUncollected();
     
     const requests = await db
       .collection('borrows')
@@ -604,17 +1224,21 @@ export const getMyRequests = async (req, res) => {
         userId,
         $or: [
           { status: 'pending' },
+          { status: 'waitlisted' },
           { status: 'approved' },
+          { status: 'expired' },
           { status: 'rejected' }
         ]
       })
       .sort({ requestedAt: -1 })
       .toArray();
+
+    const policy = await initLoanPolicyModel(db).resolve(req.user.role || 'teacher');
     
     res.json({ 
       requests,
       userType: req.user.role || 'teacher',
-      finePolicy: req.user.role === 'teacher' ? '2 days grace period' : '1 day grace period'
+      finePolicy: policy.description
     });
   } catch (e) {
     console.error(e);
@@ -623,20 +1247,42 @@ export const getMyRequests = async (req, res) => {
 };
 
 /* --------------------------------------------------------------
-   GET FINE POLICY – Get fine policy for authenticated user
+   GET FINE POLICY – rules that apply to the authenticated user
+   (optionally for a specific book via ?bookId= or ?category=)
    -------------------------------------------------------------- */
 export const getFinePolicy = async (req, res) => {
   try {
-    const policy = {
-      userType: req.user.role || 'teacher',
-      gracePeriod: req.user.role === 'teacher' ? 2 : 1,
-      finePerDay: 10,
-      description: req.user.role === 'teacher' 
-        ? '2 days grace period, then 10 ETB per day' 
-        : '1 day grace period, then 10 ETB per day'
-    };
+    const db = await connectDB();
+    const policyModel = initLoanPolicyModel(db);
+    const role = req.user.role || 'teacher';
+
+    const category = req.query.bookId
+      ? await policyModel.getCategory(req.query.bookId)
+      : (req.query.category || '*');
+    const policy = await policyModel.resolve(role, category);
     
-    res.json(policy);
+    res.json({
+      ...policy,
+      userType: role,
+      gracePeriod: policy.graceDays,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   BORROWING BLOCK – whether a patron may borrow right now (staff)
+   -------------------------------------------------------------- */
+export const getBorrowingBlock = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const user = await db.collection('users').findOne({ id: req.params.userId });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const block = await initBorrowModel(db).borrowingBlock(user);
+    res.json({ user: { id: user.id, name: user.name, username: user.username, role: user.role }, ...block });
   } catch (e) {
     console.error(e);
     res.status(500).json({ message: 'Server error' });
@@ -0,0 +1,351 @@
+// src/controllers/clearanceController.js
+import Joi from 'joi';
+import { connectDB } from '../config/db.js';
+import {
+  initClearanceModel,
+  CLEARANCE_TYPES,
+  CLEARANCE_STATUSES,
+} from '../models/clearanceModel.js';
+import { writeClearanceCertificate } from '../utils/clearanceCertificate.js';
+import { notifyUser } from '../utils/notify.js';
+import { escapeHtml } from '../utils/escapeHtml.js';
+
+/* --------------------------------------------------------------
+   JOI Schemas
+   -------------------------------------------------------------- */
+const requestSchema = Joi.object({
+  type: Joi.string().valid(...CLEARANCE_TYPES).optional(),
+  reason: Joi.string().allow('').max(500).optional(),
+});
+
+const reasonSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required(),
+});
+
+const listSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(...CLEARANCE_STATUSES).optional(),
+  type: Joi.string().valid(...CLEARANCE_TYPES).optional(),
+  search: Joi.string().allow('').optional(),
+});
+
+/* --------------------------------------------------------------
+   Helpers
+   -------------------------------------------------------------- */
+const isStaff = user => ['admin', 'librarian'].includes(user.role);
+
+// Students clear for graduation; teachers and library staff when leaving
+const defaultType = role => (role === 'student' ? 'graduation' : 'staff_exit');
+
+const verifyBaseUrl = req =>
+  process.env.CLEARANCE_VERIFY_URL || `${req.protocol}://${req.get('host')}/api/clearances/verify`;
+
+const loadOwnOrStaff = async (req, res, clearanceModel) => {
+  const clearance = await clearanceModel.findById(req.params.id);
+  if (!clearance) {
+    res.status(404).json({ message: 'Clearance not found' });
+    return null;
+  }
+  if (!isStaff(req.user) && clearance.userId !== req.user.id) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+  return clearance;
+};
+
+/* --------------------------------------------------------------
+   REQUEST CLEARANCE – student / departing staff
+   -------------------------------------------------------------- */
+export const requestClearance = async (req, res) => {
+  const { error, value } = requestSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  if (req.user.role === 'admin') {
+    return res.status(400).json({ message: 'Administrator accounts do not need clearance' });
+  }
+
+  try {
+    const db = await connectDB();
+    const clearanceModel = initClearanceModel(db);
+
+    const existing = await clearanceModel.findActive(req.user.id);
+    if (existing) {
+      return res.status(400).json({
+        message: existing.status === 'approved'
+          ? 'You have already been cleared'
+          : 'You already have a clearance request under review',
+        clearance: existing,
+      });
+    }
+
+    const user = await db.collection('users').findOne({ id: req.user.id });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const clearance = await clearanceModel.create(user, {
+      type: value.type || defaultType(user.role),
+      reason: value.reason || '',
+    });
+
+    res.status(201).json({
+      message: clearance.checks.clear
+        ? 'Clearance requested. A librarian will review it shortly.'
+        : 'Clearance requested, but you still have items to settle before it can be approved.',
+      clearance,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   GET MY CLEARANCE – own requests plus what is still outstanding
+   -------------------------------------------------------------- */
+export const getMyClearance = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const clearanceModel = initClearanceModel(db);
+
+    const [clearances, checks] = await Promise.all([
+      clearanceModel.getForUser(req.user.id),
+      clearanceModel.checkObligations(req.user.id),
+    ]);
+
+    res.json({ clearances, checks, type: defaultType(req.user.role) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   GET CLEARANCES – librarian review queue
+   -------------------------------------------------------------- */
+export const getClearances = async (req, res) => {
+  const { error, value } = listSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    res.json(await initClearanceModel(db).getAll(value));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   GET CLEARANCE – one request with live obligation checks
+   -------------------------------------------------------------- */
+export const getClearance = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const clearanceModel = initClearanceModel(db);
+
+    const clearance = await loadOwnOrStaff(req, res, clearanceModel);
+    if (!clearance) return;
+
+    const checks = clearance.status === 'pending'
+      ? await clearanceModel.checkObligations(clearance.userId)
+      : clearance.checks;
+
+    res.json({ clearance, checks });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   APPROVE – issue the certificate if nothing is outstanding
+   -------------------------------------------------------------- */
+export const approveClearance = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const clearanceModel = initClearanceModel(db);
+
+    const clearance = await clearanceModel.findById(req.params.id);
+    if (!clearance) return res.status(404).json({ message: 'Clearance not found' });
+    if (clearance.status !== 'pending') {
+      return res.status(400).json({ message: `Clearance is already ${clearance.status}` });
+    }
+
+    const result = await clearanceModel.approve(clearance, req.user);
+    if (!result.success) {
+      if (result.error) return res.status(409).json({ message: result.error });
+      return res.status(400).json({
+        message: 'This patron still has books on loan, unpaid fines or lost items',
+        checks: result.checks,
+      });
+    }
+
+    await notifyUser(db, clearance.userId, {
+      type: 'clearance_approved',
+      subject: 'Library clearance approved',
+      message: `Your library clearance has been approved. Certificate ${result.clearance.certificateNumber} can be downloaded from your clearance page.`,
+      data: { clearanceId: clearance._id, certificateNumber: result.clearance.certificateNumber },
+    });
+
+    res.json({ message: 'Clearance approved', clearance: result.clearance });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   BLOCK – refuse clearance with a reason
+   -------------------------------------------------------------- */
+export const blockClearance = async (req, res) => {
+  const { error, value } = reasonSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const clearanceModel = initClearanceModel(db);
+
+    const clearance = await clearanceModel.findById(req.params.id);
+    if (!clearance) return res.status(404).json({ message: 'Clearance not found' });
+
+    const blocked = await clearanceModel.block(clearance, req.user, value.reason);
+    if (!blocked) {
+      return res.status(400).json({ message: `Clearance is already ${clearance.status}` });
+    }
+
+    await notifyUser(db, clearance.userId, {
+      type: 'clearance_blocked',
+      subject: 'Library clearance blocked',
+      message: `Your library clearance was not approved: ${value.reason}. Settle the items listed and request clearance again.`,
+      data: { clearanceId: clearance._id },
+    });
+
+    res.json({ message: 'Clearance blocked', clearance: blocked });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   CANCEL – patron withdraws a pending request
+   -------------------------------------------------------------- */
+export const cancelClearance = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const clearanceModel = initClearanceModel(db);
+
+    const clearance = await loadOwnOrStaff(req, res, clearanceModel);
+    if (!clearance) return;
+
+    const cancelled = await clearanceModel.cancel(clearance);
+    if (!cancelled) {
+      return res.status(400).json({ message: `Clearance is already ${clearance.status}` });
+    }
+
+    res.json({ message: 'Clearance request cancelled', clearance: cancelled });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   REVOKE – withdraw an issued certificate (admin)
+   -------------------------------------------------------------- */
+export const revokeClearance = async (req, res) => {
+  const { error, value } = reasonSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const clearanceModel = initClearanceModel(db);
+
+    const clearance = await clearanceModel.findById(req.params.id);
+    if (!clearance) return res.status(404).json({ message: 'Clearance not found' });
+
+    const revoked = await clearanceModel.revoke(clearance, req.user, value.reason);
+    if (!revoked) {
+      return res.status(400).json({ message: 'Only approved clearances can be revoked' });
+    }
+
+    await notifyUser(db, clearance.userId, {
+      type: 'clearance_revoked',
+      subject: 'Library clearance revoked',
+      message: `Your library clearance certificate ${clearance.certificateNumber} has been revoked: ${value.reason}.`,
+      data: { clearanceId: clearance._id },
+    });
+
+    res.json({ message: 'Clearance revoked', clearance: revoked });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   CERTIFICATE – PDF with QR verification code
+   -------------------------------------------------------------- */
+export const downloadCertificate = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const clearanceModel = initClearanceModel(db);
+
+    const clearance = await loadOwnOrStaff(req, res, clearanceModel);
+    if (!clearance) return;
+    if (clearance.status !== 'approved') {
+      return res.status(400).json({ message: 'A certificate is only available for approved clearances' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${clearance.certificateNumber}.pdf"`);
+    await writeClearanceCertificate(clearance, `${verifyBaseUrl(req)}/${clearance.verificationCode}`, res);
+  } catch (e) {
+    console.error(e);
+    if (!res.headersSent) res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   VERIFY – public check of a certificate (registrar, QR scan)
+   -------------------------------------------------------------- */
+export const verifyClearance = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const clearance = await initClearanceModel(db).findByCode(req.params.code);
+
+    const result = clearance
+      ? {
+          valid: clearance.status === 'approved',
+          status: clearance.status,
+          certificateNumber: clearance.certificateNumber,
+          name: clearance.name,
+          userId: clearance.userId,
+          department: clearance.department,
+          type: clearance.type,
+          issuedAt: clearance.issuedAt,
+          revokedAt: clearance.revokedAt,
+        }
+      : { valid: false, status: 'not_found' };
+
+    res.status(clearance ? 200 : 404).format({
+      json: () => res.json(result),
+      html: () => res.send(`
+        <div style="text-align: center; margin-top: 50px; font-family: Arial;">
+          <h1>📚 Woldia University Library</h1>
+          <h2 style="color: ${result.valid ? '#15803d' : '#b91c1c'};">
+            ${result.valid ? '✅ Valid clearance certificate' : result.status === 'revoked' ? '❌ This certificate has been revoked' : '❌ No valid certificate found'}
+          </h2>
+          ${clearance ? `
+          <p>Certificate No. <strong>${escapeHtml(result.certificateNumber)}</strong></p>
+          <p>${escapeHtml(result.name)} (ID ${escapeHtml(result.userId)})${result.department ? ` – ${escapeHtml(result.department)}` : ''}</p>
+          <p>${result.type === 'graduation' ? 'Graduation' : 'Staff exit'} clearance issued ${new Date(result.issuedAt).toLocaleDateString()}</p>
+          ` : ''}
+        </div>
+      `),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
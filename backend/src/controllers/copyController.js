@@ -0,0 +1,172 @@
+// src/controllers/copyController.js
+import Joi from 'joi';
+import { ObjectId } from 'mongodb';
+import { connectDB } from '../config/db.js';
+import { initCopyModel, COPY_STATUSES, COPY_CONDITIONS } from '../models/copyModel.js';
+import { initHoldModel } from '../models/holdModel.js';
+
+/* --------------------------------------------------------------
+   JOI Schemas
+   -------------------------------------------------------------- */
+const addCopiesSchema = Joi.object({
+  bookId: Joi.string().required(),
+  count: Joi.number().integer().min(1).max(500).default(1),
+  accessionNumber: Joi.string().optional(),
+  barcode: Joi.string().optional(),
+  condition: Joi.string().valid(...COPY_CONDITIONS).optional(),
+  location: Joi.string().allow('').optional(),
+  notes: Joi.string().allow('').optional(),
+});
+
+const updateCopySchema = Joi.object({
+  barcode: Joi.string().optional(),
+  condition: Joi.string().valid(...COPY_CONDITIONS).optional(),
+  // 'on_loan' and 'on_hold' are only ever set by circulation
+  status: Joi.string().valid(...COPY_STATUSES.filter(s => !['on_loan', 'on_hold'].includes(s))).optional(),
+  location: Joi.string().allow('').optional(),
+  notes: Joi.string().allow('').optional(),
+});
+
+/* --------------------------------------------------------------
+   GET COPIES – filter by book, status (e.g. lost) or identifier
+   -------------------------------------------------------------- */
+export const getCopies = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const copyModel = initCopyModel(db);
+    const { page = 1, limit = 20, bookId, status, search = '' } = req.query;
+
+    if (bookId) {
+      const book = await db.collection('books').findOne({ id: bookId });
+      if (!book) return res.status(404).json({ message: 'Book not found' });
+      await copyModel.ensureCopies(book);
+    }
+
+    const result = await copyModel.getAll({ page, limit, bookId, status, search });
+    res.json(result);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   GET COPY BY BARCODE – which copy is this and who has it
+   -------------------------------------------------------------- */
+export const getCopyByBarcode = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const copyModel = initCopyModel(db);
+
+    const copy = await copyModel.findByBarcode(req.params.barcode)
+      || await copyModel.findByAccessionNumber(req.params.barcode);
+    if (!copy) return res.status(404).json({ message: 'Copy not found' });
+
+    const book = await db.collection('books').findOne(
+      { id: copy.bookId },
+      { projection: { id: 1, name: 1, title: 1, isbn: 1 } }
+    );
+
+    const borrow = copy.currentBorrowId
+      ? await db.collection('borrows').findOne({ _id: new ObjectId(copy.currentBorrowId) })
+      : null;
+
+    res.json({ copy, book, borrow });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   ADD COPIES – register new physical copies of a book
+   -------------------------------------------------------------- */
+export const addCopies = async (req, res) => {
+  const { error, value } = addCopiesSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const copyModel = initCopyModel(db);
+
+    const book = await db.collection('books').findOne({ id: value.bookId });
+    if (!book) return res.status(404).json({ message: 'Book not found' });
+    await copyModel.ensureCopies(book);
+
+    // Explicit identifiers only make sense for a single copy
+    if ((value.accessionNumber || value.barcode) && value.count > 1) {
+      return res.status(400).json({ message: 'Accession number and barcode can only be set when adding one copy' });
+    }
+
+    const taken = await copyModel.identifierTaken(value);
+    if (taken) return res.status(400).json({ message: 'Accession number or barcode already in use' });
+
+    const copies = value.count === 1
+      ? [await copyModel.create(value.bookId, value, req.user.id)]
+      : await copyModel.createMany(value.bookId, value.count, value, req.user.id);
+
+    await initHoldModel(db).promoteNext(value.bookId);
+    const counts = await copyModel.countByStatus(value.bookId);
+
+    res.status(201).json({ message: `${copies.length} copy(ies) added`, copies, counts });
+  } catch (e) {
+    // Another copy took the identifier between the check and the insert
+    if (e.code === 11000) return res.status(400).json({ message: 'Accession number or barcode already in use' });
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   UPDATE COPY – condition, location, lost / in repair status
+   -------------------------------------------------------------- */
+export const updateCopy = async (req, res) => {
+  const { error, value } = updateCopySchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const copyModel = initCopyModel(db);
+
+    const copy = await copyModel.findById(req.params.id);
+    if (!copy) return res.status(404).json({ message: 'Copy not found' });
+
+    if (value.status && ['on_loan', 'on_hold'].includes(copy.status)) {
+      return res.status(400).json({ message: `Copy is ${copy.status.replace('_', ' ')}; release it before changing its status` });
+    }
+
+    if (value.barcode && value.barcode !== copy.barcode) {
+      const taken = await copyModel.identifierTaken({ barcode: value.barcode }, copy._id);
+      if (taken) return res.status(400).json({ message: 'Barcode already in use' });
+    }
+
+    const updated = await copyModel.updateById(req.params.id, value);
+    if (updated.status === 'on_shelf') await initHoldModel(db).promoteNext(updated.bookId);
+    res.json({ message: 'Copy updated', copy: updated });
+  } catch (e) {
+    if (e.code === 11000) return res.status(400).json({ message: 'Barcode already in use' });
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   DELETE COPY – withdraw a copy record
+   -------------------------------------------------------------- */
+export const deleteCopy = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const copyModel = initCopyModel(db);
+
+    const result = await copyModel.deleteById(req.params.id);
+    if (!result.success) {
+      const status = result.error === 'Copy not found' ? 404 : 400;
+      return res.status(status).json({ message: result.error });
+    }
+
+    res.json({ message: 'Copy deleted' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,5 +1,6 @@
 // src/controllers/dashboardController.js
 import { connectDB } from '../config/db.js';
+import { initFineModel } from '../models/fineModel.js';
 
 // Helper: ISO Week
 Date.prototype.getWeek = function () {
@@ -10,15 +11,6 @@ Date.prototype.getWeek = function () {
   return 1 + Math.round(((date - week1) / 86400000 - 3 + (week1.getDay() + 6) % 7) / 7);
 };
 
-// Helper: Calculate fine (10 ETB per day after due)
-const calculateFine = (dueDate) => {
-  const now = new Date();
-  const due = new Date(dueDate);
-  const msDiff = now - due;
-  const daysLate = Math.max(0, Math.ceil(msDiff / (1000 * 60 * 60 * 24)));
-  return daysLate * 10;
-};
-
 export const getDashboardStats = async (req, res) => {
   try {
     const db = await connectDB();
@@ -130,13 +122,10 @@ export const getDashboardStats = async (req, res) => {
     if (['librarian', 'admin'].includes(user.role)) {
       const borrowedBooks = await db.collection('borrows').countDocuments({ returnedAt: null });
       const returnedBooks = await db.collection('borrows').countDocuments({ returnedAt: { $ne: null } });
-      const totalPaid = await db.collection('borrows').aggregate([
-        { $match: { returnedAt: { $ne: null }, fine: { $gt: 0 } } },
-        { $group: { _id: null, total: { $sum: '$fine' } } }
-      ]).toArray();
+      const fineTotals = await initFineModel(db).totals();
 
       const availableBooks = totalBooks - borrowedBooks;
-      const totalFine = totalPaid[0]?.total || 0;
+      const totalFine = fineTotals.collected;
 
       const sevenDaysAgo = new Date();
       sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
@@ -206,7 +195,7 @@ export const getDashboardStats = async (req, res) => {
       }
 
       librarianStats = {
-        totals: { books: totalBooks, borrowed: borrowedBooks, returned: returnedBooks, paid: totalFine },
+        totals: { books: totalBooks, borrowed: borrowedBooks, returned: returnedBooks, paid: totalFine, outstanding: fineTotals.outstanding },
         pie: { borrowed: borrowedBooks, available: availableBooks },
         returns: { labels: days, data: returnData },
         added: { labels: last7Days.map(d => d.label), data: last7Days.map(d => d.value) },
@@ -323,12 +312,19 @@ export const getDashboardStats = async (req, res) => {
         .sort({ borrowedAt: -1 })
         .toArray();
 
+      // Fines come from the ledger, with overdue charges brought up to date
+      const fineModel = initFineModel(db);
+      await fineModel.accrue(user.id);
+      const [owed, fineAccount] = await Promise.all([
+        fineModel.outstandingByBorrow(user.id, { borrowIds: currentBorrows.map(b => b._id) }),
+        fineModel.getAccount(user.id),
+      ]);
       const currentBooks = currentBorrows.map(b => ({
         bookId: b.bookId,
         bookTitle: b.bookTitle,
         dueDate: new Date(b.dueDate).toISOString().split('T')[0],
         borrowedAt: new Date(b.borrowedAt).toISOString().split('T')[0],
-        fine: calculateFine(b.dueDate),
+        fine: owed.find(o => o.borrowId.equals(b._id))?.balance || 0,
       }));
 
       // 4. Borrowing history (last 10)
@@ -384,6 +380,7 @@ export const getDashboardStats = async (req, res) => {
         currentBooks,
         history: historyFormatted,
         readingProgress,
+        fineBalance: fineAccount.balance,
       };
     }
 
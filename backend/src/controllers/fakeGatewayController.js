@@ -0,0 +1,58 @@
+// src/controllers/fakeGatewayController.js
+import { getFakeCheckout, completeFakeCheckout, fakeGatewayEnabled } from '../utils/fakeGateway.js';
+import { escapeHtml } from '../utils/escapeHtml.js';
+
+// Development checkout pages for PAYMENT_FAKE_GATEWAY=true
+
+const page = (body) => `
+  <div style="max-width: 420px; margin: 60px auto; font-family: Arial; text-align: center;">
+    <h1 style="color: #6b7280;">Test payment <small style="color: #888; font-size: 14px;">(no money moves)</small></h1>
+    ${body}
+  </div>
+`;
+
+/**
+ * Only reachable while the fake gateway is enabled
+ */
+export const fakeGatewayOnly = (req, res, next) => {
+  if (!fakeGatewayEnabled()) return res.status(404).json({ message: 'Not found' });
+  next();
+};
+
+/* --------------------------------------------------------------
+   CHECKOUT PAGE – pay or decline a test payment
+   -------------------------------------------------------------- */
+export const showFakeCheckout = (req, res) => {
+  const checkout = getFakeCheckout(req.params.txRef);
+  if (!checkout) return res.status(404).send(page('<p>Checkout not found (test checkouts are forgotten on restart).</p>'));
+
+  const action = `${req.baseUrl}/fake/${encodeURIComponent(checkout.txRef)}`;
+  res.send(page(checkout.status === 'pending' ? `
+    <p>${escapeHtml(checkout.title)}</p>
+    <h2>ETB ${escapeHtml(checkout.amount)}</h2>
+    <p style="color: #888; font-size: 12px;">${escapeHtml(checkout.txRef)}</p>
+    <form method="post" action="${action}/pay" style="display: inline;">
+      <button style="background: #16a34a; color: white; border: 0; padding: 10px 24px; border-radius: 6px;">Pay</button>
+    </form>
+    <form method="post" action="${action}/decline" style="display: inline;">
+      <button style="background: #dc2626; color: white; border: 0; padding: 10px 24px; border-radius: 6px;">Decline</button>
+    </form>
+  ` : `<p>This checkout is ${escapeHtml(checkout.status)}.</p>`));
+};
+
+/* --------------------------------------------------------------
+   PAY / DECLINE – settle the checkout and send the webhook
+   -------------------------------------------------------------- */
+const complete = (paid) => async (req, res) => {
+  const checkout = await completeFakeCheckout(req.params.txRef, paid);
+  if (!checkout) return res.status(404).send(page('<p>No open checkout with this reference.</p>'));
+
+  res.send(page(`
+    <h2>${paid ? '✅ Payment completed' : '❌ Payment declined'}</h2>
+    <p>${checkout.notified ? 'The library has been notified.' : 'The webhook could not be delivered; the library will ask for the status instead.'}</p>
+    ${checkout.returnUrl ? `<p><a href="${escapeHtml(checkout.returnUrl)}">Back to the library</a></p>` : ''}
+  `));
+};
+
+export const payFakeCheckout = complete(true);
+export const declineFakeCheckout = complete(false);
@@ -0,0 +1,250 @@
+// src/controllers/fineController.js
+import Joi from 'joi';
+import { ObjectId } from 'mongodb';
+import { connectDB } from '../config/db.js';
+import { initFineModel, FINE_ENTRY_TYPES, FINE_CHARGE_CATEGORIES } from '../models/fineModel.js';
+import { initAmnestyModel } from '../models/amnestyModel.js';
+import { sendCirculationError } from '../utils/transaction.js';
+import { notifyUser } from '../utils/notify.js';
+
+/* --------------------------------------------------------------
+   JOI Schemas
+   -------------------------------------------------------------- */
+const amount = Joi.number().positive().precision(2).required();
+
+const chargeSchema = Joi.object({
+  userId: Joi.string().required(),
+  borrowId: Joi.string().optional(),
+  category: Joi.string().valid(...FINE_CHARGE_CATEGORIES).required(),
+  amount,
+  note: Joi.string().allow('').max(500).optional(),
+});
+
+const adjustmentSchema = Joi.object({
+  userId: Joi.string().required(),
+  borrowId: Joi.string().optional(),
+  amount,
+  note: Joi.string().trim().min(3).max(500).required(),
+});
+
+const listSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  userId: Joi.string().optional(),
+  type: Joi.string().valid(...FINE_ENTRY_TYPES).optional(),
+  category: Joi.string().valid(...FINE_CHARGE_CATEGORIES).optional(),
+  method: Joi.string().optional(),
+  from: Joi.date().optional(),
+  to: Joi.date().optional(),
+});
+
+const summarySchema = Joi.object({
+  from: Joi.date().optional(),
+  to: Joi.date().optional(),
+});
+
+/* --------------------------------------------------------------
+   Helpers
+   -------------------------------------------------------------- */
+
+// The user an entry is for, and the loan it concerns (which must be theirs)
+const loadSubject = async (db, res, { userId, borrowId }) => {
+  const user = await db.collection('users').findOne({ id: userId });
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  let borrow = null;
+  if (borrowId) {
+    if (!ObjectId.isValid(borrowId)) {
+      res.status(400).json({ message: 'Invalid borrow ID' });
+      return null;
+    }
+    borrow = await db.collection('borrows').findOne({ _id: new ObjectId(borrowId), userId });
+    if (!borrow) {
+      res.status(404).json({ message: 'Borrow record not found for this user' });
+      return null;
+    }
+  }
+
+  return { user, borrow };
+};
+
+// Charges are brought up to date first. A running amnesty is only shown
+// (what a return or payment would forgive), not applied: reading a
+// statement must not post waivers.
+const statement = async (db, userId, query = {}) => {
+  const fineModel = initFineModel(db);
+  await fineModel.accrue(userId);
+  const [account, outstanding, ledger, amnesty] = await Promise.all([
+    fineModel.getAccount(userId),
+    fineModel.outstandingByBorrow(userId),
+    fineModel.getEntries(userId, query),
+    initAmnestyModel(db).preview(userId),
+  ]);
+  return { account, outstanding, ...ledger, amnesty };
+};
+
+/* --------------------------------------------------------------
+   MY FINES – balance, what is owed per loan and the ledger
+   -------------------------------------------------------------- */
+export const getMyFines = async (req, res) => {
+  try {
+    const db = await connectDB();
+    res.json(await statement(db, req.user.id, { page: req.query.page || 1, limit: req.query.limit || 20 }));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   USER FINES – the same statement for any user (staff)
+   -------------------------------------------------------------- */
+export const getUserFines = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const user = await db.collection('users').findOne({ id: req.params.userId });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json({
+      user: { id: user.id, name: user.name, username: user.username, role: user.role },
+      ...await statement(db, user.id, { page: req.query.page || 1, limit: req.query.limit || 20 }),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   LEDGER – all entries with filters (staff)
+   -------------------------------------------------------------- */
+export const getLedger = async (req, res) => {
+  const { error, value } = listSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    res.json(await initFineModel(db).getAll(value));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   SUMMARY – ledger totals and what is outstanding (staff)
+   -------------------------------------------------------------- */
+export const getFineSummary = async (req, res) => {
+  const { error, value } = summarySchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    res.json(await initFineModel(db).totals(value));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   CHARGE – lost book, damage or a manual overdue charge (staff)
+   -------------------------------------------------------------- */
+export const addCharge = async (req, res) => {
+  const { error, value } = chargeSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const subject = await loadSubject(db, res, value);
+    if (!subject) return;
+
+    const entry = await initFineModel(db).charge({
+      userId: subject.user.id,
+      username: subject.user.username,
+      borrow: subject.borrow,
+      category: value.category,
+      amount: value.amount,
+      note: value.note,
+    }, req.user);
+
+    await notifyUser(db, subject.user.id, {
+      type: 'fine_charged',
+      subject: 'Library fine charged',
+      message: `A ${value.category} fine of ${entry.amount} ETB was added to your library account${value.note ? `: ${value.note}` : ''}. Balance: ${entry.balanceAfter} ETB.`,
+      data: { fineId: entry._id },
+    });
+
+    res.status(201).json({ message: 'Charge recorded', entry });
+  } catch (e) {
+    if (sendCirculationError(res, e)) return;
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   WAIVER – forgive what is owed, with a reason (staff)
+   -------------------------------------------------------------- */
+export const addWaiver = async (req, res) => {
+  const { error, value } = adjustmentSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const subject = await loadSubject(db, res, value);
+    if (!subject) return;
+
+    const entry = await initFineModel(db).waive({
+      userId: subject.user.id,
+      username: subject.user.username,
+      borrow: subject.borrow,
+      amount: value.amount,
+      note: value.note,
+    }, req.user);
+
+    await notifyUser(db, subject.user.id, {
+      type: 'fine_waived',
+      subject: 'Library fine waived',
+      message: `${entry.amount} ETB of your library fines was waived: ${value.note}. Balance: ${entry.balanceAfter} ETB.`,
+      data: { fineId: entry._id },
+    });
+
+    res.status(201).json({ message: 'Waiver recorded', entry });
+  } catch (e) {
+    if (sendCirculationError(res, e)) return;
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   REFUND – give back money that was paid (admin)
+   -------------------------------------------------------------- */
+export const addRefund = async (req, res) => {
+  const { error, value } = adjustmentSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const subject = await loadSubject(db, res, value);
+    if (!subject) return;
+
+    const entry = await initFineModel(db).refund({
+      userId: subject.user.id,
+      username: subject.user.username,
+      borrow: subject.borrow,
+      amount: value.amount,
+      note: value.note,
+    }, req.user);
+
+    res.status(201).json({ message: 'Refund recorded', entry });
+  } catch (e) {
+    if (sendCirculationError(res, e)) return;
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,133 @@
+// src/controllers/holdController.js
+import Joi from 'joi';
+import { connectDB } from '../config/db.js';
+import { initHoldModel, HOLD_STATUSES } from '../models/holdModel.js';
+import { initBorrowModel, OPEN_BORROW_STATUSES } from '../models/borrowModel.js';
+import { sendBlocked, sendLimitReached } from './borrowController.js';
+
+/* --------------------------------------------------------------
+   JOI Schemas
+   -------------------------------------------------------------- */
+const holdSchema = Joi.object({
+  bookId: Joi.string().required(),
+});
+
+const listSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  bookId: Joi.string().optional(),
+  status: Joi.string().valid(...HOLD_STATUSES).optional(),
+  search: Joi.string().allow('').optional(),
+});
+
+/* --------------------------------------------------------------
+   PLACE HOLD – join the queue for a book with no copy on the shelf
+   -------------------------------------------------------------- */
+export const placeHold = async (req, res) => {
+  const { error, value } = holdSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const holdModel = initHoldModel(db);
+
+    const book = await db.collection('books').findOne({ id: value.bookId });
+    if (!book) return res.status(404).json({ message: 'Book not found' });
+
+    if (book.copies > 0) {
+      return res.status(400).json({ message: 'A copy is available; request the book instead' });
+    }
+
+    if (await holdModel.findActive(req.user.id, book.id)) {
+      return res.status(400).json({ message: 'You are already in the hold queue for this book' });
+    }
+
+    const current = await db.collection('borrows').findOne({
+      userId: req.user.id,
+      bookId: book.id,
+      status: { $in: ['pending', 'waitlisted', 'approved', 'borrowed'] },
+      returnedAt: null,
+    });
+    if (current) {
+      return res.status(400).json({ message: 'You already have a request or loan for this book' });
+    }
+
+    // A hold counts towards the concurrent-loan limit like a request
+    const borrowModel = initBorrowModel(db);
+    const limit = await borrowModel.loanLimit(req.user, { statuses: OPEN_BORROW_STATUSES, holds: true });
+    if (limit.error) return sendLimitReached(res, limit);
+
+    // Patrons who owe too much or hold too many overdue books cannot queue either
+    const block = await borrowModel.borrowingBlock(req.user);
+    if (block.blocked) return sendBlocked(res, block);
+
+    const hold = await holdModel.place(req.user, book);
+    const position = await holdModel.position(hold);
+
+    res.status(201).json({
+      message: `Hold placed. You are number ${position} in the queue`,
+      hold: { ...hold, position },
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   GET MY HOLDS – queue position and pickup deadline (using auth)
+   -------------------------------------------------------------- */
+export const getMyHolds = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const holds = await initHoldModel(db).getForUser(req.user.id);
+    res.json({ holds });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   GET HOLDS – librarian view of the queues
+   -------------------------------------------------------------- */
+export const getHolds = async (req, res) => {
+  const { error, value } = listSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    res.json(await initHoldModel(db).getAll(value));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   CANCEL HOLD – patron leaves the queue (or staff removes them)
+   -------------------------------------------------------------- */
+export const cancelHold = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const holdModel = initHoldModel(db);
+
+    const hold = await holdModel.findById(req.params.id);
+    if (!hold) return res.status(404).json({ message: 'Hold not found' });
+
+    const isStaff = ['admin', 'librarian'].includes(req.user.role);
+    if (!isStaff && hold.userId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const cancelled = await holdModel.cancel(hold, req.user);
+    if (!cancelled) {
+      return res.status(400).json({ message: `Hold is already ${hold.status}` });
+    }
+
+    res.json({ message: 'Hold cancelled', hold: cancelled });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
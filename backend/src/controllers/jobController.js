@@ -0,0 +1,179 @@
+// src/controllers/jobController.js
+import Joi from 'joi';
+import { connectDB } from '../config/db.js';
+import { listRegisteredJobs, runJobNow } from '../jobs/scheduler.js';
+
+/* --------------------------------------------------------------
+   JOI Schemas
+   -------------------------------------------------------------- */
+const updateJobSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  intervalMinutes: Joi.number().integer().min(1).max(60 * 24 * 31).optional(),
+}).min(1);
+
+const runsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  job: Joi.string().optional(),
+  status: Joi.string().valid('success', 'failed').optional(),
+});
+
+const reportsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  period: Joi.string().valid('daily', 'weekly').optional(),
+});
+
+/* --------------------------------------------------------------
+   GET JOBS – schedule, lock and last outcome of every job
+   -------------------------------------------------------------- */
+export const getJobs = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const registered = listRegisteredJobs();
+    const docs = await db.collection('jobs')
+      .find({ _id: { $in: registered.map(j => j.name) } })
+      .toArray();
+    const byName = Object.fromEntries(docs.map(d => [d._id, d]));
+
+    const jobs = registered.map(job => {
+      const state = byName[job.name] || {};
+      return {
+        ...job,
+        enabled: state.enabled ?? true,
+        intervalMs: state.intervalMs ?? job.defaultIntervalMs,
+        nextRunAt: state.nextRunAt || null,
+        running: !!(state.lockedUntil && new Date(state.lockedUntil) > new Date()),
+        lockedBy: state.lockedBy || null,
+        lastRunAt: state.lastRunAt || null,
+        lastStatus: state.lastStatus || null,
+        lastError: state.lastError || null,
+        lastDurationMs: state.lastDurationMs ?? null,
+        runCount: state.runCount || 0,
+        failCount: state.failCount || 0,
+      };
+    });
+
+    res.json({ jobs });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   GET JOB RUNS – run history, newest first (filter failures)
+   -------------------------------------------------------------- */
+export const getJobRuns = async (req, res) => {
+  const { error, value } = runsSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const { page, limit, job, status } = value;
+
+    const query = {};
+    if (job) query.job = job;
+    if (status) query.status = status;
+
+    const runs = await db.collection('jobRuns')
+      .find(query)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+    const total = await db.collection('jobRuns').countDocuments(query);
+
+    res.json({ runs, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   RUN JOB – trigger a job now, outside its schedule
+   -------------------------------------------------------------- */
+export const runJob = async (req, res) => {
+  try {
+    const { run, error } = await runJobNow(req.params.name, req.user.id);
+    if (error) {
+      const status = error === 'Job not found' ? 404 : 409;
+      return res.status(status).json({ message: error });
+    }
+
+    res.json({
+      message: run.status === 'success' ? 'Job completed' : 'Job failed',
+      run,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   UPDATE JOB – enable/disable or change the interval
+   -------------------------------------------------------------- */
+export const updateJob = async (req, res) => {
+  const { error, value } = updateJobSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const { name } = req.params;
+    if (!listRegisteredJobs().some(j => j.name === name)) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const job = await db.collection('jobs').findOne({ _id: name });
+    if (!job) return res.status(404).json({ message: 'Job has not been scheduled yet' });
+
+    const set = { updatedAt: new Date(), updatedBy: req.user.id };
+    if (value.enabled !== undefined) set.enabled = value.enabled;
+    if (value.intervalMinutes !== undefined) {
+      set.intervalMs = value.intervalMinutes * 60 * 1000;
+      // Reschedule from the last run so a shorter interval takes effect straight away
+      const from = job.lastRunAt ? new Date(job.lastRunAt) : new Date();
+      set.nextRunAt = new Date(from.getTime() + set.intervalMs);
+    }
+
+    const updated = await db.collection('jobs').findOneAndUpdate(
+      { _id: name },
+      { $set: set },
+      { returnDocument: 'after' }
+    );
+
+    res.json({ message: 'Job updated', job: updated });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   GET CIRCULATION REPORTS – stored daily / weekly summaries
+   -------------------------------------------------------------- */
+export const getCirculationReports = async (req, res) => {
+  const { error, value } = reportsSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const { page, limit, period } = value;
+    const query = period ? { period } : {};
+
+    const reports = await db.collection('circulationReports')
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+    const total = await db.collection('circulationReports').countDocuments(query);
+
+    res.json({ reports, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,57 @@
+// src/controllers/notificationController.js
+import { ObjectId } from 'mongodb';
+import { connectDB } from '../config/db.js';
+
+/* --------------------------------------------------------------
+   GET MY NOTIFICATIONS – newest first (?unread=true for unread only)
+   -------------------------------------------------------------- */
+export const getMyNotifications = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const query = { userId: req.user.id };
+    if (unread === 'true') query.read = false;
+
+    const notifications = await db.collection('notifications')
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip((+page - 1) * +limit)
+      .limit(+limit)
+      .toArray();
+
+    const total = await db.collection('notifications').countDocuments(query);
+    const unreadCount = await db.collection('notifications').countDocuments({ userId: req.user.id, read: false });
+
+    res.json({ notifications, total, unreadCount, page: +page, limit: +limit });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   MARK READ – one notification, or all with id 'all'
+   -------------------------------------------------------------- */
+export const markNotificationRead = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const { id } = req.params;
+
+    const query = { userId: req.user.id, read: false };
+    if (id !== 'all') {
+      if (!ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid notification ID' });
+      query._id = new ObjectId(id);
+    }
+
+    const result = await db.collection('notifications').updateMany(
+      query,
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    res.json({ message: 'Marked as read', updated: result.modifiedCount });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,164 +1,685 @@
 // src/controllers/paymentController.js
+import Joi from 'joi';
 import { connectDB } from '../config/db.js';
-import { v4 as uuidv4 } from 'uuid';
 import { ObjectId } from 'mongodb';
+import { initFineModel, fineStatus } from '../models/fineModel.js';
+import { initAmnestyModel } from '../models/amnestyModel.js';
+import { initPaymentModel, DESK_METHODS, PAYMENT_STATUSES } from '../models/paymentModel.js';
+import { initPaymentWebhookModel, WEBHOOK_STATUSES } from '../models/paymentWebhookModel.js';
+import { sendCirculationError } from '../utils/transaction.js';
+import { notifyUser } from '../utils/notify.js';
+import { writePaymentReceipt, writeCashUpReport } from '../utils/paymentReceipt.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import {
+  getGateway,
+  gatewayMethods,
+  availableGateways,
+  sendGatewayError,
+  PaymentGatewayError,
+} from '../utils/paymentGateways.js';
 
-const calculateFine = (dueDate) => {
-  const now = new Date();
-  const due = new Date(dueDate);
-  const msDiff = now - due;
-  const daysLate = Math.max(0, Math.ceil(msDiff / (1000 * 60 * 60 * 24)));
-  return daysLate * 10;
-};
-
+/**
+ * A patron's fines: students and teachers get their own, admins and
+ * librarians may name another user with `userId`
+ */
 export const getFine = async (req, res) => {
-  const { userId, username } = req.body;
-  if (!userId || !username) return res.status(400).json({ message: 'userId & username required' });
+  const { borrowId, bookId } = req.body;
+  const isStaff = ['admin', 'librarian'].includes(req.user.role);
+  const userId = req.body.userId || req.user.id;
+  if (!isStaff && userId !== req.user.id) return res.status(403).json({ message: 'Access denied' });
 
   try {
     const db = await connectDB();
-    const borrow = await db.collection('borrows').findOne({
+
+    // Fines are read from the ledger once overdue charges are brought up to
+    // date; a running amnesty is shown, and only applied when paying
+    const fineModel = initFineModel(db);
+    await fineModel.accrue(userId);
+    const owed = await fineModel.outstandingByBorrow(userId, { includeSettled: true });
+
+    // Open loans, and returned ones that still have something owing
+    const query = {
       userId,
-      username,
-      returnedAt: null,
+      $or: [
+        { status: 'borrowed', returnedAt: null },
+        { _id: { $in: owed.filter(o => o.balance > 0).map(o => o.borrowId) } },
+      ],
+    };
+    if (borrowId) {
+      if (!ObjectId.isValid(borrowId)) return res.status(400).json({ message: 'Invalid borrow ID' });
+      query._id = new ObjectId(borrowId);
+    }
+    if (bookId) query.bookId = bookId;
+
+    const borrows = await db.collection('borrows').find(query).sort({ dueDate: 1 }).toArray();
+    if (borrows.length === 0) return res.status(404).json({ message: 'No active borrow' });
+
+    const account = await fineModel.getAccount(userId);
+    const amnesty = await initAmnestyModel(db).preview(userId, { borrowIds: borrows.map(b => b._id) });
+    const fines = borrows.map(borrow => {
+      const row = owed.find(o => o.borrowId.equals(borrow._id));
+      return {
+        borrowId: borrow._id.toString(),
+        bookId: borrow.bookId,
+        bookTitle: borrow.bookTitle || borrow.bookName,
+        dueDate: borrow.dueDate,
+        status: borrow.status,
+        fine: row?.balance || 0,
+        fineStatus: fineStatus(row),
+        forgivable: amnesty?.loans.find(l => l.borrowId.equals(borrow._id))?.amount || 0,
+      };
     });
-    if (!borrow) return res.status(404).json({ message: 'No active borrow' });
 
-    const fine = calculateFine(borrow.dueDate);
-    res.json({ fine, borrowId: borrow._id.toString() });
+    res.json({
+      fine: fines.reduce((sum, f) => sum + f.fine, 0),
+      borrowId: fines[0].borrowId,
+      fines,
+      balance: account.balance,
+      amnesty,
+    });
   } catch (e) {
     console.error(e);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-export const initPayment = async (req, res) => {
-  const { amount, borrowId } = req.body;
-  if (!amount || amount <= 0 || !borrowId) {
-    return res.status(400).json({ message: 'Invalid request' });
-  }
+/**
+ * What is to be paid on one loan: the ledger balance with charges brought
+ * up to date, less what a running amnesty would forgive. The waiver itself
+ * is only posted when the payment completes (PaymentModel.settle).
+ */
+const owedOnBorrow = async (db, borrow) => {
+  const fineModel = initFineModel(db);
+  await fineModel.chargeOverdue(borrow);
+  const [owed] = await fineModel.outstandingByBorrow(borrow.userId, { borrowIds: [borrow._id] });
+  const amnesty = await initAmnestyModel(db).preview(borrow.userId, { borrowIds: [borrow._id] });
+  return Math.round(((owed?.balance || 0) - (amnesty?.total || 0)) * 100) / 100;
+};
+
+const paymentSummary = ({ tx_ref, method, status, amount, borrowId, failureReason, expiresAt }) =>
+  ({ tx_ref, method, status, amount, borrowId, failureReason: failureReason || null, expiresAt: expiresAt || null });
 
-  const tx_ref = `fine-${uuidv4()}`;
+const intentResponse = (payment) => ({
+  message: `Complete the payment with ${getGateway(payment.method).label}`,
+  ...paymentSummary(payment),
+  checkout_url: payment.checkoutUrl || null,
+});
+
+/* --------------------------------------------------------------
+   PAYMENT METHODS – online providers a payment can be started with
+   -------------------------------------------------------------- */
+export const getPaymentMethods = (req, res) => {
+  res.json({ methods: availableGateways() });
+};
+
+/* --------------------------------------------------------------
+   PAYMENT INTENT – start paying a loan's fine with a provider
+   An Idempotency-Key header (or idempotencyKey) makes the request
+   safe to retry: the same key always answers with the same payment.
+   -------------------------------------------------------------- */
+const intentSchema = Joi.object({
+  borrowId: Joi.string().required(),
+  method: Joi.string().valid(...gatewayMethods()).required(),
+  mobile: Joi.string().pattern(/^09\d{8}$/).optional().messages({ 'string.pattern.base': 'Invalid mobile (09.......)' }),
+  idempotencyKey: Joi.string().trim().max(100).optional(),
+});
+
+const startPayment = async (req, res, body) => {
+  const { error, value } = intentSchema.validate(body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+  if (!ObjectId.isValid(value.borrowId)) return res.status(400).json({ message: 'Invalid borrow ID' });
+
+  const idempotencyKey = req.get('Idempotency-Key') || value.idempotencyKey || null;
 
   try {
+    const gateway = getGateway(value.method);
+    if (!gateway.isAvailable()) return res.status(400).json({ message: `${gateway.label} payments are not available` });
+    if (gateway.requires.includes('mobile') && !value.mobile) {
+      return res.status(400).json({ message: `A mobile number is required for ${gateway.label}` });
+    }
+
     const db = await connectDB();
+    const paymentModel = initPaymentModel(db);
+
+    // A retried request: answer with the payment the first one started
+    const earlier = await paymentModel.findByIdempotencyKey(req.user.id, idempotencyKey);
+    if (earlier) {
+      if (earlier.borrowId !== value.borrowId || earlier.method !== value.method) {
+        return res.status(422).json({ message: 'This idempotency key was used for a different payment' });
+      }
+      return res.json({ ...intentResponse(earlier), replayed: true });
+    }
+
+    // Paying only settles the fine; the loan may be open or already returned
+    const borrow = await db.collection('borrows').findOne({ _id: new ObjectId(value.borrowId), userId: req.user.id });
+    if (!borrow) return res.status(404).json({ message: 'Borrow record not found' });
+
+    const open = await db.collection('payments').findOne({ borrowId: value.borrowId, status: 'pending', expiresAt: { $gt: new Date() } });
+    if (open) {
+      return res.status(409).json({ ...intentResponse(open), message: 'A payment for this loan is already in progress' });
+    }
+
+    // The amount charged is what the ledger says is owed, not what the client sends
+    const amount = await owedOnBorrow(db, borrow);
+    if (amount <= 0) return res.status(400).json({ message: 'No fine is due on this loan' });
 
-    await db.collection('payments').insertOne({
-      userId: req.user.id,
-      username: req.user.username,
+    const { payment, created } = await paymentModel.createIntent({
+      user: req.user,
+      borrow,
       amount,
-      borrowId,
-      tx_ref,
-      method: 'chapa',
-      status: 'pending',
-      createdAt: new Date(),
+      method: value.method,
+      idempotencyKey,
+      mobile: value.mobile,
     });
+    if (!created) return res.json({ ...intentResponse(payment), replayed: true });
+
+    const customer = await db.collection('users').findOne({ id: req.user.id });
+    let checkout;
+    try {
+      checkout = await gateway.createCheckout({
+        txRef: payment.tx_ref,
+        amount,
+        title: `Library fine – ${borrow.bookTitle || borrow.bookName || borrow.bookId}`,
+        customer: { id: req.user.id, username: req.user.username, name: customer?.name, email: customer?.email, mobile: value.mobile },
+        baseUrl: `${req.protocol}://${req.get('host')}/api/payments`,
+        timeoutMinutes: gateway.timeoutMinutes(),
+      });
+    } catch (e) {
+      // No checkout exists for this reference, so it can never be paid
+      await paymentModel.settle(payment.tx_ref, { status: 'failed', failureReason: e.message });
+      throw e;
+    }
 
-    res.json({ checkout_url: 'https://checkout.chapa.co/checkout/payment/fake-test-url', tx_ref });
+    const started = await paymentModel.attachCheckout(payment.tx_ref, checkout);
+    res.status(202).json(intentResponse(started || { ...payment, ...checkout }));
   } catch (e) {
-    console.error(e.response?.data || e);
+    if (sendCirculationError(res, e)) return;
+    if (sendGatewayError(res, e)) return;
+    console.error(e);
     res.status(500).json({ message: 'Payment init failed' });
   }
 };
 
-export const verifyPayment = async (req, res) => {
-  const { tx_ref, status } = req.body;
+export const createPaymentIntent = (req, res) => startPayment(req, res, req.body);
+
+// Older clients start a payment per provider
+export const initPayment = (req, res) => startPayment(req, res, { ...req.body, method: 'chapa' });
+export const initTelebirrPayment = (req, res) => startPayment(req, res, { ...req.body, method: 'telebirr' });
+
+/* --------------------------------------------------------------
+   WEBHOOK – signed POST from a provider
+   The event is stored in the inbox before it is processed, so once
+   the provider has a 200 the event is never lost: if processing
+   fails it is retried by the payment jobs.
+   -------------------------------------------------------------- */
+const webhookHandler = (fixedProvider = null) => async (req, res) => {
+  const provider = fixedProvider || req.params.provider;
+
+  try {
+    const gateway = getGateway(provider);
+    const event = gateway.parseWebhook({ body: req.body || {}, rawBody: req.rawBody, headers: req.headers });
+    if (!event) return res.status(401).json({ message: 'Invalid webhook signature' });
+    if (!event.txRef) return res.status(400).json({ message: 'tx_ref missing' });
+
+    const db = await connectDB();
+    const inbox = initPaymentWebhookModel(db);
+    const { event: stored, duplicate } = await inbox.receive(provider, event, req.body);
+    const done = await inbox.process(stored._id);
+
+    // Providers retry webhooks; an event already handled is not processed again
+    res.json({
+      message: duplicate ? 'Webhook already received' : 'Webhook received',
+      status: (done || stored).result?.paymentStatus || null,
+    });
+  } catch (e) {
+    if (e instanceof PaymentGatewayError && e.status === 400) return res.status(404).json({ message: 'Not found' });
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const paymentWebhook = webhookHandler();
+export const verifyPayment = webhookHandler('chapa');
+export const telebirrNotify = webhookHandler('telebirr');
+
+/* --------------------------------------------------------------
+   CHAPA CALLBACK – unsigned GET after checkout (?trx_ref=...)
+   Safe to leave open: the outcome comes from Chapa, not the query.
+   -------------------------------------------------------------- */
+export const chapaCallback = async (req, res) => {
+  const tx_ref = req.query.trx_ref || req.query.tx_ref;
   if (!tx_ref) return res.status(400).json({ message: 'tx_ref missing' });
 
   try {
     const db = await connectDB();
-    const payment = await db.collection('payments').findOneAndUpdate(
-      { tx_ref },
-      { $set: { status: status === 'success' ? 'completed' : 'failed' } },
-      { returnDocument: 'after' }
-    );
-
-    if (!payment.value) return res.status(404).json({ message: 'Payment not found' });
-
-    if (status === 'success') {
-      const borrow = await db.collection('borrows').findOneAndUpdate(
-        { _id: new ObjectId(payment.value.borrowId) },
-        {
-          $set: {
-            fine: 0,
-            returnedAt: new Date(),
-            status: 'returned'
-          },
-        },
-        { returnDocument: 'after' }
-      );
-
-      if (borrow.value) {
-        await db.collection('books').updateOne(
-          { id: borrow.value.bookId },
-          { $inc: { copies: 1 } }
-        );
-      }
+    const payment = await db.collection('payments').findOne({ tx_ref: String(tx_ref), method: 'chapa' });
+    if (!payment) return res.status(404).json({ message: 'Payment not found' });
+
+    const result = await initPaymentModel(db).confirmWithProvider(payment);
+    res.json(paymentSummary(result.payment));
+  } catch (e) {
+    if (sendGatewayError(res, e)) return;
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   PAYMENT STATUS – payer checks (and re-confirms) their payment
+   -------------------------------------------------------------- */
+export const getPaymentStatus = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const payment = await db.collection('payments').findOne({ tx_ref: req.params.tx_ref });
+    if (!payment || (payment.userId !== req.user.id && !['admin', 'librarian'].includes(req.user.role))) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (payment.status !== 'pending' || DESK_METHODS.includes(payment.method)) return res.json(paymentSummary(payment));
+
+    // Providers that settle by webhook are only asked once the window has closed
+    const expired = Boolean(payment.expiresAt && new Date(payment.expiresAt) < new Date());
+    let result = null;
+    if (expired || getGateway(payment.method).pollWhilePending) {
+      result = await initPaymentModel(db).confirmWithProvider(payment, { expire: expired });
     }
 
-    res.json({ message: 'Webhook processed' });
+    res.json(paymentSummary(result?.payment || payment));
   } catch (e) {
+    if (sendGatewayError(res, e)) return;
     console.error(e);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-export const initTelebirrPayment = async (req, res) => {
-  const { amount, borrowId, mobile } = req.body;
+/* --------------------------------------------------------------
+   DESK PAYMENT – cash or bank slip taken by a librarian
+   -------------------------------------------------------------- */
+const deskPaymentSchema = Joi.object({
+  userId: Joi.string().required(),
+  borrowId: Joi.string().optional(),
+  amount: Joi.number().positive().precision(2).required(),
+  method: Joi.string().valid(...DESK_METHODS).required(),
+  slipReference: Joi.string().trim().max(100).when('method', {
+    is: 'bank_slip',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  note: Joi.string().allow('').max(500).optional(),
+});
+
+export const recordDeskPayment = async (req, res) => {
+  const { error, value } = deskPaymentSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const user = await db.collection('users').findOne({ id: value.userId });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    let borrow = null;
+    if (value.borrowId) {
+      if (!ObjectId.isValid(value.borrowId)) return res.status(400).json({ message: 'Invalid borrow ID' });
+      borrow = await db.collection('borrows').findOne({ _id: new ObjectId(value.borrowId), userId: user.id });
+      if (!borrow) return res.status(404).json({ message: 'Borrow record not found for this user' });
+    }
+
+    // Bring overdue charges up to date so the balance the payment is checked
+    // against is current; the amnesty is applied with the payment itself
+    await initFineModel(db).accrue(user.id);
+
+    const payment = await initPaymentModel(db).recordDeskPayment({
+      user,
+      borrow,
+      amount: value.amount,
+      method: value.method,
+      slipReference: value.slipReference || null,
+      note: value.note || '',
+    }, req.user);
 
-  if (!amount || amount <= 0 || !borrowId || !mobile) {
-    return res.status(400).json({ message: 'All fields required' });
+    await notifyUser(db, user.id, {
+      type: 'fine_payment_received',
+      subject: 'Library fine payment received',
+      message: `We received ${payment.amount} ETB (${payment.method === 'cash' ? 'cash' : 'bank slip'}) towards your library fines. Receipt ${payment.receiptNumber}. Balance: ${Math.max(payment.balanceAfter, 0)} ETB.`,
+      data: { receiptNumber: payment.receiptNumber },
+    });
+
+    res.status(201).json({ message: 'Payment recorded', payment });
+  } catch (e) {
+    if (sendCirculationError(res, e)) return;
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
   }
+};
 
-  if (!mobile.match(/^09\d{8}$/)) {
-    return res.status(400).json({ message: 'Invalid mobile (09.......)' });
+/* --------------------------------------------------------------
+   RECEIPT – PDF for a desk payment (the payer or staff)
+   -------------------------------------------------------------- */
+export const downloadReceipt = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const payment = await db.collection('payments').findOne({ receiptNumber: req.params.receiptNumber });
+    if (!payment) return res.status(404).json({ message: 'Receipt not found' });
+
+    const isStaff = ['admin', 'librarian'].includes(req.user.role);
+    if (!isStaff && payment.userId !== req.user.id) return res.status(403).json({ message: 'Access denied' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${payment.receiptNumber}.pdf"`);
+    writePaymentReceipt(payment, res);
+  } catch (e) {
+    console.error(e);
+    if (!res.headersSent) res.status(500).json({ message: 'Server error' });
   }
+};
+
+/* --------------------------------------------------------------
+   CASH-UP – a day's desk takings per librarian (?format=pdf)
+   -------------------------------------------------------------- */
+const cashUpSchema = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  librarianId: Joi.string().optional(),
+  format: Joi.string().valid('json', 'pdf').default('json'),
+});
+
+export const getCashUp = async (req, res) => {
+  const { error, value } = cashUpSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
 
   try {
     const db = await connectDB();
+    const date = value.date || new Date().toLocaleDateString('en-CA');
 
-    const tx_ref = `telebirr-${uuidv4()}`;
+    // A librarian cashes up their own drawer; an admin can see anyone's
+    const receivedBy = req.user.role === 'admin' ? value.librarianId || null : req.user.id;
+    const report = await initPaymentModel(db).cashUp(date, receivedBy);
 
-    await db.collection('payments').insertOne({
-      userId: req.user.id,
-      username: req.user.username,
-      amount: Number(amount),
-      borrowId,
-      mobile,
-      tx_ref,
-      method: 'telebirr',
-      status: 'completed',
-      createdAt: new Date(),
-    });
+    if (value.format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="cash-up-${date}.pdf"`);
+      return writeCashUpReport(report, res);
+    }
+    res.json(report);
+  } catch (e) {
+    console.error(e);
+    if (!res.headersSent) res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   ADMIN CONSOLE – list, inspect, refund, reverse, reconcile,
+   and the webhook inbox
+   -------------------------------------------------------------- */
+const RECONCILIATION_FILTERS = ['matched', 'mismatch', 'missing', 'resolved', 'unreconciled'];
+
+const listSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  search: Joi.string().allow('').max(100).default(''),
+  status: Joi.string().valid(...PAYMENT_STATUSES).optional(),
+  method: Joi.string().valid(...gatewayMethods(), ...DESK_METHODS).optional(),
+  reconciliation: Joi.string().valid(...RECONCILIATION_FILTERS).optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().optional(),
+  format: Joi.string().valid('json', 'csv').default('json'),
+});
+
+const giveBackSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required(),
+  reason: Joi.string().trim().min(3).max(500).required(),
+  reference: Joi.string().trim().max(100).optional(),
+});
 
-    const borrow = await db.collection('borrows').findOneAndUpdate(
-      { _id: new ObjectId(borrowId), userId: req.user.id },
-      {
-        $set: {
-          fine: 0,
-          returnedAt: new Date(),
-          status: 'returned',
-        },
-      },
-      { returnDocument: 'after' }
-    );
-
-    if (!borrow.value) {
-      return res.status(404).json({ message: 'Borrow record not found' });
+const reverseSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required(),
+  reference: Joi.string().trim().max(100).optional(),
+});
+
+const resolveSchema = Joi.object({
+  note: Joi.string().trim().min(3).max(500).required(),
+});
+
+const settlementSchema = Joi.object({
+  provider: Joi.string().valid(...gatewayMethods()).required(),
+  csv: Joi.string().required(),
+  fileName: Joi.string().max(200).optional(),
+  from: Joi.date().optional(),
+  to: Joi.date().optional(),
+});
+
+const PAYMENT_CSV_COLUMNS = [
+  ['Created', p => p.createdAt],
+  ['Reference', p => p.tx_ref],
+  ['Method', p => p.method],
+  ['Status', p => p.status],
+  ['User ID', p => p.userId],
+  ['Username', p => p.username],
+  ['Amount', p => p.amount],
+  ['Paid', p => p.paidAmount ?? ''],
+  ['Refunded', p => p.refundedAmount || 0],
+  ['Provider reference', p => p.providerReference || p.slipReference || ''],
+  ['Reconciliation', p => p.reconciliation?.status || 'unreconciled'],
+  ['Settled', p => p.settledAt || ''],
+];
+
+export const listPayments = async (req, res) => {
+  const { error, value } = listSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const paymentModel = initPaymentModel(db);
+
+    if (value.format === 'csv') {
+      const { payments } = await paymentModel.getAllPayments({ ...value, page: 1, limit: 10000 });
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="payments.csv"');
+      return res.send(toCsv(payments, PAYMENT_CSV_COLUMNS));
     }
 
-    await db.collection('books').updateOne(
-      { id: borrow.value.bookId },
-      { $inc: { copies: 1 } }
-    );
+    res.json(await paymentModel.getAllPayments(value));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
-    res.json({
-      success: true,
-      message: 'Fine paid via Telebirr – book returned!',
-      tx_ref,
+export const getPaymentStats = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const stats = await initPaymentModel(db).getStatistics();
+    const flagged = await db.collection('payments').countDocuments({ 'reconciliation.status': { $in: ['mismatch', 'missing'] } });
+    res.json({ ...stats, flagged });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * One payment with its ledger entries and the loan it was for
+ */
+export const getPaymentDetail = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const payment = await initPaymentModel(db).getById(req.params.id);
+    if (!payment) return res.status(404).json({ message: 'Payment not found' });
+
+    const [entries, borrow] = await Promise.all([
+      db.collection('fines').find({ paymentId: payment._id }).sort({ createdAt: 1 }).toArray(),
+      payment.borrowId && ObjectId.isValid(payment.borrowId)
+        ? db.collection('borrows').findOne(
+          { _id: new ObjectId(payment.borrowId) },
+          { projection: { bookId: 1, bookTitle: 1, bookName: 1, status: 1, dueDate: 1, returnedAt: 1 } }
+        )
+        : null,
+    ]);
+
+    res.json({ payment, entries, borrow });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const giveBack = (action) => async (req, res) => {
+  const { error, value } = (action === 'reversed' ? reverseSchema : giveBackSchema).validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+  if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid payment ID' });
+
+  try {
+    const db = await connectDB();
+    const { payment, entry } = await initPaymentModel(db).giveBack(req.params.id, { action, ...value }, req.user);
+
+    await notifyUser(db, payment.userId, {
+      type: action === 'reversed' ? 'payment_reversed' : 'payment_refunded',
+      subject: action === 'reversed' ? 'Library payment reversed' : 'Library payment refunded',
+      message: action === 'reversed'
+        ? `Your payment ${payment.tx_ref} was reversed: ${value.reason}. ${entry.amount} ETB is owed again; balance ${entry.balanceAfter} ETB.`
+        : `${entry.amount} ETB of your payment ${payment.tx_ref} was refunded: ${value.reason}.`,
+      data: { paymentId: payment._id },
     });
+
+    res.json({ message: action === 'reversed' ? 'Payment reversed' : 'Refund recorded', payment, entry });
+  } catch (e) {
+    if (sendCirculationError(res, e)) return;
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const refundPayment = giveBack('refunded');
+export const reversePayment = giveBack('reversed');
+
+export const resolveReconciliationFlag = async (req, res) => {
+  const { error, value } = resolveSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+  if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid payment ID' });
+
+  try {
+    const db = await connectDB();
+    const payment = await initPaymentModel(db).resolveReconciliation(req.params.id, value.note, req.user);
+    if (!payment) return res.status(404).json({ message: 'No open reconciliation flag on this payment' });
+    res.json({ message: 'Flag resolved', payment });
   } catch (e) {
     console.error(e);
     res.status(500).json({ message: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+// Settlement exports name their columns differently; match on normalized
+// headers, trying names in order so e.g. tx_ref wins over a generic reference
+const normalizeHeader = header => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+const pick = (row, names) => {
+  const keys = Object.keys(row);
+  for (const name of names) {
+    const key = keys.find(k => normalizeHeader(k) === name);
+    if (key && row[key] !== '') return row[key];
+  }
+  return '';
+};
+
+const PROVIDER_STATUSES = {
+  success: 'completed',
+  successful: 'completed',
+  completed: 'completed',
+  paid: 'completed',
+  pay_success: 'completed',
+  failed: 'failed',
+  failure: 'failed',
+  pay_failed: 'failed',
+  refunded: 'refunded',
+  reversed: 'reversed',
+};
+
+const settlementRow = (row) => {
+  const amount = parseFloat(String(pick(row, ['amount', 'total_amount', 'settled_amount', 'charge_amount'])).replace(/,/g, ''));
+  const date = new Date(pick(row, ['date', 'created_at', 'transaction_date', 'trans_time', 'settled_at']));
+  const status = String(pick(row, ['status', 'trade_status', 'order_status', 'transaction_status'])).trim().toLowerCase();
+  return {
+    txRef: pick(row, ['tx_ref', 'txref', 'trx_ref', 'merch_order_id', 'merchant_order_id', 'order_id', 'reference']) || null,
+    amount: Number.isFinite(amount) ? amount : null,
+    currency: String(pick(row, ['currency', 'trans_currency'])).trim().toUpperCase() || null,
+    status: PROVIDER_STATUSES[status] || status || 'completed',
+    providerReference: pick(row, ['provider_reference', 'chapa_reference', 'ref_id', 'payment_order_id', 'trans_id', 'transaction_id']) || null,
+    date: Number.isNaN(date.getTime()) ? null : date,
+  };
+};
+
+export const importSettlement = async (req, res) => {
+  const { error, value } = settlementSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const { rows } = parseCsv(value.csv);
+    if (rows.length === 0) return res.status(400).json({ message: 'The settlement file has no rows' });
+
+    const settlement = rows.map(settlementRow);
+    if (settlement.every(r => !r.txRef)) {
+      return res.status(400).json({ message: 'No reference column found (expected tx_ref, merch_order_id or reference)' });
+    }
+
+    const db = await connectDB();
+    const batch = await initPaymentModel(db).reconcile(value.provider, settlement, value, req.user);
+    res.status(201).json({ message: 'Settlement reconciled', batch });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getReconciliations = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    res.json(await initPaymentModel(db).getReconciliations(page));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getReconciliation = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const batch = await initPaymentModel(db).getReconciliation(req.params.id);
+    if (!batch) return res.status(404).json({ message: 'Reconciliation not found' });
+    res.json(batch);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const inboxSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(...WEBHOOK_STATUSES).optional(),
+  provider: Joi.string().valid(...gatewayMethods()).optional(),
+  txRef: Joi.string().max(100).optional(),
+});
+
+export const getWebhookInbox = async (req, res) => {
+  const { error, value } = inboxSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    res.json(await initPaymentWebhookModel(db).getAll(value));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const retryWebhook = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const event = await initPaymentWebhookModel(db).retry(req.params.id);
+    if (!event) return res.status(404).json({ message: 'No failed webhook with this ID' });
+    res.json({ message: event.status === 'processed' ? 'Webhook processed' : 'Webhook still failing', event });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,90 @@
+// src/controllers/policyController.js
+import Joi from 'joi';
+import { connectDB } from '../config/db.js';
+import { initLoanPolicyModel } from '../models/loanPolicyModel.js';
+
+/* --------------------------------------------------------------
+   JOI Schemas
+   -------------------------------------------------------------- */
+const ruleSchema = Joi.object({
+  role: Joi.string().valid('*', 'student', 'teacher', 'librarian', 'admin').default('*'),
+  category: Joi.string().trim().default('*'),
+  loanPeriodDays: Joi.number().integer().min(1).optional(),
+  maxLoanDays: Joi.number().integer().min(Joi.ref('loanPeriodDays', { adjust: v => v || 1 })).optional(),
+  graceDays: Joi.number().integer().min(0).optional(),
+  finePerDay: Joi.number().min(0).optional(),
+  fineCap: Joi.number().min(0).allow(null).optional(),
+  maxActiveLoans: Joi.number().integer().min(0).optional(),
+  holdPickupDays: Joi.number().integer().min(1).optional(),
+  maxRenewals: Joi.number().integer().min(0).optional(),
+  renewalDays: Joi.number().integer().min(1).optional(),
+  maxUnpaidFines: Joi.number().min(0).allow(null).optional(),
+  maxOverdueItems: Joi.number().integer().min(0).allow(null).optional(),
+});
+
+/* --------------------------------------------------------------
+   GET POLICIES – all stored rules
+   -------------------------------------------------------------- */
+export const getPolicies = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const policyModel = initLoanPolicyModel(db);
+    const rules = await policyModel.getRules();
+    res.json({ rules });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   RESOLVE POLICY – effective rules for a role and category
+   -------------------------------------------------------------- */
+export const resolvePolicy = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const policyModel = initLoanPolicyModel(db);
+    const { role = 'student', category = '*' } = req.query;
+    res.json(await policyModel.resolve(role, category));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   SAVE POLICY – create or update the rule for a role/category
+   -------------------------------------------------------------- */
+export const savePolicy = async (req, res) => {
+  const { error, value } = ruleSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const db = await connectDB();
+    const policyModel = initLoanPolicyModel(db);
+    const rule = await policyModel.upsertRule(value, req.user.id);
+    res.json({ message: 'Policy saved', rule });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/* --------------------------------------------------------------
+   DELETE POLICY – remove a rule
+   -------------------------------------------------------------- */
+export const deletePolicy = async (req, res) => {
+  try {
+    const db = await connectDB();
+    const policyModel = initLoanPolicyModel(db);
+    const result = await policyModel.deleteRule(req.params.id);
+    if (!result.success) {
+      const status = result.error === 'Rule not found' ? 404 : 400;
+      return res.status(status).json({ message: result.error });
+    }
+    res.json({ message: 'Policy deleted' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,58 @@
+// src/controllers/telebirrSimulatorController.js
+import { getSimulatedOrder, completeSimulatedOrder, simulatorEnabled } from '../utils/telebirrSimulator.js';
+import { escapeHtml } from '../utils/escapeHtml.js';
+
+// Development checkout pages for TELEBIRR_GATEWAY=simulator
+
+const page = (body) => `
+  <div style="max-width: 420px; margin: 60px auto; font-family: Arial; text-align: center;">
+    <h1 style="color: #0b7dda;">Telebirr <small style="color: #888; font-size: 14px;">(simulator)</small></h1>
+    ${body}
+  </div>
+`;
+
+/**
+ * Only reachable while the simulator is the active gateway
+ */
+export const simulatorOnly = (req, res, next) => {
+  if (!simulatorEnabled()) return res.status(404).json({ message: 'Not found' });
+  next();
+};
+
+/* --------------------------------------------------------------
+   CHECKOUT PAGE – what the customer sees instead of Telebirr
+   -------------------------------------------------------------- */
+export const showCheckout = (req, res) => {
+  const order = getSimulatedOrder(req.params.txRef);
+  if (!order) return res.status(404).send(page('<p>Order not found (the simulator forgets orders on restart).</p>'));
+
+  const action = `${req.baseUrl}/${encodeURIComponent(order.txRef)}`;
+  res.send(page(order.tradeStatus === 'Pending' ? `
+    <p>${escapeHtml(order.title)}</p>
+    <h2>ETB ${escapeHtml(order.amount)}</h2>
+    <p style="color: #888; font-size: 12px;">${escapeHtml(order.txRef)}</p>
+    <form method="post" action="${action}/pay" style="display: inline;">
+      <button style="background: #16a34a; color: white; border: 0; padding: 10px 24px; border-radius: 6px;">Pay</button>
+    </form>
+    <form method="post" action="${action}/decline" style="display: inline;">
+      <button style="background: #dc2626; color: white; border: 0; padding: 10px 24px; border-radius: 6px;">Decline</button>
+    </form>
+  ` : `<p>This order is ${escapeHtml(order.tradeStatus)}.</p>`));
+};
+
+/* --------------------------------------------------------------
+   PAY / DECLINE – settle the order and send the notification
+   -------------------------------------------------------------- */
+const complete = (paid) => async (req, res) => {
+  const order = await completeSimulatedOrder(req.params.txRef, paid);
+  if (!order) return res.status(404).send(page('<p>No open order with this reference.</p>'));
+
+  res.send(page(`
+    <h2>${paid ? '✅ Payment completed' : '❌ Payment declined'}</h2>
+    <p>${order.notified ? 'The library has been notified.' : 'The notification could not be delivered; the library will query the order instead.'}</p>
+    ${order.returnUrl ? `<p><a href="${escapeHtml(order.returnUrl)}">Back to the library</a></p>` : ''}
+  `));
+};
+
+export const payOrder = complete(true);
+export const declineOrder = complete(false);
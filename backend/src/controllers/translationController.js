@@ -491,6 +491,222 @@ const DEFAULT_TRANSLATIONS = [
       users: 'Users',
       report: 'Report',
       comment: 'Comment',
+
+      // === CLEARANCE ===
+      clearance: 'Clearance',
+      libraryClearance: 'Library Clearance',
+      graduationClearanceInfo: 'Get cleared by the library before graduation',
+      staffExitClearanceInfo: 'Get cleared by the library before leaving the university',
+      clearanceReviewInfo: 'Review graduation and staff exit clearance requests',
+      requestClearance: 'Request Clearance',
+      clearanceReasonPlaceholder: 'Note for the librarian (optional)',
+      clearanceHistory: 'Clearance requests',
+      noClearanceRequests: 'No clearance requests',
+      noOutstandingItems: 'No books on loan, unpaid fines or lost items.',
+      booksOnLoan: 'Books on loan',
+      unpaidFines: 'Unpaid fines',
+      lostItems: 'Lost items',
+      totalFines: 'Total fines',
+      downloadCertificate: 'Download certificate',
+      certificateNumber: 'Certificate No.',
+      approveAndIssue: 'Approve and issue certificate',
+      blockClearance: 'Block clearance',
+      blockReasonPlaceholder: 'Reason for blocking (shown to the patron)',
+      searchClearances: 'Search by ID, name or certificate number...',
+
+      // === TELEBIRR ===
+      payWithTelebirr: 'Pay with Telebirr',
+      waitingForTelebirr: 'Waiting for Telebirr to confirm your payment...',
+      completeBefore: 'Complete it before',
+      openTelebirrCheckout: 'Open Telebirr checkout',
+      telebirrPaid: 'Payment confirmed by Telebirr',
+      telebirrExpired: 'The payment was not completed in time. You can try again.',
+      telebirrFailed: 'The payment did not go through. You can try again.',
+      // === FINE / RETURN ===
+      finePaidBookOutstanding: 'Fine paid · book not yet returned',
+      fineWaivedBookOutstanding: 'Fine waived · book not yet returned',
+      returnAtDesk: 'Paying the fine does not return the book. Bring it to the library desk to check it in.',
+      fineOutstanding: 'Fine still owed',
+      fineAlreadyPaid: 'The fine was already paid',
+      // === DESK PAYMENTS ===
+      recordPayment: 'Record Payment',
+      recordPaymentDesc: 'Cash or bank-slip payment of a fine, taken at the desk',
+      paymentRecorded: 'Payment recorded',
+      receiptNumber: 'Receipt No.',
+      balanceRemaining: 'Balance remaining',
+      balanceOwed: 'Balance owed',
+      wholeBalance: 'Whole balance',
+      printReceipt: 'Print Receipt',
+      done: 'Done',
+      amount: 'Amount',
+      paymentMethod: 'Method',
+      cash: 'Cash',
+      bankSlip: 'Bank slip',
+      slipReference: 'Bank slip reference',
+      noteOptional: 'Note (optional)',
+      cashUp: 'Cash-Up',
+      dailyCashUp: 'Daily Cash-Up',
+      noDeskPayments: 'No desk payments were taken on this day.',
+      receipts: 'receipts',
+      dayTotal: 'Day total',
+      // === PAYMENTS CONSOLE ===
+      payments: 'Payments',
+      paymentsConsoleInfo: 'Search payments, reconcile provider settlements and issue refunds',
+      importSettlement: 'Import settlement',
+      flaggedPayments: 'Flagged by reconciliation',
+      searchPayments: 'Search by user, reference or receipt...',
+      allMethods: 'All methods',
+      allStatuses: 'All statuses',
+      reconciliation: 'Reconciliation',
+      date: 'Date',
+      reference: 'Reference',
+      noPayments: 'No payments found',
+      paid: 'Paid',
+      refunded: 'Refunded',
+      reason: 'Reason',
+      receivedBy: 'Received by',
+      providerReported: 'Provider reported',
+      ledgerEntries: 'Ledger entries',
+      auditTrail: 'Audit trail',
+      reasonForAudit: 'Reason (kept in the audit trail)',
+      refundReference: 'Transfer reference',
+      refund: 'Refund',
+      reversePayment: 'Reverse payment',
+      resolveFlag: 'Mark flag as resolved',
+      reconcile: 'Reconcile',
+      settlementHint: 'CSV export from the provider with a reference (tx_ref / merch_order_id), amount, status and date column.',
+      matched: 'Matched',
+      mismatched: 'Mismatched',
+      unknownToUs: 'Unknown to us',
+      missingFromSettlement: 'Missing from file',
+      previousImports: 'Previous imports',
+      // === BORROWING BLOCK ===
+      borrowingBlocked: 'Borrowing is blocked for this patron',
+      overrideReason: 'Override reason (required to lend anyway)',
+      overrideReasonPlaceholder: 'e.g. Exam week, payment promised by Friday',
+      blockOverridden: 'Borrowing block overridden',
+      // === LOST / DAMAGED ===
+      lost: 'Lost',
+      damaged: 'Damaged',
+      reversed: 'reversed',
+      charged: 'charged',
+      replacementCost: 'Replacement cost',
+      processingFee: 'Processing fee',
+      chargedWhenLost: 'Charged when a copy is lost or damaged',
+      fromBookRecord: 'From the book record',
+      condition: 'Condition',
+      lostOrDamaged: 'Lost / Damaged',
+      declareLostOrDamaged: 'Declare Lost or Damaged',
+      declareLost: 'Declare Lost',
+      declareDamaged: 'Declare Damaged',
+      declareLossInfo: 'The patron is charged the replacement cost and processing fee, overdue fines stop and the copy is taken out of circulation.',
+      found: 'Found',
+      markFound: 'Mark as Found',
+      lostBookFound: 'Lost Book Found',
+      foundInfo: 'The replacement cost is taken back and the copy returns to the shelf. The processing fee stays.',
+      reportLost: 'Report Lost',
+      reportLostConfirm: 'Report this book as lost? You will be charged its replacement cost and a processing fee. If it turns up later, bring it to the library desk and the replacement cost is taken back.',
+      // === AMNESTY ===
+      amnesty: 'Fine Amnesty',
+      forgivenOnPayment: 'forgiven when paying',
+      amnestyInfo: "Forgive part of patrons' fines for a limited time, applied when books come back or fines are paid",
+      newAmnesty: 'New amnesty',
+      createAmnesty: 'Create amnesty',
+      cancelAmnestyConfirm: 'Stop this amnesty now? What it already forgave stands.',
+      noAmnesties: 'No amnesties yet',
+      amnestyName: 'Name, e.g. End of semester amnesty',
+      startsAt: 'Starts',
+      endsAt: 'Ends',
+      period: 'Period',
+      waived: 'Waived',
+      waivePercent: 'Percent of the fine forgiven',
+      fineCategories: 'Fines covered',
+      amnestyRoles: 'Patron roles (none = everyone)',
+      amnestyDepartments: 'Departments, comma separated (empty = all)',
+      appliesTo: 'Applies to',
+      forgiven: 'Forgiven',
+      waivers: 'Waivers',
+      patrons: 'Patrons',
+      loans: 'Loans',
+      byTrigger: 'Applied on',
+      byRole: 'By role',
+      byDepartment: 'By department',
+      department: 'Department',
+      description: 'Description',
+      noDepartment: 'No department',
+      nothingForgivenYet: 'Nothing forgiven yet',
+      // === BIBLIOGRAPHIC ===
+      bibliographicDetails: 'Bibliographic details',
+      author: 'Author',
+      authors: 'Authors',
+      addAuthor: 'Add author',
+      removeAuthor: 'Remove',
+      authorRole: 'Role',
+      role_author: 'Author',
+      role_editor: 'Editor',
+      role_translator: 'Translator',
+      role_illustrator: 'Illustrator',
+      role_compiler: 'Compiler',
+      role_contributor: 'Contributor',
+      subjects: 'Subjects',
+      subjectsHint: 'Separate subjects with commas',
+      edition: 'Edition',
+      publicationYear: 'Publication year',
+      language: 'Language',
+      pages: 'Pages',
+      series: 'Series',
+      seriesNumber: 'Number in series',
+      summary: 'Summary',
+      viewDetails: 'View details',
+      // === CATALOG TRANSFER ===
+      importExport: 'Import / Export',
+      importMarc: 'Import MARC records',
+      whenIsbnExists: 'When the ISBN is already catalogued',
+      skipRecord: 'Skip the record',
+      updateExistingBook: 'Update the existing book',
+      bookIdSource: 'Book ID',
+      assignNewIds: 'Assign new IDs',
+      useControlNumber: 'Use the control number (001)',
+      copiesPerNewBook: 'Copies per new book',
+      preview: 'Preview',
+      importPreview: 'Preview – nothing saved yet',
+      importDone: 'Import finished',
+      import_create: 'New',
+      import_update: 'Update',
+      import_skip: 'Skipped',
+      import_invalid: 'Invalid',
+      exportMarc: 'Export as MARC',
+      onlyMatchingSearch: 'Only books matching the current search',
+      export: 'Export',
+      importFailed: 'Import failed',
+      exportFailed: 'Export failed',
+      importSpreadsheet: 'Import from CSV or Excel',
+      downloadTemplate: 'Template',
+      matchBooksBy: 'Match books by',
+      whenBookExists: 'When the book is already catalogued',
+      reportAsError: 'Report an error',
+      ignoredColumns: 'Columns not recognised, ignored',
+      downloadReport: 'Download report',
+
+      // === CATALOG SEARCH ===
+      sortBy: 'Sort by',
+      sortRelevance: 'Best match',
+      sortTitleAsc: 'Title A–Z',
+      sortTitleDesc: 'Title Z–A',
+      sortYearAsc: 'Oldest first',
+      sortYearDesc: 'Newest publication first',
+      sortRecentlyAdded: 'Recently added',
+      sortMostAvailable: 'Most copies available',
+      allCategories: 'All categories',
+      allPublishers: 'All publishers',
+      allLanguages: 'All languages',
+      yearFrom: 'From year',
+      yearTo: 'To year',
+      availability: 'Availability',
+      anyAvailability: 'Any availability',
+      availableNow: 'Available now',
+      allCopiesOut: 'All copies out',
+      clearFilters: 'Clear filters',
       post: 'Post',
       librarySystem: 'Library System',
       admin: 'Admin',
@@ -1102,6 +1318,220 @@ const DEFAULT_TRANSLATIONS = [
       users: 'ተጠቃሚዎች',
       report: 'ሪፖርት',
       comment: 'አስተያየት',
+
+      // === CLEARANCE ===
+      clearance: 'ክሊራንስ',
+      libraryClearance: 'የቤተ መጻሕፍት ክሊራንስ',
+      graduationClearanceInfo: 'ከመመረቅዎ በፊት ከቤተ መጻሕፍት ክሊራንስ ያግኙ',
+      staffExitClearanceInfo: 'ከዩኒቨርሲቲው ከመልቀቅዎ በፊት ከቤተ መጻሕፍት ክሊራንስ ያግኙ',
+      clearanceReviewInfo: 'የምረቃ እና የሠራተኛ መልቀቂያ ክሊራንስ ጥያቄዎችን ይገምግሙ',
+      requestClearance: 'ክሊራንስ ይጠይቁ',
+      clearanceReasonPlaceholder: 'ለቤተ መጻሕፍት ባለሙያው ማስታወሻ (አማራጭ)',
+      clearanceHistory: 'የክሊራንስ ጥያቄዎች',
+      noClearanceRequests: 'ምንም የክሊራንስ ጥያቄ የለም',
+      noOutstandingItems: 'በውሰት ላይ ያለ መጽሐፍ፣ ያልተከፈለ ቅጣት ወይም የጠፋ ንብረት የለም።',
+      booksOnLoan: 'በውሰት ላይ ያሉ መጻሕፍት',
+      unpaidFines: 'ያልተከፈሉ ቅጣቶች',
+      lostItems: 'የጠፉ ንብረቶች',
+      totalFines: 'ጠቅላላ ቅጣት',
+      downloadCertificate: 'ሰርተፍኬት ያውርዱ',
+      certificateNumber: 'የሰርተፍኬት ቁጥር',
+      approveAndIssue: 'አጽድቅ እና ሰርተፍኬት ስጥ',
+      blockClearance: 'ክሊራንስ አግድ',
+      blockReasonPlaceholder: 'የእገዳው ምክንያት (ለተጠቃሚው ይታያል)',
+      searchClearances: 'በመለያ፣ በስም ወይም በሰርተፍኬት ቁጥር ይፈልጉ...',
+
+      // === TELEBIRR ===
+      payWithTelebirr: 'በቴሌብር ይክፈሉ',
+      waitingForTelebirr: 'ቴሌብር ክፍያዎን እስኪያረጋግጥ በመጠበቅ ላይ...',
+      completeBefore: 'ከዚህ ሰዓት በፊት ያጠናቅቁ',
+      openTelebirrCheckout: 'የቴሌብር መክፈያ ገጽ ይክፈቱ',
+      telebirrPaid: 'ክፍያው በቴሌብር ተረጋግጧል',
+      telebirrExpired: 'ክፍያው በጊዜው አልተጠናቀቀም። እንደገና መሞከር ይችላሉ።',
+      telebirrFailed: 'ክፍያው አልተሳካም። እንደገና መሞከር ይችላሉ።',
+      finePaidBookOutstanding: 'ቅጣት ተከፍሏል · መጽሐፉ ገና አልተመለሰም',
+      fineWaivedBookOutstanding: 'ቅጣት ተሰርዟል · መጽሐፉ ገና አልተመለሰም',
+      returnAtDesk: 'ቅጣቱን መክፈል መጽሐፉን አይመልስም። ለመመለስ መጽሐፉን ወደ ቤተ መጻሕፍቱ ጠረጴዛ ያምጡ።',
+      fineOutstanding: 'ያልተከፈለ ቅጣት',
+      fineAlreadyPaid: 'ቅጣቱ ቀድሞ ተከፍሏል',
+      recordPayment: 'ክፍያ መዝግብ',
+      recordPaymentDesc: 'በጠረጴዛ የተቀበሉት የቅጣት ክፍያ በጥሬ ገንዘብ ወይም በባንክ ደረሰኝ',
+      paymentRecorded: 'ክፍያው ተመዝግቧል',
+      receiptNumber: 'የደረሰኝ ቁጥር',
+      balanceRemaining: 'ቀሪ ሂሳብ',
+      balanceOwed: 'ያልተከፈለ ሂሳብ',
+      wholeBalance: 'ጠቅላላ ሂሳብ',
+      printReceipt: 'ደረሰኝ አትም',
+      done: 'ተጠናቋል',
+      amount: 'መጠን',
+      paymentMethod: 'የክፍያ ዘዴ',
+      cash: 'ጥሬ ገንዘብ',
+      bankSlip: 'የባንክ ደረሰኝ',
+      slipReference: 'የባንክ ደረሰኝ ቁጥር',
+      noteOptional: 'ማስታወሻ (አማራጭ)',
+      cashUp: 'የዕለት ሂሳብ',
+      dailyCashUp: 'የዕለት ገንዘብ ሂሳብ',
+      noDeskPayments: 'በዚህ ቀን የጠረጴዛ ክፍያ አልተቀበለም።',
+      receipts: 'ደረሰኞች',
+      dayTotal: 'የቀኑ ድምር',
+      // === PAYMENTS CONSOLE ===
+      payments: 'ክፍያዎች',
+      paymentsConsoleInfo: 'ክፍያዎችን ይፈልጉ፣ የአቅራቢ ሂሳቦችን ያስታርቁ እና ተመላሽ ያድርጉ',
+      importSettlement: 'የሂሳብ ማስታረቂያ ያስገቡ',
+      flaggedPayments: 'በማስታረቅ የተጠቆሙ',
+      searchPayments: 'በተጠቃሚ፣ በማጣቀሻ ወይም በደረሰኝ ይፈልጉ...',
+      allMethods: 'ሁሉም ዘዴዎች',
+      allStatuses: 'ሁሉም ሁኔታዎች',
+      reconciliation: 'ማስታረቅ',
+      date: 'ቀን',
+      reference: 'ማጣቀሻ',
+      noPayments: 'ምንም ክፍያ አልተገኘም',
+      paid: 'የተከፈለ',
+      refunded: 'ተመላሽ የተደረገ',
+      reason: 'ምክንያት',
+      receivedBy: 'የተቀበለው',
+      providerReported: 'አቅራቢው ያሳወቀው',
+      ledgerEntries: 'የሂሳብ መዝገብ ግቤቶች',
+      auditTrail: 'የኦዲት መዝገብ',
+      reasonForAudit: 'ምክንያት (በኦዲት መዝገብ ይቀመጣል)',
+      refundReference: 'የዝውውር ማጣቀሻ',
+      refund: 'ተመላሽ',
+      reversePayment: 'ክፍያውን ይሰርዙ',
+      resolveFlag: 'ጥቆማውን እንደተፈታ ምልክት ያድርጉ',
+      reconcile: 'አስታርቅ',
+      settlementHint: 'ከአቅራቢው የወጣ CSV ማጣቀሻ (tx_ref / merch_order_id)፣ መጠን፣ ሁኔታ እና ቀን አምድ ያለው።',
+      matched: 'የተዛመዱ',
+      mismatched: 'ያልተዛመዱ',
+      unknownToUs: 'በእኛ ያልታወቁ',
+      missingFromSettlement: 'በፋይሉ የሌሉ',
+      previousImports: 'ቀደም ያሉ ማስገቢያዎች',
+      // === BORROWING BLOCK ===
+      borrowingBlocked: 'ይህ ተጠቃሚ መዋስ ታግዷል',
+      overrideReason: 'የማለፊያ ምክንያት (ለማዋስ ያስፈልጋል)',
+      overrideReasonPlaceholder: 'ለምሳሌ፦ የፈተና ሳምንት፣ እስከ አርብ ለመክፈል ቃል ገብቷል',
+      blockOverridden: 'የመዋስ እገዳው ታልፏል',
+      // === LOST / DAMAGED ===
+      lost: 'የጠፋ',
+      damaged: 'የተበላሸ',
+      reversed: 'ተመልሷል',
+      charged: 'ተከፍሏል',
+      replacementCost: 'የመተኪያ ዋጋ',
+      processingFee: 'የአገልግሎት ክፍያ',
+      chargedWhenLost: 'ቅጂ ሲጠፋ ወይም ሲበላሽ የሚከፈል',
+      fromBookRecord: 'ከመጽሐፉ መዝገብ',
+      condition: 'ሁኔታ',
+      lostOrDamaged: 'የጠፋ / የተበላሸ',
+      declareLostOrDamaged: 'መጥፋቱን ወይም መበላሸቱን ያሳውቁ',
+      declareLost: 'መጥፋቱን ያሳውቁ',
+      declareDamaged: 'መበላሸቱን ያሳውቁ',
+      declareLossInfo: 'ተዋሹ የመተኪያ ዋጋ እና የአገልግሎት ክፍያ ይከፍላል፣ የዘገየ ቅጣት ይቆማል እና ቅጂው ከስርጭት ይወጣል።',
+      found: 'ተገኝቷል',
+      markFound: 'እንደተገኘ ምልክት ያድርጉ',
+      lostBookFound: 'የጠፋ መጽሐፍ ተገኘ',
+      foundInfo: 'የመተኪያ ዋጋው ይመለሳል እና ቅጂው ወደ መደርደሪያ ይመለሳል። የአገልግሎት ክፍያው ይቀራል።',
+      reportLost: 'መጥፋቱን ያሳውቁ',
+      reportLostConfirm: 'ይህ መጽሐፍ እንደጠፋ ያሳውቃሉ? የመተኪያ ዋጋውን እና የአገልግሎት ክፍያ ይከፍላሉ። በኋላ ከተገኘ ወደ ቤተ መጻሕፍት ጠረጴዛ ያምጡት፣ የመተኪያ ዋጋው ይመለሳል።',
+      // === AMNESTY ===
+      amnesty: 'የቅጣት ምህረት',
+      forgivenOnPayment: 'ሲከፈል ይቀነሳል',
+      amnestyInfo: 'መጻሕፍት ሲመለሱ ወይም ቅጣት ሲከፈል የሚተገበር፣ ለተወሰነ ጊዜ የተጠቃሚዎችን ቅጣት በከፊል ይማሩ',
+      newAmnesty: 'አዲስ ምህረት',
+      createAmnesty: 'ምህረት ፍጠር',
+      cancelAmnestyConfirm: 'ይህን ምህረት አሁን ያቁሙ? እስካሁን የተማረው እንዳለ ይቆያል።',
+      noAmnesties: 'እስካሁን ምንም ምህረት የለም',
+      amnestyName: 'ስም፣ ለምሳሌ የሴሚስተር መጨረሻ ምህረት',
+      startsAt: 'ይጀምራል',
+      endsAt: 'ያበቃል',
+      period: 'ጊዜ',
+      waived: 'የተማረ',
+      waivePercent: 'የሚማረው የቅጣት መቶኛ',
+      fineCategories: 'የሚሸፈኑ ቅጣቶች',
+      amnestyRoles: 'የተጠቃሚ ሚናዎች (ባዶ = ሁሉም)',
+      amnestyDepartments: 'ክፍሎች፣ በኮማ የተለዩ (ባዶ = ሁሉም)',
+      appliesTo: 'የሚመለከተው',
+      forgiven: 'የተማረ',
+      waivers: 'ምህረቶች',
+      patrons: 'ተጠቃሚዎች',
+      loans: 'ውሰቶች',
+      byTrigger: 'የተተገበረው በ',
+      byRole: 'በሚና',
+      byDepartment: 'በክፍል',
+      department: 'ክፍል',
+      description: 'መግለጫ',
+      noDepartment: 'ክፍል የለም',
+      nothingForgivenYet: 'እስካሁን የተማረ የለም',
+      // === BIBLIOGRAPHIC ===
+      bibliographicDetails: 'የመጽሐፉ ዝርዝር መረጃ',
+      author: 'ደራሲ',
+      authors: 'ደራሲዎች',
+      addAuthor: 'ደራሲ ጨምር',
+      removeAuthor: 'አስወግድ',
+      authorRole: 'ሚና',
+      role_author: 'ደራሲ',
+      role_editor: 'አርታኢ',
+      role_translator: 'ተርጓሚ',
+      role_illustrator: 'ሥዕል ሠሪ',
+      role_compiler: 'አጠናቃሪ',
+      role_contributor: 'አስተዋጽኦ አድራጊ',
+      subjects: 'ርዕሰ ጉዳዮች',
+      subjectsHint: 'ርዕሰ ጉዳዮችን በኮማ ይለዩ',
+      edition: 'እትም',
+      publicationYear: 'የታተመበት ዓመት',
+      language: 'ቋንቋ',
+      pages: 'ገጾች',
+      series: 'ተከታታይ',
+      seriesNumber: 'በተከታታዩ ውስጥ ቁጥር',
+      summary: 'ማጠቃለያ',
+      viewDetails: 'ዝርዝር እይ',
+      // === CATALOG TRANSFER ===
+      importExport: 'አስገባ / ላክ',
+      importMarc: 'የMARC መዛግብትን አስገባ',
+      whenIsbnExists: 'ISBN ቀድሞ ካታሎግ ከተደረገ',
+      skipRecord: 'መዝገቡን ዝለል',
+      updateExistingBook: 'ያለውን መጽሐፍ አዘምን',
+      bookIdSource: 'የመጽሐፍ መለያ',
+      assignNewIds: 'አዲስ መለያ ስጥ',
+      useControlNumber: 'የቁጥጥር ቁጥሩን (001) ተጠቀም',
+      copiesPerNewBook: 'ለእያንዳንዱ አዲስ መጽሐፍ ቅጂዎች',
+      preview: 'ቅድመ እይታ',
+      importPreview: 'ቅድመ እይታ – ገና ምንም አልተቀመጠም',
+      importDone: 'ማስገባቱ ተጠናቋል',
+      import_create: 'አዲስ',
+      import_update: 'ማዘመን',
+      import_skip: 'የተዘለለ',
+      import_invalid: 'ልክ ያልሆነ',
+      exportMarc: 'በMARC ላክ',
+      onlyMatchingSearch: 'ከአሁኑ ፍለጋ ጋር የሚዛመዱ መጻሕፍት ብቻ',
+      export: 'ላክ',
+      importFailed: 'ማስገባት አልተሳካም',
+      exportFailed: 'መላክ አልተሳካም',
+      importSpreadsheet: 'ከCSV ወይም ከExcel አስገባ',
+      downloadTemplate: 'አብነት',
+      matchBooksBy: 'መጻሕፍትን አዛምድ በ',
+      whenBookExists: 'መጽሐፉ አስቀድሞ ካታሎግ ከተደረገ',
+      reportAsError: 'እንደ ስህተት ሪፖርት አድርግ',
+      ignoredColumns: 'ያልታወቁ አምዶች፣ ችላ ተብለዋል',
+      downloadReport: 'ሪፖርት አውርድ',
+
+      // === CATALOG SEARCH ===
+      sortBy: 'ደርድር በ',
+      sortRelevance: 'ምርጥ ተዛማጅ',
+      sortTitleAsc: 'ርዕስ ሀ–ፐ',
+      sortTitleDesc: 'ርዕስ ፐ–ሀ',
+      sortYearAsc: 'የቆዩት መጀመሪያ',
+      sortYearDesc: 'አዲስ የታተሙት መጀመሪያ',
+      sortRecentlyAdded: 'በቅርቡ የተጨመሩ',
+      sortMostAvailable: 'ብዙ ቅጂ ያላቸው',
+      allCategories: 'ሁሉም ምድቦች',
+      allPublishers: 'ሁሉም አሳታሚዎች',
+      allLanguages: 'ሁሉም ቋንቋዎች',
+      yearFrom: 'ከዓመት',
+      yearTo: 'እስከ ዓመት',
+      availability: 'ተገኝነት',
+      anyAvailability: 'ማንኛውም ተገኝነት',
+      availableNow: 'አሁን የሚገኙ',
+      allCopiesOut: 'ሁሉም ቅጂዎች ተውሰዋል',
+      clearFilters: 'ማጣሪያዎችን አጽዳ',
       post: 'ልጣፍ',
       logout: 'ውጣ',
       librarySystem: 'ቤተ መጻሕፍት ሲስተም',
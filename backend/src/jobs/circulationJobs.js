@@ -0,0 +1,180 @@
+// src/jobs/circulationJobs.js
+import { registerJob } from './scheduler.js';
+import { initHoldModel } from '../models/holdModel.js';
+import { initLoanPolicyModel } from '../models/loanPolicyModel.js';
+import { initFineModel } from '../models/fineModel.js';
+import { notifyUser } from '../utils/notify.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const DUE_SOON_WINDOW_MS = DAY;        // remind when a loan is due within a day
+const OVERDUE_REMINDER_GAP_MS = DAY;   // at most one overdue reminder per loan per day
+
+const titleOf = borrow => borrow.bookTitle || borrow.bookName || borrow.bookId;
+
+/* --------------------------------------------------------------
+   EXPIRE REQUESTS – approved requests not picked up in time
+   -------------------------------------------------------------- */
+registerJob('expire-requests', {
+  description: 'Expire approved requests whose pickup window has passed, and serve holds passed over while blocked or at the loan limit',
+  intervalMs: 15 * MINUTE,
+  run: async (db) => {
+    const holdModel = initHoldModel(db);
+    const expired = await holdModel.expireUncollected();
+    const promoted = await holdModel.promoteWaiting();
+    return { expired: expired.length, promoted: promoted.length };
+  },
+});
+
+/* --------------------------------------------------------------
+   DUE-SOON REMINDERS – one reminder per loan before it falls due
+   -------------------------------------------------------------- */
+registerJob('due-soon-reminders', {
+  description: 'Remind borrowers of loans due within 24 hours',
+  intervalMs: HOUR,
+  run: async (db) => {
+    const now = new Date();
+
+    // Renewals move the due date, so the reminder is tied to the date it was sent for
+    const pending = await db.collection('borrows').find({
+      status: 'borrowed',
+      returnedAt: null,
+      dueDate: { $gt: now, $lte: new Date(now.getTime() + DUE_SOON_WINDOW_MS) },
+    }).toArray();
+
+    let sent = 0;
+    for (const borrow of pending) {
+      const dueDate = new Date(borrow.dueDate);
+      if (borrow.dueSoonRemindedFor && new Date(borrow.dueSoonRemindedFor).getTime() === dueDate.getTime()) continue;
+
+      await notifyUser(db, borrow.userId, {
+        type: 'due_soon',
+        subject: 'Book due soon',
+        message: `"${titleOf(borrow)}" is due back on ${dueDate.toLocaleString()}. Please return or renew it to avoid a fine.`,
+        data: { borrowId: borrow._id, bookId: borrow.bookId, dueDate },
+      });
+      await db.collection('borrows').updateOne(
+        { _id: borrow._id },
+        { $set: { dueSoonRemindedAt: now, dueSoonRemindedFor: dueDate } }
+      );
+      sent++;
+    }
+
+    return { dueSoon: pending.length, sent };
+  },
+});
+
+/* --------------------------------------------------------------
+   OVERDUE REMINDERS – repeated daily while the book is out
+   -------------------------------------------------------------- */
+registerJob('overdue-reminders', {
+  description: 'Remind borrowers of overdue loans (at most once a day per loan)',
+  intervalMs: 6 * HOUR,
+  run: async (db) => {
+    const now = new Date();
+    const policyModel = initLoanPolicyModel(db);
+
+    const loans = await db.collection('borrows').find({
+      status: 'borrowed',
+      returnedAt: null,
+      dueDate: { $lt: now },
+      $or: [
+        { overdueRemindedAt: null },
+        { overdueRemindedAt: { $lt: new Date(now.getTime() - OVERDUE_REMINDER_GAP_MS) } },
+      ],
+    }).toArray();
+
+    for (const borrow of loans) {
+      const fine = await policyModel.fineForBorrow(borrow, now);
+      const daysLate = Math.ceil((now - new Date(borrow.dueDate)) / DAY);
+
+      await notifyUser(db, borrow.userId, {
+        type: 'overdue',
+        subject: 'Overdue book',
+        message: `"${titleOf(borrow)}" is ${daysLate} day(s) overdue. Your fine so far is ${fine} ETB. Please return it as soon as possible.`,
+        data: { borrowId: borrow._id, bookId: borrow.bookId, dueDate: borrow.dueDate, fine },
+      });
+      await db.collection('borrows').updateOne(
+        { _id: borrow._id },
+        { $set: { overdueRemindedAt: now }, $inc: { overdueReminderCount: 1 } }
+      );
+    }
+
+    return { sent: loans.length };
+  },
+});
+
+/* --------------------------------------------------------------
+   RECOMPUTE FINES – post overdue growth to the fines ledger
+   -------------------------------------------------------------- */
+registerJob('recompute-fines', {
+  description: 'Charge the fines ledger for overdue loans and uncharged returns',
+  intervalMs: HOUR,
+  run: async (db) => await initFineModel(db).accrue(),
+});
+
+/* --------------------------------------------------------------
+   CIRCULATION REPORTS – daily and weekly summaries for admins
+   -------------------------------------------------------------- */
+const buildReport = async (db, period, from, to) => {
+  const borrows = db.collection('borrows');
+  const [requested, borrowed, returned, expired, overdue, activeLoans, finesCollected] = await Promise.all([
+    borrows.countDocuments({ requestedAt: { $gte: from, $lt: to } }),
+    borrows.countDocuments({ borrowedAt: { $gte: from, $lt: to } }),
+    borrows.countDocuments({ returnedAt: { $gte: from, $lt: to } }),
+    borrows.countDocuments({ expiredAt: { $gte: from, $lt: to } }),
+    borrows.countDocuments({ status: 'borrowed', returnedAt: null, dueDate: { $lt: to } }),
+    borrows.countDocuments({ status: 'borrowed', returnedAt: null }),
+    initFineModel(db).totals({ from, to }),
+  ]);
+
+  const report = {
+    period,
+    from,
+    to,
+    stats: {
+      requested,
+      borrowed,
+      returned,
+      expired,
+      overdue,
+      activeLoans,
+      finesCollected: finesCollected.collected,
+    },
+    createdAt: new Date(),
+  };
+  const result = await db.collection('circulationReports').insertOne(report);
+
+  const admins = await db.collection('users').find({ role: 'admin' }, { projection: { id: 1 } }).toArray();
+  const { stats } = report;
+  for (const admin of admins) {
+    await notifyUser(db, admin.id, {
+      type: 'circulation_report',
+      subject: `${period === 'daily' ? 'Daily' : 'Weekly'} circulation report`,
+      message: `${from.toLocaleDateString()} – ${to.toLocaleDateString()}: ${stats.borrowed} borrowed, ${stats.returned} returned, ${stats.requested} requested, ${stats.expired} expired. ${stats.overdue} loans overdue of ${stats.activeLoans} active. Fines collected: ${stats.finesCollected} ETB.`,
+      data: { reportId: result.insertedId },
+    });
+  }
+
+  return { reportId: result.insertedId, ...stats };
+};
+
+registerJob('daily-report', {
+  description: 'Summarise the last 24 hours of circulation for admins',
+  intervalMs: DAY,
+  run: async (db) => {
+    const to = new Date();
+    return await buildReport(db, 'daily', new Date(to.getTime() - DAY), to);
+  },
+});
+
+registerJob('weekly-report', {
+  description: 'Summarise the last 7 days of circulation for admins',
+  intervalMs: 7 * DAY,
+  run: async (db) => {
+    const to = new Date();
+    return await buildReport(db, 'weekly', new Date(to.getTime() - 7 * DAY), to);
+  },
+});
@@ -0,0 +1,46 @@
+// src/jobs/paymentJobs.js
+import { registerJob } from './scheduler.js';
+import { initPaymentModel } from '../models/paymentModel.js';
+import { initPaymentWebhookModel } from '../models/paymentWebhookModel.js';
+
+const MINUTE = 60 * 1000;
+
+// Grace after the checkout window so a late webhook can still land first
+const CHECKOUT_GRACE_MS = 2 * MINUTE;
+
+/* --------------------------------------------------------------
+   EXPIRE ONLINE PAYMENTS – checkouts that never completed
+   -------------------------------------------------------------- */
+registerJob('expire-online-payments', {
+  description: 'Settle or expire online payments whose checkout window has closed',
+  intervalMs: 5 * MINUTE,
+  run: async (db) => {
+    const paymentModel = initPaymentModel(db);
+    const stale = await db.collection('payments').find({
+      status: 'pending',
+      expiresAt: { $lt: new Date(Date.now() - CHECKOUT_GRACE_MS) },
+    }).toArray();
+
+    const counts = { completed: 0, failed: 0, expired: 0, errors: 0 };
+    for (const payment of stale) {
+      try {
+        const { payment: settled, processed } = await paymentModel.confirmWithProvider(payment, { expire: true });
+        if (processed) counts[settled.status] = (counts[settled.status] || 0) + 1;
+      } catch (e) {
+        // Provider unreachable: leave it pending and try again next run
+        console.error(`Payment reconcile failed for ${payment.tx_ref}:`, e.message);
+        counts.errors++;
+      }
+    }
+    return { checked: stale.length, ...counts };
+  },
+});
+
+/* --------------------------------------------------------------
+   PAYMENT WEBHOOKS – retry inbox events that failed to process
+   -------------------------------------------------------------- */
+registerJob('retry-payment-webhooks', {
+  description: 'Process payment webhooks that are waiting in the inbox or failed earlier',
+  intervalMs: MINUTE,
+  run: async (db) => await initPaymentWebhookModel(db).processDue(),
+});
@@ -0,0 +1,193 @@
+// src/jobs/scheduler.js
+import os from 'os';
+import { connectDB } from '../config/db.js';
+
+/**
+ * In-process job scheduler.
+ *
+ * Job definitions live in memory (registerJob); their schedule and state live
+ * in the 'jobs' collection so a restart picks up where it left off instead of
+ * running everything again. Before a job runs, the instance takes a lease on
+ * its document (lockedUntil), so two server processes sharing the database
+ * never run the same job at once. Every run is recorded in 'jobRuns'.
+ */
+
+const TICK_MS = 30 * 1000;        // how often due jobs are looked for
+const LOCK_MS = 10 * 60 * 1000;   // lease length; a crashed run is retried after this
+
+const instanceId = `${os.hostname()}-${process.pid}`;
+const registry = new Map();
+
+let db = null;
+let timer = null;
+let ticking = false;
+
+/**
+ * Add a job definition. run(db) may return a small summary object that is
+ * stored with the run.
+ */
+export const registerJob = (name, { description = '', intervalMs, run }) => {
+  registry.set(name, { name, description, intervalMs, run });
+};
+
+/**
+ * Names and descriptions of the registered jobs
+ */
+export const listRegisteredJobs = () => [...registry.values()].map(({ name, description, intervalMs }) => ({
+  name,
+  description,
+  defaultIntervalMs: intervalMs,
+}));
+
+/**
+ * Create state documents for new jobs; existing schedules are kept
+ */
+const ensureJobDocs = async () => {
+  for (const job of registry.values()) {
+    await db.collection('jobs').updateOne(
+      { _id: job.name },
+      {
+        $setOnInsert: {
+          intervalMs: job.intervalMs,
+          enabled: true,
+          nextRunAt: new Date(),
+          lockedUntil: null,
+          lockedBy: null,
+          runCount: 0,
+          failCount: 0,
+          createdAt: new Date(),
+        },
+        $set: { description: job.description },
+      },
+      { upsert: true }
+    );
+  }
+};
+
+/**
+ * Take the lease on a job. Without force the job must also be enabled and due.
+ */
+const acquire = async (name, { force = false } = {}) => {
+  const now = new Date();
+  const query = {
+    _id: name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+  };
+  if (!force) {
+    query.enabled = true;
+    query.nextRunAt = { $lte: now };
+  }
+
+  return await db.collection('jobs').findOneAndUpdate(
+    query,
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS), lockedBy: instanceId } },
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Run a leased job, record the run and schedule the next one
+ */
+const execute = async (job, triggeredBy) => {
+  const definition = registry.get(job._id);
+  const startedAt = new Date();
+  let status = 'success';
+  let result = null;
+  let error = null;
+
+  try {
+    result = (await definition.run(db)) ?? null;
+  } catch (e) {
+    status = 'failed';
+    error = e.message;
+    console.error(`Job ${job._id} failed:`, e);
+  }
+
+  const finishedAt = new Date();
+  const run = {
+    job: job._id,
+    triggeredBy,
+    instance: instanceId,
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    status,
+    result,
+    error,
+  };
+  await db.collection('jobRuns').insertOne(run);
+
+  await db.collection('jobs').updateOne(
+    { _id: job._id, lockedBy: instanceId },
+    {
+      $set: {
+        lockedUntil: null,
+        lockedBy: null,
+        lastRunAt: startedAt,
+        lastStatus: status,
+        lastError: error,
+        lastDurationMs: run.durationMs,
+        nextRunAt: new Date(startedAt.getTime() + job.intervalMs),
+      },
+      $inc: { runCount: 1, failCount: status === 'failed' ? 1 : 0 },
+    }
+  );
+
+  return run;
+};
+
+/**
+ * Run every job that is due (one at a time)
+ */
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+  try {
+    for (const name of registry.keys()) {
+      const job = await acquire(name);
+      if (job) await execute(job, 'schedule');
+    }
+  } catch (e) {
+    console.error('Scheduler tick failed:', e);
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Start checking for due jobs
+ */
+export const startScheduler = async () => {
+  if (timer) return;
+  db = await connectDB();
+  await ensureJobDocs();
+
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  console.log(`⏱️  Job scheduler started (${registry.size} jobs)`);
+  tick();
+};
+
+/**
+ * Stop the scheduler (running jobs finish on their own)
+ */
+export const stopScheduler = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Run a job immediately, outside its schedule
+ */
+export const runJobNow = async (name, triggeredBy) => {
+  if (!registry.has(name)) return { error: 'Job not found' };
+  if (!db) {
+    db = await connectDB();
+    await ensureJobDocs();
+  }
+
+  const job = await acquire(name, { force: true });
+  if (!job) return { error: 'Job is already running' };
+
+  return { run: await execute(job, triggeredBy) };
+};
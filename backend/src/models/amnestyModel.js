@@ -0,0 +1,329 @@
+// models/amnestyModel.js
+import { ObjectId } from 'mongodb';
+import { FineModel, FINE_CHARGE_CATEGORIES } from './fineModel.js';
+
+export const AMNESTY_TRIGGERS = ['return', 'payment'];
+
+// Charge categories a campaign can forgive
+export const AMNESTY_CATEGORIES = FINE_CHARGE_CATEGORIES;
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Where a campaign stands at a moment: scheduled, running, ended or cancelled
+ */
+export const amnestyState = (campaign, at = new Date()) => {
+  if (campaign.cancelledAt) return 'cancelled';
+  if (at < campaign.startsAt) return 'scheduled';
+  if (at > campaign.endsAt) return 'ended';
+  return 'running';
+};
+
+/**
+ * Amnesty Model
+ * An amnesty is a window in which part of a patron's fines is forgiven,
+ * e.g. "return your books, overdue fines forgiven". A campaign waives
+ * waivePercent of what was charged in its categories on each loan; roles
+ * and departments narrow who it is for (empty means everyone).
+ *
+ * Forgiveness is posted to the fines ledger as waivers tagged with the
+ * campaign, so the ledger is the record of what each campaign gave away.
+ * A loan's waiver is topped up rather than repeated when more is charged,
+ * and never takes a balance below zero.
+ */
+export class AmnestyModel {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('amnesties');
+    this.finesCollection = db.collection('fines');
+    this.fineModel = new FineModel(db);
+  }
+
+  /**
+   * Find campaign by ObjectId
+   */
+  async findById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    return await this.collection.findOne({ _id: new ObjectId(id) });
+  }
+
+  /**
+   * Define a campaign
+   */
+  async create(data, actor) {
+    const campaign = {
+      name: data.name,
+      description: data.description || '',
+      startsAt: new Date(data.startsAt),
+      endsAt: new Date(data.endsAt),
+      waivePercent: data.waivePercent,
+      categories: data.categories?.length ? data.categories : ['overdue'],
+      roles: data.roles || [],
+      departments: data.departments || [],
+      createdBy: actor.id,
+      createdByUsername: actor.username || null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      cancelledAt: null,
+      cancelledBy: null,
+    };
+
+    const result = await this.collection.insertOne(campaign);
+    return { ...campaign, _id: result.insertedId };
+  }
+
+  /**
+   * Change a campaign's rules. Only campaigns that have not ended can be
+   * changed, so what an ended campaign forgave always matches its rules.
+   */
+  async update(id, data, actor) {
+    const campaign = await this.findById(id);
+    if (!campaign) return { success: false, error: 'Amnesty not found' };
+    if (['ended', 'cancelled'].includes(amnestyState(campaign))) {
+      return { success: false, error: 'Ended or cancelled amnesties cannot be changed' };
+    }
+
+    const set = { updatedAt: new Date(), updatedBy: actor.id };
+    ['name', 'description', 'waivePercent', 'categories', 'roles', 'departments'].forEach(field => {
+      if (data[field] !== undefined) set[field] = data[field];
+    });
+    if (data.startsAt) set.startsAt = new Date(data.startsAt);
+    if (data.endsAt) set.endsAt = new Date(data.endsAt);
+    if ((set.endsAt || campaign.endsAt) <= (set.startsAt || campaign.startsAt)) {
+      return { success: false, error: 'The amnesty must end after it starts' };
+    }
+
+    const updated = await this.collection.findOneAndUpdate(
+      { _id: campaign._id, cancelledAt: null },
+      { $set: set },
+      { returnDocument: 'after' }
+    );
+    return updated ? { success: true, campaign: updated } : { success: false, error: 'Amnesty not found' };
+  }
+
+  /**
+   * Stop a campaign early; what it already forgave stands
+   */
+  async cancel(id, actor) {
+    if (!ObjectId.isValid(id)) return null;
+    return await this.collection.findOneAndUpdate(
+      { _id: new ObjectId(id), cancelledAt: null },
+      { $set: { cancelledAt: new Date(), cancelledBy: actor.id, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * All campaigns, newest first, with their state and what they forgave
+   */
+  async getAll() {
+    const campaigns = await this.collection.find({}).sort({ startsAt: -1 }).toArray();
+    const totals = await this.finesCollection.aggregate([
+      { $match: { 'amnesty.id': { $in: campaigns.map(c => c._id) } } },
+      { $group: { _id: '$amnesty.id', forgiven: { $sum: '$amount' }, loans: { $addToSet: '$borrowId' }, users: { $addToSet: '$userId' } } },
+    ]).toArray();
+
+    const now = new Date();
+    return campaigns.map(campaign => {
+      const total = totals.find(t => t._id.equals(campaign._id));
+      return {
+        ...campaign,
+        state: amnestyState(campaign, now),
+        forgiven: round(total?.forgiven || 0),
+        loans: total?.loans.length || 0,
+        users: total?.users.length || 0,
+      };
+    });
+  }
+
+  /**
+   * The campaign that applies to a user at a moment; when several are
+   * running the most generous one wins
+   */
+  async findApplicable(user, at = new Date()) {
+    const running = await this.collection.find({
+      cancelledAt: null,
+      startsAt: { $lte: at },
+      endsAt: { $gte: at },
+    }).toArray();
+
+    return running
+      .filter(c => c.roles.length === 0 || c.roles.includes(user.role))
+      .filter(c => c.departments.length === 0 || (user.department && c.departments.includes(user.department)))
+      .sort((a, b) => b.waivePercent - a.waivePercent)[0] || null;
+  }
+
+  /**
+   * Per loan, what a campaign still has to forgive: waivePercent of what
+   * was charged in its categories, less what it already forgave, never
+   * more than the loan's balance
+   */
+  async forgivable(userId, campaign, borrowIds = null, options = {}) {
+    const match = { userId, borrowId: { $ne: null } };
+    if (borrowIds) match.borrowId = { $in: borrowIds.map(id => new ObjectId(id)) };
+
+    const covered = { $in: ['$category', campaign.categories] };
+    const rows = await this.finesCollection.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$borrowId',
+          bookId: { $first: '$bookId' },
+          bookTitle: { $first: '$bookTitle' },
+          charged: { $sum: { $cond: [{ $and: [{ $eq: ['$type', 'charge'] }, covered] }, '$amount', 0] } },
+          forgiven: { $sum: { $cond: [{ $eq: ['$amnesty.id', campaign._id] }, '$amount', 0] } },
+          balance: { $sum: '$effect' },
+        },
+      },
+    ], options).toArray();
+
+    return rows
+      .map(row => ({ ...row, amount: round(Math.min(row.charged * campaign.waivePercent / 100 - row.forgiven, row.balance)) }))
+      .filter(row => row.amount > 0);
+  }
+
+  /**
+   * What the running campaign would forgive a user if a return or payment
+   * applied it now, without posting anything: for statements and fine
+   * lookups, which must not change the ledger. Null when no campaign
+   * applies.
+   */
+  async preview(userId, { borrowIds = null, at = new Date() } = {}) {
+    const user = await this.db.collection('users').findOne({ id: userId });
+    if (!user) return null;
+
+    const campaign = await this.findApplicable(user, at);
+    if (!campaign) return null;
+
+    const rows = await this.forgivable(userId, campaign, borrowIds);
+    return {
+      id: campaign._id,
+      name: campaign.name,
+      percent: campaign.waivePercent,
+      endsAt: campaign.endsAt,
+      total: round(rows.reduce((sum, row) => sum + row.amount, 0)),
+      loans: rows.map(row => ({ borrowId: row._id, amount: row.amount })),
+    };
+  }
+
+  /**
+   * Forgive what the running campaign covers on a user's loans (all loans
+   * with a balance, or only borrowIds). trigger records whether a return
+   * or a payment applied it. Returns the waivers posted.
+   */
+  async applyForUser(userId, { borrowIds = null, trigger, at = new Date() } = {}, options = {}) {
+    const user = await this.db.collection('users').findOne({ id: userId }, options);
+    if (!user) return [];
+
+    const campaign = await this.findApplicable(user, at);
+    if (!campaign) return [];
+
+    // Read and waive together so two callers cannot forgive the same loan twice
+    return await this.fineModel.withSession(options, async (opts) => {
+      const rows = await this.forgivable(userId, campaign, borrowIds, opts);
+
+      const entries = [];
+      for (const row of rows) {
+        const entry = await this.fineModel.post({
+          userId,
+          username: user.username,
+          borrowId: row._id,
+          bookId: row.bookId,
+          bookTitle: row.bookTitle,
+          type: 'waiver',
+          amount: row.amount,
+          amnesty: { id: campaign._id, name: campaign.name, percent: campaign.waivePercent, trigger },
+          note: `Amnesty: ${campaign.name} (${campaign.waivePercent}% of ${campaign.categories.join(', ')} fines)`,
+        }, null, { ...opts, guard: { balance: { $gte: row.amount } } });
+        if (entry) entries.push(entry);
+      }
+      return entries;
+    });
+  }
+
+  /**
+   * What a campaign forgave: totals, split by trigger, role and department,
+   * and per patron
+   */
+  async report(id) {
+    const campaign = await this.findById(id);
+    if (!campaign) return null;
+
+    const [summary] = await this.finesCollection.aggregate([
+      { $match: { 'amnesty.id': campaign._id } },
+      { $lookup: { from: 'users', localField: 'userId', foreignField: 'id', as: 'user' } },
+      { $set: { user: { $arrayElemAt: ['$user', 0] } } },
+      {
+        $facet: {
+          totals: [
+            { $group: { _id: null, forgiven: { $sum: '$amount' }, entries: { $sum: 1 }, loans: { $addToSet: '$borrowId' }, users: { $addToSet: '$userId' } } },
+          ],
+          byTrigger: [
+            { $group: { _id: '$amnesty.trigger', forgiven: { $sum: '$amount' }, entries: { $sum: 1 } } },
+          ],
+          byRole: [
+            { $group: { _id: { $ifNull: ['$user.role', 'unknown'] }, forgiven: { $sum: '$amount' }, users: { $addToSet: '$userId' } } },
+            { $sort: { forgiven: -1 } },
+          ],
+          byDepartment: [
+            { $group: { _id: { $ifNull: ['$user.department', null] }, forgiven: { $sum: '$amount' }, users: { $addToSet: '$userId' } } },
+            { $sort: { forgiven: -1 } },
+          ],
+          patrons: [
+            {
+              $group: {
+                _id: '$userId',
+                username: { $first: '$username' },
+                name: { $first: '$user.name' },
+                role: { $first: '$user.role' },
+                department: { $first: '$user.department' },
+                forgiven: { $sum: '$amount' },
+                loans: { $addToSet: '$borrowId' },
+                lastAt: { $max: '$createdAt' },
+              },
+            },
+            { $sort: { forgiven: -1 } },
+            { $limit: 500 },
+          ],
+        },
+      },
+    ]).toArray();
+
+    const totals = summary.totals[0];
+    const group = rows => rows.map(({ _id, forgiven, users, ...rest }) => ({
+      key: _id,
+      forgiven: round(forgiven),
+      ...(users ? { users: users.length } : {}),
+      ...rest,
+    }));
+
+    return {
+      campaign: { ...campaign, state: amnestyState(campaign) },
+      forgiven: round(totals?.forgiven || 0),
+      entries: totals?.entries || 0,
+      loans: totals?.loans.length || 0,
+      users: totals?.users.length || 0,
+      byTrigger: group(summary.byTrigger),
+      byRole: group(summary.byRole),
+      byDepartment: group(summary.byDepartment),
+      patrons: summary.patrons.map(({ _id, loans, forgiven, ...rest }) => ({
+        userId: _id,
+        ...rest,
+        forgiven: round(forgiven),
+        loans: loans.length,
+      })),
+    };
+  }
+}
+
+/**
+ * Initialize and export the AmnestyModel instance
+ */
+export function initAmnestyModel(db) {
+  return new AmnestyModel(db);
+}
+
+/**
+ * Default export for convenience
+ */
+export default AmnestyModel;
@@ -0,0 +1,268 @@
+// models/bookImportModel.js
+import { ObjectId } from 'mongodb';
+import { CopyModel } from './copyModel.js';
+import { HoldModel } from './holdModel.js';
+import { bookSearchFields, normalizeBibliographic, normalizeIsbn } from './bookModel.js';
+import { nextSequence, formatSequence } from '../utils/sequence.js';
+
+export const IMPORT_ACTIONS = ['create', 'update', 'skip', 'invalid'];
+
+// How a row finds the book it is about
+export const IMPORT_KEYS = ['id', 'isbn'];
+
+// What happens to a row whose book is already catalogued: it is an error
+// ('create' – the file should only hold new books), it updates the book,
+// or it is skipped. Rows for books not yet catalogued are always created.
+export const IMPORT_MODES = ['create', 'update', 'skip'];
+
+// What an update may change unless the caller says otherwise: the
+// descriptive fields, while ID, category, copies and charges stay as the
+// library set them
+export const BIBLIOGRAPHIC_UPDATE_FIELDS = [
+  'name', 'title', 'publisher', 'isbn', 'authors', 'subjects', 'edition',
+  'publicationYear', 'language', 'pages', 'series', 'summary', 'classification',
+];
+
+/**
+ * Book Import Model
+ * Brings a batch of catalogue records into books. A batch is planned
+ * first: every entry is matched, by book ID or ISBN, against the catalogue
+ * and against the entries before it, so a dry run shows exactly what the
+ * import would do. Applying the plan writes entry by entry; one entry
+ * failing does not stop the rest. Every run is kept in 'bookImports' so
+ * its row-by-row report can be downloaded later.
+ *
+ * An entry is { row, ref, book, errors, warnings }: ref is how the source
+ * names the record (a MARC control number, a spreadsheet line) and row its
+ * position; errors, if any, say why the entry cannot be used.
+ */
+export class BookImportModel {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('bookImports');
+    this.booksCollection = db.collection('books');
+    this.copyModel = new CopyModel(db);
+  }
+
+  /**
+   * Normalized ISBN → book, for the whole catalogue. ISBNs are stored as
+   * typed, so they are compared after normalizing rather than in a query.
+   */
+  async isbnIndex() {
+    const index = new Map();
+    const books = this.booksCollection.find({ isbn: { $nin: [null, ''] } }, { projection: { id: 1, isbn: 1 } });
+    for await (const book of books) {
+      const isbn = normalizeIsbn(book.isbn);
+      if (isbn && !index.has(isbn)) index.set(isbn, book);
+    }
+    return index;
+  }
+
+  async idIndex(ids) {
+    if (!ids.length) return new Map();
+    const books = await this.booksCollection.find({ id: { $in: ids } }, { projection: { id: 1, isbn: 1 } }).toArray();
+    return new Map(books.map(b => [b.id, b]));
+  }
+
+  /**
+   * Decide what happens to each entry.
+   *   key       'isbn' or 'id': what matches an entry to a catalogued book
+   *   mode      see IMPORT_MODES
+   *   validate  optional (book, action) => { value, errors }, for sources
+   *             whose entries can only be checked once it is known whether
+   *             they create or update a book
+   */
+  async plan(entries, { key = 'isbn', mode = 'skip', validate = null } = {}) {
+    const byIsbn = key === 'isbn' ? await this.isbnIndex() : null;
+    const byId = await this.idIndex([...new Set(entries.map(e => e.book?.id).filter(Boolean))]);
+    const seen = new Map();
+    const newIds = new Set();
+
+    return entries.map(entry => {
+      const base = {
+        row: entry.row,
+        ref: entry.ref || null,
+        id: entry.book?.id || null,
+        isbn: entry.book?.isbn || null,
+        title: entry.book?.title || null,
+        matchedId: null,
+        messages: [...(entry.warnings || [])],
+      };
+      const invalid = (...messages) => ({ ...base, action: 'invalid', messages: [...base.messages, ...messages] });
+      if (entry.errors?.length) return invalid(...entry.errors);
+
+      const match = key === 'isbn' ? normalizeIsbn(entry.book.isbn) : entry.book.id;
+      if (match && seen.has(match)) {
+        const message = `Same ${key === 'isbn' ? 'ISBN' : 'book ID'} as row ${seen.get(match)}`;
+        return key === 'isbn' ? { ...base, action: 'skip', messages: [...base.messages, message] } : invalid(message);
+      }
+      if (match) seen.set(match, entry.row);
+
+      const existing = match ? (key === 'isbn' ? byIsbn.get(match) : byId.get(match)) : null;
+      let action = 'create';
+      if (existing) {
+        if (mode === 'skip') {
+          return { ...base, action: 'skip', matchedId: existing.id, messages: [...base.messages, `Already catalogued as ${existing.id}`] };
+        }
+        if (mode === 'create') return { ...invalid(`Already catalogued as ${existing.id}`), matchedId: existing.id };
+        action = 'update';
+      }
+
+      let book = entry.book;
+      if (validate) {
+        const { value, errors } = validate(book, action);
+        if (errors.length) return invalid(...errors);
+        book = value;
+      }
+
+      if (action === 'update') return { ...base, action, id: existing.id, matchedId: existing.id, book };
+
+      // A new book may not take an ID that is catalogued or claimed earlier in the batch
+      if (book.id && (byId.has(book.id) || newIds.has(book.id))) return invalid(`Book ID ${book.id} already exists`);
+      if (book.id) newIds.add(book.id);
+      return { ...base, action, book };
+    });
+  }
+
+  /**
+   * A fresh catalogue ID for a book that did not bring one
+   */
+  async nextBookId() {
+    for (;;) {
+      const id = formatSequence('BK', await nextSequence(this.db, 'bookId'));
+      if (!(await this.booksCollection.findOne({ id }, { projection: { _id: 1 } }))) return id;
+    }
+  }
+
+  async createBook(book, { userId, source }) {
+    const { copies = 0, ...fields } = book;
+    const id = fields.id || await this.nextBookId();
+    const details = normalizeBibliographic({ ...fields, id, copies });
+    await this.booksCollection.insertOne({
+      ...details,
+      search: bookSearchFields(details),
+      totalCopies: copies,
+      copyRecords: true,
+      importedFrom: source,
+      addedBy: userId,
+      createdAt: new Date(),
+    });
+    await this.copyModel.createMany(id, copies, {}, userId);
+    return id;
+  }
+
+  /**
+   * Update a catalogued book with the fields an entry supplies. Copies, if
+   * updatable, work as on the edit form: more registers new copies, fewer
+   * is refused (that goes through the copy inventory). Returns notes for
+   * the report.
+   */
+  async updateBook(bookId, book, { userId, updatable }) {
+    const changes = Object.fromEntries(
+      updatable
+        .filter(f => f !== 'copies' && book[f] !== undefined && book[f] !== null && book[f] !== '')
+        .map(f => [f, book[f]])
+    );
+    const messages = [];
+
+    const current = await this.booksCollection.findOne({ id: bookId });
+    const details = normalizeBibliographic(changes);
+    await this.booksCollection.updateOne(
+      { id: bookId },
+      { $set: { ...details, search: bookSearchFields({ ...current, ...details }), updatedBy: userId, updatedAt: new Date() } }
+    );
+
+    if (updatable.includes('copies') && Number.isInteger(book.copies)) {
+      await this.copyModel.ensureCopies(await this.booksCollection.findOne({ id: bookId }));
+      const { on_shelf: onShelf } = await this.copyModel.countByStatus(bookId);
+      if (book.copies > onShelf) {
+        await this.copyModel.createMany(bookId, book.copies - onShelf, {}, userId);
+        await this.copyModel.syncBookAvailability(bookId);
+        await new HoldModel(this.db).promoteNext(bookId);
+      } else if (book.copies < onShelf) {
+        messages.push('Copies not reduced: mark individual copies as lost, in repair or delete them from the copy inventory');
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * Carry out a plan. Returns the plan's rows with what actually happened
+   * (an entry that fails to write becomes 'invalid' with the reason).
+   */
+  async apply(plan, { userId = null, source = null, updatable = BIBLIOGRAPHIC_UPDATE_FIELDS } = {}) {
+    const rows = [];
+    for (const { book, ...row } of plan) {
+      try {
+        if (row.action === 'create') {
+          rows.push({ ...row, id: await this.createBook(book, { userId, source }) });
+        } else if (row.action === 'update') {
+          const messages = await this.updateBook(row.matchedId, book, { userId, updatable });
+          rows.push({ ...row, messages: [...row.messages, ...messages] });
+        } else {
+          rows.push(row);
+        }
+      } catch (e) {
+        const message = e.code === 11000 ? 'Duplicate book ID' : e.message;
+        rows.push({ ...row, action: 'invalid', messages: [...row.messages, message] });
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Keep a run, dry or not, with its rows for the report
+   */
+  async record({ source, options, dryRun, rows, userId }) {
+    const run = {
+      source,
+      options,
+      dryRun,
+      summary: summarizeImport(rows),
+      rows: rows.map(({ book, ...row }) => row),
+      createdBy: userId,
+      createdAt: new Date(),
+    };
+    const result = await this.collection.insertOne(run);
+    return { ...run, _id: result.insertedId };
+  }
+
+  async getById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    return await this.collection.findOne({ _id: new ObjectId(id) });
+  }
+
+  /**
+   * Past runs, newest first, without their rows
+   */
+  async getAll({ page = 1, limit = 20, dryRun } = {}) {
+    const query = dryRun === undefined ? {} : { dryRun };
+    const imports = await this.collection
+      .find(query, { projection: { rows: 0 } })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+    const total = await this.collection.countDocuments(query);
+    return { imports, total, page, limit, totalPages: Math.ceil(total / limit) };
+  }
+}
+
+/**
+ * Count the rows of a plan or a result by action
+ */
+export const summarizeImport = (rows) => Object.fromEntries(
+  IMPORT_ACTIONS.map(action => [action, rows.filter(r => r.action === action).length])
+);
+
+/**
+ * Initialize and export the BookImportModel instance
+ */
+export function initBookImportModel(db) {
+  return new BookImportModel(db);
+}
+
+/**
+ * Default export for convenience
+ */
+export default BookImportModel;
@@ -1,4 +1,143 @@
 // models/bookModel.js
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { ethiopicPattern, foldEthiopic, searchWords, transliterationKey, transliterationKeys } from '../utils/ethiopic.js';
+
+// What a person did for a book, as on a title page or in MARC relator terms
+export const AUTHOR_ROLES = ['author', 'editor', 'translator', 'illustrator', 'compiler', 'contributor'];
+
+// Languages the collection is catalogued in (ISO 639-2 codes, as MARC uses)
+export const BOOK_LANGUAGES = {
+  amh: 'Amharic',
+  eng: 'English',
+  orm: 'Afaan Oromo',
+  tir: 'Tigrinya',
+  som: 'Somali',
+  aar: 'Afar',
+  sid: 'Sidamo',
+  wal: 'Wolaytta',
+  gez: 'Geez',
+  ara: 'Arabic',
+  fre: 'French',
+  ger: 'German',
+  ita: 'Italian',
+  mul: 'Multiple languages',
+};
+
+/**
+ * An ISBN reduced to its digits (and a final X) so "978-99944-0-123-4",
+ * "9789994401234 (pbk.)" and the ISBN-10 of the same book all compare
+ * equal. ISBN-10s are converted to ISBN-13. Returns null if there is no
+ * ISBN-shaped number in the value.
+ */
+export const normalizeIsbn = (value) => {
+  const match = String(value || '').toUpperCase().replace(/[\s-]/g, '').match(/(\d{12}[\dX]|\d{9}[\dX])/);
+  if (!match) return null;
+  const isbn = match[1];
+  if (isbn.length === 13) return isbn;
+
+  const core = `978${isbn.slice(0, 9)}`;
+  const sum = [...core].reduce((acc, d, i) => acc + Number(d) * (i % 2 ? 3 : 1), 0);
+  return `${core}${(10 - (sum % 10)) % 10}`;
+};
+
+// Fields a search term is looked for in
+export const BOOK_SEARCH_FIELDS = ['id', 'name', 'title', 'author', 'authors.name', 'subjects', 'series.name', 'publisher', 'isbn'];
+
+/**
+ * The catalogue filters as a books query. Each facet of the search maps
+ * to one filter; `except` leaves one out, which is how a facet counts the
+ * values it could be switched to.
+ */
+export const bookFilterQuery = ({ category, publisher, language, yearFrom, yearTo, available } = {}, except = null) => {
+  const query = {};
+  if (category && except !== 'category') query.category = category;
+  if (publisher && except !== 'publisher') query.publisher = publisher;
+  if (language && except !== 'language') query.language = language;
+  if ((yearFrom || yearTo) && except !== 'year') {
+    query.publicationYear = {};
+    if (yearFrom) query.publicationYear.$gte = yearFrom;
+    if (yearTo) query.publicationYear.$lte = yearTo;
+  }
+  if (available !== undefined && except !== 'availability') {
+    query.copies = available ? { $gt: 0 } : { $not: { $gt: 0 } };
+  }
+  return query;
+};
+
+/**
+ * A search term as a literal, case-insensitive substring match over the
+ * search fields, combined with the filters: what finds part of a word or
+ * an ID ("BK-0001", "harr") where the text index only knows whole words.
+ * Ethiopic letters match their homophones (ሀገር finds ሃገር); with
+ * `transliterate`, every word may instead match the start of a word by
+ * its Latin or Ethiopic spelling ("fik" finds ፍቅር).
+ */
+export const bookSearchQuery = ({ search = '', transliterate = false, ...filters } = {}, except = null) => {
+  const query = bookFilterQuery(filters, except);
+  const term = String(search).trim();
+  if (term) {
+    const pattern = ethiopicPattern(term);
+    query.$or = BOOK_SEARCH_FIELDS.map(field => ({ [field]: { $regex: pattern, $options: 'i' } }));
+
+    const keys = transliterate ? searchWords(term).map(transliterationKey).filter(key => key.length > 1) : [];
+    if (keys.length) {
+      query.$or.push({ $and: keys.map(key => ({ 'search.keys': { $regex: `(?:^| )${escapeRegex(key)}` } })) });
+    }
+  }
+  return query;
+};
+
+// Bump when what bookSearchFields stores changes, so books are re-keyed
+export const SEARCH_KEYS_VERSION = 1;
+
+/**
+ * What the text index reads for a book: its searchable text with Ethiopic
+ * homophones folded, and the transliteration keys of its title, people,
+ * subjects and series. Stored on the book as `search`.
+ */
+export const bookSearchFields = (book) => {
+  const people = (book.authors?.length ? book.authors.map(a => a.name) : [book.author]).filter(Boolean).join(' ');
+  const subjects = (book.subjects || []).join(' ');
+  const series = book.series?.name || '';
+  return {
+    version: SEARCH_KEYS_VERSION,
+    name: foldEthiopic(book.name),
+    title: foldEthiopic(book.title),
+    people: foldEthiopic(people),
+    subjects: foldEthiopic(subjects),
+    series: foldEthiopic(series),
+    publisher: foldEthiopic(book.publisher),
+    summary: foldEthiopic(book.summary),
+    keys: transliterationKeys([book.name, book.title, people, subjects, series].join(' ')),
+  };
+};
+
+/**
+ * Tidy the bibliographic part of a book before it is saved: subjects are
+ * trimmed and de-duplicated, an empty series is dropped, and `author`
+ * (the plain-text byline searches and lists use) is rebuilt from the
+ * structured authors. Only fields present in `fields` are touched.
+ */
+export const normalizeBibliographic = (fields) => {
+  const book = { ...fields };
+
+  if (book.authors !== undefined) {
+    book.authors = (book.authors || []).map(a => ({ name: a.name.trim(), role: a.role || 'author' }));
+    const primary = book.authors.filter(a => a.role === 'author');
+    book.author = (primary.length ? primary : book.authors).map(a => a.name).join('; ') || null;
+  }
+
+  if (book.subjects !== undefined) {
+    const seen = new Set();
+    book.subjects = (book.subjects || [])
+      .map(s => s.trim())
+      .filter(s => s && !seen.has(s.toLowerCase()) && seen.add(s.toLowerCase()));
+  }
+
+  if (book.series !== undefined && !book.series?.name) book.series = null;
+
+  return book;
+};
 
 /**
  * Book Model
@@ -39,6 +178,7 @@ export class BookModel {
   async create(bookData, addedBy = null) {
     const newBook = {
       ...bookData,
+      search: bookSearchFields(bookData),
       addedBy,
       createdAt: new Date(),
       updatedAt: new Date()
@@ -52,12 +192,13 @@ export class BookModel {
    * Get books with pagination and search
    */
   async getAll({ page = 1, limit = 10, search = '' }) {
+    const pattern = ethiopicPattern(search);
     const query = search
       ? {
           $or: [
-            { id: { $regex: search, $options: 'i' } },
-            { name: { $regex: search, $options: 'i' } },
-            { title: { $regex: search, $options: 'i' } },
+            { id: { $regex: pattern, $options: 'i' } },
+            { name: { $regex: pattern, $options: 'i' } },
+            { title: { $regex: pattern, $options: 'i' } },
           ],
         }
       : {};
@@ -92,6 +233,7 @@ export class BookModel {
         }
       }
     );
+    await this.refreshSearchFields([id]);
 
     return {
       matchedCount: result.matchedCount,
@@ -116,18 +258,9 @@ export class BookModel {
    * Search books with multiple fields
    */
   async searchBooks(searchTerm, page = 1, limit = 10) {
+    const pattern = ethiopicPattern(searchTerm);
     const query = searchTerm
-      ? {
-          $or: [
-            { id: { $regex: searchTerm, $options: 'i' } },
-            { name: { $regex: searchTerm, $options: 'i' } },
-            { title: { $regex: searchTerm, $options: 'i' } },
-            { author: { $regex: searchTerm, $options: 'i' } },
-            { category: { $regex: searchTerm, $options: 'i' } },
-            { publisher: { $regex: searchTerm, $options: 'i' } },
-            { isbn: { $regex: searchTerm, $options: 'i' } },
-          ],
-        }
+      ? { $or: [...BOOK_SEARCH_FIELDS, 'category'].map(field => ({ [field]: { $regex: pattern, $options: 'i' } })) }
       : {};
 
     const books = await this.collection
@@ -167,11 +300,15 @@ export class BookModel {
   }
 
   /**
-   * Update book copies count
+   * Update book copies count.
+   * A decrease only applies when enough copies are left, so stock never goes negative.
    */
   async updateCopies(bookId, changeAmount) {
+    const query = { id: bookId };
+    if (changeAmount < 0) query.copies = { $gte: -changeAmount };
+
     const result = await this.collection.updateOne(
-      { id: bookId },
+      query,
       { 
         $inc: { copies: changeAmount },
         $set: { updatedAt: new Date() }
@@ -270,9 +407,21 @@ export class BookModel {
     }
 
     const result = await this.collection.bulkWrite(bulkOperations);
+    await this.refreshSearchFields(updates.map(update => update.id));
     return result;
   }
 
+  /**
+   * Recompute the stored search fields of books after their text changed
+   */
+  async refreshSearchFields(ids) {
+    const books = await this.collection.find({ id: { $in: ids } }).toArray();
+    if (books.length === 0) return;
+    await this.collection.bulkWrite(books.map(book => ({
+      updateOne: { filter: { _id: book._id }, update: { $set: { search: bookSearchFields(book) } } },
+    })));
+  }
+
   /**
    * Get book categories
    */
@@ -0,0 +1,206 @@
+// models/bookSearchModel.js
+import { bookFilterQuery, bookSearchFields, bookSearchQuery, SEARCH_KEYS_VERSION } from './bookModel.js';
+import { foldEthiopic, searchWords, transliterationKey } from '../utils/ethiopic.js';
+
+export const BOOK_SORTS = ['relevance', 'title', 'title_desc', 'year', 'year_desc', 'newest', 'available'];
+
+export const BOOK_FACETS = ['category', 'publisher', 'language', 'year', 'availability'];
+
+const SORT_ORDERS = {
+  relevance: { title: 1 },           // without a search term there is nothing to rank
+  title: { title: 1 },
+  title_desc: { title: -1 },
+  year: { publicationYear: 1, title: 1 },
+  year_desc: { publicationYear: -1, title: 1 },
+  newest: { createdAt: -1 },
+  available: { copies: -1, title: 1 },
+};
+
+// What each facet groups the matching books by
+const FACET_KEYS = {
+  category: '$category',
+  publisher: '$publisher',
+  language: '$language',
+  year: '$publicationYear',
+  availability: { $cond: [{ $gt: ['$copies', 0] }, 'available', 'unavailable'] },
+};
+
+const FACET_LIMIT = 50;
+
+// Title and identifiers weigh most, then people, subjects and series. The
+// text fields are read from the book's folded copy (see bookSearchFields).
+const TEXT_INDEX_NAME = 'book_search_text';
+const TEXT_INDEX_WEIGHTS = {
+  id: 10,
+  isbn: 10,
+  'search.name': 10,
+  'search.title': 8,
+  'search.people': 6,
+  'search.subjects': 4,
+  'search.series': 3,
+  'search.keys': 2,
+  'search.publisher': 2,
+  'search.summary': 1,
+};
+
+let textIndexReady = null;
+
+/**
+ * Book Search Model
+ * The catalogue search. A search term is looked up in a text index and
+ * the books ranked by relevance; when no whole word matches (part of a
+ * word, an ID or ISBN fragment) it falls back to a literal substring
+ * match. Either way Ethiopic homophones are one letter, and with
+ * `transliterate` Latin and Ethiopic spellings of a word find each other.
+ * Filters narrow either kind of search, and facets count the matching
+ * books per category, publisher, language, year and availability.
+ */
+export class BookSearchModel {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('books');
+  }
+
+  /**
+   * Give books without current search fields (added before they existed,
+   * or keyed by an older SEARCH_KEYS_VERSION) their search fields
+   */
+  async backfillSearchFields() {
+    const stale = this.collection.find({ 'search.version': { $ne: SEARCH_KEYS_VERSION } });
+    let batch = [];
+    for await (const book of stale) {
+      batch.push({ updateOne: { filter: { _id: book._id }, update: { $set: { search: bookSearchFields(book) } } } });
+      if (batch.length === 500) {
+        await this.collection.bulkWrite(batch);
+        batch = [];
+      }
+    }
+    if (batch.length) await this.collection.bulkWrite(batch);
+  }
+
+  /**
+   * The text index. The collection is catalogued in languages MongoDB has
+   * no stemmer for, so words are indexed as written ('none'), and the
+   * books' own `language` field (ISO 639-2 codes) must not be read as the
+   * index language. A collection holds one text index, so an older one is
+   * replaced. Returns whether text search is available; if the index
+   * cannot be built, searches use substring matching only.
+   */
+  async ensureIndexes() {
+    if (textIndexReady !== null) return textIndexReady;
+    try {
+      await this.backfillSearchFields();
+      const indexes = await this.collection.indexes();
+      for (const index of indexes) {
+        if (index.name !== TEXT_INDEX_NAME && Object.values(index.key).includes('text')) {
+          await this.collection.dropIndex(index.name);
+        }
+      }
+      await this.collection.createIndex(
+        Object.fromEntries(Object.keys(TEXT_INDEX_WEIGHTS).map(field => [field, 'text'])),
+        {
+          name: TEXT_INDEX_NAME,
+          weights: TEXT_INDEX_WEIGHTS,
+          default_language: 'none',
+          language_override: 'textLanguage',
+        }
+      );
+      await this.collection.createIndex({ category: 1 });
+      await this.collection.createIndex({ publicationYear: 1 });
+      textIndexReady = true;
+    } catch (e) {
+      console.error('Book text index unavailable, searching by substring:', e.message);
+      textIndexReady = false;
+    }
+    return textIndexReady;
+  }
+
+  /**
+   * The query a search runs, and whether it ranks by text score
+   */
+  async buildQuery({ search = '', transliterate = false, ...filters }) {
+    // Words only: $search would read a leading "-" as "not" and quotes as a phrase.
+    // A word's transliteration key is one more term, found in search.keys.
+    const words = searchWords(foldEthiopic(search));
+    const keys = transliterate ? words.map(transliterationKey).filter(key => key.length > 1) : [];
+    const terms = [...new Set([...words, ...keys])].join(' ');
+
+    if (words.length && await this.ensureIndexes()) {
+      const textQuery = (except = null) => ({ $text: { $search: terms }, ...bookFilterQuery(filters, except) });
+      if (await this.collection.countDocuments(textQuery(), { limit: 1 })) {
+        return { match: 'text', query: textQuery(), queryWithout: textQuery };
+      }
+    }
+    const match = String(search).trim() ? 'pattern' : null;
+    return {
+      match,
+      query: bookSearchQuery({ search, transliterate, ...filters }),
+      queryWithout: (facet) => bookSearchQuery({ search, transliterate, ...filters }, facet),
+    };
+  }
+
+  /**
+   * Search the catalogue.
+   *   search      free text
+   *   transliterate  also match words by their Latin or Ethiopic spelling
+   *   filters     category, publisher, language, yearFrom, yearTo, available
+   *   sort        one of BOOK_SORTS; 'relevance' ranks text matches
+   *   facets      also count the matches per facet
+   */
+  async search({ page = 1, limit = 10, sort = 'relevance', facets = false, ...criteria }) {
+    const { match, query, queryWithout } = await this.buildQuery(criteria);
+    const ranked = match === 'text' && sort === 'relevance';
+
+    const books = await this.collection
+      .find(query, { projection: { search: 0, ...(ranked ? { score: { $meta: 'textScore' } } : {}) } })
+      .sort({ ...(ranked ? { score: { $meta: 'textScore' } } : SORT_ORDERS[sort]), _id: 1 })
+      .skip((+page - 1) * +limit)
+      .limit(+limit)
+      .toArray();
+
+    const total = await this.collection.countDocuments(query);
+
+    return {
+      books,
+      total,
+      page: +page,
+      limit: +limit,
+      sort,
+      match,
+      ...(facets ? { facets: await this.facets(queryWithout) } : {}),
+    };
+  }
+
+  /**
+   * Counts per facet value. A facet is counted with every filter but its
+   * own applied, so picking a category still shows how many books the
+   * other categories hold.
+   */
+  async facets(queryWithout) {
+    const counts = await Promise.all(BOOK_FACETS.map(facet =>
+      this.collection.aggregate([
+        { $match: queryWithout(facet) },
+        { $group: { _id: FACET_KEYS[facet], count: { $sum: 1 } } },
+        { $match: { _id: { $nin: [null, ''] } } },
+        { $sort: facet === 'year' ? { _id: -1 } : { count: -1, _id: 1 } },
+        { $limit: FACET_LIMIT },
+      ]).toArray()
+    ));
+    return Object.fromEntries(BOOK_FACETS.map((facet, i) => [
+      facet,
+      counts[i].map(({ _id, count }) => ({ value: _id, count })),
+    ]));
+  }
+}
+
+/**
+ * Initialize and export the BookSearchModel instance
+ */
+export function initBookSearchModel(db) {
+  return new BookSearchModel(db);
+}
+
+/**
+ * Default export for convenience
+ */
+export default BookSearchModel;
@@ -1,42 +1,160 @@
 
 import { ObjectId } from 'mongodb';
+import { LoanPolicyModel } from './loanPolicyModel.js';
+import { FineModel } from './fineModel.js';
+import { CirculationError } from '../utils/transaction.js';
+
+export const BORROW_STATUSES = ['pending', 'waitlisted', 'approved', 'borrowed', 'returned', 'lost', 'damaged', 'rejected', 'expired', 'cancelled'];
+
+/**
+ * Borrow state machine: the states each status may move to.
+ * A lost book that turns up is returned; returned, damaged, rejected,
+ * expired and cancelled are final.
+ */
+export const BORROW_TRANSITIONS = {
+  pending: ['approved', 'waitlisted', 'rejected', 'cancelled'],
+  waitlisted: ['approved', 'cancelled', 'expired'],
+  approved: ['borrowed', 'expired', 'cancelled'],
+  borrowed: ['returned', 'lost', 'damaged'],
+  lost: ['returned'],
+  damaged: [],
+  returned: [],
+  rejected: [],
+  expired: [],
+  cancelled: [],
+};
+
+// States a borrow record can be created in: a request, a request queued for
+// a hold, a hold that became ready, or a loan made at the desk
+export const INITIAL_BORROW_STATUSES = ['pending', 'waitlisted', 'approved', 'borrowed'];
+
+// Requests and loans still open, all of which count towards a patron's
+// concurrent-loan limit
+export const OPEN_BORROW_STATUSES = ['pending', 'waitlisted', 'approved', 'borrowed'];
+
+export const canTransition = (from, to) => (BORROW_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Throw a CirculationError unless a borrow may move from one state to another
+ */
+export const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new CirculationError(`A ${from || 'missing'} borrow cannot become ${to}`, 400, { status: from });
+  }
+};
+
+/**
+ * One entry of a borrow's transition history.
+ * actor is the user making the change ({ id, role }); none means the system.
+ */
+export const transitionEntry = (from, to, actor = null, reason = null) => ({
+  from,
+  to,
+  at: new Date(),
+  by: actor?.id || 'system',
+  byRole: actor?.role || 'system',
+  reason,
+});
 
 /**
  * Borrow Model
- * Contains all database queries for borrow operations
+ * Contains all database queries for borrow operations.
+ * Status changes go through create() and transition() so every borrow keeps
+ * an append-only history of who moved it between states, when and why.
  */
 export class BorrowModel {
   constructor(db) {
     this.db = db;
     this.collection = db.collection('borrows');
+    this.policyModel = new LoanPolicyModel(db);
   }
 
   /**
-   * Helper – calculate fine based on user type
+   * Helper – fine owed on a borrow under the loan policy
    */
-  calculateFine(dueDate, userType = 'student') {
-    const now = new Date();
-    const due = new Date(dueDate);
-    const msDiff = now - due;
-    
-    if (msDiff <= 0) return 0; // Not overdue yet
+  async calculateFine(borrow) {
+    return await this.policyModel.fineForBorrow(borrow);
+  }
 
-    const daysLate = Math.ceil(msDiff / (1000 * 60 * 60 * 24));
-    
-    // Teacher: 2 days grace period, then 10 ETB per day
-    if (userType === 'teacher') {
-      const daysAfterGrace = Math.max(0, daysLate - 2);
-      return daysAfterGrace * 10;
+  /**
+   * Insert a borrow record in one of its starting states
+   */
+  async create(record, actor = null, reason = null, options = {}) {
+    if (!INITIAL_BORROW_STATUSES.includes(record.status)) {
+      throw new CirculationError(`A borrow cannot start as ${record.status}`);
     }
-    
-    // Student: 1 day grace period, then 10 ETB per day
-    if (userType === 'student') {
-      const daysAfterGrace = Math.max(0, daysLate - 1);
-      return daysAfterGrace * 10;
+
+    const doc = { ...record, transitions: [transitionEntry(null, record.status, actor, reason)] };
+    const result = await this.collection.insertOne(doc, options);
+    return { ...doc, _id: result.insertedId };
+  }
+
+  /**
+   * Move a borrow from its current status (borrow.status) to another.
+   * Illegal moves throw; the update only applies while the record is still
+   * in that status, so when a concurrent change got there first this
+   * returns null. set holds the other fields that change with the status.
+   */
+  async transition(borrow, to, { actor = null, reason = null, set = {}, filter = {} } = {}, options = {}) {
+    assertTransition(borrow.status, to);
+
+    return await this.collection.findOneAndUpdate(
+      { ...filter, _id: borrow._id, status: borrow.status },
+      {
+        $set: { ...set, status: to },
+        $push: { transitions: transitionEntry(borrow.status, to, actor, reason) },
+      },
+      { returnDocument: 'after', ...options }
+    );
+  }
+
+  /**
+   * History of a borrow, oldest first.
+   * Records from before transitions were kept get entries rebuilt from
+   * their timestamps (marked inferred); renewals are listed as events.
+   */
+  timeline(borrow) {
+    const entries = (borrow.transitions || []).map(t => ({ type: 'transition', ...t }));
+
+    if (entries.length === 0) {
+      // Desk loans have no request; their first state is 'borrowed'
+      const requested = !!borrow.requestedAt;
+      const inferred = [
+        ['requestedAt', null, 'pending', borrow.requestedBy],
+        ['approvedAt', 'pending', borrow.status === 'rejected' ? 'rejected' : 'approved', borrow.approvedBy],
+        ['borrowedAt', requested ? 'approved' : null, 'borrowed', requested ? borrow.userId : borrow.approvedBy],
+        ['returnedAt', 'borrowed', 'returned', null],
+        ['expiredAt', 'approved', 'expired', null],
+        ['cancelledAt', null, 'cancelled', borrow.cancelledBy],
+      ].filter(([field]) => requested || field !== 'approvedAt');
+      for (const [field, from, to, by] of inferred) {
+        if (!borrow[field]) continue;
+        entries.push({
+          type: 'transition',
+          from,
+          to,
+          at: borrow[field],
+          by: by || 'system',
+          byRole: null,
+          reason: to === 'rejected' ? borrow.rejectionReason : null,
+          inferred: true,
+        });
+      }
     }
-    
-    // Other user types: immediate fine
-    return daysLate * 10;
+
+    (borrow.renewals || []).forEach(r => entries.push({
+      type: 'renewal',
+      from: 'borrowed',
+      to: 'borrowed',
+      at: r.renewedAt,
+      by: r.renewedBy,
+      byRole: r.renewedByRole,
+      reason: `Due date moved from ${new Date(r.previousDueDate).toISOString()} to ${new Date(r.newDueDate).toISOString()}`,
+      previousDueDate: r.previousDueDate,
+      newDueDate: r.newDueDate,
+    }));
+
+    return entries.sort((a, b) => new Date(a.at) - new Date(b.at));
   }
 
   /**
@@ -92,6 +210,73 @@ export class BorrowModel {
     });
   }
 
+  /**
+   * The concurrent-loan limit for the user's role. statuses are the
+   * borrows that count towards it; with holds, so do holds placed
+   * directly (those from a request are counted by its borrow).
+   */
+  async loanLimit(user, { statuses, excludeId = null, holds = false } = {}) {
+    const policy = await this.policyModel.resolve(user.role || 'student');
+    const query = {
+      userId: user.id,
+      status: { $in: statuses },
+      returnedAt: null,
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    const [borrows, directHolds] = await Promise.all([
+      this.collection.countDocuments(query),
+      holds ? this.db.collection('holds').countDocuments({ userId: user.id, status: 'waiting', borrowId: null }) : 0,
+    ]);
+    const active = borrows + directHolds;
+    if (active >= policy.maxActiveLoans) {
+      return {
+        error: `Limit reached: ${user.role || 'student'} accounts can have at most ${policy.maxActiveLoans} book(s) requested, on hold or on loan at once`,
+        activeLoans: active,
+        maxActiveLoans: policy.maxActiveLoans,
+      };
+    }
+    return { activeLoans: active, maxActiveLoans: policy.maxActiveLoans };
+  }
+
+  /**
+   * Borrowing block: too much owed in fines or too many books overdue
+   * under the user's policy. Overdue fines are posted first so the
+   * balance counts every late day up to now.
+   */
+  async borrowingBlock(user) {
+    const policy = await this.policyModel.resolve(user.role || 'student');
+    const fineModel = new FineModel(this.db);
+    await fineModel.accrue(user.id);
+
+    const [{ balance }, overdueItems] = await Promise.all([
+      fineModel.getAccount(user.id),
+      this.collection.countDocuments({
+        userId: user.id,
+        status: 'borrowed',
+        returnedAt: null,
+        dueDate: { $lt: new Date() },
+      }),
+    ]);
+
+    const reasons = [];
+    if (policy.maxUnpaidFines != null && balance > policy.maxUnpaidFines) {
+      reasons.push(`${balance} ETB in unpaid fines (limit ${policy.maxUnpaidFines} ETB)`);
+    }
+    if (policy.maxOverdueItems != null && overdueItems > policy.maxOverdueItems) {
+      reasons.push(`${overdueItems} overdue book(s) (limit ${policy.maxOverdueItems})`);
+    }
+
+    return {
+      blocked: reasons.length > 0,
+      reasons,
+      balance,
+      overdueItems,
+      maxUnpaidFines: policy.maxUnpaidFines,
+      maxOverdueItems: policy.maxOverdueItems,
+    };
+  }
+
   /**
    * Check rejected requests within time limit
    */
@@ -110,7 +295,7 @@ export class BorrowModel {
   /**
    * Create borrow request
    */
-  async createRequest(borrowData) {
+  async createRequest(borrowData, actor = null) {
     const borrowRequest = {
       ...borrowData,
       requestedAt: new Date(),
@@ -123,14 +308,13 @@ export class BorrowModel {
       rejectionReason: null,
     };
 
-    const result = await this.collection.insertOne(borrowRequest);
-    return { ...borrowRequest, _id: result.insertedId };
+    return await this.create(borrowRequest, actor);
   }
 
   /**
    * Create direct borrow (librarian)
    */
-  async createDirectBorrow(borrowData, approvedById) {
+  async createDirectBorrow(borrowData, approvedById, approvedByRole = 'librarian') {
     const borrowRecord = {
       ...borrowData,
       borrowedAt: new Date(),
@@ -141,30 +325,22 @@ export class BorrowModel {
       approvedAt: new Date(),
     };
 
-    const result = await this.collection.insertOne(borrowRecord);
-    return { ...borrowRecord, _id: result.insertedId };
+    return await this.create(borrowRecord, { id: approvedById, role: approvedByRole }, 'Lent at the desk');
   }
 
   /**
    * Approve borrow request - transitions to 'approved'
    */
-  async approveRequest(borrowId, approvedById) {
-    const result = await this.collection.updateOne(
-      { _id: new ObjectId(borrowId) },
-      {
-        $set: {
-          status: 'approved',
-          approvedBy: approvedById,
-          approvedAt: new Date(),
-        },
-      }
-    );
+  async approveRequest(borrowId, approvedById, approvedByRole = 'librarian') {
+    const borrow = await this.findPendingById(borrowId);
+    if (!borrow) return { success: false, error: 'Pending request not found' };
 
-    return {
-      matchedCount: result.matchedCount,
-      modifiedCount: result.modifiedCount,
-      success: result.matchedCount > 0
-    };
+    const updated = await this.transition(borrow, 'approved', {
+      actor: { id: approvedById, role: approvedByRole },
+      set: { approvedBy: approvedById, approvedAt: new Date() },
+    });
+
+    return { success: !!updated, borrow: updated };
   }
 
   /**
@@ -179,49 +355,37 @@ export class BorrowModel {
 
     if (!borrow) return { success: false, error: 'Approved request not found' };
 
-    const result = await this.collection.updateOne(
-      { _id: borrow._id },
-      {
-        $set: {
-          status: 'borrowed',
-          borrowedAt: new Date(),
-        },
-      }
-    );
+    const updated = await this.transition(borrow, 'borrowed', {
+      actor: { id: userId, role: borrow.userType },
+      set: { borrowedAt: new Date() },
+    });
 
     return {
-      success: result.modifiedCount > 0,
-      borrow
+      success: !!updated,
+      borrow: updated || borrow
     };
   }
 
   /**
    * Reject borrow request
    */
-  async rejectRequest(borrowId, approvedById, reason = 'Request rejected') {
-    const result = await this.collection.updateOne(
-      { _id: new ObjectId(borrowId) },
-      {
-        $set: {
-          status: 'rejected',
-          approvedBy: approvedById,
-          approvedAt: new Date(),
-          rejectionReason: reason,
-        },
-      }
-    );
+  async rejectRequest(borrowId, approvedById, reason = 'Request rejected', approvedByRole = 'librarian') {
+    const borrow = await this.findPendingById(borrowId);
+    if (!borrow) return { success: false, error: 'Pending request not found' };
+
+    const updated = await this.transition(borrow, 'rejected', {
+      actor: { id: approvedById, role: approvedByRole },
+      reason,
+      set: { approvedBy: approvedById, approvedAt: new Date(), rejectionReason: reason },
+    });
 
-    return {
-      matchedCount: result.matchedCount,
-      modifiedCount: result.modifiedCount,
-      success: result.matchedCount > 0
-    };
+    return { success: !!updated, borrow: updated };
   }
 
   /**
    * Return book
    */
-  async returnBook(userId, bookId) {
+  async returnBook(userId, bookId, actor = null) {
     const borrow = await this.collection.findOne({
       userId,
       bookId,
@@ -231,26 +395,23 @@ export class BorrowModel {
     
     if (!borrow) return null;
 
-    const fine = this.calculateFine(borrow.dueDate, borrow.userType);
+    const policy = await this.policyModel.policyFor(borrow.userType, borrow.bookId);
     const now = new Date();
+    const fine = this.policyModel.calculateFine(borrow.dueDate, policy, now);
 
-    const result = await this.collection.updateOne(
-      { _id: borrow._id },
-      { 
-        $set: { 
-          returnedAt: now, 
-          fine,
-          status: 'returned' 
-        } 
-      }
-    );
+    const updated = await this.transition(borrow, 'returned', {
+      actor,
+      set: { returnedAt: now, fine },
+      filter: { returnedAt: null },
+    });
+    if (updated) await new FineModel(this.db).chargeOverdue(updated, now);
 
     return {
-      success: result.modifiedCount > 0,
+      success: !!updated,
       fine,
       borrow,
-      daysLate: Math.ceil((now - new Date(borrow.dueDate)) / (1000 * 60 * 60 * 24)),
-      gracePeriod: borrow.userType === 'teacher' ? 2 : 1
+      daysLate: this.policyModel.daysLate(borrow.dueDate, now),
+      gracePeriod: policy.graceDays
     };
   }
 
@@ -308,10 +469,10 @@ export class BorrowModel {
       .toArray();
 
     // Add live fine for borrowed records
-    const enriched = borrows.map(b => ({
+    const enriched = await Promise.all(borrows.map(async b => ({
       ...b,
-      fine: b.status === 'borrowed' ? this.calculateFine(b.dueDate, b.userType) : (b.fine || 0),
-    }));
+      fine: b.status === 'borrowed' ? await this.calculateFine(b) : (b.fine || 0),
+    })));
 
     const total = await this.collection.countDocuments(query);
 
@@ -437,11 +598,11 @@ export class BorrowModel {
       .toArray();
 
     // Calculate fines for each overdue borrow
-    const overdue = borrows.map(b => ({
+    const overdue = await Promise.all(borrows.map(async b => ({
       ...b,
-      fine: this.calculateFine(b.dueDate, b.userType),
-      daysOverdue: Math.ceil((now - new Date(b.dueDate)) / (1000 * 60 * 60 * 24))
-    }));
+      fine: await this.calculateFine(b),
+      daysOverdue: this.policyModel.daysLate(b.dueDate, now)
+    })));
 
     return overdue;
   }
@@ -491,16 +652,14 @@ export class BorrowModel {
   }
 
   /**
-   * Get fine policy for user type
+   * Get fine policy for user type (and optionally a book category)
    */
-  getFinePolicy(userType) {
+  async getFinePolicy(userType, category = '*') {
+    const policy = await this.policyModel.resolve(userType || 'student', category);
     return {
+      ...policy,
       userType: userType || 'student',
-      gracePeriod: userType === 'teacher' ? 2 : 1,
-      finePerDay: 10,
-      description: userType === 'teacher' 
-        ? '2 days grace period, then 10 ETB per day' 
-        : '1 day grace period, then 10 ETB per day'
+      gracePeriod: policy.graceDays,
     };
   }
 }
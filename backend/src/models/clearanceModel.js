@@ -0,0 +1,331 @@
+// models/clearanceModel.js
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { nextSequence, formatSequence } from '../utils/sequence.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { FineModel } from './fineModel.js';
+import { BorrowModel } from './borrowModel.js';
+import { HoldModel, ACTIVE_HOLD_STATUSES } from './holdModel.js';
+
+export const CLEARANCE_TYPES = ['graduation', 'staff_exit'];
+export const CLEARANCE_STATUSES = ['pending', 'approved', 'blocked', 'cancelled', 'revoked'];
+export const ACTIVE_CLEARANCE_STATUSES = ['pending', 'approved'];
+
+// Requests that are simply dropped when a patron is cleared
+const OPEN_REQUEST_STATUSES = ['pending', 'waitlisted', 'approved'];
+
+/**
+ * Clearance Model
+ * A clearance certifies that a graduating student or departing staff member
+ * owes the library nothing: no books out, no unpaid fines, no lost items.
+ * A librarian approves or blocks each request; approval issues a numbered
+ * certificate with a verification code the registrar can check publicly.
+ */
+export class ClearanceModel {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('clearances');
+    this.borrowsCollection = db.collection('borrows');
+    this.fineModel = new FineModel(db);
+    this.borrowModel = new BorrowModel(db);
+    this.holdModel = new HoldModel(db);
+  }
+
+  /**
+   * Find clearance by ObjectId
+   */
+  async findById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    return await this.collection.findOne({ _id: new ObjectId(id) });
+  }
+
+  /**
+   * Find an approved (or revoked) clearance by its verification code
+   */
+  async findByCode(code) {
+    return await this.collection.findOne({ verificationCode: code });
+  }
+
+  /**
+   * A user's pending or approved clearance
+   */
+  async findActive(userId) {
+    return await this.collection.findOne({
+      userId,
+      status: { $in: ACTIVE_CLEARANCE_STATUSES },
+    });
+  }
+
+  /**
+   * What stands between a user and clearance.
+   * Books on loan, a balance owing on the fines ledger and lost items block
+   * it; open requests and holds are listed but are cancelled on approval.
+   */
+  async checkObligations(userId) {
+    const now = new Date();
+
+    // Bring overdue charges up to date so the ledger is the whole story
+    await this.fineModel.accrue(userId, now);
+    const [loans, owed, account] = await Promise.all([
+      this.borrowsCollection.find({ userId, status: 'borrowed', returnedAt: null }).toArray(),
+      this.fineModel.outstandingByBorrow(userId),
+      this.fineModel.getAccount(userId),
+    ]);
+    const owedOn = id => owed.find(o => o.borrowId.equals(id))?.balance || 0;
+
+    const openLoans = loans.map(b => ({
+      borrowId: b._id,
+      bookId: b.bookId,
+      bookTitle: b.bookTitle || b.bookName,
+      dueDate: b.dueDate,
+      overdue: new Date(b.dueDate) < now,
+      fine: owedOn(b._id),
+    }));
+
+    // Fines still owed on loans that have been closed
+    const unpaidFines = owed
+      .filter(o => !loans.some(b => b._id.equals(o.borrowId)))
+      .map(o => ({
+        borrowId: o.borrowId,
+        bookId: o.bookId,
+        bookTitle: o.bookTitle,
+        amount: o.balance,
+      }));
+
+    // Loans declared lost and not found since (markFound moves them out of
+    // 'lost'). Read from the loans rather than the copies: a lost copy no
+    // longer points at its loan, and loans from before copy records have no copy.
+    const lostLoans = await this.borrowsCollection.find({ userId, status: 'lost' }).toArray();
+    const lostCopies = await this.db.collection('copies')
+      .find({ _id: { $in: lostLoans.map(b => b.copyId).filter(Boolean) } })
+      .toArray();
+    const lostItems = lostLoans.map(b => {
+      const copy = lostCopies.find(c => b.copyId && c._id.equals(b.copyId));
+      return {
+        borrowId: b._id,
+        copyId: copy?._id || null,
+        bookId: b.bookId,
+        bookTitle: b.bookTitle || b.bookName,
+        accessionNumber: copy?.accessionNumber || null,
+        barcode: copy?.barcode || null,
+      };
+    });
+
+    const openRequests = await this.borrowsCollection
+      .find({ userId, status: { $in: OPEN_REQUEST_STATUSES } }, { projection: { bookId: 1, bookTitle: 1, bookName: 1, status: 1 } })
+      .toArray();
+    const activeHolds = await this.db.collection('holds').countDocuments({
+      userId,
+      status: { $in: ACTIVE_HOLD_STATUSES },
+    });
+
+    return {
+      clear: openLoans.length === 0 && account.balance <= 0 && lostItems.length === 0,
+      openLoans,
+      unpaidFines,
+      lostItems,
+      fineTotal: Math.max(account.balance, 0),
+      openRequests: openRequests.length,
+      activeHolds,
+      checkedAt: now,
+    };
+  }
+
+  /**
+   * Open a clearance request for a user
+   */
+  async create(user, { type, reason = '' }) {
+    const checks = await this.checkObligations(user.id);
+
+    const clearance = {
+      userId: user.id,
+      username: user.username || null,
+      name: user.name || user.username || user.id,
+      role: user.role,
+      department: user.department || null,
+      type,
+      reason,
+      status: 'pending',
+      checks,
+      requestedAt: new Date(),
+      reviewedBy: null,
+      reviewedAt: null,
+      blockReason: null,
+      certificateNumber: null,
+      verificationCode: null,
+      issuedAt: null,
+      revokedBy: null,
+      revokedAt: null,
+      revokeReason: null,
+      updatedAt: new Date(),
+    };
+
+    const result = await this.collection.insertOne(clearance);
+    return { ...clearance, _id: result.insertedId };
+  }
+
+  /**
+   * List clearances with filters
+   */
+  async getAll({ page = 1, limit = 20, status, type, search = '' }) {
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { userId: { $regex: pattern, $options: 'i' } },
+        { username: { $regex: pattern, $options: 'i' } },
+        { name: { $regex: pattern, $options: 'i' } },
+        { certificateNumber: { $regex: pattern, $options: 'i' } },
+      ];
+    }
+
+    const clearances = await this.collection
+      .find(query)
+      .sort({ requestedAt: -1 })
+      .skip((+page - 1) * +limit)
+      .limit(+limit)
+      .toArray();
+
+    const total = await this.collection.countDocuments(query);
+
+    return {
+      clearances,
+      total,
+      page: +page,
+      limit: +limit,
+      totalPages: Math.ceil(total / +limit)
+    };
+  }
+
+  /**
+   * A user's clearance requests, newest first
+   */
+  async getForUser(userId) {
+    return await this.collection
+      .find({ userId })
+      .sort({ requestedAt: -1 })
+      .limit(20)
+      .toArray();
+  }
+
+  /**
+   * Approve a pending clearance and issue its certificate.
+   * Obligations are checked again; if any remain nothing is issued and
+   * the fresh checks are returned instead.
+   */
+  async approve(clearance, reviewer) {
+    const checks = await this.checkObligations(clearance.userId);
+    if (!checks.clear) return { success: false, checks };
+
+    const seq = await nextSequence(this.db, 'clearanceCertificate');
+    const now = new Date();
+    const approved = await this.collection.findOneAndUpdate(
+      { _id: clearance._id, status: 'pending' },
+      {
+        $set: {
+          status: 'approved',
+          checks,
+          reviewedBy: reviewer.id,
+          reviewedAt: now,
+          certificateNumber: formatSequence(`CLR-${now.getFullYear()}`, seq),
+          verificationCode: crypto.randomBytes(12).toString('hex'),
+          issuedAt: now,
+          updatedAt: now,
+        },
+      },
+      { returnDocument: 'after' }
+    );
+    if (!approved) return { success: false, error: 'Clearance is no longer pending' };
+
+    await this.closeOpenRequests(clearance.userId, reviewer);
+    return { success: true, clearance: approved };
+  }
+
+  /**
+   * A cleared patron is leaving: drop their queue places and open requests
+   */
+  async closeOpenRequests(userId, reviewer) {
+    const holds = await this.db.collection('holds')
+      .find({ userId, status: { $in: ACTIVE_HOLD_STATUSES } })
+      .toArray();
+    for (const hold of holds) await this.holdModel.cancel(hold, reviewer);
+
+    // Requests without a hold (pending review)
+    const requests = await this.borrowsCollection
+      .find({ userId, status: 'pending' })
+      .toArray();
+    for (const borrow of requests) {
+      await this.borrowModel.transition(borrow, 'cancelled', {
+        actor: reviewer,
+        reason: 'Patron cleared by the library',
+        set: { cancelledAt: new Date(), cancelledBy: reviewer.id },
+      });
+    }
+  }
+
+  /**
+   * Block a pending clearance with a reason the patron can act on
+   */
+  async block(clearance, reviewer, reason) {
+    const checks = await this.checkObligations(clearance.userId);
+    return await this.collection.findOneAndUpdate(
+      { _id: clearance._id, status: 'pending' },
+      {
+        $set: {
+          status: 'blocked',
+          checks,
+          reviewedBy: reviewer.id,
+          reviewedAt: new Date(),
+          blockReason: reason,
+          updatedAt: new Date(),
+        },
+      },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Withdraw a pending request (patron)
+   */
+  async cancel(clearance) {
+    return await this.collection.findOneAndUpdate(
+      { _id: clearance._id, status: 'pending' },
+      { $set: { status: 'cancelled', updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Revoke an issued certificate (e.g. issued in error); verification
+   * then reports it as no longer valid
+   */
+  async revoke(clearance, reviewer, reason) {
+    return await this.collection.findOneAndUpdate(
+      { _id: clearance._id, status: 'approved' },
+      {
+        $set: {
+          status: 'revoked',
+          revokedBy: reviewer.id,
+          revokedAt: new Date(),
+          revokeReason: reason,
+          updatedAt: new Date(),
+        },
+      },
+      { returnDocument: 'after' }
+    );
+  }
+}
+
+/**
+ * Initialize and export the ClearanceModel instance
+ */
+export function initClearanceModel(db) {
+  return new ClearanceModel(db);
+}
+
+/**
+ * Default export for convenience
+ */
+export default ClearanceModel;
@@ -0,0 +1,384 @@
+// models/copyModel.js
+import { ObjectId } from 'mongodb';
+import { nextSequence, formatSequence } from '../utils/sequence.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+
+export const COPY_STATUSES = ['on_shelf', 'on_hold', 'on_loan', 'lost', 'in_repair', 'withdrawn'];
+
+// Copies that no longer count towards a title's holdings
+export const OUT_OF_CIRCULATION_STATUSES = ['lost', 'withdrawn'];
+export const COPY_CONDITIONS = ['new', 'good', 'fair', 'poor', 'damaged'];
+
+let indexesReady = false;
+
+const generatedAccessionNumber = seq => formatSequence('ACC', seq);
+const generatedBarcode = seq => `WDU${String(seq).padStart(8, '0')}`;
+
+/**
+ * Copy Model
+ * Every physical copy of a book is its own record in 'copies'.
+ * books.copies is kept as the number of copies currently on the shelf.
+ */
+export class CopyModel {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('copies');
+    this.booksCollection = db.collection('books');
+  }
+
+  /**
+   * Find copy by ObjectId
+   */
+  async findById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    return await this.collection.findOne({ _id: new ObjectId(id) });
+  }
+
+  /**
+   * Find copy by barcode
+   */
+  async findByBarcode(barcode) {
+    return await this.collection.findOne({ barcode });
+  }
+
+  /**
+   * Find copy by accession number
+   */
+  async findByAccessionNumber(accessionNumber) {
+    return await this.collection.findOne({ accessionNumber });
+  }
+
+  /**
+   * Accession numbers and barcodes identify one copy each. If existing
+   * copies already share one, the index cannot be built; copies are then
+   * only checked by identifierTaken.
+   */
+  async ensureIndexes() {
+    if (indexesReady) return;
+    try {
+      for (const field of ['accessionNumber', 'barcode']) {
+        await this.collection.createIndex(
+          { [field]: 1 },
+          { unique: true, partialFilterExpression: { [field]: { $type: 'string' } } }
+        );
+      }
+    } catch (e) {
+      console.error('Copy identifier indexes unavailable:', e.message);
+    }
+    indexesReady = true;
+  }
+
+  /**
+   * Create a single copy for a book. Generated identifiers skip sequence
+   * values whose accession number or barcode was already entered by hand.
+   */
+  async create(bookId, data = {}, addedBy = null, options = {}) {
+    await this.ensureIndexes();
+
+    let seq;
+    do {
+      seq = await nextSequence(this.db, 'accessionNumber', options);
+    } while (await this.identifierTaken({
+      accessionNumber: data.accessionNumber ? null : generatedAccessionNumber(seq),
+      barcode: data.barcode ? null : generatedBarcode(seq),
+    }));
+
+    const copy = {
+      bookId,
+      accessionNumber: data.accessionNumber || generatedAccessionNumber(seq),
+      barcode: data.barcode || generatedBarcode(seq),
+      condition: data.condition || 'good',
+      status: data.status || 'on_shelf',
+      location: data.location || '',
+      notes: data.notes || '',
+      currentBorrowId: null,
+      addedBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const result = await this.collection.insertOne(copy, options);
+    return { ...copy, _id: result.insertedId };
+  }
+
+  /**
+   * Create several copies with generated accession numbers and barcodes
+   */
+  async createMany(bookId, count, data = {}, addedBy = null, options = {}) {
+    const created = [];
+    for (let i = 0; i < count; i++) {
+      created.push(await this.create(bookId, { condition: data.condition, location: data.location }, addedBy, options));
+    }
+    return created;
+  }
+
+  /**
+   * Check if an accession number or barcode is already used
+   */
+  async identifierTaken({ accessionNumber, barcode }, excludeId = null) {
+    const or = [];
+    if (accessionNumber) or.push({ accessionNumber });
+    if (barcode) or.push({ barcode });
+    if (or.length === 0) return null;
+
+    const query = { $or: or };
+    if (excludeId) query._id = { $ne: new ObjectId(excludeId) };
+    return await this.collection.findOne(query);
+  }
+
+  /**
+   * Books added before copy-level inventory only have a copies count.
+   * Give each of those copies its own record the first time we need them.
+   * The book is claimed first so two concurrent callers cannot both
+   * create the copies.
+   */
+  async ensureCopies(book, options = {}) {
+    if (!book || book.copyRecords) return;
+    const existing = await this.collection.countDocuments({ bookId: book.id }, options);
+
+    const claimed = await this.booksCollection.findOneAndUpdate(
+      { id: book.id, copyRecords: { $ne: true } },
+      { $set: { copyRecords: true } },
+      { returnDocument: 'before', ...options }
+    );
+    if (!claimed || existing > 0 || !claimed.copies || claimed.copies <= 0) return;
+
+    await this.createMany(book.id, claimed.copies, {}, book.addedBy || null, options);
+    await this.syncBookAvailability(book.id, options);
+  }
+
+  /**
+   * List copies with filters
+   */
+  async getAll({ page = 1, limit = 20, bookId, status, search = '' }) {
+    const query = {};
+    if (bookId) query.bookId = bookId;
+    if (status) query.status = status;
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { accessionNumber: { $regex: pattern, $options: 'i' } },
+        { barcode: { $regex: pattern, $options: 'i' } },
+        { bookId: { $regex: pattern, $options: 'i' } },
+      ];
+    }
+
+    const copies = await this.collection
+      .find(query)
+      .sort({ accessionNumber: 1 })
+      .skip((+page - 1) * +limit)
+      .limit(+limit)
+      .toArray();
+
+    const total = await this.collection.countDocuments(query);
+
+    return {
+      copies,
+      total,
+      page: +page,
+      limit: +limit,
+      totalPages: Math.ceil(total / +limit)
+    };
+  }
+
+  /**
+   * Update copy details
+   */
+  async updateById(id, updateData, options = {}) {
+    const result = await this.collection.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { ...updateData, updatedAt: new Date() } },
+      { returnDocument: 'after', ...options }
+    );
+    if (result) await this.syncBookAvailability(result.bookId, options);
+    return result;
+  }
+
+  /**
+   * Delete copy (only when it is not out on loan or set aside)
+   */
+  async deleteById(id) {
+    const copy = await this.findById(id);
+    if (!copy) return { success: false, error: 'Copy not found' };
+    if (copy.status === 'on_loan') return { success: false, error: 'Copy is currently on loan' };
+    if (copy.status === 'on_hold') return { success: false, error: 'Copy is set aside for a patron' };
+
+    await this.collection.deleteOne({ _id: copy._id });
+    await this.syncBookAvailability(copy.bookId);
+    return { success: true, copy };
+  }
+
+  /**
+   * Take a copy off the shelf for a borrow.
+   * Uses the given copy if provided, otherwise any copy on the shelf.
+   */
+  async checkout(bookId, borrowId, copyId = null, options = {}) {
+    const query = { bookId, status: 'on_shelf' };
+    if (copyId) query._id = new ObjectId(copyId);
+
+    const copy = await this.collection.findOneAndUpdate(
+      query,
+      { $set: { status: 'on_loan', currentBorrowId: borrowId, updatedAt: new Date() } },
+      { returnDocument: 'after', sort: { accessionNumber: 1 }, ...options }
+    );
+
+    if (copy) await this.syncBookAvailability(bookId, options);
+    return copy;
+  }
+
+  /**
+   * Set a copy aside for an approved request or a hold that is ready for pickup
+   */
+  async reserve(bookId, borrowId, options = {}) {
+    const copy = await this.collection.findOneAndUpdate(
+      { bookId, status: 'on_shelf' },
+      { $set: { status: 'on_hold', currentBorrowId: borrowId, updatedAt: new Date() } },
+      { returnDocument: 'after', sort: { accessionNumber: 1 }, ...options }
+    );
+
+    if (copy) await this.syncBookAvailability(bookId, options);
+    return copy;
+  }
+
+  /**
+   * Hand a set-aside copy to the patron it was reserved for
+   */
+  async checkoutReserved(copyId, borrowId, options = {}) {
+    const copy = await this.collection.findOneAndUpdate(
+      { _id: new ObjectId(copyId), status: 'on_hold', currentBorrowId: borrowId },
+      { $set: { status: 'on_loan', updatedAt: new Date() } },
+      { returnDocument: 'after', ...options }
+    );
+
+    if (copy) await this.syncBookAvailability(copy.bookId, options);
+    return copy;
+  }
+
+  /**
+   * Put a set-aside copy back on the shelf (request cancelled or not picked up)
+   */
+  async releaseReservation(copyId, options = {}) {
+    const copy = await this.collection.findOneAndUpdate(
+      { _id: new ObjectId(copyId), status: 'on_hold' },
+      { $set: { status: 'on_shelf', currentBorrowId: null, updatedAt: new Date() } },
+      { returnDocument: 'after', ...options }
+    );
+
+    if (copy) await this.syncBookAvailability(copy.bookId, options);
+    return copy;
+  }
+
+  /**
+   * Put a copy back on the shelf after return.
+   * Only a copy that is out on loan can come back, so checking the same
+   * copy in twice does nothing the second time.
+   */
+  async checkin(copyId, condition = null, options = {}) {
+    const set = { status: 'on_shelf', currentBorrowId: null, updatedAt: new Date() };
+    if (condition) set.condition = condition;
+
+    const copy = await this.collection.findOneAndUpdate(
+      { _id: new ObjectId(copyId), status: 'on_loan' },
+      { $set: set },
+      { returnDocument: 'after', ...options }
+    );
+
+    if (copy) await this.syncBookAvailability(copy.bookId, options);
+    return copy;
+  }
+
+  /**
+   * Take a copy that is out on loan out of circulation: 'lost' when it is
+   * not coming back, 'withdrawn' when it came back too damaged to lend.
+   */
+  async withdrawFromLoan(copyId, status, condition = null, options = {}) {
+    const set = { status, currentBorrowId: null, updatedAt: new Date() };
+    if (condition) set.condition = condition;
+
+    const copy = await this.collection.findOneAndUpdate(
+      { _id: new ObjectId(copyId), status: 'on_loan' },
+      { $set: set },
+      { returnDocument: 'after', ...options }
+    );
+
+    if (copy) await this.syncBookAvailability(copy.bookId, options);
+    return copy;
+  }
+
+  /**
+   * Put a copy that was declared lost back on the shelf once it turns up
+   */
+  async recoverLost(copyId, condition = null, options = {}) {
+    const set = { status: 'on_shelf', updatedAt: new Date() };
+    if (condition) set.condition = condition;
+
+    const copy = await this.collection.findOneAndUpdate(
+      { _id: new ObjectId(copyId), status: 'lost' },
+      { $set: set },
+      { returnDocument: 'after', ...options }
+    );
+
+    if (copy) await this.syncBookAvailability(copy.bookId, options);
+    return copy;
+  }
+
+  /**
+   * Put back the copy a borrow was holding.
+   * Loans made before copy-level inventory have no copyId, so the returned
+   * book is registered as a new copy instead.
+   */
+  async releaseForBorrow(borrow, condition = null, options = {}) {
+    if (borrow.copyId) return await this.checkin(borrow.copyId, condition, options);
+
+    await this.ensureCopies(await this.booksCollection.findOne({ id: borrow.bookId }, options), options);
+    const copy = await this.create(borrow.bookId, { condition: condition || 'good' }, null, options);
+    await this.syncBookAvailability(borrow.bookId, options);
+    return copy;
+  }
+
+  /**
+   * Count copies of a book per status
+   */
+  async countByStatus(bookId, options = {}) {
+    const rows = await this.collection.aggregate([
+      { $match: { bookId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ], options).toArray();
+
+    const counts = Object.fromEntries(COPY_STATUSES.map(s => [s, 0]));
+    rows.forEach(r => { counts[r._id] = r.count; });
+    return counts;
+  }
+
+  /**
+   * Keep the book document's counters in line with its copy records.
+   * books.copies is always recounted rather than incremented, so it can
+   * never drift or go below zero.
+   */
+  async syncBookAvailability(bookId, options = {}) {
+    const counts = await this.countByStatus(bookId, options);
+    const totalCopies = Object.entries(counts)
+      .filter(([status]) => !OUT_OF_CIRCULATION_STATUSES.includes(status))
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    await this.booksCollection.updateOne(
+      { id: bookId },
+      { $set: { copies: counts.on_shelf, totalCopies, copyRecords: true, updatedAt: new Date() } },
+      options
+    );
+
+    return counts;
+  }
+}
+
+/**
+ * Initialize and export the CopyModel instance
+ */
+export function initCopyModel(db) {
+  return new CopyModel(db);
+}
+
+/**
+ * Default export for convenience
+ */
+export default CopyModel;
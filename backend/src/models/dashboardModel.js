@@ -1,4 +1,5 @@
 // models/dashboardModel.js
+import { LoanPolicyModel } from './loanPolicyModel.js';
 
 /**
  * Dashboard Model
@@ -8,6 +9,7 @@
 export class DashboardModel {
   constructor(db) {
     this.db = db;
+    this.policyModel = new LoanPolicyModel(db);
   }
 
   /**
@@ -25,14 +27,10 @@ export class DashboardModel {
   }
 
   /**
-   * Helper: Calculate fine (10 ETB per day after due)
+   * Helper: Fine owed on a borrow under the loan policy
    */
-  calculateFine(dueDate) {
-    const now = new Date();
-    const due = new Date(dueDate);
-    const msDiff = now - due;
-    const daysLate = Math.max(0, Math.ceil(msDiff / (1000 * 60 * 60 * 24)));
-    return daysLate * 10;
+  async calculateFine(borrow) {
+    return await this.policyModel.fineForBorrow(borrow);
   }
 
   // ==================== ADMIN METHODS ====================
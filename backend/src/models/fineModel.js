@@ -0,0 +1,414 @@
+// models/fineModel.js
+import { ObjectId } from 'mongodb';
+import { LoanPolicyModel } from './loanPolicyModel.js';
+import { runTransaction, CirculationError } from '../utils/transaction.js';
+
+export const FINE_ENTRY_TYPES = ['charge', 'payment', 'waiver', 'refund'];
+export const FINE_CHARGE_CATEGORIES = ['overdue', 'lost', 'damage', 'processing'];
+
+// How each entry type moves what the user owes, and the account total it adds to
+const ENTRY_EFFECTS = {
+  charge: { sign: 1, total: 'charged' },
+  payment: { sign: -1, total: 'paid' },
+  waiver: { sign: -1, total: 'waived' },
+  refund: { sign: 1, total: 'refunded' },
+};
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Where a loan's fine stands, from its outstandingByBorrow row:
+ * 'none' (never charged), 'due', 'paid' or 'waived'
+ */
+export const fineStatus = (row) => {
+  if (!row || row.charged <= 0) return 'none';
+  if (row.balance > 0) return 'due';
+  return row.paid - row.refunded > 0 ? 'paid' : 'waived';
+};
+
+const toObjectId = id => (id && ObjectId.isValid(id) ? new ObjectId(id) : null);
+
+/**
+ * Fine Model
+ * The fines ledger: every charge, payment, waiver and refund is its own
+ * entry with the actor who made it. A user's balance (what they owe, or a
+ * credit when negative) is kept on their fineAccounts document and stamped
+ * on each entry as balanceAfter, so a statement reads like a bank statement.
+ *
+ * Overdue fines grow daily while a loan is open. chargeOverdue posts the
+ * growth since the last charge and records the total charged on the borrow
+ * (fineCharged), so the ledger and the loan always agree.
+ */
+export class FineModel {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('fines');
+    this.accounts = db.collection('fineAccounts');
+    this.borrowsCollection = db.collection('borrows');
+    this.policyModel = new LoanPolicyModel(db);
+  }
+
+  // Run fn in the caller's session, or in a transaction of its own
+  async withSession(options, fn) {
+    if (options.session) return await fn(options);
+    return await runTransaction(this.db, session => fn({ ...options, session }));
+  }
+
+  /**
+   * Write one ledger entry and move the user's balance.
+   * guard is an extra condition on the account (e.g. enough balance to
+   * waive); if it fails nothing is written and null is returned.
+   */
+  async post(entry, actor = null, { guard = null, ...options } = {}) {
+    const effect = ENTRY_EFFECTS[entry.type];
+    if (!effect) throw new Error(`Unknown fine entry type: ${entry.type}`);
+
+    const amount = round(Number(entry.amount));
+    if (!(amount > 0)) throw new CirculationError('Amount must be greater than zero');
+
+    return await this.withSession(options, async (opts) => {
+      const now = new Date();
+      const account = await this.accounts.findOneAndUpdate(
+        { _id: entry.userId, ...(guard || {}) },
+        {
+          $inc: { balance: effect.sign * amount, [effect.total]: amount },
+          $set: { username: entry.username || null, updatedAt: now },
+        },
+        { returnDocument: 'after', upsert: !guard, ...opts }
+      );
+      if (!account) return null;
+
+      const record = {
+        userId: entry.userId,
+        username: entry.username || null,
+        borrowId: toObjectId(entry.borrowId),
+        bookId: entry.bookId || null,
+        bookTitle: entry.bookTitle || null,
+        type: entry.type,
+        category: entry.category || null,
+        amount,
+        effect: effect.sign * amount,
+        balanceAfter: round(account.balance),
+        method: entry.method || null,
+        paymentId: entry.paymentId || null,
+        tx_ref: entry.tx_ref || null,
+        ...(entry.amnesty ? { amnesty: entry.amnesty } : {}), // { id, name, percent, trigger } on amnesty waivers
+        note: entry.note || '',
+        by: actor?.id || 'system',
+        byRole: actor?.role || 'system',
+        createdAt: now,
+      };
+      const result = await this.collection.insertOne(record, opts);
+      return { ...record, _id: result.insertedId };
+    });
+  }
+
+  /**
+   * Charge a user (overdue, lost book, damage)
+   */
+  async charge({ userId, username, borrow = null, category, amount, note = '' }, actor = null, options = {}) {
+    return await this.post({
+      userId,
+      username,
+      borrowId: borrow?._id,
+      bookId: borrow?.bookId,
+      bookTitle: borrow?.bookTitle || borrow?.bookName,
+      type: 'charge',
+      category,
+      amount,
+      note,
+    }, actor, options);
+  }
+
+  /**
+   * Record money received; it may cover only part of what is owed
+   */
+  async recordPayment({ userId, username, borrow = null, amount, method, paymentId = null, tx_ref = null, note = '' }, actor = null, options = {}) {
+    return await this.post({
+      userId,
+      username,
+      borrowId: borrow?._id,
+      bookId: borrow?.bookId,
+      bookTitle: borrow?.bookTitle || borrow?.bookName,
+      type: 'payment',
+      amount,
+      method,
+      paymentId,
+      tx_ref,
+      note,
+    }, actor, options);
+  }
+
+  /**
+   * Forgive part or all of what a user owes (on one loan when borrow is given)
+   */
+  async waive({ userId, username, borrow = null, amount, note }, actor, options = {}) {
+    if (borrow) {
+      const [owed] = await this.outstandingByBorrow(userId, { borrowIds: [borrow._id], includeSettled: true });
+      if (!owed || owed.balance < amount) {
+        throw new CirculationError(`Only ${owed?.balance || 0} ETB is owed on this loan`);
+      }
+    }
+
+    const entry = await this.post({
+      userId,
+      username,
+      borrowId: borrow?._id,
+      bookId: borrow?.bookId,
+      bookTitle: borrow?.bookTitle || borrow?.bookName,
+      type: 'waiver',
+      amount,
+      note,
+    }, actor, { ...options, guard: { balance: { $gte: round(amount) } } });
+    if (!entry) throw new CirculationError('The waiver is larger than what the user owes');
+    return entry;
+  }
+
+  /**
+   * Take back a charge that no longer applies, e.g. the replacement cost of
+   * a lost book that turned up. Unlike a waiver it may leave the user in
+   * credit when the charge was already paid; the credit can then be refunded.
+   */
+  async cancelCharge({ userId, username, borrow = null, amount, note }, actor, options = {}) {
+    return await this.post({
+      userId,
+      username,
+      borrowId: borrow?._id,
+      bookId: borrow?.bookId,
+      bookTitle: borrow?.bookTitle || borrow?.bookName,
+      type: 'waiver',
+      amount,
+      note,
+    }, actor, options);
+  }
+
+  /**
+   * Give money back to a user; never more than they have paid
+   */
+  async refund({ userId, username, borrow = null, amount, method = null, paymentId = null, note }, actor, options = {}) {
+    if (borrow) {
+      const [owed] = await this.outstandingByBorrow(userId, { borrowIds: [borrow._id], includeSettled: true });
+      if (!owed || owed.paid - owed.refunded < amount) {
+        throw new CirculationError(`Only ${owed ? owed.paid - owed.refunded : 0} ETB was paid on this loan`);
+      }
+    }
+
+    const entry = await this.post({
+      userId,
+      username,
+      borrowId: borrow?._id,
+      bookId: borrow?.bookId,
+      bookTitle: borrow?.bookTitle || borrow?.bookName,
+      type: 'refund',
+      amount,
+      method,
+      paymentId,
+      note,
+    }, actor, {
+      ...options,
+      guard: { $expr: { $gte: [{ $subtract: ['$paid', { $ifNull: ['$refunded', 0] }] }, round(amount)] } },
+    });
+    if (!entry) throw new CirculationError('The refund is larger than what the user has paid');
+    return entry;
+  }
+
+  /**
+   * Bring the overdue charge for a loan up to date.
+   * Open loans are charged what the policy says so far; a returned loan is
+   * charged the fine fixed at return. Only the increase since the last
+   * charge is posted, and it is claimed on the borrow first so two callers
+   * cannot post it twice.
+   */
+  async chargeOverdue(borrow, asOf = new Date(), options = {}) {
+    const due = borrow.returnedAt
+      ? (borrow.fine || 0)
+      : await this.policyModel.fineForBorrow(borrow, asOf);
+    const charged = borrow.fineCharged || 0;
+    if (due <= charged) return null;
+
+    return await this.withSession(options, async (opts) => {
+      const claimed = await this.borrowsCollection.findOneAndUpdate(
+        { _id: borrow._id, fineCharged: charged || { $in: [null, 0] } },
+        {
+          $set: {
+            fineCharged: due,
+            ...(borrow.returnedAt ? {} : { fine: due }),
+            fineUpdatedAt: asOf,
+          },
+        },
+        { returnDocument: 'after', ...opts }
+      );
+      if (!claimed) return null;
+
+      return await this.charge({
+        userId: borrow.userId,
+        username: borrow.username,
+        borrow,
+        category: 'overdue',
+        amount: due - charged,
+        note: borrow.returnedAt ? 'Overdue fine at return' : `Overdue fine to ${asOf.toISOString().slice(0, 10)}`,
+      }, null, opts);
+    });
+  }
+
+  /**
+   * Post overdue charges for every loan (or one user's loans) that has
+   * fallen behind: open overdue loans, and returned loans whose fine was
+   * never charged to the ledger.
+   */
+  async accrue(userId = null, asOf = new Date()) {
+    const loans = await this.borrowsCollection.find({
+      ...(userId ? { userId } : {}),
+      $or: [
+        { status: 'borrowed', returnedAt: null, dueDate: { $lt: asOf } },
+        { returnedAt: { $ne: null }, $expr: { $gt: ['$fine', { $ifNull: ['$fineCharged', 0] }] } },
+      ],
+    }).toArray();
+
+    let posted = 0;
+    let amount = 0;
+    for (const borrow of loans) {
+      const entry = await this.chargeOverdue(borrow, asOf);
+      if (!entry) continue;
+      posted++;
+      amount += entry.amount;
+    }
+    return { loans: loans.length, posted, amount: round(amount) };
+  }
+
+  /**
+   * A user's balance and totals
+   */
+  async getAccount(userId) {
+    const account = await this.accounts.findOne({ _id: userId });
+    return {
+      userId,
+      balance: round(account?.balance || 0),
+      charged: round(account?.charged || 0),
+      paid: round(account?.paid || 0),
+      waived: round(account?.waived || 0),
+      refunded: round(account?.refunded || 0),
+    };
+  }
+
+  /**
+   * What is owed on each of a user's loans, from the ledger.
+   * Settled loans are left out unless includeSettled is set.
+   */
+  async outstandingByBorrow(userId, { borrowIds = null, includeSettled = false } = {}) {
+    const match = { userId, borrowId: { $ne: null } };
+    if (borrowIds) match.borrowId = { $in: borrowIds.map(id => new ObjectId(id)) };
+
+    const sumOf = type => ({ $sum: { $cond: [{ $eq: ['$type', type] }, '$amount', 0] } });
+    const rows = await this.collection.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$borrowId',
+          bookId: { $first: '$bookId' },
+          bookTitle: { $first: '$bookTitle' },
+          charged: sumOf('charge'),
+          paid: sumOf('payment'),
+          waived: sumOf('waiver'),
+          refunded: sumOf('refund'),
+          balance: { $sum: '$effect' },
+          lastEntryAt: { $max: '$createdAt' },
+        },
+      },
+      { $sort: { lastEntryAt: -1 } },
+    ]).toArray();
+
+    return rows
+      .map(({ _id, ...row }) => ({ borrowId: _id, ...row, balance: round(row.balance) }))
+      .filter(row => includeSettled || row.balance > 0);
+  }
+
+  /**
+   * A user's ledger entries, newest first
+   */
+  async getEntries(userId, { page = 1, limit = 20, type } = {}) {
+    const query = { userId };
+    if (type) query.type = type;
+    return await this.list(query, page, limit);
+  }
+
+  /**
+   * The whole ledger with filters (staff)
+   */
+  async getAll({ page = 1, limit = 20, userId, type, category, method, from, to } = {}) {
+    const query = {};
+    if (userId) query.userId = userId;
+    if (type) query.type = type;
+    if (category) query.category = category;
+    if (method) query.method = method;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lt = new Date(to);
+    }
+    return await this.list(query, page, limit);
+  }
+
+  async list(query, page, limit) {
+    const entries = await this.collection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip((+page - 1) * +limit)
+      .limit(+limit)
+      .toArray();
+
+    const total = await this.collection.countDocuments(query);
+
+    return {
+      entries,
+      total,
+      page: +page,
+      limit: +limit,
+      totalPages: Math.ceil(total / +limit)
+    };
+  }
+
+  /**
+   * Ledger totals by entry type, optionally for a period
+   */
+  async totals({ from, to } = {}) {
+    const match = {};
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lt = new Date(to);
+    }
+
+    const rows = await this.collection.aggregate([
+      { $match: match },
+      { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } },
+    ]).toArray();
+
+    const totals = { charged: 0, paid: 0, waived: 0, refunded: 0 };
+    for (const row of rows) totals[ENTRY_EFFECTS[row._id].total] = round(row.total);
+
+    const outstanding = await this.accounts.aggregate([
+      { $match: { balance: { $gt: 0 } } },
+      { $group: { _id: null, total: { $sum: '$balance' }, users: { $sum: 1 } } },
+    ]).toArray();
+
+    return {
+      ...totals,
+      collected: round(totals.paid - totals.refunded),
+      outstanding: round(outstanding[0]?.total || 0),
+      usersOwing: outstanding[0]?.users || 0,
+    };
+  }
+}
+
+/**
+ * Initialize and export the FineModel instance
+ */
+export function initFineModel(db) {
+  return new FineModel(db);
+}
+
+/**
+ * Default export for convenience
+ */
+export default FineModel;
@@ -0,0 +1,423 @@
+// models/holdModel.js
+import { ObjectId } from 'mongodb';
+import { CopyModel } from './copyModel.js';
+import { LoanPolicyModel } from './loanPolicyModel.js';
+import { BorrowModel, canTransition } from './borrowModel.js';
+import { notifyUser } from '../utils/notify.js';
+import { runTransaction } from '../utils/transaction.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+
+export const HOLD_STATUSES = ['waiting', 'ready', 'fulfilled', 'cancelled', 'expired'];
+export const ACTIVE_HOLD_STATUSES = ['waiting', 'ready'];
+
+/**
+ * Hold Model
+ * A hold is a patron's place in the queue for a title with no copy on the shelf.
+ * Holds are served first come, first served: when a copy comes back it is set
+ * aside for the oldest waiting hold and an approved borrow is opened for it,
+ * which the patron confirms at pickup like any other approved request.
+ * A patron blocked from borrowing or at their loan limit keeps their
+ * place but is passed over until that changes. Copy, hold and borrow always change together
+ * in one transaction.
+ */
+export class HoldModel {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('holds');
+    this.borrowsCollection = db.collection('borrows');
+    this.copyModel = new CopyModel(db);
+    this.policyModel = new LoanPolicyModel(db);
+    this.borrowModel = new BorrowModel(db);
+  }
+
+  /**
+   * Find hold by ObjectId
+   */
+  async findById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    return await this.collection.findOne({ _id: new ObjectId(id) });
+  }
+
+  /**
+   * Find a user's waiting or ready hold on a book
+   */
+  async findActive(userId, bookId) {
+    return await this.collection.findOne({
+      userId,
+      bookId,
+      status: { $in: ACTIVE_HOLD_STATUSES },
+    });
+  }
+
+  /**
+   * Join the queue for a book.
+   * borrowId links the hold to the request it was created from, if any.
+   */
+  async place(user, book, borrowId = null, options = {}) {
+    const hold = {
+      bookId: book.id,
+      bookName: book.name,
+      bookTitle: book.title,
+      userId: user.id,
+      username: user.username,
+      userType: user.role || 'student',
+      status: 'waiting',
+      borrowId,
+      copyId: null,
+      placedAt: new Date(),
+      readyAt: null,
+      pickupDeadline: null,
+      fulfilledAt: null,
+      cancelledAt: null,
+      cancelledBy: null,
+      updatedAt: new Date(),
+    };
+
+    const result = await this.collection.insertOne(hold, options);
+    return { ...hold, _id: result.insertedId };
+  }
+
+  /**
+   * Position of a waiting hold in its book's queue (1 = next in line)
+   */
+  async position(hold) {
+    if (hold.status !== 'waiting') return null;
+    const ahead = await this.collection.countDocuments({
+      bookId: hold.bookId,
+      status: 'waiting',
+      placedAt: { $lt: hold.placedAt },
+    });
+    return ahead + 1;
+  }
+
+  /**
+   * Add queue positions to a list of holds
+   */
+  async withPositions(holds) {
+    return await Promise.all(holds.map(async h => ({ ...h, position: await this.position(h) })));
+  }
+
+  /**
+   * A user's holds, active ones first
+   */
+  async getForUser(userId) {
+    const holds = await this.collection
+      .find({ userId })
+      .sort({ placedAt: -1 })
+      .limit(50)
+      .toArray();
+
+    const order = s => (ACTIVE_HOLD_STATUSES.includes(s) ? 0 : 1);
+    holds.sort((a, b) => order(a.status) - order(b.status));
+    return await this.withPositions(holds);
+  }
+
+  /**
+   * List holds with filters (queue order)
+   */
+  async getAll({ page = 1, limit = 20, bookId, status, search = '' }) {
+    const query = {};
+    if (bookId) query.bookId = bookId;
+    if (status) query.status = status;
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { username: { $regex: pattern, $options: 'i' } },
+        { userId: { $regex: pattern, $options: 'i' } },
+        { bookId: { $regex: pattern, $options: 'i' } },
+        { bookName: { $regex: pattern, $options: 'i' } },
+      ];
+    }
+
+    const holds = await this.collection
+      .find(query)
+      .sort({ placedAt: 1 })
+      .skip((+page - 1) * +limit)
+      .limit(+limit)
+      .toArray();
+
+    const total = await this.collection.countDocuments(query);
+
+    return {
+      holds: await this.withPositions(holds),
+      total,
+      page: +page,
+      limit: +limit,
+      totalPages: Math.ceil(total / +limit)
+    };
+  }
+
+  /**
+   * Whether a waiting hold must be passed over for now: its patron
+   * already has as many books approved or on loan as their policy allows,
+   * or is blocked from borrowing and staff did not override the block
+   * when approving the request the hold came from
+   */
+  async passOver(hold) {
+    const patron = { id: hold.userId, role: hold.userType };
+    const limit = await this.borrowModel.loanLimit(patron, { statuses: ['approved', 'borrowed'] });
+    if (limit.error) return true;
+
+    const request = hold.borrowId && await this.borrowsCollection.findOne({ _id: hold.borrowId });
+    if (request?.blockOverride) return false;
+    const block = await this.borrowModel.borrowingBlock(patron);
+    return block.blocked;
+  }
+
+  /**
+   * Set copies on the shelf aside for the next patrons in line.
+   * Call after anything that can put a copy of the book back on the shelf.
+   * Returns the holds that became ready.
+   */
+  async promoteNext(bookId) {
+    const promoted = [];
+    const passed = [];
+
+    for (;;) {
+      const hold = await this.collection.findOne(
+        { bookId, status: 'waiting', _id: { $nin: passed } },
+        { sort: { placedAt: 1 } }
+      );
+      if (!hold) break;
+
+      if (await this.passOver(hold)) {
+        passed.push(hold._id);
+        continue;
+      }
+
+      const policy = await this.policyModel.policyFor(hold.userType, bookId);
+
+      const outcome = await runTransaction(this.db, async (session) => {
+        const options = { session };
+        const borrowId = hold.borrowId || new ObjectId();
+        const copy = await this.copyModel.reserve(bookId, borrowId, options);
+        if (!copy) return { noCopy: true };
+
+        const now = new Date();
+        const pickupDeadline = this.policyModel.pickupDeadline(policy, now);
+
+        // Claim the hold; it may have been cancelled in the meantime
+        const ready = await this.collection.findOneAndUpdate(
+          { _id: hold._id, status: 'waiting' },
+          {
+            $set: {
+              status: 'ready',
+              borrowId,
+              copyId: copy._id,
+              readyAt: now,
+              pickupDeadline,
+              updatedAt: now,
+            },
+          },
+          { returnDocument: 'after', ...options }
+        );
+        if (!ready) {
+          await this.copyModel.releaseReservation(copy._id, options);
+          return { skipped: true };
+        }
+
+        await this.openBorrow(ready, copy, policy, now, options);
+        return { ready };
+      });
+
+      if (outcome.noCopy) break;
+      if (outcome.skipped) continue;
+
+      const { ready } = outcome;
+      await notifyUser(this.db, ready.userId, {
+        type: 'hold_ready',
+        subject: 'Your hold is ready',
+        message: `"${ready.bookTitle || ready.bookName}" has been set aside for you. Please pick it up and confirm the borrow by ${ready.pickupDeadline.toLocaleString()}.`,
+        data: { holdId: ready._id, borrowId: ready.borrowId, bookId },
+      });
+      promoted.push(ready);
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Approved borrow for a ready hold: reuse the request it came from,
+   * or open one for holds placed directly
+   */
+  async openBorrow(hold, copy, policy, now = new Date(), options = {}) {
+    const fields = {
+      approvedBy: 'system',
+      approvedAt: now,
+      dueDate: this.policyModel.dueDateLimits(policy, now).defaultDueDate, // restarted at pickup
+      copyId: copy._id,
+      accessionNumber: copy.accessionNumber,
+      barcode: copy.barcode,
+      holdId: hold._id,
+      pickupDeadline: hold.pickupDeadline,
+    };
+
+    const reason = 'Copy set aside from the hold queue';
+    const existing = await this.borrowModel.transition(
+      { _id: hold.borrowId, status: 'waitlisted' },
+      'approved',
+      { reason, set: fields },
+      options
+    );
+    if (existing) return;
+
+    await this.borrowModel.create({
+      _id: hold.borrowId,
+      userId: hold.userId,
+      username: hold.username,
+      bookId: hold.bookId,
+      bookName: hold.bookName,
+      bookTitle: hold.bookTitle,
+      userType: hold.userType,
+      requestedAt: hold.placedAt,
+      borrowedAt: null,
+      returnedAt: null,
+      fine: 0,
+      rejectionReason: null,
+      requestedBy: hold.userId,
+      status: 'approved',
+      ...fields,
+    }, null, reason, options);
+  }
+
+  /**
+   * Promote the queues of books that have a copy on the shelf and
+   * patrons still waiting, i.e. whose waiting patrons were passed over.
+   * Returns the holds that became ready.
+   */
+  async promoteWaiting() {
+    const bookIds = await this.collection.distinct('bookId', { status: 'waiting' });
+    const onShelf = await this.db.collection('books').distinct('id', { id: { $in: bookIds }, copies: { $gt: 0 } });
+
+    const promoted = [];
+    for (const bookId of onShelf) promoted.push(...await this.promoteNext(bookId));
+    return promoted;
+  }
+
+  /**
+   * Mark the hold behind a borrow as collected
+   */
+  async fulfil(borrowId, options = {}) {
+    return await this.collection.findOneAndUpdate(
+      { borrowId, status: 'ready' },
+      { $set: { status: 'fulfilled', fulfilledAt: new Date(), updatedAt: new Date() } },
+      { returnDocument: 'after', ...options }
+    );
+  }
+
+  /**
+   * Expire approved requests whose pickup window has passed.
+   * The set-aside copy goes to the next patron in line and the patron who
+   * missed the window is told. Returns the expired borrows.
+   */
+  async expireUncollected(now = new Date()) {
+    const candidates = await this.borrowsCollection.find({
+      status: 'approved',
+      $or: [
+        { pickupDeadline: { $lt: now } },
+        { pickupDeadline: null }, // approved before pickup windows existed
+      ],
+    }).toArray();
+
+    const expired = [];
+    for (const borrow of candidates) {
+      let deadline = borrow.pickupDeadline;
+      if (!deadline) {
+        const policy = await this.policyModel.policyFor(borrow.userType, borrow.bookId);
+        deadline = this.policyModel.pickupDeadline(policy, new Date(borrow.approvedAt || borrow.requestedAt));
+        if (deadline >= now) continue;
+      }
+
+      const updated = await runTransaction(this.db, async (session) => {
+        const options = { session };
+
+        // Confirmation may have won the race
+        const lapsed = await this.borrowModel.transition(
+          borrow,
+          'expired',
+          {
+            reason: `Not picked up by ${new Date(deadline).toISOString()}`,
+            set: { expiredAt: now, pickupDeadline: deadline },
+          },
+          options
+        );
+        if (!lapsed) return null;
+
+        await this.collection.updateOne(
+          { borrowId: borrow._id, status: 'ready' },
+          { $set: { status: 'expired', updatedAt: now } },
+          options
+        );
+
+        if (borrow.copyId) await this.copyModel.releaseReservation(borrow.copyId, options);
+        return lapsed;
+      });
+      if (!updated) continue;
+
+      await this.promoteNext(borrow.bookId);
+
+      await notifyUser(this.db, borrow.userId, {
+        type: 'request_expired',
+        subject: 'Borrow request expired',
+        message: `Your approved request for "${borrow.bookTitle || borrow.bookName}" was not picked up by ${new Date(deadline).toLocaleString()} and has expired. You can request the book again.`,
+        data: { borrowId: borrow._id, bookId: borrow.bookId },
+      });
+      expired.push(updated);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Leave the queue. A ready hold gives its copy to the next patron.
+   * actor is the user cancelling ({ id, role }); none means the system.
+   */
+  async cancel(hold, actor = null, status = 'cancelled') {
+    const cancelledBy = actor?.id || 'system';
+    const updated = await runTransaction(this.db, async (session) => {
+      const options = { session };
+      const cancelled = await this.collection.findOneAndUpdate(
+        { _id: hold._id, status: { $in: ACTIVE_HOLD_STATUSES } },
+        { $set: { status, cancelledAt: new Date(), cancelledBy, updatedAt: new Date() } },
+        { returnDocument: 'after', ...options }
+      );
+      if (!cancelled) return null;
+
+      const borrowId = cancelled.borrowId || hold.borrowId;
+      const borrow = borrowId && await this.borrowsCollection.findOne({ _id: borrowId }, options);
+      if (borrow && canTransition(borrow.status, status)) {
+        await this.borrowModel.transition(
+          borrow,
+          status,
+          {
+            actor,
+            reason: 'Hold cancelled',
+            set: { cancelledAt: new Date(), cancelledBy },
+          },
+          options
+        );
+      }
+
+      // Use the stored copy: the hold may have become ready since it was read
+      if (cancelled.copyId) await this.copyModel.releaseReservation(cancelled.copyId, options);
+      return cancelled;
+    });
+    if (!updated) return null;
+
+    if (updated.copyId) await this.promoteNext(hold.bookId);
+
+    return updated;
+  }
+}
+
+/**
+ * Initialize and export the HoldModel instance
+ */
+export function initHoldModel(db) {
+  return new HoldModel(db);
+}
+
+/**
+ * Default export for convenience
+ */
+export default HoldModel;
@@ -0,0 +1,235 @@
+// models/loanPolicyModel.js
+import { ObjectId } from 'mongodb';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const POLICY_FIELDS = [
+  'loanPeriodDays',  // default due date when none is asked for
+  'maxLoanDays',     // furthest due date a patron may ask for
+  'graceDays',       // days after the due date before fines start
+  'finePerDay',      // ETB per chargeable day
+  'fineCap',         // highest fine for one loan (null = no cap)
+  'maxActiveLoans',  // open requests + loans at the same time
+  'holdPickupDays',  // days a set-aside copy waits for the patron
+  'maxRenewals',     // times one loan may be renewed
+  'renewalDays',     // days each renewal adds to the due date
+  'maxUnpaidFines',  // ETB owed above which borrowing is blocked (null = never)
+  'maxOverdueItems', // overdue loans above which borrowing is blocked (null = never)
+];
+
+/**
+ * Rules used when the loanPolicies collection is empty.
+ * Loan periods and fines match the rules used before policies were configurable.
+ */
+export const DEFAULT_POLICIES = [
+  { role: '*', category: '*', loanPeriodDays: 7, maxLoanDays: 30, graceDays: 0, finePerDay: 10, fineCap: null, maxActiveLoans: 1, holdPickupDays: 3, maxRenewals: 2, renewalDays: 7, maxUnpaidFines: 100, maxOverdueItems: 2 },
+  { role: 'student', category: '*', graceDays: 1, maxLoanDays: 14, maxActiveLoans: 3 },
+  { role: 'teacher', category: '*', graceDays: 2, maxActiveLoans: 10 },
+];
+
+/**
+ * Loan Policy Model
+ * Policy rules are stored per role and per book category ('*' matches any).
+ * A patron's effective policy is built by layering matching rules from the
+ * least to the most specific: (*,*) → (*,category) → (role,*) → (role,category).
+ */
+export class LoanPolicyModel {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('loanPolicies');
+    this.booksCollection = db.collection('books');
+    this.rules = null;
+    this.categoryCache = new Map();
+  }
+
+  /**
+   * Insert the default rules on first use
+   */
+  async ensureDefaults() {
+    const count = await this.collection.countDocuments();
+    if (count > 0) return;
+
+    await this.collection.insertMany(
+      DEFAULT_POLICIES.map(rule => ({ ...rule, updatedBy: 'system', updatedAt: new Date() }))
+    );
+  }
+
+  /**
+   * Load all rules (cached for the lifetime of this model instance)
+   */
+  async getRules() {
+    if (!this.rules) {
+      await this.ensureDefaults();
+      this.rules = await this.collection.find({}).sort({ role: 1, category: 1 }).toArray();
+    }
+    return this.rules;
+  }
+
+  /**
+   * Build the effective policy for a role and book category
+   */
+  async resolve(role = 'student', category = '*') {
+    const rules = await this.getRules();
+    const layers = [
+      ['*', '*'],
+      ['*', category],
+      [role, '*'],
+      [role, category],
+    ];
+
+    // Start from the built-in base so fields added later have a value
+    // even when the stored base rule predates them
+    const base = DEFAULT_POLICIES[0];
+    const policy = Object.fromEntries(POLICY_FIELDS.map(field => [field, base[field]]));
+    const matched = [];
+    const seen = new Set();
+
+    for (const [r, c] of layers) {
+      const rule = rules.find(x => x.role === r && x.category === c);
+      if (!rule || seen.has(String(rule._id))) continue;
+      seen.add(String(rule._id));
+      matched.push(rule);
+      POLICY_FIELDS.forEach(field => {
+        if (rule[field] !== undefined) policy[field] = rule[field];
+      });
+    }
+
+    return {
+      role,
+      category,
+      ...policy,
+      description: this.describe(policy),
+      rules: matched,
+    };
+  }
+
+  /**
+   * Look up a book's category (cached)
+   */
+  async getCategory(bookId) {
+    if (!bookId) return '*';
+    if (!this.categoryCache.has(bookId)) {
+      const book = await this.booksCollection.findOne({ id: bookId }, { projection: { category: 1 } });
+      this.categoryCache.set(bookId, book?.category || '*');
+    }
+    return this.categoryCache.get(bookId);
+  }
+
+  /**
+   * Effective policy for a role borrowing a given book
+   */
+  async policyFor(role, bookId) {
+    return await this.resolve(role || 'student', await this.getCategory(bookId));
+  }
+
+  /**
+   * Fine owed for a due date under a policy
+   */
+  calculateFine(dueDate, policy, asOf = new Date()) {
+    const msDiff = new Date(asOf) - new Date(dueDate);
+    if (msDiff <= 0) return 0; // Not overdue yet
+
+    const daysLate = Math.ceil(msDiff / DAY_MS);
+    const chargeableDays = Math.max(0, daysLate - (policy.graceDays || 0));
+    const fine = chargeableDays * (policy.finePerDay || 0);
+
+    return policy.fineCap != null ? Math.min(fine, policy.fineCap) : fine;
+  }
+
+  /**
+   * Fine owed on a borrow record right now
+   */
+  async fineForBorrow(borrow, asOf = new Date()) {
+    const policy = await this.policyFor(borrow.userType, borrow.bookId);
+    return this.calculateFine(borrow.dueDate, policy, asOf);
+  }
+
+  /**
+   * Days between the due date and now
+   */
+  daysLate(dueDate, asOf = new Date()) {
+    return Math.ceil((new Date(asOf) - new Date(dueDate)) / DAY_MS);
+  }
+
+  /**
+   * Default and latest allowed due dates for a policy
+   */
+  dueDateLimits(policy, from = new Date()) {
+    return {
+      defaultDueDate: new Date(from.getTime() + policy.loanPeriodDays * DAY_MS),
+      maxDueDate: new Date(from.getTime() + policy.maxLoanDays * DAY_MS),
+    };
+  }
+
+  /**
+   * Date by which a set-aside copy must be collected
+   */
+  pickupDeadline(policy, from = new Date()) {
+    return new Date(from.getTime() + (policy.holdPickupDays || 1) * DAY_MS);
+  }
+
+  /**
+   * Due date after one renewal
+   */
+  renewedDueDate(policy, dueDate) {
+    return new Date(new Date(dueDate).getTime() + (policy.renewalDays || policy.loanPeriodDays) * DAY_MS);
+  }
+
+  /**
+   * Human readable summary, e.g. "1 day grace period, then 10 ETB per day"
+   */
+  describe(policy) {
+    const grace = policy.graceDays
+      ? `${policy.graceDays} day${policy.graceDays === 1 ? '' : 's'} grace period, then `
+      : 'No grace period, ';
+    const cap = policy.fineCap != null ? ` (max ${policy.fineCap} ETB per loan)` : '';
+    return `${grace}${policy.finePerDay} ETB per day${cap}`;
+  }
+
+  /**
+   * Create or update the rule for a role/category pair
+   */
+  async upsertRule({ role = '*', category = '*', ...fields }, updatedBy) {
+    const set = { updatedBy, updatedAt: new Date() };
+    POLICY_FIELDS.forEach(field => {
+      if (fields[field] !== undefined) set[field] = fields[field];
+    });
+
+    const rule = await this.collection.findOneAndUpdate(
+      { role, category },
+      { $set: set },
+      { upsert: true, returnDocument: 'after' }
+    );
+    this.rules = null;
+    return rule;
+  }
+
+  /**
+   * Delete a rule (the base '*'/'*' rule cannot be removed)
+   */
+  async deleteRule(id) {
+    if (!ObjectId.isValid(id)) return { success: false, error: 'Invalid rule ID' };
+
+    const rule = await this.collection.findOne({ _id: new ObjectId(id) });
+    if (!rule) return { success: false, error: 'Rule not found' };
+    if (rule.role === '*' && rule.category === '*') {
+      return { success: false, error: 'The base rule cannot be deleted' };
+    }
+
+    await this.collection.deleteOne({ _id: rule._id });
+    this.rules = null;
+    return { success: true };
+  }
+}
+
+/**
+ * Initialize and export the LoanPolicyModel instance
+ */
+export function initLoanPolicyModel(db) {
+  return new LoanPolicyModel(db);
+}
+
+/**
+ * Default export for convenience
+ */
+export default LoanPolicyModel;
@@ -1,6 +1,55 @@
 // models/paymentModel.js
 import { v4 as uuidv4 } from 'uuid';
 import { ObjectId } from 'mongodb';
+import { FineModel } from './fineModel.js';
+import { AmnestyModel } from './amnestyModel.js';
+import { runTransaction, CirculationError } from '../utils/transaction.js';
+import { nextSequence, formatSequence } from '../utils/sequence.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { getGateway } from '../utils/paymentGateways.js';
+
+// Payments taken in person at the circulation desk
+export const DESK_METHODS = ['cash', 'bank_slip'];
+
+/**
+ * Payment intent lifecycle. An online payment is created pending (its
+ * checkout open) and settled exactly once by the provider's verdict; money
+ * only leaves a completed payment through a refund or a reversal, and a
+ * partial refund leaves it completed. Desk payments are created completed.
+ */
+export const PAYMENT_TRANSITIONS = {
+  pending: ['completed', 'failed', 'expired'],
+  completed: ['completed', 'refunded', 'reversed'],
+  failed: [],
+  expired: [],
+  refunded: [],
+  reversed: [],
+};
+
+export const PAYMENT_STATUSES = Object.keys(PAYMENT_TRANSITIONS);
+
+export const canTransition = (from, to) => PAYMENT_TRANSITIONS[from]?.includes(to) || false;
+
+let indexesReady = false;
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * One entry of a payment's audit trail (refunds, reversals, resolved
+ * reconciliation flags). actor is the admin who did it.
+ */
+export const paymentHistoryEntry = (action, actor, { amount = null, reason = null, reference = null, from = null, to = null } = {}) => ({
+  action,
+  amount,
+  reason,
+  reference,
+  from,
+  to,
+  at: new Date(),
+  by: actor?.id || 'system',
+  byUsername: actor?.username || null,
+  byRole: actor?.role || 'system',
+});
 
 /**
  * Payment Model
@@ -13,200 +62,493 @@ export class PaymentModel {
     this.collection = db.collection('payments');
     this.borrowsCollection = db.collection('borrows');
     this.booksCollection = db.collection('books');
+    this.fineModel = new FineModel(db);
+    this.amnestyModel = new AmnestyModel(db);
   }
 
   /**
-   * Helper: Calculate fine based on due date
+   * Indexes the payment flow relies on: an idempotency key names one
+   * payment per user, and a webhook event is stored once per provider
    */
-  calculateFine(dueDate) {
-    const now = new Date();
-    const due = new Date(dueDate);
-    const msDiff = now - due;
-    const daysLate = Math.max(0, Math.ceil(msDiff / (1000 * 60 * 60 * 24)));
-    return daysLate * 10;
+  async ensureIndexes() {
+    if (indexesReady) return;
+    await this.collection.createIndex(
+      { userId: 1, idempotencyKey: 1 },
+      { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+    );
+    await this.db.collection('paymentWebhooks').createIndex({ provider: 1, eventId: 1 }, { unique: true });
+    indexesReady = true;
   }
 
   /**
-   * Get fine for active borrow
+   * The payment a user already started with an idempotency key
    */
-  async getFine(userId, username) {
-    if (!userId || !username) {
-      throw new Error('userId & username required');
-    }
-
-    const borrow = await this.borrowsCollection.findOne({
-      userId,
-      username,
-      returnedAt: null,
-    });
-
-    if (!borrow) {
-      return { fine: 0, borrowId: null, borrow: null };
-    }
-
-    const fine = this.calculateFine(borrow.dueDate);
-    return {
-      fine,
-      borrowId: borrow._id.toString(),
-      borrow: {
-        bookId: borrow.bookId,
-        bookName: borrow.bookName,
-        bookTitle: borrow.bookTitle,
-        dueDate: borrow.dueDate,
-        borrowedAt: borrow.borrowedAt
-      }
-    };
+  async findByIdempotencyKey(userId, idempotencyKey) {
+    if (!idempotencyKey) return null;
+    return await this.collection.findOne({ userId, idempotencyKey });
   }
 
   /**
-   * Initialize payment
+   * Open a pending payment intent for a loan's fine with an online provider.
+   * With an idempotency key, a retried request gets the payment the first
+   * one created (created: false) instead of a second checkout.
    */
-  async initPayment(userId, username, amount, borrowId, method = 'chapa') {
-    if (!amount || amount <= 0 || !borrowId) {
-      throw new Error('Invalid request parameters');
-    }
-
-    const tx_ref = `fine-${uuidv4()}`;
+  async createIntent({ user, borrow, amount, method, idempotencyKey = null, mobile = null }) {
+    await this.ensureIndexes();
 
-    const paymentData = {
-      userId,
-      username,
+    const gateway = getGateway(method);
+    const minutes = gateway.timeoutMinutes();
+    const now = new Date();
+    const payment = {
+      userId: user.id,
+      username: user.username,
       amount,
-      borrowId,
-      tx_ref,
+      borrowId: borrow._id.toString(),
+      bookTitle: borrow.bookTitle || borrow.bookName || null,
+      tx_ref: `${method}-${uuidv4()}`,
       method,
+      ...(mobile ? { mobile } : {}),
+      idempotencyKey,
       status: 'pending',
-      createdAt: new Date(),
-      updatedAt: new Date()
+      expiresAt: minutes ? new Date(now.getTime() + minutes * 60 * 1000) : null,
+      history: [paymentHistoryEntry('created', user, { amount, to: 'pending' })],
+      createdAt: now,
+      updatedAt: now,
     };
 
-    const result = await this.collection.insertOne(paymentData);
-    return { ...paymentData, _id: result.insertedId };
+    try {
+      const result = await this.collection.insertOne(payment);
+      return { payment: { ...payment, _id: result.insertedId }, created: true };
+    } catch (e) {
+      // Two requests with the same key at once: the other one won
+      if (e.code === 11000 && idempotencyKey) {
+        return { payment: await this.findByIdempotencyKey(user.id, idempotencyKey), created: false };
+      }
+      throw e;
+    }
   }
 
   /**
-   * Verify payment (webhook handler)
+   * Record the provider's checkout on a pending payment
    */
-  async verifyPayment(tx_ref, status) {
-    if (!tx_ref) {
-      throw new Error('tx_ref missing');
-    }
-
-    // Find and update payment
-    const payment = await this.collection.findOneAndUpdate(
-      { tx_ref },
-      { 
-        $set: { 
-          status: status === 'success' ? 'completed' : 'failed',
-          updatedAt: new Date()
-        } 
-      },
+  async attachCheckout(tx_ref, { checkoutUrl, providerOrderId = null }) {
+    return await this.collection.findOneAndUpdate(
+      { tx_ref, status: 'pending' },
+      { $set: { checkoutUrl, providerOrderId, updatedAt: new Date() } },
       { returnDocument: 'after' }
     );
+  }
 
-    if (!payment.value) {
-      throw new Error('Payment not found');
+  /**
+   * Turn a provider verdict into a settlement for a pending payment.
+   * Money received for less than the fine, or in another currency, is not
+   * accepted as payment. A verdict that is still pending changes nothing.
+   */
+  async applyVerdict(payment, verdict) {
+    if (verdict.status === 'pending') return { payment, processed: false, borrow: null };
+
+    const gateway = getGateway(payment.method);
+    let status = verdict.status;
+    let failureReason = null;
+    if (status === 'completed' && (!(verdict.amount >= payment.amount) || (verdict.currency && verdict.currency !== 'ETB'))) {
+      status = 'failed';
+      failureReason = `Paid ${verdict.amount} ${verdict.currency || 'ETB'} for a fine of ${payment.amount} ETB`;
+    } else if (status === 'failed') {
+      failureReason = `Declined by ${gateway.label}`;
+    } else if (status === 'expired') {
+      failureReason = 'Checkout was not completed in time';
     }
 
-    const result = {
-      payment: payment.value,
-      borrowUpdated: false,
-      bookUpdated: false
-    };
+    return await this.settle(payment.tx_ref, {
+      status,
+      failureReason,
+      providerReference: verdict.providerReference || null,
+      paidAmount: Number.isFinite(verdict.amount) ? verdict.amount : null,
+      reason: `Fine paid via ${gateway.label} (${payment.tx_ref})`,
+    });
+  }
 
-    if (status === 'success') {
-      // Update borrow record
-      const borrowUpdate = await this.borrowsCollection.findOneAndUpdate(
-        { _id: new ObjectId(payment.value.borrowId) },
+  /**
+   * Ask the provider what became of a pending payment and settle it.
+   * expire treats a checkout the provider still calls pending as expired,
+   * for payments whose window has closed.
+   */
+  async confirmWithProvider(payment, { expire = false } = {}) {
+    if (payment.status !== 'pending') return { payment, processed: false, borrow: null };
+
+    const verdict = await getGateway(payment.method).fetchStatus(payment);
+    if (expire && verdict.status === 'pending') verdict.status = 'expired';
+    return await this.applyVerdict(payment, verdict);
+  }
+
+  /**
+   * Settle a pending payment with the provider's verdict
+   * (status 'completed', 'failed' or 'expired').
+   * A completed payment goes on the fines ledger and nothing else: the loan
+   * stays open until a librarian takes the book back. Only a pending payment
+   * is claimed, so however often a provider reports a tx_ref it is settled
+   * once; processed tells the caller whether this call was the one that did it.
+   */
+  async settle(tx_ref, { status, failureReason = null, providerReference = null, paidAmount = null, reason = '' }) {
+    if (!canTransition('pending', status)) throw new CirculationError(`A pending payment cannot become ${status}`);
+
+    const outcome = await runTransaction(this.db, async (session) => {
+      const options = { session };
+      const payment = await this.collection.findOneAndUpdate(
+        { tx_ref, status: 'pending' },
         {
           $set: {
-            fine: 0,
-            returnedAt: new Date(),
-            status: 'returned',
-            updatedAt: new Date()
+            status,
+            failureReason,
+            providerReference,
+            paidAmount,
+            settledAt: new Date(),
+            updatedAt: new Date(),
           },
+          $push: { history: paymentHistoryEntry(status, null, { amount: paidAmount, reason: failureReason, reference: providerReference, from: 'pending', to: status }) },
         },
-        { returnDocument: 'after' }
+        { returnDocument: 'after', ...options }
       );
+      if (!payment || status !== 'completed') return { payment, borrow: null };
+
+      const borrow = await this.borrowsCollection.findOne({ _id: new ObjectId(payment.borrowId) }, options);
 
-      if (borrowUpdate.value) {
-        result.borrowUpdated = true;
-        
-        // Return book copy to inventory
-        const bookUpdate = await this.booksCollection.updateOne(
-          { id: borrowUpdate.value.bookId },
-          { $inc: { copies: 1 } }
+      // The intent was priced with the amnesty running when it was created;
+      // the waiver is only posted now that the money has arrived
+      if (borrow) {
+        await this.amnestyModel.applyForUser(
+          payment.userId,
+          { borrowIds: [borrow._id], trigger: 'payment', at: payment.createdAt },
+          options
         );
+      }
+      await this.fineModel.recordPayment({
+        userId: payment.userId,
+        username: payment.username,
+        borrow,
+        amount: paidAmount ?? payment.amount,
+        method: payment.method,
+        paymentId: payment._id,
+        tx_ref,
+        note: reason,
+      }, { id: payment.userId, role: borrow?.userType || 'patron' }, options);
+      return { payment, borrow };
+    });
+
+    // Lost the race to another report of the same payment
+    if (!outcome.payment) return { payment: await this.getByTxRef(tx_ref), processed: false, borrow: null };
+    return { payment: outcome.payment, processed: true, borrow: outcome.borrow };
+  }
 
-        result.bookUpdated = bookUpdate.modifiedCount > 0;
+  /**
+   * Record money taken at the circulation desk (cash or a bank slip).
+   * A running amnesty is applied first, then the ledger entry is posted,
+   * guarded so a desk payment can never be more than the user owes; only then is the next receipt number taken, so
+   * a refused payment does not leave a gap in the receipt sequence.
+   */
+  async recordDeskPayment({ user, borrow = null, amount, method, slipReference = null, note = '' }, actor) {
+    return await runTransaction(this.db, async (session) => {
+      const options = { session };
+      const paymentId = new ObjectId();
+
+      // Rolled back with the payment if it is refused
+      await this.amnestyModel.applyForUser(user.id, { trigger: 'payment' }, options);
+
+      const entry = await this.fineModel.recordPayment({
+        userId: user.id,
+        username: user.username,
+        borrow,
+        amount,
+        method,
+        paymentId,
+        note,
+      }, actor, { guard: { balance: { $gte: amount } }, ...options });
+      if (!entry) throw new CirculationError('The payment is larger than what the user owes');
+
+      const receiptNumber = formatSequence('RCT', await nextSequence(this.db, 'receiptNumber', options));
+      const now = new Date();
+      const payment = {
+        _id: paymentId,
+        userId: user.id,
+        username: user.username,
+        name: user.name || null,
+        amount: entry.amount,
+        paidAmount: entry.amount,
+        borrowId: borrow ? borrow._id.toString() : null,
+        bookTitle: borrow ? (borrow.bookTitle || borrow.bookName || null) : null,
+        tx_ref: receiptNumber,
+        receiptNumber,
+        method,
+        slipReference,
+        note,
+        status: 'completed',
+        balanceAfter: entry.balanceAfter,
+        receivedBy: { id: actor.id, username: actor.username },
+        settledAt: now,
+        createdAt: now,
+        updatedAt: now,
+      };
+      await this.collection.insertOne(payment, options);
+      await this.fineModel.collection.updateOne({ _id: entry._id }, { $set: { tx_ref: receiptNumber } }, options);
+
+      return payment;
+    });
+  }
+
+  /**
+   * A day's desk takings, one row per librarian who took money.
+   * date is a local calendar day (YYYY-MM-DD); receivedBy limits the report
+   * to one librarian.
+   */
+  async cashUp(date, receivedBy = null) {
+    const from = new Date(`${date}T00:00:00`);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 1);
+
+    const receipts = await this.collection
+      .find({
+        method: { $in: DESK_METHODS },
+        status: 'completed',
+        createdAt: { $gte: from, $lt: to },
+        ...(receivedBy ? { 'receivedBy.id': receivedBy } : {}),
+      })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    const byLibrarian = new Map();
+    for (const receipt of receipts) {
+      const key = receipt.receivedBy?.id || 'unknown';
+      if (!byLibrarian.has(key)) {
+        byLibrarian.set(key, {
+          librarianId: key,
+          username: receipt.receivedBy?.username || null,
+          cash: 0,
+          bank_slip: 0,
+          total: 0,
+          count: 0,
+          receipts: [],
+        });
       }
+      const row = byLibrarian.get(key);
+      row[receipt.method] = round(row[receipt.method] + receipt.amount);
+      row.total = round(row.total + receipt.amount);
+      row.count++;
+      row.receipts.push(receipt);
     }
 
-    return result;
+    const librarians = [...byLibrarian.values()];
+    return {
+      date,
+      librarians,
+      cash: round(librarians.reduce((sum, l) => sum + l.cash, 0)),
+      bank_slip: round(librarians.reduce((sum, l) => sum + l.bank_slip, 0)),
+      total: round(librarians.reduce((sum, l) => sum + l.total, 0)),
+      count: receipts.length,
+    };
   }
 
   /**
-   * Initialize Telebirr payment
+   * Give back money from a completed payment and post it to the fines
+   * ledger. action is 'refunded' (part or all of it, e.g. an overpayment)
+   * or 'reversed' (the payment should never have counted, e.g. a bounced
+   * bank slip or a provider chargeback); a reversal takes back whatever
+   * has not been refunded yet. The claim is conditional on the amount
+   * already refunded, so two admins cannot refund the same money twice.
    */
-  async initTelebirrPayment(userId, username, amount, borrowId, mobile) {
-    if (!amount || amount <= 0 || !borrowId || !mobile) {
-      throw new Error('All fields required');
+  async giveBack(paymentId, { action, amount = null, reason, reference = null }, actor) {
+    return await runTransaction(this.db, async (session) => {
+      const options = { session };
+      const payment = await this.collection.findOne({ _id: new ObjectId(paymentId) }, options);
+      if (!payment) throw new CirculationError('Payment not found', 404);
+      if (!canTransition(payment.status, action)) {
+        throw new CirculationError(`Only a completed payment can be ${action} (this one is ${payment.status})`, 409);
+      }
+
+      const paid = payment.paidAmount ?? payment.amount;
+      const alreadyRefunded = payment.refundedAmount || 0;
+      const refundable = round(paid - alreadyRefunded);
+      const value = round(action === 'reversed' ? refundable : amount);
+      if (!(value > 0)) throw new CirculationError('Nothing is left to give back on this payment');
+      if (value > refundable) throw new CirculationError(`Only ${refundable} ETB of this payment can be refunded`);
+
+      const refundedAmount = round(alreadyRefunded + value);
+      const status = action === 'reversed' ? 'reversed' : refundedAmount >= paid ? 'refunded' : 'completed';
+      const now = new Date();
+      const updated = await this.collection.findOneAndUpdate(
+        { _id: payment._id, status: 'completed', refundedAmount: payment.refundedAmount ?? { $exists: false } },
+        {
+          $set: { status, refundedAmount, updatedAt: now },
+          $push: {
+            history: paymentHistoryEntry(action, actor, { amount: value, reason, reference, from: payment.status, to: status }),
+          },
+        },
+        { returnDocument: 'after', ...options }
+      );
+      if (!updated) throw new CirculationError('The payment changed while this was being recorded; reload and try again', 409);
+
+      const borrow = payment.borrowId && ObjectId.isValid(payment.borrowId)
+        ? await this.borrowsCollection.findOne({ _id: new ObjectId(payment.borrowId) }, options)
+        : null;
+      const entry = await this.fineModel.refund({
+        userId: payment.userId,
+        username: payment.username,
+        borrow,
+        amount: value,
+        method: payment.method,
+        paymentId: payment._id,
+        note: `${action === 'reversed' ? 'Reversal' : 'Refund'} of ${payment.tx_ref}: ${reason}${reference ? ` (ref ${reference})` : ''}`,
+      }, actor, options);
+
+      return { payment: updated, entry };
+    });
+  }
+
+  /**
+   * Check a provider settlement export against our payments.
+   * rows are { txRef, amount, currency, status, providerReference, date }
+   * already read from the file. Every row is compared with the payment it
+   * names; completed payments in the export's period that the provider did
+   * not list are reported as missing. The batch is saved with its findings
+   * and each payment it touched is stamped with its reconciliation status.
+   */
+  async reconcile(provider, rows, { fileName = null, from = null, to = null }, actor) {
+    const now = new Date();
+    const batchId = new ObjectId();
+    const items = [];
+    const seen = new Set();
+
+    for (const row of rows) {
+      const issues = [];
+      if (!row.txRef) {
+        items.push({ txRef: null, status: 'unknown', issues: ['missing_reference'], provider: row });
+        continue;
+      }
+      if (seen.has(row.txRef)) issues.push('duplicate_in_file');
+      seen.add(row.txRef);
+
+      const payment = await this.collection.findOne({ tx_ref: row.txRef, method: provider });
+      if (!payment) {
+        items.push({ txRef: row.txRef, status: 'unknown', issues: ['unknown_payment'], provider: row });
+        continue;
+      }
+
+      const ours = payment.paidAmount ?? payment.amount;
+      const settled = ['completed', 'refunded', 'reversed'].includes(payment.status);
+      if (['completed', 'refunded', 'reversed'].includes(row.status) !== settled) issues.push('status_mismatch');
+      if (row.amount !== null && Math.abs(row.amount - ours) > 0.005) issues.push('amount_mismatch');
+      if (row.currency && row.currency !== 'ETB') issues.push('currency_mismatch');
+
+      items.push({
+        txRef: row.txRef,
+        paymentId: payment._id,
+        status: issues.length ? 'mismatch' : 'matched',
+        issues,
+        ourAmount: ours,
+        ourStatus: payment.status,
+        provider: row,
+      });
     }
 
-    if (!mobile.match(/^09\d{8}$/)) {
-      throw new Error('Invalid mobile (09.......)');
+    // The period the export covers: as given, or the span of its dates
+    const dates = rows.map(r => r.date).filter(Boolean).sort((a, b) => a - b);
+    const periodFrom = from ? new Date(from) : dates[0] || null;
+    const periodTo = to ? new Date(to) : dates.length ? new Date(dates[dates.length - 1].getTime() + 1) : null;
+    if (periodFrom && periodTo) {
+      const missing = await this.collection.find({
+        method: provider,
+        status: 'completed',
+        settledAt: { $gte: periodFrom, $lt: periodTo },
+        tx_ref: { $nin: [...seen] },
+      }).toArray();
+      for (const payment of missing) {
+        items.push({
+          txRef: payment.tx_ref,
+          paymentId: payment._id,
+          status: 'missing',
+          issues: ['missing_from_settlement'],
+          ourAmount: payment.paidAmount ?? payment.amount,
+          ourStatus: payment.status,
+          provider: null,
+        });
+      }
     }
 
-    const tx_ref = `telebirr-${uuidv4()}`;
-
-    // Create payment record
-    const paymentData = {
-      userId,
-      username,
-      amount: Number(amount),
-      borrowId,
-      mobile,
-      tx_ref,
-      method: 'telebirr',
-      status: 'completed',
-      createdAt: new Date(),
-      updatedAt: new Date()
+    const count = status => items.filter(i => i.status === status).length;
+    const batch = {
+      _id: batchId,
+      provider,
+      fileName,
+      period: { from: periodFrom, to: periodTo },
+      summary: {
+        rows: rows.length,
+        matched: count('matched'),
+        mismatched: count('mismatch'),
+        unknown: count('unknown'),
+        missing: count('missing'),
+        providerTotal: round(rows.reduce((sum, r) => sum + (r.status === 'completed' ? r.amount || 0 : 0), 0)),
+      },
+      items,
+      uploadedBy: { id: actor.id, username: actor.username },
+      createdAt: now,
     };
+    await this.db.collection('reconciliations').insertOne(batch);
+
+    for (const item of items.filter(i => i.paymentId)) {
+      await this.collection.updateOne(
+        { _id: item.paymentId },
+        {
+          $set: {
+            reconciliation: {
+              batchId,
+              status: item.status,
+              issues: item.issues,
+              providerAmount: item.provider?.amount ?? null,
+              providerStatus: item.provider?.status ?? null,
+              checkedAt: now,
+            },
+            updatedAt: now,
+          },
+        }
+      );
+    }
 
-    const paymentResult = await this.collection.insertOne(paymentData);
-    const payment = { ...paymentData, _id: paymentResult.insertedId };
+    return batch;
+  }
 
-    // Update borrow record
-    const borrowUpdate = await this.borrowsCollection.findOneAndUpdate(
-      { _id: new ObjectId(borrowId), userId: userId },
+  /**
+   * Clear a reconciliation flag once finance has looked into it
+   */
+  async resolveReconciliation(paymentId, note, actor) {
+    return await this.collection.findOneAndUpdate(
+      { _id: new ObjectId(paymentId), 'reconciliation.status': { $in: ['mismatch', 'missing'] } },
       {
         $set: {
-          fine: 0,
-          returnedAt: new Date(),
-          status: 'returned',
-          updatedAt: new Date()
+          'reconciliation.status': 'resolved',
+          'reconciliation.resolvedAt': new Date(),
+          'reconciliation.resolvedBy': actor.id,
+          'reconciliation.resolution': note,
+          updatedAt: new Date(),
         },
+        $push: { history: paymentHistoryEntry('reconciliation_resolved', actor, { reason: note }) },
       },
       { returnDocument: 'after' }
     );
+  }
 
-    if (!borrowUpdate.value) {
-      throw new Error('Borrow record not found');
-    }
-
-    // Return book copy to inventory
-    const bookUpdate = await this.booksCollection.updateOne(
-      { id: borrowUpdate.value.bookId },
-      { $inc: { copies: 1 } }
-    );
+  async getReconciliations(page = 1, limit = 20) {
+    const batches = await this.db.collection('reconciliations')
+      .find({}, { projection: { items: 0 } })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+    const total = await this.db.collection('reconciliations').countDocuments();
+    return { batches, total, page, limit, totalPages: Math.ceil(total / limit) };
+  }
 
-    return {
-      success: true,
-      payment,
-      borrow: borrowUpdate.value,
-      bookUpdated: bookUpdate.modifiedCount > 0,
-      tx_ref
-    };
+  async getReconciliation(id) {
+    if (!ObjectId.isValid(id)) return null;
+    return await this.db.collection('reconciliations').findOne({ _id: new ObjectId(id) });
   }
 
   /**
@@ -254,19 +596,29 @@ export class PaymentModel {
   /**
    * Get all payments with filters
    */
-  async getAllPayments({ page = 1, limit = 10, search = '', status, method, startDate, endDate }) {
+  async getAllPayments({ page = 1, limit = 10, search = '', status, method, startDate, endDate, reconciliation }) {
     const query = {};
 
     // Search filter
     if (search) {
+      const pattern = escapeRegex(search);
       query.$or = [
-        { userId: { $regex: search, $options: 'i' } },
-        { username: { $regex: search, $options: 'i' } },
-        { tx_ref: { $regex: search, $options: 'i' } },
-        { mobile: { $regex: search, $options: 'i' } }
+        { userId: { $regex: pattern, $options: 'i' } },
+        { username: { $regex: pattern, $options: 'i' } },
+        { tx_ref: { $regex: pattern, $options: 'i' } },
+        { mobile: { $regex: pattern, $options: 'i' } },
+        { providerReference: { $regex: pattern, $options: 'i' } },
+        { slipReference: { $regex: pattern, $options: 'i' } }
       ];
     }
 
+    // Reconciliation filter ('unreconciled' = never in a settlement import)
+    if (reconciliation === 'unreconciled') {
+      query['reconciliation.status'] = { $exists: false };
+    } else if (reconciliation) {
+      query['reconciliation.status'] = reconciliation;
+    }
+
     // Status filter
     if (status) {
       query.status = status;
@@ -0,0 +1,197 @@
+// models/paymentWebhookModel.js
+import { ObjectId } from 'mongodb';
+import { PaymentModel } from './paymentModel.js';
+
+const LOCK_MS = 60 * 1000;   // lease while one event is processed
+const MAX_ATTEMPTS = 8;      // then it is left for an admin to look at
+
+// 2, 4, 8 ... minutes between attempts, at most an hour
+const backoffMs = attempts => Math.min(2 ** attempts, 60) * 60 * 1000;
+
+export const WEBHOOK_STATUSES = ['received', 'processing', 'processed', 'failed', 'ignored', 'dead'];
+
+/**
+ * Payment Webhook Model
+ * The inbox of provider webhooks. An event is stored before anything is
+ * done with it, once per provider event however often the provider
+ * delivers it, so the provider can be acknowledged as soon as it is safe.
+ * Processing takes a lease on the event; one that fails (provider
+ * unreachable, database hiccup) stays in the inbox and is retried with
+ * backoff by the payment jobs until it goes through or runs out of attempts.
+ */
+export class PaymentWebhookModel {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('paymentWebhooks');
+    this.paymentModel = new PaymentModel(db);
+  }
+
+  /**
+   * Store a webhook. duplicate tells whether the provider had already
+   * delivered this event.
+   */
+  async receive(provider, { eventId, txRef, verdict }, payload) {
+    await this.paymentModel.ensureIndexes();
+
+    const now = new Date();
+    const event = {
+      provider,
+      eventId,
+      txRef,
+      verdict,
+      payload,
+      status: 'received',
+      attempts: 0,
+      deliveries: 1,
+      lastError: null,
+      result: null,
+      nextAttemptAt: now,
+      lockedUntil: null,
+      receivedAt: now,
+      processedAt: null,
+      updatedAt: now,
+    };
+
+    try {
+      const result = await this.collection.insertOne(event);
+      return { event: { ...event, _id: result.insertedId }, duplicate: false };
+    } catch (e) {
+      if (e.code !== 11000) throw e;
+      const existing = await this.collection.findOneAndUpdate(
+        { provider, eventId },
+        { $inc: { deliveries: 1 }, $set: { lastDeliveredAt: now } },
+        { returnDocument: 'after' }
+      );
+      return { event: existing, duplicate: true };
+    }
+  }
+
+  /**
+   * Take the lease on an event that is due: new, failed and waiting out
+   * its backoff, or left processing by a run that crashed
+   */
+  async claim(id) {
+    const now = new Date();
+    return await this.collection.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { status: { $in: ['received', 'failed'] }, nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lt: now } },
+        ],
+      },
+      {
+        $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_MS), updatedAt: now },
+        $inc: { attempts: 1 },
+      },
+      { returnDocument: 'after' }
+    );
+  }
+
+  async finish(event, status, set) {
+    return await this.collection.findOneAndUpdate(
+      { _id: event._id },
+      { $set: { status, lockedUntil: null, updatedAt: new Date(), ...set } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Settle the payment an event is about. Returns the event as it ended
+   * up, or null if it was not due (already processed, or being processed).
+   */
+  async process(id) {
+    const event = await this.claim(id);
+    if (!event) return null;
+
+    try {
+      const payment = await this.db.collection('payments').findOne({ tx_ref: event.txRef, method: event.provider });
+      if (!payment) {
+        return await this.finish(event, 'ignored', { lastError: 'No payment with this reference', processedAt: new Date() });
+      }
+
+      // Events that carry no outcome of their own are checked with the provider
+      const outcome = event.verdict
+        ? await this.paymentModel.applyVerdict(payment, event.verdict)
+        : await this.paymentModel.confirmWithProvider(payment);
+
+      return await this.finish(event, 'processed', {
+        lastError: null,
+        processedAt: new Date(),
+        result: { paymentId: payment._id, paymentStatus: outcome.payment.status, settled: outcome.processed },
+      });
+    } catch (e) {
+      console.error(`Payment webhook ${event.provider}/${event.eventId} failed:`, e.message);
+      const dead = event.attempts >= MAX_ATTEMPTS;
+      return await this.finish(event, dead ? 'dead' : 'failed', {
+        lastError: e.message,
+        nextAttemptAt: new Date(Date.now() + backoffMs(event.attempts)),
+      });
+    }
+  }
+
+  /**
+   * Process every event that is due; used by the payment jobs
+   */
+  async processDue(limit = 100) {
+    const now = new Date();
+    const due = await this.collection.find({
+      $or: [
+        { status: { $in: ['received', 'failed'] }, nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedUntil: { $lt: now } },
+      ],
+    }).sort({ receivedAt: 1 }).limit(limit).toArray();
+
+    const counts = { due: due.length, processed: 0, ignored: 0, failed: 0, dead: 0 };
+    for (const event of due) {
+      const done = await this.process(event._id);
+      if (done) counts[done.status] = (counts[done.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Give a failed or dead event another go now
+   */
+  async retry(id) {
+    if (!ObjectId.isValid(id)) return null;
+    const event = await this.collection.findOneAndUpdate(
+      { _id: new ObjectId(id), status: { $in: ['failed', 'dead'] } },
+      { $set: { status: 'failed', nextAttemptAt: new Date(), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    return event ? await this.process(event._id) : null;
+  }
+
+  /**
+   * The inbox, newest first
+   */
+  async getAll({ page = 1, limit = 20, status, provider, txRef } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (provider) query.provider = provider;
+    if (txRef) query.txRef = txRef;
+
+    const events = await this.collection
+      .find(query, { projection: { payload: 0 } })
+      .sort({ receivedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+    const total = await this.collection.countDocuments(query);
+
+    return { events, total, page, limit, totalPages: Math.ceil(total / limit) };
+  }
+}
+
+/**
+ * Initialize and export the PaymentWebhookModel instance
+ */
+export function initPaymentWebhookModel(db) {
+  return new PaymentWebhookModel(db);
+}
+
+/**
+ * Default export for convenience
+ */
+export default PaymentWebhookModel;
@@ -0,0 +1,20 @@
+// src/routes/amnesties.js
+import express from 'express';
+import {
+  getAmnesties,
+  createAmnesty,
+  updateAmnesty,
+  cancelAmnesty,
+  getAmnestyReport,
+} from '../controllers/amnestyController.js';
+import { protect, adminOnly } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/', protect, adminOnly, getAmnesties);
+router.post('/', protect, adminOnly, createAmnesty);
+router.put('/:id', protect, adminOnly, updateAmnesty);
+router.post('/:id/cancel', protect, adminOnly, cancelAmnesty);
+router.get('/:id/report', protect, adminOnly, getAmnestyReport);
+
+export default router;
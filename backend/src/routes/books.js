@@ -7,11 +7,27 @@ import {
   updateBook,
   deleteBook,
 } from '../controllers/bookController.js';
+import {
+  importMarc,
+  exportMarc,
+  importBooks,
+  getImportTemplate,
+  getImports,
+  getImport,
+  getImportReport,
+} from '../controllers/bookImportController.js';
 import { protect, adminOrLibrarian, canAddBook } from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
 
 router.post('/', protect, canAddBook, addBook);
+router.post('/import', protect, adminOrLibrarian, importBooks);
+router.get('/import/template', protect, adminOrLibrarian, getImportTemplate);
+router.post('/import/marc', protect, adminOrLibrarian, importMarc);
+router.get('/imports', protect, adminOrLibrarian, getImports);
+router.get('/imports/:id', protect, adminOrLibrarian, getImport);
+router.get('/imports/:id/report', protect, adminOrLibrarian, getImportReport);
+router.get('/export/marc', protect, adminOrLibrarian, exportMarc);
 router.put('/:id', protect, adminOrLibrarian, updateBook);
 router.delete('/:id', protect, adminOrLibrarian, deleteBook);
 router.get('/', protect, getBooks);
@@ -10,7 +10,12 @@ import {
   returnBook,
   getFinePolicy,
   deleteBorrow,
-  confirmBorrow // Add this import
+  confirmBorrow, // Add this import
+  renewBorrow,
+  getBorrowTimeline,
+  getBorrowingBlock,
+  declareLoss,
+  markFound
 } from '../controllers/borrowController.js';
 import { adminOrLibrarian, protect } from '../middlewares/authMiddleware.js';
 
@@ -27,9 +32,14 @@ router.get('/fine-policy', protect, getFinePolicy); // Get fine policy (uses aut
 router.post('/librarian-borrow', protect, adminOrLibrarian, librarianBorrowBook); // Librarian direct borrow
 router.post('/approve', protect, adminOrLibrarian, approveRequest); // Approve/reject requests
 router.get('/', protect, adminOrLibrarian, getAllBorrows); // View all borrows
+router.get('/block/:userId', protect, adminOrLibrarian, getBorrowingBlock); // Unpaid fines / overdue block status
 router.delete('/:id', protect, adminOrLibrarian, deleteBorrow); // Delete borrow record
+router.post('/return', protect, adminOrLibrarian, returnBook); // Confirm the book is back at the desk
+router.post('/:id/found', protect, adminOrLibrarian, markFound); // A book declared lost turned up
 
 // Shared routes
-router.post('/return', protect, returnBook); // Both user and librarian can return
+router.post('/:id/renew', protect, renewBorrow); // Owner or librarian extends the due date
+router.get('/:id/timeline', protect, getBorrowTimeline); // State history (owner or staff)
+router.post('/:id/declare', protect, declareLoss); // Declare lost or damaged (owner or staff)
 
 export default router;
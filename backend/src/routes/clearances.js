@@ -0,0 +1,37 @@
+// src/routes/clearances.js
+import express from 'express';
+import {
+  requestClearance,
+  getMyClearance,
+  getClearances,
+  getClearance,
+  approveClearance,
+  blockClearance,
+  cancelClearance,
+  revokeClearance,
+  downloadCertificate,
+  verifyClearance,
+} from '../controllers/clearanceController.js';
+import { protect, adminOnly, adminOrLibrarian } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// Public route – registrar checks a certificate (QR code target)
+router.get('/verify/:code', verifyClearance);
+
+// Student/Teacher routes
+router.post('/', protect, requestClearance); // Request graduation / exit clearance
+router.get('/my', protect, getMyClearance); // Own requests and outstanding items
+
+// Librarian routes
+router.get('/', protect, adminOrLibrarian, getClearances); // ?status=pending
+router.put('/:id/approve', protect, adminOrLibrarian, approveClearance); // Issue certificate
+router.put('/:id/block', protect, adminOrLibrarian, blockClearance); // { reason }
+router.put('/:id/revoke', protect, adminOnly, revokeClearance); // { reason }
+
+// Shared routes (owner or staff)
+router.get('/:id', protect, getClearance);
+router.put('/:id/cancel', protect, cancelClearance);
+router.get('/:id/certificate', protect, downloadCertificate); // PDF
+
+export default router;
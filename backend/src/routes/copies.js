@@ -0,0 +1,20 @@
+// src/routes/copies.js
+import express from 'express';
+import {
+  getCopies,
+  getCopyByBarcode,
+  addCopies,
+  updateCopy,
+  deleteCopy,
+} from '../controllers/copyController.js';
+import { protect, adminOrLibrarian } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/', protect, adminOrLibrarian, getCopies); // ?bookId= &status=lost
+router.get('/barcode/:barcode', protect, adminOrLibrarian, getCopyByBarcode);
+router.post('/', protect, adminOrLibrarian, addCopies);
+router.put('/:id', protect, adminOrLibrarian, updateCopy);
+router.delete('/:id', protect, adminOrLibrarian, deleteCopy);
+
+export default router;
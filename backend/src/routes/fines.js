@@ -0,0 +1,29 @@
+// src/routes/fines.js
+import express from 'express';
+import {
+  getMyFines,
+  getUserFines,
+  getLedger,
+  getFineSummary,
+  addCharge,
+  addWaiver,
+  addRefund,
+} from '../controllers/fineController.js';
+import { protect, adminOnly, adminOrLibrarian } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// Patron routes
+router.get('/my', protect, getMyFines); // Balance, owed per loan, ledger
+
+// Librarian routes
+router.get('/', protect, adminOrLibrarian, getLedger); // ?userId=&type=&category=&from=&to=
+router.get('/summary', protect, adminOrLibrarian, getFineSummary);
+router.get('/users/:userId', protect, adminOrLibrarian, getUserFines);
+router.post('/charges', protect, adminOrLibrarian, addCharge); // Lost / damage
+router.post('/waivers', protect, adminOrLibrarian, addWaiver);
+
+// Admin routes
+router.post('/refunds', protect, adminOnly, addRefund);
+
+export default router;
@@ -0,0 +1,21 @@
+// src/routes/holds.js
+import express from 'express';
+import {
+  placeHold,
+  getMyHolds,
+  getHolds,
+  cancelHold,
+} from '../controllers/holdController.js';
+import { protect, adminOrLibrarian } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// Student/Teacher routes
+router.post('/', protect, placeHold); // Join the queue for a book
+router.get('/my', protect, getMyHolds); // Own holds with queue position
+router.delete('/:id', protect, cancelHold); // Owner or staff
+
+// Librarian routes
+router.get('/', protect, adminOrLibrarian, getHolds); // ?bookId= &status=waiting
+
+export default router;
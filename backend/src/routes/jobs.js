@@ -0,0 +1,21 @@
+// src/routes/jobs.js
+import express from 'express';
+import {
+  getJobs,
+  getJobRuns,
+  runJob,
+  updateJob,
+  getCirculationReports,
+} from '../controllers/jobController.js';
+import { protect, adminOnly } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// Admin routes
+router.get('/', protect, adminOnly, getJobs); // Schedule and last outcome
+router.get('/runs', protect, adminOnly, getJobRuns); // ?job= &status=failed
+router.get('/reports', protect, adminOnly, getCirculationReports); // ?period=daily
+router.post('/:name/run', protect, adminOnly, runJob); // Run now
+router.put('/:name', protect, adminOnly, updateJob); // { enabled, intervalMinutes }
+
+export default router;
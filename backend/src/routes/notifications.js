@@ -0,0 +1,11 @@
+// src/routes/notifications.js
+import express from 'express';
+import { getMyNotifications, markNotificationRead } from '../controllers/notificationController.js';
+import { protect } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/', protect, getMyNotifications); // ?unread=true
+router.put('/:id/read', protect, markNotificationRead); // id or 'all'
+
+export default router;
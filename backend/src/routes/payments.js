@@ -1,13 +1,86 @@
 //routes/payment.js
 import express from 'express';
-import { getFine, initPayment, verifyPayment, initTelebirrPayment } from '../controllers/paymentController.js';
-import { protect } from '../middlewares/authMiddleware.js';
+import {
+  getFine,
+  getPaymentMethods,
+  createPaymentIntent,
+  paymentWebhook,
+  initPayment,
+  verifyPayment,
+  chapaCallback,
+  getPaymentStatus,
+  initTelebirrPayment,
+  telebirrNotify,
+  recordDeskPayment,
+  downloadReceipt,
+  getCashUp,
+  listPayments,
+  getPaymentStats,
+  getPaymentDetail,
+  refundPayment,
+  reversePayment,
+  resolveReconciliationFlag,
+  importSettlement,
+  getReconciliations,
+  getReconciliation,
+  getWebhookInbox,
+  retryWebhook,
+} from '../controllers/paymentController.js';
+import {
+  simulatorOnly,
+  showCheckout,
+  payOrder,
+  declineOrder,
+} from '../controllers/telebirrSimulatorController.js';
+import {
+  fakeGatewayOnly,
+  showFakeCheckout,
+  payFakeCheckout,
+  declineFakeCheckout,
+} from '../controllers/fakeGatewayController.js';
+import { protect, adminOnly, adminOrLibrarian } from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
 
 router.post('/fine', protect, getFine);
+router.get('/methods', protect, getPaymentMethods); // Online providers available
+router.post('/intents', protect, createPaymentIntent); // { borrowId, method, mobile? } + Idempotency-Key header
+router.post('/webhooks/:provider', paymentWebhook); // Provider webhooks (signed), via the inbox
+router.get('/callback', chapaCallback); // Chapa redirect callback
+router.get('/status/:tx_ref', protect, getPaymentStatus); // Poll a pending payment
+
+// Per-provider endpoints kept for older clients and configured webhook URLs
 router.post('/init', protect, initPayment);
-router.post('/verify', verifyPayment);
+router.post('/verify', verifyPayment); // Chapa webhook
 router.post('/init-telebirr', protect, initTelebirrPayment);
+router.post('/telebirr/notify', telebirrNotify); // Telebirr notification
+
+// Circulation desk
+router.post('/desk', protect, adminOrLibrarian, recordDeskPayment); // Cash or bank slip
+router.get('/cash-up', protect, adminOrLibrarian, getCashUp); // ?date=YYYY-MM-DD&format=pdf
+router.get('/receipts/:receiptNumber', protect, downloadReceipt); // PDF (payer or staff)
+
+// Admin console
+router.get('/', protect, adminOnly, listPayments); // ?search=&status=&method=&reconciliation=&format=csv
+router.get('/stats', protect, adminOnly, getPaymentStats);
+router.get('/reconciliations', protect, adminOnly, getReconciliations);
+router.post('/reconciliations', protect, adminOnly, importSettlement); // Provider settlement CSV
+router.get('/reconciliations/:id', protect, adminOnly, getReconciliation);
+router.get('/webhooks', protect, adminOnly, getWebhookInbox); // ?status=failed&provider=&txRef=
+router.post('/webhooks/:id/retry', protect, adminOnly, retryWebhook);
+router.get('/:id', protect, adminOnly, getPaymentDetail);
+router.post('/:id/refund', protect, adminOnly, refundPayment);
+router.post('/:id/reverse', protect, adminOnly, reversePayment);
+router.put('/:id/reconciliation/resolve', protect, adminOnly, resolveReconciliationFlag);
+
+// Local Telebirr checkout (TELEBIRR_GATEWAY=simulator, never in production)
+router.get('/telebirr/simulator/:txRef', simulatorOnly, showCheckout);
+router.post('/telebirr/simulator/:txRef/pay', simulatorOnly, payOrder);
+router.post('/telebirr/simulator/:txRef/decline', simulatorOnly, declineOrder);
+
+// Local test provider (PAYMENT_FAKE_GATEWAY=true, never in production)
+router.get('/fake/:txRef', fakeGatewayOnly, showFakeCheckout);
+router.post('/fake/:txRef/pay', fakeGatewayOnly, payFakeCheckout);
+router.post('/fake/:txRef/decline', fakeGatewayOnly, declineFakeCheckout);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,18 @@
+// src/routes/policies.js
+import express from 'express';
+import {
+  getPolicies,
+  resolvePolicy,
+  savePolicy,
+  deletePolicy,
+} from '../controllers/policyController.js';
+import { protect, adminOnly, adminOrLibrarian } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/', protect, adminOrLibrarian, getPolicies);
+router.get('/resolve', protect, adminOrLibrarian, resolvePolicy); // ?role=teacher&category=Science
+router.put('/', protect, adminOnly, savePolicy);
+router.delete('/:id', protect, adminOnly, deletePolicy);
+
+export default router;
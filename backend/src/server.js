@@ -15,6 +15,17 @@ import dashboardRoutes from './routes/dashboard.js';
 import profileRoutes from './routes/profiles.js';
 import translationRoutes from './routes/translationRoutes.js';
 import telegramRoutes from './routes/telegram.js';
+import copyRoutes from './routes/copies.js';
+import policyRoutes from './routes/policies.js';
+import holdRoutes from './routes/holds.js';
+import notificationRoutes from './routes/notifications.js';
+import jobRoutes from './routes/jobs.js';
+import clearanceRoutes from './routes/clearances.js';
+import fineRoutes from './routes/fines.js';
+import amnestyRoutes from './routes/amnesties.js';
+import { startScheduler } from './jobs/scheduler.js';
+import './jobs/circulationJobs.js';
+import './jobs/paymentJobs.js';
 import { connectDB } from './config/db.js';
 
 dotenv.config();
@@ -49,7 +60,13 @@ app.use(cors({
 // =====================================================================
 
 // INCREASED LIMIT TO 50MB to handle Chat History with Images
-app.use(express.json({ limit: '50mb' }));
+// Payment webhooks are signed over the exact bytes received, so keep them
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments')) req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
 // Routes
@@ -65,6 +82,14 @@ app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/profiles', profileRoutes);
 app.use('/api/translations', translationRoutes);
 app.use('/api/telegram', telegramRoutes);
+app.use('/api/copies', copyRoutes);
+app.use('/api/policies', policyRoutes);
+app.use('/api/holds', holdRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/clearances', clearanceRoutes);
+app.use('/api/fines', fineRoutes);
+app.use('/api/amnesties', amnestyRoutes);
 
 // Simple home route
 app.get('/', (req, res) => {
@@ -84,4 +109,9 @@ app.listen(PORT, () => {
   console.log('=========================================');
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log('=========================================');
+
+  // Reminders and housekeeping (set DISABLE_JOBS=true on extra instances if wanted)
+  if (process.env.DISABLE_JOBS !== 'true') {
+    startScheduler().catch(err => console.error('❌ Job scheduler failed to start:', err));
+  }
 });
\ No newline at end of file
@@ -0,0 +1,115 @@
+// src/utils/chapa.js
+import crypto from 'crypto';
+import axios from 'axios';
+import { PaymentGatewayError } from './paymentGateway.js';
+
+/**
+ * Chapa payment gateway client.
+ * CHAPA_BASE_URL points the client at another server (e.g. a local mock)
+ * instead of the live API.
+ */
+const baseUrl = () => (process.env.CHAPA_BASE_URL || 'https://api.chapa.co').replace(/\/+$/, '');
+
+/**
+ * The provider refused a call or could not be reached
+ */
+export class ChapaError extends PaymentGatewayError {
+  constructor(message, status = 502, details = {}) {
+    super(message, status, details);
+    this.name = 'ChapaError';
+  }
+}
+
+const request = async (method, path, data) => {
+  const secret = process.env.CHAPA_SECRET_KEY;
+  if (!secret) throw new ChapaError('CHAPA_SECRET_KEY is not configured', 500);
+
+  try {
+    const res = await axios({
+      method,
+      url: `${baseUrl()}/v1${path}`,
+      data,
+      timeout: 15000,
+      headers: { Authorization: `Bearer ${secret}` },
+    });
+    return res.data;
+  } catch (e) {
+    const body = e.response?.data;
+    const message = typeof body?.message === 'string' ? body.message : e.message;
+    throw new ChapaError(`Chapa: ${message}`, 502, { providerStatus: e.response?.status ?? null });
+  }
+};
+
+/**
+ * Start a hosted checkout for tx_ref and return its checkout URL
+ */
+export const initializeTransaction = async ({
+  amount,
+  currency = 'ETB',
+  txRef,
+  email,
+  firstName,
+  lastName,
+  phone,
+  callbackUrl,
+  returnUrl,
+  title = 'Library fine',
+  description,
+}) => {
+  const body = await request('post', '/transaction/initialize', {
+    amount: String(amount),
+    currency,
+    tx_ref: txRef,
+    email,
+    first_name: firstName,
+    last_name: lastName,
+    phone_number: phone,
+    callback_url: callbackUrl,
+    return_url: returnUrl,
+    customization: { title, description },
+  });
+
+  const checkoutUrl = body?.data?.checkout_url;
+  if (body?.status !== 'success' || !checkoutUrl) {
+    throw new ChapaError(`Chapa: ${body?.message || 'transaction was not initialized'}`);
+  }
+  return { checkoutUrl };
+};
+
+/**
+ * Ask Chapa for the current state of tx_ref.
+ * Returns { status: 'success' | 'failed' | 'pending', amount, currency, reference }.
+ */
+export const verifyTransaction = async (txRef) => {
+  const body = await request('get', `/transaction/verify/${encodeURIComponent(txRef)}`);
+  const data = body?.data;
+  if (!data) throw new ChapaError(`Chapa: ${body?.message || 'transaction not found'}`, 502);
+
+  return {
+    status: String(data.status || 'pending').toLowerCase(),
+    amount: Number(data.amount),
+    currency: data.currency,
+    reference: data.reference || null,
+  };
+};
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Check a webhook came from Chapa: the Chapa-Signature or x-chapa-signature
+ * header must be the HMAC-SHA256 of the raw request body keyed with
+ * CHAPA_WEBHOOK_SECRET.
+ */
+export const verifyWebhookSignature = (rawBody, headers) => {
+  const secret = process.env.CHAPA_WEBHOOK_SECRET;
+  if (!secret || !rawBody) return false;
+
+  const expected = hmac(secret, rawBody);
+  return safeEqual(headers['x-chapa-signature'], expected) || safeEqual(headers['chapa-signature'], expected);
+};
@@ -0,0 +1,59 @@
+// src/utils/chapaGateway.js
+import { initializeTransaction, verifyTransaction, verifyWebhookSignature } from './chapa.js';
+
+// Chapa's verify statuses → payment status
+const STATUS_MAP = {
+  success: 'completed',
+  failed: 'failed',
+};
+
+/**
+ * Chapa hosted checkout. Chapa's webhook only says something happened to
+ * a tx_ref, so the outcome is always read back from Chapa's verify API.
+ */
+export const chapaGateway = {
+  method: 'chapa',
+  label: 'Chapa',
+  requires: [],
+  pollWhilePending: true,
+
+  isAvailable() {
+    return Boolean(process.env.CHAPA_SECRET_KEY);
+  },
+
+  // A Chapa checkout link does not expire on our side
+  timeoutMinutes() {
+    return null;
+  },
+
+  async createCheckout({ txRef, amount, title, customer, baseUrl }) {
+    const [firstName, ...rest] = (customer.name || customer.username || customer.id).split(' ');
+    const { checkoutUrl } = await initializeTransaction({
+      amount,
+      txRef,
+      email: customer.email,
+      firstName,
+      lastName: rest.join(' ') || undefined,
+      callbackUrl: process.env.CHAPA_CALLBACK_URL || `${baseUrl}/callback`,
+      returnUrl: process.env.CHAPA_RETURN_URL || process.env.FRONTEND_URL,
+      description: title,
+    });
+    return { checkoutUrl, providerOrderId: null };
+  },
+
+  parseWebhook({ body, rawBody, headers }) {
+    if (!verifyWebhookSignature(rawBody, headers)) return null;
+    const txRef = body.tx_ref || body.trx_ref || null;
+    return { eventId: `${txRef}:${body.status || body.event || 'event'}`, txRef, verdict: null };
+  },
+
+  async fetchStatus(payment) {
+    const tx = await verifyTransaction(payment.tx_ref);
+    return {
+      status: STATUS_MAP[tx.status] || 'pending',
+      amount: tx.amount,
+      currency: tx.currency,
+      providerReference: tx.reference,
+    };
+  },
+};
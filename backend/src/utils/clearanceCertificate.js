@@ -0,0 +1,62 @@
+// src/utils/clearanceCertificate.js
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+
+const TYPE_LABELS = {
+  graduation: 'Graduation Clearance',
+  staff_exit: 'Staff Exit Clearance',
+};
+
+/**
+ * Write a clearance certificate PDF to a writable stream (e.g. the response).
+ * The QR code holds verifyUrl so the registrar can scan it and check the
+ * certificate against the library's records.
+ */
+export const writeClearanceCertificate = async (clearance, verifyUrl, stream) => {
+  const qr = await QRCode.toBuffer(verifyUrl, { margin: 1, width: 160 });
+
+  const doc = new PDFDocument({ size: 'A4', margin: 60 });
+  doc.pipe(stream);
+
+  doc.fontSize(20).text('Woldia University Library', { align: 'center' });
+  doc.moveDown(0.3);
+  doc.fontSize(14).text(TYPE_LABELS[clearance.type] || 'Library Clearance', { align: 'center' });
+  doc.moveDown(0.3);
+  doc.fontSize(10).fillColor('#555555').text(`Certificate No. ${clearance.certificateNumber}`, { align: 'center' });
+  doc.fillColor('#000000');
+
+  doc.moveDown(2);
+  doc.fontSize(12).text(
+    `This is to certify that ${clearance.name} (ID ${clearance.userId})` +
+    `${clearance.department ? `, ${clearance.department},` : ''} has returned all library materials ` +
+    'and has no outstanding fines or lost items with the Woldia University Library.',
+    { align: 'justify', lineGap: 4 }
+  );
+
+  doc.moveDown(1.5);
+  const rows = [
+    ['Name', clearance.name],
+    ['ID', clearance.userId],
+    ['Role', clearance.role],
+    ['Department', clearance.department || '-'],
+    ['Clearance type', TYPE_LABELS[clearance.type] || clearance.type],
+    ['Issued', new Date(clearance.issuedAt).toLocaleString()],
+    ['Approved by', clearance.reviewedBy],
+  ];
+  rows.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+    doc.font('Helvetica').text(String(value ?? '-'));
+  });
+
+  doc.moveDown(2);
+  const qrY = doc.y;
+  doc.image(qr, doc.page.margins.left, qrY, { width: 120 });
+  doc.fontSize(9).text(
+    `Scan the code or open the link below to confirm this certificate is genuine:\n${verifyUrl}\n\nVerification code: ${clearance.verificationCode}`,
+    doc.page.margins.left + 140,
+    qrY + 10,
+    { width: doc.page.width - doc.page.margins.left - doc.page.margins.right - 140 }
+  );
+
+  doc.end();
+};
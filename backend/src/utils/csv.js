@@ -0,0 +1,71 @@
+// src/utils/csv.js
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, newlines inside
+ * quotes) into rows of objects keyed by the header row. Blank lines are
+ * skipped; a leading byte-order mark is ignored.
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const rows = records.filter(r => r.some(value => value.trim() !== ''));
+  if (rows.length === 0) return { headers: [], rows: [] };
+
+  const headers = rows[0].map(h => h.trim());
+  return {
+    headers,
+    rows: rows.slice(1).map(values =>
+      Object.fromEntries(headers.map((header, i) => [header, (values[i] ?? '').trim()]))
+    ),
+  };
+};
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV. columns is a list of [header, row => value].
+ */
+export const toCsv = (rows, columns) =>
+  [
+    columns.map(([header]) => csvField(header)).join(','),
+    ...rows.map(row => columns.map(([, value]) => csvField(value(row))).join(',')),
+  ].join('\r\n') + '\r\n';
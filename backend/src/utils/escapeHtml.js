@@ -0,0 +1,9 @@
+// src/utils/escapeHtml.js
+
+/**
+ * Make user-entered text safe to place inside server-rendered HTML
+ */
+export const escapeHtml = str =>
+  String(str ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+export default escapeHtml;
@@ -0,0 +1,9 @@
+// src/utils/escapeRegex.js
+
+/**
+ * Escape text so it matches literally inside a RegExp / $regex,
+ * e.g. a search for "C++ (2nd ed.)" instead of a broken pattern
+ */
+export const escapeRegex = (text) => String(text ?? '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export default escapeRegex;
@@ -0,0 +1,119 @@
+// src/utils/ethiopic.js
+import { escapeRegex } from './escapeRegex.js';
+
+/**
+ * Search helpers for a catalogue that mixes Ge'ez script with Latin.
+ *
+ * Amharic writes several sounds with more than one letter: ሀ ሐ ኀ are all
+ * "ha", ሰ ሠ "sa", አ ዐ "a", ጸ ፀ "tsa", and for the h and glottal letters
+ * the first and fourth forms (ሀ/ሃ, አ/ኣ) sound alike too. Titles and
+ * searches use whichever the writer learned, so search treats them as one
+ * letter.
+ *
+ * Latin spellings of Amharic words ("fikir" for ፍቅር, SERA "fqr") are
+ * matched by consonants: both sides are reduced to a key of their
+ * consonant sounds with the vowels dropped, since vowels (and the glides
+ * y and w: "Haile" for ኃይለ) are where the romanizations disagree.
+ */
+
+// Letter families written alike, the first of each being the one kept.
+// Each family is a row of seven vowel forms starting at the given code point.
+const HOMOPHONE_ROWS = [
+  [0x1200, 0x1210, 0x1280], // ሀ ሐ ኀ
+  [0x1230, 0x1220],         // ሰ ሠ
+  [0x12a0, 0x12d0],         // አ ዐ
+  [0x1338, 0x1340],         // ጸ ፀ
+];
+
+// Rows whose fourth form (-a) is said like the first (-ä)
+const FOURTH_AS_FIRST = [0x1200, 0x12a0];
+
+const FOLD = new Map();
+for (const [canonical, ...variants] of HOMOPHONE_ROWS) {
+  for (let order = 0; order < 7; order++) {
+    const target = canonical + (FOURTH_AS_FIRST.includes(canonical) && order === 3 ? 0 : order);
+    for (const row of [canonical, ...variants]) {
+      FOLD.set(String.fromCodePoint(row + order), String.fromCodePoint(target));
+    }
+  }
+}
+
+// Folded letter → every letter folding to it, for building regexes
+const VARIANTS = new Map();
+for (const [letter, folded] of FOLD) {
+  VARIANTS.set(folded, [...(VARIANTS.get(folded) || []), letter]);
+}
+
+/**
+ * Text with every Ethiopic letter replaced by the one its homophones fold
+ * to, and the Ethiopic word and sentence marks (፡ ። ፣ ፤) made spaces
+ */
+export const foldEthiopic = (text) => String(text ?? '')
+  .replace(/[፡-፨]/g, ' ')
+  .replace(/[ሀ-፿]/g, letter => FOLD.get(letter) || letter);
+
+/**
+ * A regex source matching `text` literally, any Ethiopic letter in it also
+ * matching its homophones
+ */
+export const ethiopicPattern = (text) => escapeRegex(text)
+  .replace(/[ሀ-፿]/g, letter => {
+    const variants = VARIANTS.get(FOLD.get(letter) || letter);
+    return variants ? `[${variants.join('')}]` : letter;
+  });
+
+/* ----  TRANSLITERATION KEYS – consonant skeletons of Ethiopic and Latin words  ---- */
+
+// The consonant of each row of eight Ethiopic letters, by the row's first
+// code point. Ejectives share the plain letter's key (ጠ and ተ are both
+// "t" in Latin spelling), labialized rows (ቈ, ጐ) the plain one's; the
+// glottal አ and ዐ and the glides የ and ወ have none.
+const ETHIOPIC_CONSONANTS = {
+  0x1200: 'h', 0x1208: 'l', 0x1210: 'h', 0x1218: 'm', 0x1220: 's', 0x1228: 'r', 0x1230: 's', 0x1238: 'S',
+  0x1240: 'k', 0x1248: 'k', 0x1250: 'k', 0x1258: 'k', 0x1260: 'b', 0x1268: 'v', 0x1270: 't', 0x1278: 'C',
+  0x1280: 'h', 0x1288: 'h', 0x1290: 'n', 0x1298: 'N', 0x12a0: '', 0x12a8: 'k', 0x12b0: 'k', 0x12b8: 'h',
+  0x12c0: 'h', 0x12c8: '', 0x12d0: '', 0x12d8: 'z', 0x12e0: 'Z', 0x12e8: '', 0x12f0: 'd', 0x12f8: 'd',
+  0x1300: 'j', 0x1308: 'g', 0x1310: 'g', 0x1318: 'g', 0x1320: 't', 0x1328: 'C', 0x1330: 'p', 0x1338: 'X',
+  0x1340: 'X', 0x1348: 'f', 0x1350: 'p',
+};
+
+// Latin spellings of single Amharic consonants, longest first
+const LATIN_CONSONANTS = [
+  ['tch', 'C'], ['ch', 'C'], ['sh', 'S'], ['zh', 'Z'], ['ts', 'X'], ['tz', 'X'], ['ny', 'N'], ['gn', 'N'],
+  ['ph', 'f'], ['kh', 'h'], ['ñ', 'N'], ['q', 'k'], ['c', 'C'], ['x', 'S'],
+];
+
+const ethiopicKey = (word) => [...word].map(letter => {
+  const code = letter.codePointAt(0);
+  return ETHIOPIC_CONSONANTS[code - (code % 8)] ?? '';
+}).join('');
+
+// Doubled letters are written once first: Latin spelling marks gemination
+// ("Addis", "Selassie"), Ethiopic script does not
+const latinKey = (word) => {
+  let text = word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/(.)\1+/g, '$1');
+  for (const [spelling, key] of LATIN_CONSONANTS) text = text.split(spelling).join(key);
+  return text.replace(/[aeiouyw'`]/g, '');
+};
+
+// Keys are stored in a case-insensitive text index, so the capitals that
+// stand for ሸ ቸ ጸ ኘ ዠ become lowercase letters no Latin key keeps
+const KEY_LETTERS = { S: 'x', C: 'c', X: 'q', N: 'y', Z: 'w' };
+
+/**
+ * The transliteration key of one word: its consonants. "fikir", "fiqir",
+ * SERA "fqr" and ፍቅር all give "fkr".
+ */
+export const transliterationKey = (word) =>
+  (/[ሀ-፿]/.test(word) ? ethiopicKey(word) : latinKey(word)).replace(/[SCXNZ]/g, letter => KEY_LETTERS[letter]);
+
+/**
+ * The words of a text, as searches split them
+ */
+export const searchWords = (text) => String(text ?? '').match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+
+/**
+ * The distinct transliteration keys of the words in a text, space separated
+ */
+export const transliterationKeys = (text) =>
+  [...new Set(searchWords(text).map(transliterationKey).filter(key => key.length > 1))].join(' ');
@@ -0,0 +1,120 @@
+// src/utils/fakeGateway.js
+import crypto from 'crypto';
+import axios from 'axios';
+import { PaymentGatewayError } from './paymentGateway.js';
+
+/**
+ * A provider that only exists on this machine (PAYMENT_FAKE_GATEWAY=true
+ * with a PAYMENT_FAKE_SECRET to sign its webhooks, never in production),
+ * for trying the whole payment flow without a merchant account. Checkouts live in memory and are paid or declined
+ * from a local page; the outcome arrives as a signed webhook, so it goes
+ * through the same inbox as a real provider's.
+ */
+const checkouts = new Map();
+
+const sign = (payload) => crypto.createHmac('sha256', process.env.PAYMENT_FAKE_SECRET).update(payload).digest('hex');
+
+// Without its own secret anyone could sign a "completed" webhook, so the
+// gateway stays off until one is set
+export const fakeGatewayEnabled = () =>
+  process.env.PAYMENT_FAKE_GATEWAY === 'true'
+  && process.env.NODE_ENV !== 'production'
+  && Boolean(process.env.PAYMENT_FAKE_SECRET);
+
+export const getFakeCheckout = (txRef) => checkouts.get(txRef) || null;
+
+/**
+ * Pay or decline a fake checkout and deliver its webhook.
+ * Returns the checkout, or null if there is no open one for txRef.
+ */
+export const completeFakeCheckout = async (txRef, paid) => {
+  const checkout = checkouts.get(txRef);
+  if (!checkout || checkout.status !== 'pending') return null;
+
+  checkout.status = paid ? 'completed' : 'failed';
+  checkout.reference = `FAKE${Date.now()}`;
+
+  const payload = JSON.stringify({
+    tx_ref: txRef,
+    status: checkout.status,
+    amount: checkout.amount,
+    currency: 'ETB',
+    reference: checkout.reference,
+  });
+  try {
+    await axios.post(checkout.notifyUrl, payload, {
+      timeout: 15000,
+      headers: { 'Content-Type': 'application/json', 'x-fake-signature': sign(payload) },
+    });
+    checkout.notified = true;
+  } catch (e) {
+    // The payment then settles when its status is checked, as with a lost real webhook
+    console.error('Fake gateway: webhook failed:', e.message);
+    checkout.notified = false;
+  }
+  return checkout;
+};
+
+export const fakeGateway = {
+  method: 'fake',
+  label: 'Test payment',
+  requires: [],
+  pollWhilePending: true,
+
+  isAvailable() {
+    return fakeGatewayEnabled();
+  },
+
+  timeoutMinutes() {
+    return 15;
+  },
+
+  async createCheckout({ txRef, amount, title, baseUrl, timeoutMinutes }) {
+    if (!fakeGatewayEnabled()) {
+      throw new PaymentGatewayError('The fake payment gateway is not enabled (it needs PAYMENT_FAKE_SECRET)', 500);
+    }
+
+    checkouts.set(txRef, {
+      txRef,
+      amount,
+      title,
+      notifyUrl: `${baseUrl}/webhooks/fake`,
+      returnUrl: process.env.FRONTEND_URL || null,
+      status: 'pending',
+      expiresAt: new Date(Date.now() + timeoutMinutes * 60 * 1000),
+    });
+    return { checkoutUrl: `${baseUrl}/fake/${encodeURIComponent(txRef)}`, providerOrderId: null };
+  },
+
+  parseWebhook({ body, rawBody, headers }) {
+    if (!fakeGatewayEnabled()) return null;
+
+    const given = Buffer.from(String(headers['x-fake-signature'] || ''));
+    const expected = Buffer.from(sign(rawBody || ''));
+    if (!rawBody || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    return {
+      eventId: `${body.tx_ref}:${body.status}`,
+      txRef: body.tx_ref,
+      verdict: {
+        status: body.status,
+        amount: Number(body.amount),
+        currency: body.currency,
+        providerReference: body.reference || null,
+      },
+    };
+  },
+
+  async fetchStatus(payment) {
+    const checkout = checkouts.get(payment.tx_ref);
+    if (!checkout) return { status: 'pending', amount: NaN, currency: 'ETB', providerReference: null };
+
+    if (checkout.status === 'pending' && checkout.expiresAt < new Date()) checkout.status = 'expired';
+    return {
+      status: checkout.status,
+      amount: checkout.amount,
+      currency: 'ETB',
+      providerReference: checkout.reference || null,
+    };
+  },
+};
@@ -0,0 +1,289 @@
+// src/utils/marc.js
+
+/**
+ * MARC 21 bibliographic records in their two exchange formats: ISO 2709
+ * ("binary" .mrc files) and MARCXML. A record is kept as
+ *
+ *   { leader, fields: [{ tag, value } | { tag, ind1, ind2, subfields: [{ code, value }] }] }
+ *
+ * where control fields (001-009) carry a value and data fields carry
+ * indicators and subfields, in the order they appear in the file.
+ */
+
+const RECORD_TERMINATOR = 0x1d;
+const FIELD_TERMINATOR = 0x1e;
+const SUBFIELD_DELIMITER = 0x1f;
+
+const LEADER_LENGTH = 24;
+const DIRECTORY_ENTRY_LENGTH = 12;
+
+export const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+export class MarcError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MarcError';
+  }
+}
+
+/**
+ * The leader written on export: the record's own leader with the positions
+ * this writer decides (length, UTF-8, indicator/subfield counts, base
+ * address, entry map) filled in
+ */
+const leaderFor = (leader, recordLength = 0, baseAddress = 0) => {
+  const base = (leader || '').padEnd(LEADER_LENGTH, ' ');
+  return String(recordLength).padStart(5, '0')
+    + base.slice(5, 9) + 'a22'
+    + String(baseAddress).padStart(5, '0')
+    + base.slice(17, 20) + '4500';
+};
+
+export const isControlTag = (tag) => tag < '010' && /^\d{3}$/.test(tag);
+
+/**
+ * The value of a subfield, or null
+ */
+export const subfield = (field, code) => field?.subfields?.find(s => s.code === code)?.value ?? null;
+
+export const subfields = (field, code) => (field?.subfields || []).filter(s => s.code === code).map(s => s.value);
+
+export const fieldsOf = (record, ...tags) => record.fields.filter(f => tags.includes(f.tag));
+
+export const fieldOf = (record, ...tags) => fieldsOf(record, ...tags)[0] || null;
+
+/* ----  ISO 2709 – read  ---- */
+
+/**
+ * Parse one ISO 2709 record. Records declaring UTF-8 in leader/09 are
+ * decoded as such; MARC-8 records are read as Latin-1 and flagged, since
+ * their diacritics and non-Latin scripts cannot be converted faithfully.
+ */
+const parseIso2709Record = (bytes) => {
+  if (bytes.length < LEADER_LENGTH + 1) throw new MarcError('Record is shorter than a leader');
+
+  const leader = bytes.subarray(0, LEADER_LENGTH).toString('latin1');
+  const baseAddress = parseInt(leader.slice(12, 17), 10);
+  if (!Number.isInteger(baseAddress) || baseAddress <= LEADER_LENGTH || baseAddress > bytes.length) {
+    throw new MarcError('Invalid base address of data in leader');
+  }
+
+  const utf8 = leader[9] === 'a';
+  const decode = (buf) => buf.toString(utf8 ? 'utf8' : 'latin1');
+
+  const directory = bytes.subarray(LEADER_LENGTH, baseAddress - 1).toString('latin1');
+  if (directory.length % DIRECTORY_ENTRY_LENGTH !== 0) throw new MarcError('Malformed directory');
+
+  const fields = [];
+  for (let i = 0; i < directory.length; i += DIRECTORY_ENTRY_LENGTH) {
+    const tag = directory.slice(i, i + 3);
+    const length = parseInt(directory.slice(i + 3, i + 7), 10);
+    const start = parseInt(directory.slice(i + 7, i + 12), 10);
+    if (!Number.isInteger(length) || !Number.isInteger(start)) throw new MarcError(`Malformed directory entry for ${tag}`);
+
+    let data = bytes.subarray(baseAddress + start, baseAddress + start + length);
+    if (data[data.length - 1] === FIELD_TERMINATOR) data = data.subarray(0, data.length - 1);
+
+    if (isControlTag(tag)) {
+      fields.push({ tag, value: decode(data) });
+      continue;
+    }
+
+    const parts = [];
+    let from = 0;
+    for (let j = 0; j <= data.length; j++) {
+      if (j === data.length || data[j] === SUBFIELD_DELIMITER) {
+        parts.push(data.subarray(from, j));
+        from = j + 1;
+      }
+    }
+    const indicators = parts[0].toString('latin1').padEnd(2, ' ');
+    fields.push({
+      tag,
+      ind1: indicators[0],
+      ind2: indicators[1],
+      subfields: parts.slice(1).filter(p => p.length).map(p => ({
+        code: String.fromCharCode(p[0]),
+        value: decode(p.subarray(1)),
+      })),
+    });
+  }
+
+  return { leader, fields, marc8: !utf8 };
+};
+
+/**
+ * Split an ISO 2709 file into records. A record that cannot be read is
+ * returned as { error } in its place so the rest of the file still loads.
+ */
+export const parseMarc21 = (buffer) => {
+  const records = [];
+  let start = 0;
+  for (let i = 0; i <= buffer.length; i++) {
+    if (i < buffer.length && buffer[i] !== RECORD_TERMINATOR) continue;
+    // Line breaks some systems put between records
+    while (start < i && (buffer[start] === 0x0a || buffer[start] === 0x0d)) start++;
+    if (i > start) {
+      try {
+        records.push(parseIso2709Record(buffer.subarray(start, i)));
+      } catch (e) {
+        if (!(e instanceof MarcError)) throw e;
+        records.push({ error: e.message });
+      }
+    }
+    start = i + 1;
+  }
+  return records;
+};
+
+/* ----  ISO 2709 – write  ---- */
+
+const writeIso2709Record = (record) => {
+  const directory = [];
+  const data = [];
+  let offset = 0;
+
+  for (const field of record.fields) {
+    const content = isControlTag(field.tag)
+      ? Buffer.from(field.value, 'utf8')
+      : Buffer.concat([
+        Buffer.from(`${field.ind1 || ' '}${field.ind2 || ' '}`, 'latin1'),
+        ...field.subfields.map(s => Buffer.concat([
+          Buffer.from([SUBFIELD_DELIMITER]),
+          Buffer.from(s.code, 'latin1'),
+          Buffer.from(s.value, 'utf8'),
+        ])),
+      ]);
+    const bytes = Buffer.concat([content, Buffer.from([FIELD_TERMINATOR])]);
+
+    if (bytes.length > 9999) throw new MarcError(`Field ${field.tag} is too long for ISO 2709`);
+    directory.push(`${field.tag}${String(bytes.length).padStart(4, '0')}${String(offset).padStart(5, '0')}`);
+    data.push(bytes);
+    offset += bytes.length;
+  }
+
+  const directoryBytes = Buffer.from(`${directory.join('')}\x1e`, 'latin1');
+  const baseAddress = LEADER_LENGTH + directoryBytes.length;
+  const recordLength = baseAddress + offset + 1;
+  if (recordLength > 99999) throw new MarcError('Record is too long for ISO 2709');
+
+  const leader = leaderFor(record.leader, recordLength, baseAddress);
+  return Buffer.concat([Buffer.from(leader, 'latin1'), directoryBytes, ...data, Buffer.from([RECORD_TERMINATOR])]);
+};
+
+export const writeMarc21 = (records) => Buffer.concat(records.map(writeIso2709Record));
+
+/* ----  MARCXML  ---- */
+
+const unescapeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, entity) => {
+  const e = entity.toLowerCase();
+  if (e === 'amp') return '&';
+  if (e === 'lt') return '<';
+  if (e === 'gt') return '>';
+  if (e === 'quot') return '"';
+  if (e === 'apos') return "'";
+  const code = e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+  return code <= 0x10ffff ? String.fromCodePoint(code) : '\ufffd';
+});
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const attribute = (attrs, name) => {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return match ? unescapeXml(match[2] ?? match[3]) : null;
+};
+
+// Element names may carry any namespace prefix (marc:record, slim:record ...)
+const element = (name) => `(?:[\\w.-]+:)?${name}`;
+
+/**
+ * Parse a MARCXML document (a <collection> or a single <record>). Only the
+ * MARC elements are read, so this does not need a general XML parser.
+ */
+export const parseMarcXml = (text) => {
+  const xml = String(text).replace(/<!--[\s\S]*?-->/g, '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, cdata) => escapeXml(cdata));
+  const recordPattern = new RegExp(`<${element('record')}(?:\\s[^>]*)?>([\\s\\S]*?)</${element('record')}>`, 'g');
+  const fieldPattern = new RegExp(
+    `<${element('leader')}\\s*>([\\s\\S]*?)</${element('leader')}>`
+    + `|<${element('controlfield')}([^>]*)>([\\s\\S]*?)</${element('controlfield')}>`
+    + `|<${element('datafield')}([^>]*?)/>`
+    + `|<${element('datafield')}([^>]*)>([\\s\\S]*?)</${element('datafield')}>`,
+    'g'
+  );
+  const subfieldPattern = new RegExp(`<${element('subfield')}([^>]*)>([\\s\\S]*?)</${element('subfield')}>`, 'g');
+
+  const records = [];
+  for (const [, body] of xml.matchAll(recordPattern)) {
+    try {
+      let leader = null;
+      const fields = [];
+      for (const m of body.matchAll(fieldPattern)) {
+        if (m[1] !== undefined) {
+          leader = unescapeXml(m[1]);
+        } else if (m[2] !== undefined) {
+          const tag = attribute(m[2], 'tag');
+          if (!tag) throw new MarcError('controlfield without a tag');
+          fields.push({ tag, value: unescapeXml(m[3]) });
+        } else {
+          const attrs = m[4] ?? m[5];
+          const tag = attribute(attrs, 'tag');
+          if (!tag) throw new MarcError('datafield without a tag');
+          fields.push({
+            tag,
+            ind1: attribute(attrs, 'ind1') || ' ',
+            ind2: attribute(attrs, 'ind2') || ' ',
+            subfields: [...(m[6] || '').matchAll(subfieldPattern)].map(s => ({
+              code: attribute(s[1], 'code') || '',
+              value: unescapeXml(s[2]),
+            })),
+          });
+        }
+      }
+      records.push({ leader: leader || ''.padEnd(LEADER_LENGTH, ' '), fields, marc8: false });
+    } catch (e) {
+      if (!(e instanceof MarcError)) throw e;
+      records.push({ error: e.message });
+    }
+  }
+
+  if (!records.length && !new RegExp(`<${element('(?:collection|record)')}[\\s>/]`).test(xml)) {
+    throw new MarcError('Not a MARCXML document');
+  }
+  return records;
+};
+
+export const writeMarcXml = (records) => {
+  const out = ['<?xml version="1.0" encoding="UTF-8"?>', `<collection xmlns="${MARCXML_NAMESPACE}">`];
+  for (const record of records) {
+    out.push('  <record>');
+    out.push(`    <leader>${escapeXml(leaderFor(record.leader))}</leader>`);
+    for (const field of record.fields) {
+      if (isControlTag(field.tag)) {
+        out.push(`    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`);
+        continue;
+      }
+      out.push(`    <datafield tag="${field.tag}" ind1="${escapeXml(field.ind1 || ' ')}" ind2="${escapeXml(field.ind2 || ' ')}">`);
+      for (const s of field.subfields) {
+        out.push(`      <subfield code="${escapeXml(s.code)}">${escapeXml(s.value)}</subfield>`);
+      }
+      out.push('    </datafield>');
+    }
+    out.push('  </record>');
+  }
+  out.push('</collection>', '');
+  return out.join('\n');
+};
+
+/**
+ * Read a MARC file of either kind; MARCXML is recognised by its opening '<'
+ */
+export const parseMarc = (buffer) => {
+  const head = buffer.subarray(0, 200).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  return head.startsWith('<')
+    ? { format: 'marcxml', records: parseMarcXml(buffer.toString('utf8')) }
+    : { format: 'marc21', records: parseMarc21(buffer) };
+};
@@ -0,0 +1,176 @@
+// src/utils/marcMapping.js
+import { BOOK_LANGUAGES, normalizeIsbn } from '../models/bookModel.js';
+import { fieldOf, fieldsOf, subfield, subfields } from './marc.js';
+
+/**
+ * Which MARC 21 fields a book is read from and written to:
+ *
+ *   001 control number     020 $a ISBN            041 $a / 008 language
+ *   100, 700 $a $e $4      names with roles       245 $a $b $n $p title
+ *   250 $a edition         260 / 264 $b $c        publisher and year
+ *   300 $a pages           490 $a $v, 830         series
+ *   520 $a summary         600-655 $a $x $y $z    subjects
+ *   082 $a (050 $a)        classification
+ */
+
+// MARC relator codes and terms → our author roles
+const RELATORS = {
+  aut: 'author', author: 'author', cre: 'author', creator: 'author',
+  edt: 'editor', editor: 'editor',
+  trl: 'translator', translator: 'translator',
+  ill: 'illustrator', illustrator: 'illustrator',
+  com: 'compiler', compiler: 'compiler',
+  ctb: 'contributor', contributor: 'contributor',
+};
+
+const ROLE_CODES = {
+  author: 'aut', editor: 'edt', translator: 'trl', illustrator: 'ill', compiler: 'com', contributor: 'ctb',
+};
+
+const SUBJECT_TAGS = ['600', '610', '611', '630', '650', '651', '655'];
+
+/**
+ * Cataloguers end subfields with ISBD punctuation (" /", " :", ",", ".");
+ * a trailing full stop is kept when it closes an abbreviation ("ed.").
+ */
+export const trimPunctuation = (value) => String(value || '')
+  .replace(/\s*[/:;,=]\s*$/, '')
+  .replace(/([^\s.]{3,})\.$/, '$1')
+  .replace(/^\[(.*)\]$/, '$1')
+  .trim();
+
+const yearOf = (value) => {
+  const match = String(value || '').match(/\b(1\d{3}|20\d{2})\b/);
+  return match ? Number(match[1]) : null;
+};
+
+const languageOf = (record) => {
+  const candidates = [
+    ...subfields(fieldOf(record, '041'), 'a').flatMap(v => v.match(/.{3}/g) || []),
+    fieldOf(record, '008')?.value?.slice(35, 38),
+  ];
+  return candidates.map(c => (c || '').trim().toLowerCase()).find(c => BOOK_LANGUAGES[c]) || null;
+};
+
+const namesOf = (record) => fieldsOf(record, '100', '110', '700', '710').map(field => {
+  const term = [...subfields(field, 'e'), ...subfields(field, '4')]
+    .map(v => trimPunctuation(v).toLowerCase())
+    .find(v => RELATORS[v]);
+  const role = term ? RELATORS[term] : (field.tag.startsWith('1') ? 'author' : 'contributor');
+  const name = trimPunctuation([subfield(field, 'a'), subfield(field, 'b')].filter(Boolean).join(' '));
+  return name ? { name, role } : null;
+}).filter(Boolean);
+
+const subjectsOf = (record) => fieldsOf(record, ...SUBJECT_TAGS)
+  .map(field => field.subfields
+    .filter(s => ['a', 'x', 'y', 'z', 'v'].includes(s.code))
+    .map(s => trimPunctuation(s.value))
+    .filter(Boolean)
+    .join(' -- '))
+  .filter(Boolean);
+
+const seriesOf = (record) => {
+  const field = fieldOf(record, '490', '830', '440');
+  const name = trimPunctuation(subfield(field, 'a'));
+  if (!name) return null;
+  const number = trimPunctuation(subfield(field, 'v')).replace(/^(v|vol|no)\.?\s*/i, '');
+  return { name, number: number || null };
+};
+
+const pagesOf = (record) => {
+  const extent = subfield(fieldOf(record, '300'), 'a') || '';
+  // The last "<n> p." / "<n> pages" wins over roman-numbered front matter
+  const counts = [...extent.matchAll(/(\d+)\s*(?:p\b|pages|ገጽ)/gi)].map(m => Number(m[1]));
+  return counts.length ? counts[counts.length - 1] : null;
+};
+
+/**
+ * The book a MARC record describes, in the shape `bookSchema` accepts,
+ * minus what MARC does not know (id, category, copies), along with the
+ * record's control number for the import report.
+ */
+export const recordToBook = (record) => {
+  const title = fieldOf(record, '245');
+  const mainTitle = trimPunctuation(subfield(title, 'a'));
+  const fullTitle = trimPunctuation(
+    [subfield(title, 'a'), subfield(title, 'b'), subfield(title, 'n'), subfield(title, 'p')]
+      .filter(Boolean)
+      .map(trimPunctuation)
+      .join(': ')
+  );
+  const publication = fieldOf(record, '264', '260');
+  const isbnField = fieldsOf(record, '020').find(f => normalizeIsbn(subfield(f, 'a')));
+
+  return {
+    controlNumber: fieldOf(record, '001')?.value?.trim() || null,
+    book: {
+      name: mainTitle,
+      title: fullTitle || mainTitle,
+      publisher: trimPunctuation(subfield(publication, 'b')),
+      isbn: isbnField ? trimPunctuation(subfield(isbnField, 'a')).split(/\s/)[0] : '',
+      authors: namesOf(record),
+      subjects: subjectsOf(record),
+      edition: trimPunctuation(subfield(fieldOf(record, '250'), 'a')) || null,
+      publicationYear: yearOf(subfield(publication, 'c')) || yearOf(fieldOf(record, '008')?.value?.slice(7, 11)),
+      language: languageOf(record),
+      pages: pagesOf(record),
+      series: seriesOf(record),
+      summary: subfield(fieldOf(record, '520'), 'a') || null,
+      classification: trimPunctuation(subfield(fieldOf(record, '082', '050'), 'a')) || null,
+    },
+  };
+};
+
+/* ----  Export  ---- */
+
+const dataField = (tag, ind1, ind2, pairs) => {
+  const subs = pairs.filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([code, value]) => ({ code, value: String(value) }));
+  return subs.length ? { tag, ind1, ind2, subfields: subs } : null;
+};
+
+const pad = (value, length) => String(value || '').padEnd(length, ' ').slice(0, length);
+
+/**
+ * A MARC record for a book, with the catalogue's own ID as 001
+ */
+export const bookToRecord = (book, { organization = null } = {}) => {
+  const authors = book.authors?.length
+    ? book.authors
+    : (book.author ? [{ name: book.author, role: 'author' }] : []);
+  const [main, ...added] = authors[0]?.role === 'author' ? authors : [null, ...authors];
+  const changed = new Date(book.updatedAt || book.createdAt || Date.now());
+  const created = new Date(book.createdAt || Date.now());
+  const year = book.publicationYear ? String(book.publicationYear) : '    ';
+
+  // name is the short title; a title that extends it becomes the subtitle,
+  // one that does not is the title proper with name as a variant title
+  const title = book.title || book.name;
+  const extendsName = book.name && title.startsWith(book.name);
+  const subtitle = extendsName ? title.slice(book.name.length).replace(/^\s*:\s*/, '').trim() : null;
+
+  // 008: date entered, single date, year, (no place), ..., language
+  const fixed = `${created.toISOString().slice(2, 10).replace(/-/g, '')}s${year}    ${pad('', 3)}${pad('', 17)}${pad(book.language || 'und', 3)} d`;
+
+  const fields = [
+    { tag: '001', value: book.id },
+    organization ? { tag: '003', value: organization } : null,
+    { tag: '005', value: `${changed.toISOString().replace(/[-:T]/g, '').slice(0, 14)}.0` },
+    { tag: '008', value: pad(fixed, 40) },
+    dataField('020', ' ', ' ', [['a', book.isbn]]),
+    book.language ? dataField('041', '0', ' ', [['a', book.language]]) : null,
+    dataField('082', '0', '4', [['a', book.classification]]),
+    main ? dataField('100', '1', ' ', [['a', main.name], ['e', main.role]]) : null,
+    dataField('245', main ? '1' : '0', '0', [['a', extendsName ? book.name : title], ['b', subtitle]]),
+    extendsName || !book.name ? null : dataField('246', '3', ' ', [['a', book.name]]),
+    dataField('250', ' ', ' ', [['a', book.edition]]),
+    dataField('264', ' ', '1', [['b', book.publisher], ['c', book.publicationYear]]),
+    dataField('300', ' ', ' ', [['a', book.pages ? `${book.pages} pages` : null]]),
+    book.series?.name ? dataField('490', '0', ' ', [['a', book.series.name], ['v', book.series.number]]) : null,
+    dataField('520', ' ', ' ', [['a', book.summary]]),
+    ...(book.subjects || []).map(s => dataField('650', ' ', '4', [['a', s]])),
+    ...added.map(a => dataField('700', '1', ' ', [['a', a.name], ['e', a.role], ['4', ROLE_CODES[a.role]]])),
+  ].filter(Boolean);
+
+  return { leader: '00000nam a22000007i 4500', fields };
+};
@@ -0,0 +1,51 @@
+// src/utils/notify.js
+import sendEmail from './sendEmail.js';
+
+/**
+ * Tell a user about something that happened to their account.
+ * Every notification is stored in 'notifications' for the in-app list;
+ * it is also emailed when the user has an address and mail is configured.
+ * Never throws – a failed email must not undo the action that caused it.
+ */
+export const notifyUser = async (db, userId, { type, subject, message, data = {} }) => {
+  const notification = {
+    userId,
+    type,
+    subject,
+    message,
+    data,
+    read: false,
+    emailed: false,
+    createdAt: new Date(),
+  };
+
+  try {
+    const user = await db.collection('users').findOne({ id: userId }, { projection: { email: 1 } });
+
+    if (user?.email && process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+      try {
+        await sendEmail({
+          email: user.email,
+          subject: `${subject} - Library System`,
+          message: `
+      <div style="font-family: Arial, sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
+        <h2>${subject}</h2>
+        <p>${message}</p>
+      </div>
+    `,
+        });
+        notification.emailed = true;
+      } catch (emailError) {
+        console.error('Notification email error:', emailError);
+      }
+    }
+
+    await db.collection('notifications').insertOne(notification);
+  } catch (e) {
+    console.error('Notification error:', e);
+  }
+
+  return notification;
+};
+
+export default notifyUser;
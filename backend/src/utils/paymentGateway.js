@@ -0,0 +1,80 @@
+// src/utils/paymentGateway.js
+
+/**
+ * Payment gateway registry.
+ *
+ * Every online provider is reached through an adapter of the same shape,
+ * registered under the payment method it handles. Payments, webhooks and
+ * the payment jobs only ever talk to adapters, so adding a provider (e.g.
+ * CBE Birr) means writing an adapter and registering it in
+ * paymentGateways.js; nothing in circulation or the fines ledger changes.
+ *
+ * An adapter has:
+ *   method            stored on the payment ('chapa', 'telebirr', ...)
+ *   label             provider name shown to people
+ *   requires          extra customer fields a checkout needs (e.g. ['mobile'])
+ *   pollWhilePending  whether the payer's status check may ask the provider
+ *                     before the checkout window closes
+ *   isAvailable()     whether new payments can be started (configured, allowed here)
+ *   timeoutMinutes()  minutes the customer has to pay, or null if checkouts do not expire
+ *   createCheckout({ txRef, amount, title, customer, baseUrl, timeoutMinutes })
+ *                     → { checkoutUrl, providerOrderId }
+ *   parseWebhook({ body, rawBody, headers })
+ *                     → { eventId, txRef, verdict } or null when the signature is wrong;
+ *                       verdict is null when the provider has to be asked instead
+ *   fetchStatus(payment) → verdict
+ *
+ * A verdict is { status: 'pending' | 'completed' | 'failed' | 'expired',
+ * amount, currency, providerReference }.
+ */
+
+/**
+ * A provider refused a call, could not be reached or is not configured
+ */
+export class PaymentGatewayError extends Error {
+  constructor(message, status = 502, details = {}) {
+    super(message);
+    this.name = 'PaymentGatewayError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const gateways = new Map();
+
+/**
+ * Add a provider adapter
+ */
+export const registerGateway = (adapter) => {
+  gateways.set(adapter.method, adapter);
+};
+
+/**
+ * The adapter for a payment method
+ */
+export const getGateway = (method) => {
+  const adapter = gateways.get(method);
+  if (!adapter) throw new PaymentGatewayError(`Unknown payment method: ${method}`, 400);
+  return adapter;
+};
+
+/**
+ * Methods of every registered provider
+ */
+export const gatewayMethods = () => [...gateways.keys()];
+
+/**
+ * Providers a payment can be started with right now
+ */
+export const availableGateways = () => [...gateways.values()]
+  .filter(adapter => adapter.isAvailable())
+  .map(({ method, label, requires }) => ({ method, label, requires }));
+
+/**
+ * Write a provider error to the response; false if e is something else
+ */
+export const sendGatewayError = (res, e) => {
+  if (!(e instanceof PaymentGatewayError)) return false;
+  res.status(e.status).json({ message: e.message });
+  return true;
+};
@@ -0,0 +1,12 @@
+// src/utils/paymentGateways.js
+import { registerGateway } from './paymentGateway.js';
+import { chapaGateway } from './chapaGateway.js';
+import { telebirrGateway } from './telebirrGateway.js';
+import { fakeGateway } from './fakeGateway.js';
+
+// Every provider patrons can pay online with; a new provider is one more line here
+registerGateway(chapaGateway);
+registerGateway(telebirrGateway);
+registerGateway(fakeGateway);
+
+export * from './paymentGateway.js';
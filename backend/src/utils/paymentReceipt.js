@@ -0,0 +1,104 @@
+// src/utils/paymentReceipt.js
+import PDFDocument from 'pdfkit';
+
+const METHOD_LABELS = {
+  cash: 'Cash',
+  bank_slip: 'Bank slip',
+  chapa: 'Chapa',
+  telebirr: 'Telebirr',
+};
+
+const etb = amount => `ETB ${Number(amount || 0).toFixed(2)}`;
+
+const heading = (doc, title, subtitle) => {
+  doc.fontSize(18).text('Woldia University Library', { align: 'center' });
+  doc.moveDown(0.3);
+  doc.fontSize(13).text(title, { align: 'center' });
+  if (subtitle) {
+    doc.moveDown(0.3);
+    doc.fontSize(10).fillColor('#555555').text(subtitle, { align: 'center' });
+    doc.fillColor('#000000');
+  }
+  doc.moveDown(1.5);
+};
+
+const rows = (doc, list) => {
+  doc.fontSize(11);
+  list.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+    doc.font('Helvetica').text(String(value ?? '-'));
+  });
+};
+
+/**
+ * Write a fine payment receipt PDF to a writable stream (e.g. the response).
+ * A5 so it prints on the desk printer's half sheets.
+ */
+export const writePaymentReceipt = (payment, stream) => {
+  const doc = new PDFDocument({ size: 'A5', margin: 40 });
+  doc.pipe(stream);
+
+  heading(doc, 'Fine Payment Receipt', `Receipt No. ${payment.receiptNumber || payment.tx_ref}`);
+
+  rows(doc, [
+    ['Received from', payment.name ? `${payment.name} (${payment.userId})` : payment.userId],
+    ['Username', payment.username],
+    ['For', payment.bookTitle ? `Library fine – ${payment.bookTitle}` : 'Library fines'],
+    ['Method', METHOD_LABELS[payment.method] || payment.method],
+    ...(payment.slipReference ? [['Bank slip reference', payment.slipReference]] : []),
+    ['Date', new Date(payment.settledAt || payment.createdAt).toLocaleString()],
+    ['Received by', payment.receivedBy?.username || '-'],
+    ...(payment.note ? [['Note', payment.note]] : []),
+  ]);
+
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(14).text(`Amount paid: ${etb(payment.paidAmount ?? payment.amount)}`);
+  if (payment.balanceAfter != null) {
+    doc.font('Helvetica').fontSize(11).text(`Balance remaining: ${etb(Math.max(payment.balanceAfter, 0))}`);
+  }
+
+  doc.moveDown(2);
+  doc.fontSize(9).fillColor('#555555').text(
+    'Paying a fine does not return a borrowed book. Keep this receipt as proof of payment.',
+    { align: 'center' }
+  );
+
+  doc.end();
+};
+
+/**
+ * Write a day's desk cash-up (from PaymentModel.cashUp) as a PDF, one
+ * section per librarian with every receipt they issued.
+ */
+export const writeCashUpReport = (report, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  heading(doc, 'Daily Cash-Up', report.date);
+
+  report.librarians.forEach(librarian => {
+    doc.font('Helvetica-Bold').fontSize(12).text(`${librarian.username || librarian.librarianId}`);
+    doc.font('Helvetica').fontSize(10).text(
+      `Cash ${etb(librarian.cash)} · Bank slips ${etb(librarian.bank_slip)} · Total ${etb(librarian.total)} (${librarian.count} receipts)`
+    );
+    doc.moveDown(0.3);
+    librarian.receipts.forEach(r => {
+      doc.fontSize(9).text(
+        `${r.receiptNumber}  ${new Date(r.createdAt).toLocaleTimeString()}  ${r.userId}  ` +
+        `${METHOD_LABELS[r.method] || r.method}${r.slipReference ? ` (${r.slipReference})` : ''}  ${etb(r.amount)}`
+      );
+    });
+    doc.moveDown(1);
+  });
+
+  if (report.librarians.length === 0) doc.fontSize(11).text('No desk payments were taken on this day.');
+
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(12).text(
+    `Day total: ${etb(report.total)} (cash ${etb(report.cash)}, bank slips ${etb(report.bank_slip)}, ${report.count} receipts)`
+  );
+  doc.moveDown(3);
+  doc.font('Helvetica').fontSize(10).text('Counted by: ____________________        Signature: ____________________');
+
+  doc.end();
+};
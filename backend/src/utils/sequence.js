@@ -0,0 +1,20 @@
+// src/utils/sequence.js
+
+/**
+ * Atomically get the next value of a named counter.
+ * Counters live in the 'counters' collection as { _id: name, seq }.
+ */
+export const nextSequence = async (db, name, options = {}) => {
+  const counter = await db.collection('counters').findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after', ...options }
+  );
+  return counter.seq;
+};
+
+/**
+ * Format a sequence number with a prefix, e.g. formatSequence('ACC', 12) -> 'ACC-000012'
+ */
+export const formatSequence = (prefix, seq, width = 6) =>
+  `${prefix}-${String(seq).padStart(width, '0')}`;
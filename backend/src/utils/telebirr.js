@@ -0,0 +1,216 @@
+// src/utils/telebirr.js
+import crypto from 'crypto';
+import axios from 'axios';
+import { PaymentGatewayError } from './paymentGateway.js';
+
+/**
+ * Telebirr (Ethio telecom) H5 checkout client.
+ * An order is created with the merchant private key; Telebirr then sends a
+ * notification signed with its own key once the customer pays or the order
+ * fails, and the order can be queried at any time as a fallback.
+ */
+
+/**
+ * The provider refused a call, could not be reached or is not configured
+ */
+export class TelebirrError extends PaymentGatewayError {
+  constructor(message, status = 502, details = {}) {
+    super(message, status, details);
+    this.name = 'TelebirrError';
+  }
+}
+
+// Telebirr status words (notifications and order queries) → payment status
+const STATUS_MAP = {
+  Completed: 'completed',
+  PAY_SUCCESS: 'completed',
+  Failure: 'failed',
+  PAY_FAILED: 'failed',
+  Expired: 'expired',
+  ORDER_CLOSED: 'expired',
+};
+
+export const toPaymentStatus = (status) => STATUS_MAP[status] || 'pending';
+
+/**
+ * The string Telebirr signs: every field except sign and sign_type, with
+ * biz_content flattened into the top level, sorted by name as key=value&...
+ */
+export const canonicalString = (fields) => {
+  const flat = { ...fields, ...(fields.biz_content || {}) };
+  delete flat.biz_content;
+  delete flat.sign;
+  delete flat.sign_type;
+  return Object.keys(flat)
+    .filter(key => flat[key] !== undefined && flat[key] !== null && flat[key] !== '')
+    .sort()
+    .map(key => `${key}=${flat[key]}`)
+    .join('&');
+};
+
+// Keys are usually kept in .env on one line with escaped newlines
+const pem = (key) => (key || '').replace(/\\n/g, '\n');
+
+const RSA_PSS = { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 };
+
+const sign = (fields, privateKey) =>
+  crypto.sign('sha256', Buffer.from(canonicalString(fields)), { key: pem(privateKey), ...RSA_PSS }).toString('base64');
+
+const verifySign = (fields, publicKey) => {
+  try {
+    return crypto.verify(
+      'sha256',
+      Buffer.from(canonicalString(fields)),
+      { key: pem(publicKey), ...RSA_PSS },
+      Buffer.from(String(fields.sign || ''), 'base64')
+    );
+  } catch {
+    return false;
+  }
+};
+
+const REQUIRED_ENV = [
+  'TELEBIRR_BASE_URL',
+  'TELEBIRR_WEB_BASE_URL',
+  'TELEBIRR_FABRIC_APP_ID',
+  'TELEBIRR_APP_SECRET',
+  'TELEBIRR_MERCHANT_APP_ID',
+  'TELEBIRR_MERCHANT_CODE',
+  'TELEBIRR_PRIVATE_KEY',
+  'TELEBIRR_PUBLIC_KEY',
+];
+
+const config = () => {
+  const missing = REQUIRED_ENV.filter(name => !process.env[name]);
+  if (missing.length) throw new TelebirrError(`Telebirr is not configured (missing ${missing.join(', ')})`, 500);
+
+  return {
+    baseUrl: process.env.TELEBIRR_BASE_URL.replace(/\/+$/, ''),
+    webBaseUrl: process.env.TELEBIRR_WEB_BASE_URL.replace(/\?+$/, ''),
+    fabricAppId: process.env.TELEBIRR_FABRIC_APP_ID,
+    appSecret: process.env.TELEBIRR_APP_SECRET,
+    merchantAppId: process.env.TELEBIRR_MERCHANT_APP_ID,
+    merchantCode: process.env.TELEBIRR_MERCHANT_CODE,
+    privateKey: process.env.TELEBIRR_PRIVATE_KEY,
+  };
+};
+
+const post = async (cfg, path, data, token) => {
+  try {
+    const res = await axios.post(`${cfg.baseUrl}${path}`, data, {
+      timeout: 15000,
+      headers: {
+        'X-APP-Key': cfg.fabricAppId,
+        ...(token ? { Authorization: token } : {}),
+      },
+    });
+    return res.data;
+  } catch (e) {
+    const body = e.response?.data;
+    const message = body?.errorMsg || body?.msg || e.message;
+    throw new TelebirrError(`Telebirr: ${message}`, 502, { providerStatus: e.response?.status ?? null });
+  }
+};
+
+const fabricToken = async (cfg) => {
+  const body = await post(cfg, '/payment/v1/token', { appSecret: cfg.appSecret });
+  if (!body?.token) throw new TelebirrError('Telebirr: no access token returned');
+  return body.token;
+};
+
+const signedRequest = (cfg, method, bizContent) => {
+  const fields = {
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    nonce_str: crypto.randomBytes(16).toString('hex'),
+    method,
+    version: '1.0',
+    biz_content: bizContent,
+  };
+  return { ...fields, sign: sign(fields, cfg.privateKey), sign_type: 'SHA256WithRSA' };
+};
+
+/**
+ * The live Telebirr gateway
+ */
+export const telebirrGateway = {
+  name: 'telebirr',
+
+  /**
+   * Create a checkout order; returns the URL the customer opens to pay
+   */
+  async createOrder({ txRef, amount, title, notifyUrl, returnUrl, timeoutMinutes }) {
+    const cfg = config();
+    const token = await fabricToken(cfg);
+
+    const body = await post(cfg, '/payment/v1/merchant/preOrder', signedRequest(cfg, 'payment.preorder', {
+      notify_url: notifyUrl,
+      redirect_url: returnUrl,
+      appid: cfg.merchantAppId,
+      merch_code: cfg.merchantCode,
+      merch_order_id: txRef,
+      trade_type: 'Checkout',
+      title,
+      total_amount: String(amount),
+      trans_currency: 'ETB',
+      timeout_express: `${timeoutMinutes}m`,
+      business_type: 'BuyGoods',
+    }), token);
+
+    const prepayId = body?.biz_content?.prepay_id;
+    if (!prepayId) throw new TelebirrError(`Telebirr: ${body?.errorMsg || body?.msg || 'order was not created'}`);
+
+    const raw = {
+      appid: cfg.merchantAppId,
+      merch_code: cfg.merchantCode,
+      nonce_str: crypto.randomBytes(16).toString('hex'),
+      prepay_id: prepayId,
+      timestamp: String(Math.floor(Date.now() / 1000)),
+    };
+    const query = new URLSearchParams({
+      ...raw,
+      sign: sign(raw, cfg.privateKey),
+      sign_type: 'SHA256WithRSA',
+      version: '1.0',
+      trade_type: 'Checkout',
+    });
+
+    return { checkoutUrl: `${cfg.webBaseUrl}?${query}`, providerOrderId: prepayId };
+  },
+
+  /**
+   * Check a notification's signature and read it.
+   * Returns null when the signature does not match.
+   */
+  verifyNotification(body) {
+    if (!body?.sign || !verifySign(body, process.env.TELEBIRR_PUBLIC_KEY)) return null;
+    return {
+      txRef: body.merch_order_id,
+      status: toPaymentStatus(body.trade_status),
+      amount: Number(body.total_amount),
+      currency: body.trans_currency,
+      providerReference: body.payment_order_id || body.trans_id || null,
+    };
+  },
+
+  /**
+   * Ask Telebirr for the current state of an order
+   */
+  async queryOrder(txRef) {
+    const cfg = config();
+    const token = await fabricToken(cfg);
+    const body = await post(cfg, '/payment/v1/merchant/queryOrder', signedRequest(cfg, 'payment.queryorder', {
+      appid: cfg.merchantAppId,
+      merch_code: cfg.merchantCode,
+      merch_order_id: txRef,
+    }), token);
+
+    const order = body?.biz_content;
+    if (!order) throw new TelebirrError(`Telebirr: ${body?.errorMsg || body?.msg || 'order not found'}`);
+    return {
+      status: toPaymentStatus(order.order_status),
+      amount: Number(order.total_amount),
+      currency: order.trans_currency,
+      providerReference: order.payment_order_id || order.trans_id || null,
+    };
+  },
+};
@@ -0,0 +1,66 @@
+// src/utils/telebirrGateway.js
+import { telebirrGateway as telebirrApi, TelebirrError } from './telebirr.js';
+import { telebirrSimulator, simulatorEnabled } from './telebirrSimulator.js';
+
+// Minutes a customer has to complete a Telebirr checkout
+export const TELEBIRR_TIMEOUT_MINUTES = Number(process.env.TELEBIRR_TIMEOUT_MINUTES) || 30;
+
+/**
+ * The client Telebirr payments go through: the live API, or the local
+ * simulator when TELEBIRR_GATEWAY=simulator. The simulator lets anyone
+ * "pay", so it is refused in production and without its signing secret.
+ */
+export const getTelebirrClient = () => {
+  if (process.env.TELEBIRR_GATEWAY !== 'simulator') return telebirrApi;
+  if (process.env.NODE_ENV === 'production') {
+    throw new TelebirrError('The Telebirr simulator cannot be used in production', 500);
+  }
+  if (!process.env.TELEBIRR_SIMULATOR_SECRET) {
+    throw new TelebirrError('The Telebirr simulator needs TELEBIRR_SIMULATOR_SECRET', 500);
+  }
+  return telebirrSimulator;
+};
+
+/**
+ * Telebirr H5 checkout. Telebirr settles a payment with a signed
+ * notification; the order query is the fallback once the window closes.
+ */
+export const telebirrGateway = {
+  method: 'telebirr',
+  label: 'Telebirr',
+  requires: ['mobile'],
+  pollWhilePending: false,
+
+  isAvailable() {
+    return process.env.TELEBIRR_GATEWAY === 'simulator'
+      ? simulatorEnabled()
+      : Boolean(process.env.TELEBIRR_MERCHANT_CODE);
+  },
+
+  timeoutMinutes() {
+    return TELEBIRR_TIMEOUT_MINUTES;
+  },
+
+  async createCheckout({ txRef, amount, title, baseUrl, timeoutMinutes }) {
+    return await getTelebirrClient().createOrder({
+      txRef,
+      amount,
+      title,
+      notifyUrl: process.env.TELEBIRR_NOTIFY_URL || `${baseUrl}/webhooks/telebirr`,
+      returnUrl: process.env.TELEBIRR_RETURN_URL || process.env.FRONTEND_URL,
+      timeoutMinutes,
+    });
+  },
+
+  parseWebhook({ body }) {
+    const notification = getTelebirrClient().verifyNotification(body);
+    if (!notification) return null;
+
+    const { txRef, ...verdict } = notification;
+    return { eventId: `${txRef}:${body.trade_status}`, txRef, verdict };
+  },
+
+  async fetchStatus(payment) {
+    return await getTelebirrClient().queryOrder(payment.tx_ref);
+  },
+};
@@ -0,0 +1,55 @@
+// src/utils/transaction.js
+
+/**
+ * A circulation rule stopped a state change part-way through.
+ * Throwing it inside runTransaction rolls back everything done so far;
+ * controllers turn it into a response with the given status.
+ */
+export class CirculationError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'CirculationError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+let transactionsSupported = true;
+
+// Standalone mongod (local development) has no transactions
+const isUnsupported = (e) =>
+  e?.code === 20 || /replica set|Transaction numbers/i.test(e?.message || '');
+
+/**
+ * Run fn(session) in a MongoDB transaction and return its result.
+ * The driver retries the whole function on transient errors, so fn must only
+ * touch the database through the session it is given.
+ *
+ * Without replica-set support fn runs once without a session. The steps are
+ * then no longer all-or-nothing, but each one is still a conditional update,
+ * so a lost race cannot apply twice or take stock below zero.
+ */
+export const runTransaction = async (db, fn) => {
+  if (!transactionsSupported) return await fn(undefined);
+
+  const session = db.client.startSession();
+  try {
+    return await session.withTransaction(() => fn(session));
+  } catch (e) {
+    if (!isUnsupported(e)) throw e;
+    transactionsSupported = false;
+    console.warn('⚠️  MongoDB transactions are not available (standalone server); continuing without them');
+    return await fn(undefined);
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Send a CirculationError as a JSON response. Returns false for other errors.
+ */
+export const sendCirculationError = (res, e) => {
+  if (!(e instanceof CirculationError)) return false;
+  res.status(e.status).json({ message: e.message, ...e.details });
+  return true;
+};
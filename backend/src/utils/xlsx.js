@@ -0,0 +1,164 @@
+// src/utils/xlsx.js
+import zlib from 'zlib';
+
+/**
+ * Read the first worksheet of an .xlsx workbook into the same
+ * { headers, rows } shape parseCsv returns. An .xlsx file is a zip of XML
+ * parts; only the parts holding cell values are read (no formulas, styles
+ * or dates: a cell shows the value Excel last calculated).
+ */
+
+export class XlsxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XlsxError';
+  }
+}
+
+const MAX_UNCOMPRESSED = 50 * 1024 * 1024;
+
+// Column XFD, the last one Excel has
+const MAX_COLUMN = 16383;
+
+/**
+ * The files in a zip archive, by name → () => Buffer. Every offset the
+ * archive gives is checked against the file, so a truncated or corrupt
+ * upload is an XlsxError rather than an out-of-range read.
+ */
+const readZip = (buffer) => {
+  const corrupt = () => new XlsxError('Corrupt .xlsx file');
+  const within = (start, length) => start >= 0 && start + length <= buffer.length;
+
+  // The end-of-central-directory record sits in the last 64 KiB + 22 bytes
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new XlsxError('Not an .xlsx file');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const files = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (!within(offset, 46) || buffer.readUInt32LE(offset) !== 0x02014b50) throw corrupt();
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    if (!within(offset + 46, nameLength)) throw corrupt();
+    const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+
+    files.set(name, () => {
+      if (size > MAX_UNCOMPRESSED) throw new XlsxError('Worksheet is too large');
+      if (!within(localOffset, 30)) throw corrupt();
+      const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      if (!within(start, compressedSize)) throw corrupt();
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) {
+        try {
+          return zlib.inflateRawSync(data, { maxOutputLength: MAX_UNCOMPRESSED });
+        } catch {
+          throw new XlsxError(`Corrupt or oversized part in the workbook: ${name}`);
+        }
+      }
+      throw new XlsxError(`Unsupported compression in ${name}`);
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+};
+
+const unescapeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, entity) => {
+  const e = entity.toLowerCase();
+  if (e === 'amp') return '&';
+  if (e === 'lt') return '<';
+  if (e === 'gt') return '>';
+  if (e === 'quot') return '"';
+  if (e === 'apos') return "'";
+  const code = e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+  return code <= 0x10ffff ? String.fromCodePoint(code) : '\ufffd';
+});
+
+const attribute = (attrs, name) => attrs.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`))?.[1] ?? null;
+
+// The text of a string item, skipping phonetic guides (<rPh>)
+const textOf = (xml) => [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+  .map(m => unescapeXml(m[1]))
+  .join('');
+
+// "C12" → 2 (zero-based column)
+const columnIndex = (ref) => {
+  const letters = ref.match(/^[A-Z]+/)?.[0] || '';
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+};
+
+const firstSheetPath = (files) => {
+  const read = (name) => (files.has(name) ? files.get(name)().toString('utf8') : null);
+  const workbook = read('xl/workbook.xml');
+  const relations = read('xl/_rels/workbook.xml.rels');
+  const relationId = workbook?.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  const target = relationId && relations
+    ? [...relations.matchAll(/<Relationship\b([^>]*)\/?>/g)]
+      .map(m => m[1])
+      .find(attrs => attribute(attrs, 'Id') === relationId)
+    : null;
+  const path = target ? attribute(target, 'Target') : null;
+  if (!path) return 'xl/worksheets/sheet1.xml';
+  return path.startsWith('/') ? path.slice(1) : `xl/${path}`;
+};
+
+/**
+ * The first worksheet's rows as objects keyed by the header row. Blank
+ * rows are skipped, as parseCsv does.
+ */
+export const parseXlsx = (buffer) => {
+  const files = readZip(buffer);
+  const sheetPath = firstSheetPath(files);
+  if (!files.has(sheetPath)) throw new XlsxError('The workbook has no worksheet');
+
+  const shared = files.has('xl/sharedStrings.xml')
+    ? [...files.get('xl/sharedStrings.xml')().toString('utf8').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textOf(m[1]))
+    : [];
+
+  const sheet = files.get(sheetPath)().toString('utf8');
+  const table = [];
+  for (const [, rowXml] of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const values = [];
+    for (const cell of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cell[1];
+      const body = cell[2] || '';
+      const ref = attribute(attrs, 'r');
+      const index = ref ? columnIndex(ref) : values.length;
+      if (index > MAX_COLUMN) throw new XlsxError(`Cell reference out of range: ${ref}`);
+      const type = attribute(attrs, 't');
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = '';
+      if (type === 's') value = shared[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = textOf(body);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = unescapeXml(raw);
+      values[index] = value;
+    }
+    table.push(Array.from(values, v => (v ?? '').trim()));
+  }
+
+  const rows = table.filter(r => r.some(value => value !== ''));
+  if (rows.length === 0) return { headers: [], rows: [] };
+
+  const headers = rows[0];
+  return {
+    headers,
+    rows: rows.slice(1).map(values =>
+      Object.fromEntries(headers.map((header, i) => [header, values[i] ?? '']))
+    ),
+  };
+};
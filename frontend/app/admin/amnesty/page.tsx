@@ -0,0 +1,403 @@
+// admin/amnesty/page.tsx
+'use client';
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { FiAlertCircle, FiBarChart2, FiPlus, FiSlash, FiX } from 'react-icons/fi';
+import Layout from '@/components/Layout';
+import api from '@/lib/api';
+import { useTranslation } from '@/lib/i18n';
+
+interface Amnesty {
+  _id: string;
+  name: string;
+  description: string;
+  startsAt: string;
+  endsAt: string;
+  waivePercent: number;
+  categories: string[];
+  roles: string[];
+  departments: string[];
+  state: 'scheduled' | 'running' | 'ended' | 'cancelled';
+  forgiven: number;
+  loans: number;
+  users: number;
+}
+
+interface ReportGroup {
+  key: string | null;
+  forgiven: number;
+  users?: number;
+  entries?: number;
+}
+
+interface AmnestyReport {
+  campaign: Amnesty;
+  forgiven: number;
+  entries: number;
+  loans: number;
+  users: number;
+  byTrigger: ReportGroup[];
+  byRole: ReportGroup[];
+  byDepartment: ReportGroup[];
+  patrons: {
+    userId: string;
+    username: string;
+    name?: string;
+    role?: string;
+    department?: string;
+    forgiven: number;
+    loans: number;
+    lastAt: string;
+  }[];
+}
+
+const CATEGORIES = ['overdue', 'lost', 'damage', 'processing'];
+const ROLES = ['student', 'teacher', 'librarian', 'admin'];
+
+const stateStyles: Record<string, string> = {
+  scheduled: 'bg-blue-100 text-blue-800',
+  running: 'bg-green-100 text-green-800',
+  ended: 'bg-gray-200 text-gray-700',
+  cancelled: 'bg-red-100 text-red-800',
+};
+
+const emptyForm = {
+  name: '',
+  description: '',
+  startsAt: '',
+  endsAt: '',
+  waivePercent: '100',
+  categories: ['overdue'],
+  roles: [] as string[],
+  departments: '',
+};
+
+const toggle = (list: string[], value: string) =>
+  list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+// One breakdown table of the report (by trigger, role or department)
+function Breakdown({ title, rows, empty }: { title: string; rows: ReportGroup[]; empty: string }) {
+  return (
+    <div>
+      <h4 className="font-semibold text-gray-700 mb-1">{title}</h4>
+      {rows.length === 0 ? (
+        <p className="text-xs text-gray-500">—</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {rows.map(row => (
+            <li key={row.key ?? 'none'} className="flex justify-between py-1">
+              <span>{row.key || empty}</span>
+              <span className="text-gray-700">
+                ETB {row.forgiven}
+                {row.users != null && <span className="text-xs text-gray-500"> · {row.users}</span>}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default function AdminAmnestyPage() {
+  const { t } = useTranslation();
+  const [amnesties, setAmnesties] = useState<Amnesty[]>([]);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [report, setReport] = useState<AmnestyReport | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const res = await api.get('/amnesties');
+      setAmnesties(res.data.amnesties || []);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to load amnesties');
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const create = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await api.post('/amnesties', {
+        name: form.name,
+        description: form.description,
+        startsAt: new Date(form.startsAt).toISOString(),
+        endsAt: new Date(form.endsAt).toISOString(),
+        waivePercent: Number(form.waivePercent),
+        categories: form.categories,
+        roles: form.roles,
+        departments: form.departments.split(',').map(d => d.trim()).filter(Boolean),
+      });
+      setShowForm(false);
+      setForm(emptyForm);
+      await load();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to create amnesty');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cancel = async (amnesty: Amnesty) => {
+    if (!confirm(t('cancelAmnestyConfirm') || `Stop "${amnesty.name}" now? What it already forgave stands.`)) return;
+    try {
+      await api.post(`/amnesties/${amnesty._id}/cancel`);
+      await load();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to cancel amnesty');
+    }
+  };
+
+  const openReport = async (amnesty: Amnesty) => {
+    try {
+      const res = await api.get(`/amnesties/${amnesty._id}/report`);
+      setReport(res.data);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to load report');
+    }
+  };
+
+  return (
+    <Layout role="admin">
+      <div className="min-h-screen bg-gray-50 p-4 md:p-6">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="max-w-7xl mx-auto space-y-6"
+        >
+          <div className="bg-white rounded-2xl shadow-lg p-6">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div>
+                <h1 className="text-2xl md:text-3xl font-bold text-gray-800">{t('amnesty') || 'Fine Amnesty'}</h1>
+                <p className="text-gray-600 mt-1">
+                  {t('amnestyInfo') || 'Forgive part of patrons\' fines for a limited time, applied when books come back or fines are paid'}
+                </p>
+              </div>
+              <button
+                onClick={() => { setShowForm(true); setError(''); }}
+                className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 text-sm"
+              >
+                <FiPlus className="w-4 h-4" />
+                {t('newAmnesty') || 'New amnesty'}
+              </button>
+            </div>
+          </div>
+
+          {error && !showForm && (
+            <div className="flex items-center gap-2 bg-red-50 text-red-800 rounded-lg px-3 py-2 text-sm">
+              <FiAlertCircle className="w-4 h-4" />
+              {error}
+            </div>
+          )}
+
+          <div className="bg-white rounded-2xl shadow-lg overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-gray-600 text-left">
+                <tr>
+                  <th className="px-4 py-3">{t('name') || 'Name'}</th>
+                  <th className="px-4 py-3">{t('period') || 'Period'}</th>
+                  <th className="px-4 py-3">{t('waived') || 'Waived'}</th>
+                  <th className="px-4 py-3">{t('appliesTo') || 'Applies to'}</th>
+                  <th className="px-4 py-3">{t('status') || 'Status'}</th>
+                  <th className="px-4 py-3 text-right">{t('forgiven') || 'Forgiven'}</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {amnesties.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="px-4 py-8 text-center text-gray-500">
+                      {t('noAmnesties') || 'No amnesties yet'}
+                    </td>
+                  </tr>
+                ) : amnesties.map(a => (
+                  <tr key={a._id} className="border-t border-gray-100">
+                    <td className="px-4 py-3">
+                      <p className="font-medium text-gray-800">{a.name}</p>
+                      {a.description && <p className="text-xs text-gray-500">{a.description}</p>}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {new Date(a.startsAt).toLocaleDateString()} – {new Date(a.endsAt).toLocaleDateString()}
+                    </td>
+                    <td className="px-4 py-3">{a.waivePercent}% · {a.categories.join(', ')}</td>
+                    <td className="px-4 py-3 text-xs">
+                      {a.roles.length ? a.roles.join(', ') : (t('allRoles') || 'All roles')}
+                      {a.departments.length > 0 && <span className="block text-gray-500">{a.departments.join(', ')}</span>}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${stateStyles[a.state]}`}>{a.state}</span>
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      ETB {a.forgiven}
+                      <span className="block text-xs text-gray-500">{a.users} · {a.loans}</span>
+                    </td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      <button onClick={() => openReport(a)} className="p-2 rounded-lg text-blue-700 hover:bg-blue-50" aria-label="Report">
+                        <FiBarChart2 className="w-4 h-4" />
+                      </button>
+                      {(a.state === 'scheduled' || a.state === 'running') && (
+                        <button onClick={() => cancel(a)} className="p-2 rounded-lg text-red-700 hover:bg-red-50" aria-label="Cancel">
+                          <FiSlash className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </motion.div>
+
+        {showForm && (
+          <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <motion.div
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              className="bg-white rounded-xl shadow-xl max-w-lg w-full p-6 relative max-h-[90vh] overflow-y-auto"
+            >
+              <button onClick={() => setShowForm(false)} className="absolute top-4 right-4 text-gray-500 hover:text-gray-700">
+                <FiX className="w-6 h-6" />
+              </button>
+              <h2 className="text-xl font-bold text-gray-800 mb-4">{t('newAmnesty') || 'New amnesty'}</h2>
+              <form onSubmit={create} className="space-y-3 text-sm">
+                <input
+                  required
+                  placeholder={t('amnestyName') || 'Name, e.g. End of semester amnesty'}
+                  value={form.name}
+                  onChange={e => setForm({ ...form, name: e.target.value })}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+                <textarea
+                  placeholder={t('description') || 'Description'}
+                  value={form.description}
+                  onChange={e => setForm({ ...form, description: e.target.value })}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                  rows={2}
+                />
+                <div className="grid grid-cols-2 gap-2">
+                  <label className="block">
+                    <span className="text-gray-600">{t('startsAt') || 'Starts'}</span>
+                    <input required type="datetime-local" value={form.startsAt} onChange={e => setForm({ ...form, startsAt: e.target.value })} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+                  </label>
+                  <label className="block">
+                    <span className="text-gray-600">{t('endsAt') || 'Ends'}</span>
+                    <input required type="datetime-local" value={form.endsAt} onChange={e => setForm({ ...form, endsAt: e.target.value })} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+                  </label>
+                </div>
+                <label className="block">
+                  <span className="text-gray-600">{t('waivePercent') || 'Percent of the fine forgiven'}</span>
+                  <input required type="number" min={1} max={100} value={form.waivePercent} onChange={e => setForm({ ...form, waivePercent: e.target.value })} className="w-full border border-gray-300 rounded-lg px-3 py-2" />
+                </label>
+                <fieldset>
+                  <legend className="text-gray-600">{t('fineCategories') || 'Fines covered'}</legend>
+                  <div className="flex flex-wrap gap-3 mt-1">
+                    {CATEGORIES.map(c => (
+                      <label key={c} className="flex items-center gap-1">
+                        <input type="checkbox" checked={form.categories.includes(c)} onChange={() => setForm({ ...form, categories: toggle(form.categories, c) })} />
+                        {c}
+                      </label>
+                    ))}
+                  </div>
+                </fieldset>
+                <fieldset>
+                  <legend className="text-gray-600">{t('amnestyRoles') || 'Patron roles (none = everyone)'}</legend>
+                  <div className="flex flex-wrap gap-3 mt-1">
+                    {ROLES.map(r => (
+                      <label key={r} className="flex items-center gap-1">
+                        <input type="checkbox" checked={form.roles.includes(r)} onChange={() => setForm({ ...form, roles: toggle(form.roles, r) })} />
+                        {r}
+                      </label>
+                    ))}
+                  </div>
+                </fieldset>
+                <input
+                  placeholder={t('amnestyDepartments') || 'Departments, comma separated (empty = all)'}
+                  value={form.departments}
+                  onChange={e => setForm({ ...form, departments: e.target.value })}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+                {error && <p className="text-red-600">{error}</p>}
+                <button
+                  type="submit"
+                  disabled={busy || form.categories.length === 0}
+                  className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {busy ? (t('processing') || 'Processing...') : (t('createAmnesty') || 'Create amnesty')}
+                </button>
+              </form>
+            </motion.div>
+          </div>
+        )}
+
+        {report && (
+          <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <motion.div
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              className="bg-white rounded-xl shadow-xl max-w-3xl w-full p-6 relative max-h-[90vh] overflow-y-auto"
+            >
+              <button onClick={() => setReport(null)} className="absolute top-4 right-4 text-gray-500 hover:text-gray-700">
+                <FiX className="w-6 h-6" />
+              </button>
+              <h2 className="text-xl font-bold text-gray-800">{report.campaign.name}</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                {new Date(report.campaign.startsAt).toLocaleString()} – {new Date(report.campaign.endsAt).toLocaleString()} ·{' '}
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${stateStyles[report.campaign.state]}`}>{report.campaign.state}</span>
+              </p>
+
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-center text-sm mb-4">
+                <div className="bg-green-50 rounded p-2"><p className="text-lg font-bold text-green-700">ETB {report.forgiven}</p><p className="text-xs">{t('forgiven') || 'Forgiven'}</p></div>
+                <div className="bg-gray-50 rounded p-2"><p className="text-lg font-bold">{report.users}</p><p className="text-xs">{t('patrons') || 'Patrons'}</p></div>
+                <div className="bg-gray-50 rounded p-2"><p className="text-lg font-bold">{report.loans}</p><p className="text-xs">{t('loans') || 'Loans'}</p></div>
+                <div className="bg-gray-50 rounded p-2"><p className="text-lg font-bold">{report.entries}</p><p className="text-xs">{t('waivers') || 'Waivers'}</p></div>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm mb-4">
+                <Breakdown title={t('byTrigger') || 'Applied on'} rows={report.byTrigger} empty="—" />
+                <Breakdown title={t('byRole') || 'By role'} rows={report.byRole} empty="—" />
+                <Breakdown title={t('byDepartment') || 'By department'} rows={report.byDepartment} empty={t('noDepartment') || 'No department'} />
+              </div>
+
+              <h4 className="font-semibold text-gray-700 mb-1 text-sm">{t('patrons') || 'Patrons'}</h4>
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600 text-left">
+                  <tr>
+                    <th className="px-3 py-2">{t('userIdLabel') || 'User ID'}</th>
+                    <th className="px-3 py-2">{t('role') || 'Role'}</th>
+                    <th className="px-3 py-2">{t('department') || 'Department'}</th>
+                    <th className="px-3 py-2 text-right">{t('loans') || 'Loans'}</th>
+                    <th className="px-3 py-2 text-right">{t('forgiven') || 'Forgiven'}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.patrons.length === 0 ? (
+                    <tr>
+                      <td colSpan={5} className="px-3 py-6 text-center text-gray-500">{t('nothingForgivenYet') || 'Nothing forgiven yet'}</td>
+                    </tr>
+                  ) : report.patrons.map(p => (
+                    <tr key={p.userId} className="border-t border-gray-100">
+                      <td className="px-3 py-2">{p.name || p.username} <span className="text-xs text-gray-500">({p.userId})</span></td>
+                      <td className="px-3 py-2">{p.role || '—'}</td>
+                      <td className="px-3 py-2">{p.department || '—'}</td>
+                      <td className="px-3 py-2 text-right">{p.loans}</td>
+                      <td className="px-3 py-2 text-right">ETB {p.forgiven}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </motion.div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,662 @@
+// admin/payments/page.tsx
+'use client';
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  FiAlertCircle,
+  FiAlertTriangle,
+  FiCheck,
+  FiChevronLeft,
+  FiChevronRight,
+  FiDownload,
+  FiEye,
+  FiRotateCcw,
+  FiSearch,
+  FiUpload,
+  FiX,
+} from 'react-icons/fi';
+import Layout from '@/components/Layout';
+import api from '@/lib/api';
+import { useTranslation } from '@/lib/i18n';
+
+interface HistoryEntry {
+  action: string;
+  amount: number | null;
+  reason: string | null;
+  reference: string | null;
+  at: string;
+  byUsername: string | null;
+  by: string;
+}
+
+interface Payment {
+  _id: string;
+  tx_ref: string;
+  method: string;
+  status: string;
+  userId: string;
+  username: string;
+  amount: number;
+  paidAmount?: number | null;
+  refundedAmount?: number;
+  providerReference?: string | null;
+  slipReference?: string | null;
+  failureReason?: string | null;
+  receivedBy?: { username: string };
+  reconciliation?: {
+    status: 'matched' | 'mismatch' | 'missing' | 'resolved';
+    issues: string[];
+    providerAmount: number | null;
+    providerStatus: string | null;
+    resolution?: string;
+  };
+  history?: HistoryEntry[];
+  createdAt: string;
+  settledAt?: string;
+}
+
+interface LedgerEntry {
+  _id: string;
+  type: string;
+  amount: number;
+  balanceAfter: number;
+  note: string;
+  createdAt: string;
+}
+
+interface ReconciliationItem {
+  txRef: string | null;
+  status: 'matched' | 'mismatch' | 'unknown' | 'missing';
+  issues: string[];
+  ourAmount?: number;
+  provider: { amount: number | null; status: string } | null;
+}
+
+interface ReconciliationBatch {
+  _id: string;
+  provider: string;
+  fileName: string | null;
+  summary: { rows: number; matched: number; mismatched: number; unknown: number; missing: number; providerTotal: number };
+  items?: ReconciliationItem[];
+  createdAt: string;
+}
+
+const statusStyles: Record<string, string> = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  expired: 'bg-gray-200 text-gray-700',
+  refunded: 'bg-purple-100 text-purple-800',
+  reversed: 'bg-orange-100 text-orange-800',
+};
+
+const issueLabels: Record<string, string> = {
+  status_mismatch: 'Status differs',
+  amount_mismatch: 'Amount differs',
+  currency_mismatch: 'Currency differs',
+  unknown_payment: 'Not in our records',
+  missing_from_settlement: 'Not in the settlement',
+  duplicate_in_file: 'Listed twice',
+  missing_reference: 'No reference',
+};
+
+function ReconciliationFlag({ payment }: { payment: Payment }) {
+  const rec = payment.reconciliation;
+  if (!rec) return <span className="text-gray-400 text-xs">—</span>;
+  if (rec.status === 'matched') return <FiCheck className="w-4 h-4 text-green-600" title="Matched" />;
+  if (rec.status === 'resolved') return <span className="text-xs text-gray-500">resolved</span>;
+  return (
+    <span className="inline-flex items-center gap-1 text-xs text-red-700" title={rec.issues.map(i => issueLabels[i] || i).join(', ')}>
+      <FiAlertTriangle className="w-4 h-4" />
+      {rec.issues.map(i => issueLabels[i] || i).join(', ')}
+    </span>
+  );
+}
+
+// Upload a provider settlement CSV and show what did not match
+function SettlementImport({ onDone }: { onDone: () => void }) {
+  const { t } = useTranslation();
+  const [provider, setProvider] = useState('chapa');
+  const [file, setFile] = useState<File | null>(null);
+  const [batch, setBatch] = useState<ReconciliationBatch | null>(null);
+  const [history, setHistory] = useState<ReconciliationBatch[]>([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.get('/payments/reconciliations')
+      .then(res => setHistory(res.data.batches || []))
+      .catch(() => setHistory([]));
+  }, [batch]);
+
+  const upload = async () => {
+    if (!file) return;
+    setBusy(true);
+    setError('');
+    try {
+      const csv = await file.text();
+      const res = await api.post('/payments/reconciliations', { provider, csv, fileName: file.name });
+      setBatch(res.data.batch);
+      onDone();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openBatch = async (id: string) => {
+    try {
+      const res = await api.get(`/payments/reconciliations/${id}`);
+      setBatch(res.data);
+    } catch {
+      setError('Failed to load reconciliation');
+    }
+  };
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex flex-col sm:flex-row gap-2">
+        <select value={provider} onChange={e => setProvider(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-2">
+          <option value="chapa">Chapa</option>
+          <option value="telebirr">Telebirr</option>
+        </select>
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={e => setFile(e.target.files?.[0] || null)}
+          className="flex-1 border border-gray-300 rounded-lg px-3 py-1.5"
+        />
+        <button
+          onClick={upload}
+          disabled={busy || !file}
+          className="flex items-center justify-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          <FiUpload className="w-4 h-4" />
+          {busy ? (t('processing') || 'Processing...') : (t('reconcile') || 'Reconcile')}
+        </button>
+      </div>
+      <p className="text-xs text-gray-500">
+        {t('settlementHint') || 'CSV export from the provider with a reference (tx_ref / merch_order_id), amount, status and date column.'}
+      </p>
+
+      {error && <p className="text-red-600">{error}</p>}
+
+      {batch && (
+        <div className="border border-gray-200 rounded-lg p-3 space-y-2">
+          <p className="font-medium">
+            {batch.provider} · {batch.fileName || ''} · {new Date(batch.createdAt).toLocaleString()}
+          </p>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-center">
+            <div className="bg-green-50 rounded p-2"><p className="text-lg font-bold text-green-700">{batch.summary.matched}</p><p className="text-xs">{t('matched') || 'Matched'}</p></div>
+            <div className="bg-red-50 rounded p-2"><p className="text-lg font-bold text-red-700">{batch.summary.mismatched}</p><p className="text-xs">{t('mismatched') || 'Mismatched'}</p></div>
+            <div className="bg-yellow-50 rounded p-2"><p className="text-lg font-bold text-yellow-700">{batch.summary.unknown}</p><p className="text-xs">{t('unknownToUs') || 'Unknown to us'}</p></div>
+            <div className="bg-orange-50 rounded p-2"><p className="text-lg font-bold text-orange-700">{batch.summary.missing}</p><p className="text-xs">{t('missingFromSettlement') || 'Missing from file'}</p></div>
+          </div>
+          {batch.items && (
+            <ul className="max-h-60 overflow-y-auto divide-y divide-gray-100">
+              {batch.items.filter(i => i.status !== 'matched').map((item, index) => (
+                <li key={`${item.txRef}-${index}`} className="py-1.5 flex justify-between gap-2">
+                  <span className="font-mono text-xs">{item.txRef || '—'}</span>
+                  <span className="text-xs text-red-700">{item.issues.map(i => issueLabels[i] || i).join(', ')}</span>
+                  <span className="text-xs text-gray-600">
+                    {item.ourAmount != null ? `ours ${item.ourAmount}` : ''}{item.provider?.amount != null ? ` · theirs ${item.provider.amount}` : ''}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {history.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-1">{t('previousImports') || 'Previous imports'}</h4>
+          <ul className="divide-y divide-gray-100">
+            {history.map(b => (
+              <li key={b._id}>
+                <button onClick={() => openBatch(b._id)} className="w-full flex justify-between py-1.5 text-left hover:bg-gray-50">
+                  <span>{b.provider} · {b.fileName || '—'}</span>
+                  <span className="text-xs text-gray-500">
+                    {b.summary.matched}/{b.summary.rows} · {new Date(b.createdAt).toLocaleDateString()}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function AdminPaymentsPage() {
+  const { t } = useTranslation();
+  const [payments, setPayments] = useState<Payment[]>([]);
+  const [stats, setStats] = useState<{ totalPayments: number; flagged: number; byStatus: { _id: string; count: number; totalAmount: number }[] } | null>(null);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [method, setMethod] = useState('');
+  const [reconciliation, setReconciliation] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selected, setSelected] = useState<Payment | null>(null);
+  const [entries, setEntries] = useState<LedgerEntry[]>([]);
+  const [showImport, setShowImport] = useState(false);
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const [reference, setReference] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const filters = useCallback(() => ({
+    search: search || undefined,
+    status: status || undefined,
+    method: method || undefined,
+    reconciliation: reconciliation || undefined,
+    startDate: startDate || undefined,
+    endDate: endDate || undefined,
+  }), [search, status, method, reconciliation, startDate, endDate]);
+
+  const load = useCallback(async () => {
+    try {
+      const [list, summary] = await Promise.all([
+        api.get('/payments', { params: { page, limit: 20, ...filters() } }),
+        api.get('/payments/stats'),
+      ]);
+      setPayments(list.data.payments || []);
+      setTotalPages(Math.max(1, list.data.totalPages || 1));
+      setStats(summary.data);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to load payments');
+    }
+  }, [page, filters]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const exportCsv = async () => {
+    try {
+      const res = await api.get('/payments', { params: { ...filters(), format: 'csv' }, responseType: 'blob' });
+      const url = URL.createObjectURL(new Blob([res.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'payments.csv';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      setError('Export failed');
+    }
+  };
+
+  const open = async (payment: Payment) => {
+    setSelected(payment);
+    setEntries([]);
+    setAmount('');
+    setReason('');
+    setReference('');
+    setError('');
+    try {
+      const res = await api.get(`/payments/${payment._id}`);
+      setSelected(res.data.payment);
+      setEntries(res.data.entries || []);
+    } catch {
+      // keep the row from the list
+    }
+  };
+
+  const act = async (action: 'refund' | 'reverse' | 'resolve') => {
+    if (!selected) return;
+    setBusy(true);
+    setError('');
+    try {
+      if (action === 'resolve') {
+        await api.put(`/payments/${selected._id}/reconciliation/resolve`, { note: reason });
+      } else {
+        await api.post(`/payments/${selected._id}/${action}`, {
+          ...(action === 'refund' ? { amount: Number(amount) } : {}),
+          reason,
+          ...(reference ? { reference } : {}),
+        });
+      }
+      await open(selected);
+      await load();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Action failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const refundable = selected ? (selected.paidAmount ?? selected.amount) - (selected.refundedAmount || 0) : 0;
+  const completedTotal = stats?.byStatus.find(s => s._id === 'completed');
+
+  return (
+    <Layout role="admin">
+      <div className="min-h-screen bg-gray-50 p-4 md:p-6">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="max-w-7xl mx-auto space-y-6"
+        >
+          <div className="bg-white rounded-2xl shadow-lg p-6">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div>
+                <h1 className="text-2xl md:text-3xl font-bold text-gray-800">{t('payments') || 'Payments'}</h1>
+                <p className="text-gray-600 mt-1">
+                  {t('paymentsConsoleInfo') || 'Search payments, reconcile provider settlements and issue refunds'}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={exportCsv}
+                  className="flex items-center gap-2 border border-gray-300 px-3 py-2 rounded-lg hover:bg-gray-50 text-sm"
+                >
+                  <FiDownload className="w-4 h-4" />
+                  CSV
+                </button>
+                <button
+                  onClick={() => setShowImport(true)}
+                  className="flex items-center gap-2 bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 text-sm"
+                >
+                  <FiUpload className="w-4 h-4" />
+                  {t('importSettlement') || 'Import settlement'}
+                </button>
+              </div>
+            </div>
+
+            {stats && (
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mt-4 text-center">
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-xl font-bold text-gray-800">{stats.totalPayments}</p>
+                  <p className="text-xs text-gray-500">{t('payments') || 'Payments'}</p>
+                </div>
+                <div className="bg-green-50 rounded-lg p-3">
+                  <p className="text-xl font-bold text-green-700">ETB {completedTotal?.totalAmount || 0}</p>
+                  <p className="text-xs text-gray-500">{t('completed') || 'Completed'} ({completedTotal?.count || 0})</p>
+                </div>
+                <button
+                  onClick={() => { setReconciliation('mismatch'); setPage(1); }}
+                  className="bg-red-50 rounded-lg p-3 hover:bg-red-100"
+                >
+                  <p className="text-xl font-bold text-red-700">{stats.flagged}</p>
+                  <p className="text-xs text-gray-500">{t('flaggedPayments') || 'Flagged by reconciliation'}</p>
+                </button>
+              </div>
+            )}
+
+            <div className="flex flex-col lg:flex-row gap-3 mt-4">
+              <div className="relative flex-1">
+                <FiSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder={t('searchPayments') || 'Search by user, reference or receipt...'}
+                  value={search}
+                  onChange={e => { setSearch(e.target.value); setPage(1); }}
+                  className="w-full pl-10 pr-4 py-2.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <select value={method} onChange={e => { setMethod(e.target.value); setPage(1); }} className="border border-gray-300 rounded-lg px-3 py-2.5">
+                <option value="">{t('allMethods') || 'All methods'}</option>
+                <option value="chapa">Chapa</option>
+                <option value="telebirr">Telebirr</option>
+                <option value="cash">{t('cash') || 'Cash'}</option>
+                <option value="bank_slip">{t('bankSlip') || 'Bank slip'}</option>
+              </select>
+              <select value={status} onChange={e => { setStatus(e.target.value); setPage(1); }} className="border border-gray-300 rounded-lg px-3 py-2.5">
+                <option value="">{t('allStatuses') || 'All statuses'}</option>
+                {Object.keys(statusStyles).map(s => <option key={s} value={s}>{s}</option>)}
+              </select>
+              <select value={reconciliation} onChange={e => { setReconciliation(e.target.value); setPage(1); }} className="border border-gray-300 rounded-lg px-3 py-2.5">
+                <option value="">{t('reconciliation') || 'Reconciliation'}</option>
+                <option value="matched">matched</option>
+                <option value="mismatch">mismatch</option>
+                <option value="missing">missing</option>
+                <option value="resolved">resolved</option>
+                <option value="unreconciled">unreconciled</option>
+              </select>
+              <input type="date" value={startDate} onChange={e => { setStartDate(e.target.value); setPage(1); }} className="border border-gray-300 rounded-lg px-3 py-2" />
+              <input type="date" value={endDate} onChange={e => { setEndDate(e.target.value); setPage(1); }} className="border border-gray-300 rounded-lg px-3 py-2" />
+            </div>
+          </div>
+
+          {error && !selected && (
+            <div className="flex items-center gap-2 bg-red-50 text-red-800 rounded-lg px-3 py-2 text-sm">
+              <FiAlertCircle className="w-4 h-4" />
+              {error}
+            </div>
+          )}
+
+          <div className="bg-white rounded-2xl shadow-lg overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-gray-600 text-left">
+                <tr>
+                  <th className="px-4 py-3">{t('date') || 'Date'}</th>
+                  <th className="px-4 py-3">{t('reference') || 'Reference'}</th>
+                  <th className="px-4 py-3">{t('userIdLabel') || 'User ID'}</th>
+                  <th className="px-4 py-3">{t('paymentMethod') || 'Method'}</th>
+                  <th className="px-4 py-3 text-right">{t('amount') || 'Amount'}</th>
+                  <th className="px-4 py-3">{t('status') || 'Status'}</th>
+                  <th className="px-4 py-3">{t('reconciliation') || 'Reconciliation'}</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {payments.length === 0 ? (
+                  <tr>
+                    <td colSpan={8} className="px-4 py-8 text-center text-gray-500">
+                      {t('noPayments') || 'No payments found'}
+                    </td>
+                  </tr>
+                ) : payments.map(p => (
+                  <tr key={p._id} className="border-t border-gray-100">
+                    <td className="px-4 py-3 whitespace-nowrap">{new Date(p.createdAt).toLocaleString()}</td>
+                    <td className="px-4 py-3 font-mono text-xs">{p.tx_ref}</td>
+                    <td className="px-4 py-3">{p.userId}</td>
+                    <td className="px-4 py-3">{p.method}</td>
+                    <td className="px-4 py-3 text-right">
+                      ETB {p.paidAmount ?? p.amount}
+                      {p.refundedAmount ? <span className="block text-xs text-purple-700">−{p.refundedAmount}</span> : null}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[p.status] || 'bg-gray-100 text-gray-800'}`}>
+                        {p.status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3"><ReconciliationFlag payment={p} /></td>
+                    <td className="px-4 py-3 text-right">
+                      <button onClick={() => open(p)} className="p-2 rounded-lg text-blue-700 hover:bg-blue-50" aria-label="Details">
+                        <FiEye className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {totalPages > 1 && (
+            <div className="flex items-center justify-center gap-3">
+              <button
+                onClick={() => setPage(p => p - 1)}
+                disabled={page === 1}
+                className="flex items-center gap-1 px-3 py-2 rounded-lg border border-gray-300 disabled:opacity-50"
+              >
+                <FiChevronLeft className="w-4 h-4" />
+                <span className="text-sm">{t('prev') || 'Previous'}</span>
+              </button>
+              <span className="text-sm text-gray-600">{page} / {totalPages}</span>
+              <button
+                onClick={() => setPage(p => p + 1)}
+                disabled={page === totalPages}
+                className="flex items-center gap-1 px-3 py-2 rounded-lg border border-gray-300 disabled:opacity-50"
+              >
+                <span className="text-sm">{t('next') || 'Next'}</span>
+                <FiChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </motion.div>
+
+        {showImport && (
+          <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <motion.div
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              className="bg-white rounded-xl shadow-xl max-w-2xl w-full p-6 relative max-h-[90vh] overflow-y-auto"
+            >
+              <button onClick={() => setShowImport(false)} className="absolute top-4 right-4 text-gray-500 hover:text-gray-700">
+                <FiX className="w-6 h-6" />
+              </button>
+              <h2 className="text-xl font-bold text-gray-800 mb-4">{t('importSettlement') || 'Import settlement'}</h2>
+              <SettlementImport onDone={load} />
+            </motion.div>
+          </div>
+        )}
+
+        {selected && (
+          <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <motion.div
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              className="bg-white rounded-xl shadow-xl max-w-lg w-full p-6 relative max-h-[90vh] overflow-y-auto"
+            >
+              <button onClick={() => setSelected(null)} className="absolute top-4 right-4 text-gray-500 hover:text-gray-700">
+                <FiX className="w-6 h-6" />
+              </button>
+              <h2 className="text-xl font-bold text-gray-800 font-mono">{selected.tx_ref}</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                {selected.username} ({selected.userId}) · {selected.method} ·{' '}
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[selected.status] || ''}`}>{selected.status}</span>
+              </p>
+
+              <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm mb-4">
+                <dt className="text-gray-500">{t('amount') || 'Amount'}</dt><dd>ETB {selected.amount}</dd>
+                <dt className="text-gray-500">{t('paid') || 'Paid'}</dt><dd>ETB {selected.paidAmount ?? '—'}</dd>
+                <dt className="text-gray-500">{t('refunded') || 'Refunded'}</dt><dd>ETB {selected.refundedAmount || 0}</dd>
+                <dt className="text-gray-500">{t('reference') || 'Reference'}</dt><dd>{selected.providerReference || selected.slipReference || '—'}</dd>
+                {selected.failureReason && (<><dt className="text-gray-500">{t('reason') || 'Reason'}</dt><dd>{selected.failureReason}</dd></>)}
+                {selected.receivedBy && (<><dt className="text-gray-500">{t('receivedBy') || 'Received by'}</dt><dd>{selected.receivedBy.username}</dd></>)}
+              </dl>
+
+              {selected.reconciliation && (
+                <div className={`rounded-lg px-3 py-2 text-sm mb-4 ${['mismatch', 'missing'].includes(selected.reconciliation.status) ? 'bg-red-50 text-red-800' : 'bg-gray-50 text-gray-700'}`}>
+                  <p className="font-medium">{t('reconciliation') || 'Reconciliation'}: {selected.reconciliation.status}</p>
+                  {selected.reconciliation.issues.length > 0 && (
+                    <p>{selected.reconciliation.issues.map(i => issueLabels[i] || i).join(', ')}</p>
+                  )}
+                  {selected.reconciliation.providerAmount != null && (
+                    <p>{t('providerReported') || 'Provider reported'}: ETB {selected.reconciliation.providerAmount} ({selected.reconciliation.providerStatus})</p>
+                  )}
+                  {selected.reconciliation.resolution && <p className="italic">“{selected.reconciliation.resolution}”</p>}
+                </div>
+              )}
+
+              {entries.length > 0 && (
+                <div className="mb-4">
+                  <h4 className="font-semibold text-gray-700 mb-1 text-sm">{t('ledgerEntries') || 'Ledger entries'}</h4>
+                  <ul className="text-xs space-y-1">
+                    {entries.map(e => (
+                      <li key={e._id} className="flex justify-between bg-gray-50 rounded px-2 py-1">
+                        <span>{new Date(e.createdAt).toLocaleString()} · {e.type}</span>
+                        <span>ETB {e.amount} → {e.balanceAfter}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {selected.history && selected.history.length > 0 && (
+                <div className="mb-4">
+                  <h4 className="font-semibold text-gray-700 mb-1 text-sm">{t('auditTrail') || 'Audit trail'}</h4>
+                  <ul className="text-xs space-y-1">
+                    {selected.history.map((h, i) => (
+                      <li key={i} className="bg-gray-50 rounded px-2 py-1">
+                        {new Date(h.at).toLocaleString()} · <span className="font-medium">{h.action}</span>
+                        {h.amount != null && ` ETB ${h.amount}`} · {h.byUsername || h.by}
+                        {h.reason && <span className="block text-gray-600">“{h.reason}”{h.reference ? ` (${h.reference})` : ''}</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {error && (
+                <div className="flex items-center gap-2 bg-red-50 text-red-800 rounded-lg px-3 py-2 mb-3 text-sm">
+                  <FiAlertCircle className="w-4 h-4" />
+                  {error}
+                </div>
+              )}
+
+              {(selected.status === 'completed' || ['mismatch', 'missing'].includes(selected.reconciliation?.status || '')) && (
+                <div className="space-y-2">
+                  <textarea
+                    value={reason}
+                    onChange={e => setReason(e.target.value)}
+                    placeholder={t('reasonForAudit') || 'Reason (kept in the audit trail)'}
+                    rows={2}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  />
+                  {selected.status === 'completed' && (
+                    <>
+                      <div className="flex gap-2">
+                        <input
+                          type="number"
+                          min="0.01"
+                          step="0.01"
+                          max={refundable}
+                          value={amount}
+                          onChange={e => setAmount(e.target.value)}
+                          placeholder={`${t('amount') || 'Amount'} (≤ ${refundable})`}
+                          className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                        />
+                        <input
+                          value={reference}
+                          onChange={e => setReference(e.target.value)}
+                          placeholder={t('refundReference') || 'Transfer reference'}
+                          className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                        />
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => act('refund')}
+                          disabled={busy || reason.trim().length < 3 || !(Number(amount) > 0)}
+                          className="flex-1 flex items-center justify-center gap-2 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50 text-sm"
+                        >
+                          <FiRotateCcw className="w-4 h-4" />
+                          {t('refund') || 'Refund'}
+                        </button>
+                        <button
+                          onClick={() => act('reverse')}
+                          disabled={busy || reason.trim().length < 3}
+                          className="flex-1 flex items-center justify-center gap-2 bg-orange-600 text-white py-2 rounded-lg hover:bg-orange-700 disabled:opacity-50 text-sm"
+                        >
+                          <FiX className="w-4 h-4" />
+                          {t('reversePayment') || 'Reverse payment'}
+                        </button>
+                      </div>
+                    </>
+                  )}
+                  {['mismatch', 'missing'].includes(selected.reconciliation?.status || '') && (
+                    <button
+                      onClick={() => act('resolve')}
+                      disabled={busy || reason.trim().length < 3}
+                      className="w-full flex items-center justify-center gap-2 bg-gray-700 text-white py-2 rounded-lg hover:bg-gray-800 disabled:opacity-50 text-sm"
+                    >
+                      <FiCheck className="w-4 h-4" />
+                      {t('resolveFlag') || 'Mark flag as resolved'}
+                    </button>
+                  )}
+                </div>
+              )}
+            </motion.div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -6,14 +6,17 @@ import Layout from '@/components/Layout';
 import api, { setAuthToken } from '@/lib/api';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useTranslation } from '@/lib/i18n';
+import CatalogTransfer from '@/components/CatalogTransfer';
+import BookSearchFilters, { BookFacets, BookFilters, bookFilterParams, emptyBookFilters } from '@/components/BookSearchFilters';
+import { Bibliographic, BibliographicFields, BookMetadataDetails, bibliographicPayload, formatAuthors, languageLabel } from '@/components/BookMetadata';
 import { 
   FiSearch, FiPlus, FiEdit2, FiTrash2, FiX, FiCheckCircle, 
   FiChevronUp, FiChevronDown, FiColumns, FiFilter,
   FiInfo, FiCalendar, FiUser, FiClock, FiBook,
-  FiMoreVertical, FiAlertTriangle
+  FiMoreVertical, FiAlertTriangle, FiRepeat
 } from 'react-icons/fi';
 
-interface Book {
+interface Book extends Bibliographic {
   id: string;
   name: string;
   title: string;
@@ -21,6 +24,8 @@ interface Book {
   publisher: string;
   isbn: string;
   copies: number;
+  replacementCost?: number | null;
+  processingFee?: number | null;
   addedBy?: string;
   addedByUsername?: string;
   updatedBy?: string;
@@ -29,7 +34,7 @@ interface Book {
   updatedAt?: string;
 }
 
-const emptyBook: Book = { id: '', name: '', title: '', category: '', publisher: '', isbn: '', copies: 0 };
+const emptyBook: Book = { id: '', name: '', title: '', category: '', publisher: '', isbn: '', copies: 0, authors: [], subjects: [] };
 
 // Column Menu Component
 function ColumnMenu({ 
@@ -154,7 +159,7 @@ function Modal({ children, onClose }: { children: React.ReactNode; onClose: () =
         animate={{ scale: 1, opacity: 1, y: 0 }}
         exit={{ scale: 0.95, opacity: 0, y: 10 }}
         transition={{ type: "spring", duration: 0.3 }}
-        className="bg-white rounded-xl shadow-2xl max-w-lg w-full p-4 sm:p-6 relative"
+        className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-4 sm:p-6 relative"
         onClick={(e) => e.stopPropagation()}
       >
         <button onClick={onClose} className="absolute top-3 right-3 sm:top-4 sm:right-4 text-gray-400 hover:text-gray-600 transition-colors">
@@ -278,7 +283,7 @@ function DetailModal({ book, onClose }: { book: Book; onClose: () => void }) {
         animate={{ scale: 1, opacity: 1, y: 0 }}
         exit={{ scale: 0.95, opacity: 0, y: 10 }}
         transition={{ type: "spring", duration: 0.3 }}
-        className="bg-white rounded-xl shadow-2xl max-w-md w-full relative"
+        className="bg-white rounded-xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto relative"
         onClick={(e) => e.stopPropagation()}
       >
         <div className="p-4 sm:p-6">
@@ -290,6 +295,7 @@ function DetailModal({ book, onClose }: { book: Book; onClose: () => void }) {
               </div>
               <div className="min-w-0">
                 <h2 className="text-lg font-bold text-gray-900 truncate">{book.title}</h2>
+                {formatAuthors(book) && <p className="text-sm text-gray-600 truncate">{formatAuthors(book)}</p>}
                 <p className="text-xs text-gray-500 truncate">ID: {book.id}</p>
               </div>
             </div>
@@ -319,6 +325,10 @@ function DetailModal({ book, onClose }: { book: Book; onClose: () => void }) {
               </div>
             </div>
             
+            <div className="mt-4 pt-4 border-t border-gray-100 empty:hidden">
+              <BookMetadataDetails book={book} />
+            </div>
+
             {/* Copies - Full width */}
             <div className="mt-4 pt-4 border-t border-gray-100">
               <p className="text-xs font-medium text-gray-500 mb-1">{t('copies')}</p>
@@ -450,7 +460,7 @@ function BookForm({
 
   if (!form) return <p className="text-center text-gray-500 py-4">{t('loading')}...</p>;
 
-  const fields: (keyof Book)[] = isEdit
+  const fields: ('id' | 'name' | 'title' | 'category' | 'publisher' | 'isbn')[] = isEdit
     ? ['name', 'title', 'category', 'publisher', 'isbn']
     : ['id', 'name', 'title', 'category', 'publisher', 'isbn'];
 
@@ -462,7 +472,11 @@ function BookForm({
       if (!prev) return null;
       return {
         ...prev,
-        [key]: key === 'copies' ? +value || 0 : value,
+        [key]: key === 'copies'
+          ? +value || 0
+          : key === 'replacementCost' || key === 'processingFee'
+          ? (value === '' ? null : +value)
+          : value,
       };
     });
   };
@@ -501,6 +515,30 @@ function BookForm({
             className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all"
           />
         </div>
+        {(['replacementCost', 'processingFee'] as const).map((f) => (
+          <div key={`${f}-${isEdit ? 'edit' : 'add'}`}>
+            <label className="block text-xs font-semibold text-gray-700 uppercase tracking-wider mb-1">
+              {t(f) || (f === 'replacementCost' ? 'Replacement cost' : 'Processing fee')} (ETB)
+            </label>
+            <input
+              type="number"
+              name={f}
+              value={form[f] ?? ''}
+              onChange={handleChange}
+              min="0"
+              step="0.01"
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all"
+              placeholder={t('chargedWhenLost') || 'Charged when a copy is lost or damaged'}
+            />
+          </div>
+        ))}
+        <div className="sm:col-span-2 pt-2 border-t border-gray-100">
+          <h3 className="text-sm font-semibold text-gray-700">{t('bibliographicDetails') || 'Bibliographic details'}</h3>
+        </div>
+        <BibliographicFields
+          value={form}
+          onChange={(changes) => setForm(prev => (prev ? { ...prev, ...changes } : null))}
+        />
       </div>
       
       <div className="pt-4 flex justify-end gap-3">
@@ -530,6 +568,8 @@ export default function LibrarianBooks() {
   const [books, setBooks] = useState<Book[]>([]);
   const [loading, setLoading] = useState(false);
   const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState<BookFilters>(emptyBookFilters);
+  const [facets, setFacets] = useState<BookFacets | null>(null);
   const [page, setPage] = useState(1);
   const [total, setTotal] = useState(0);
   const limit = 10;
@@ -537,6 +577,7 @@ export default function LibrarianBooks() {
   // Modal & Form State
   const [showAdd, setShowAdd] = useState(false);
   const [showEditId, setShowEditId] = useState(false);
+  const [showTransfer, setShowTransfer] = useState(false);
   const [inputId, setInputId] = useState('');
   const [editForm, setEditForm] = useState<Book | null>(null);
   const [updating, setUpdating] = useState(false);
@@ -557,7 +598,10 @@ export default function LibrarianBooks() {
     id: true,
     name: true,
     title: true,
+    author: true,
     category: true,
+    language: false,
+    publicationYear: false,
     publisher: false,
     isbn: false,
     copies: true,
@@ -570,7 +614,10 @@ export default function LibrarianBooks() {
     { key: 'id', label: t('id') },
     { key: 'name', label: t('name') },
     { key: 'title', label: t('title') },
+    { key: 'author', label: t('author') || 'Author' },
     { key: 'category', label: t('category') },
+    { key: 'language', label: t('language') || 'Language' },
+    { key: 'publicationYear', label: t('publicationYear') || 'Publication year' },
     { key: 'publisher', label: t('publisher') || 'Publisher' },
     { key: 'isbn', label: t('isbn') || 'ISBN' },
     { key: 'copies', label: t('copies') },
@@ -584,9 +631,10 @@ export default function LibrarianBooks() {
   const fetchBooks = async () => {
     setLoading(true);
     try {
-      const res = await api.get('/books', { params: { page, limit, search } });
+      const res = await api.get('/books', { params: { page, limit, search, ...bookFilterParams(filters), facets: true } });
       setBooks(res.data.books);
       setTotal(res.data.total);
+      setFacets(res.data.facets);
     } catch (err: any) {
       setToast({ message: err.response?.data?.message || t('failedToLoadBooks'), type: 'error' });
     } finally {
@@ -596,7 +644,7 @@ export default function LibrarianBooks() {
 
   useEffect(() => {
     fetchBooks();
-  }, [page, search]);
+  }, [page, search, filters]);
 
   const showToast = (msg: string, type: 'success' | 'error') => {
     setToast({ message: msg, type });
@@ -607,7 +655,7 @@ export default function LibrarianBooks() {
 
   const handleAdd = async () => {
     try {
-      await api.post('/books', addForm);
+      await api.post('/books', { ...addForm, ...bibliographicPayload(addForm) });
       setShowAdd(false);
       setAddForm(emptyBook);
       showToast(t('bookAdded'), 'success');
@@ -639,7 +687,10 @@ export default function LibrarianBooks() {
       category: editForm.category,
       publisher: editForm.publisher,
       isbn: editForm.isbn,
-      copies: editForm.copies
+      copies: editForm.copies,
+      replacementCost: editForm.replacementCost ?? null,
+      processingFee: editForm.processingFee ?? null,
+      ...bibliographicPayload(editForm),
     };
     
     try {
@@ -699,6 +750,7 @@ export default function LibrarianBooks() {
   const closeAll = () => {
     setShowAdd(false);
     setShowEditId(false);
+    setShowTransfer(false);
     setEditForm(null);
     setShowDetail(false);
     setSelectedBook(null);
@@ -716,9 +768,9 @@ export default function LibrarianBooks() {
       const aValue = a[sortConfig.key as keyof Book];
       const bValue = b[sortConfig.key as keyof Book];
       
-      if (aValue === undefined && bValue === undefined) return 0;
-      if (aValue === undefined) return sortConfig.direction === 'asc' ? -1 : 1;
-      if (bValue === undefined) return sortConfig.direction === 'asc' ? 1 : -1;
+      if (aValue == null && bValue == null) return 0;
+      if (aValue == null) return sortConfig.direction === 'asc' ? -1 : 1;
+      if (bValue == null) return sortConfig.direction === 'asc' ? 1 : -1;
       
       if (aValue < bValue) return sortConfig.direction === 'asc' ? -1 : 1;
       if (aValue > bValue) return sortConfig.direction === 'asc' ? 1 : -1;
@@ -746,6 +798,9 @@ export default function LibrarianBooks() {
       case 'name': return <span className="font-medium text-gray-900 text-xs sm:text-sm break-words">{value as string}</span>;
       case 'title': return <span className="text-gray-600 text-xs sm:text-sm break-words">{value as string}</span>;
       case 'category': return <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-50 text-blue-700 truncate max-w-[120px] sm:max-w-none">{value as string}</span>;
+      case 'author': return <span className="text-gray-600 text-xs sm:text-sm break-words">{formatAuthors(book) || '-'}</span>;
+      case 'language': return <span className="text-gray-600 text-xs sm:text-sm">{languageLabel(book.language) || '-'}</span>;
+      case 'publicationYear': return <span className="text-gray-600 text-xs sm:text-sm">{book.publicationYear || '-'}</span>;
       case 'publisher': return <span className="text-gray-600 text-xs sm:text-sm break-words">{value as string || '-'}</span>;
       case 'isbn': return <span className="font-mono text-gray-500 text-xs sm:text-sm break-all">{value as string || '-'}</span>;
       case 'copies': {
@@ -776,6 +831,14 @@ export default function LibrarianBooks() {
 
             {/* Top Right Buttons */}
             <div className="flex items-center gap-2 sm:gap-3">
+              <motion.button 
+                whileHover={{ scale: 1.02 }} 
+                whileTap={{ scale: 0.98 }} 
+                onClick={() => setShowTransfer(true)}
+                className="flex items-center gap-2 bg-white text-gray-700 border border-gray-200 px-3 sm:px-4 py-2 sm:py-2.5 rounded-lg text-xs sm:text-sm font-medium hover:bg-gray-50 hover:text-indigo-600 hover:border-indigo-200 transition-all shadow-sm whitespace-nowrap"
+              >
+                <FiRepeat className="w-4 h-4 flex-shrink-0" /> <span className="hidden sm:inline">{t('importExport') || 'Import / Export'}</span>
+              </motion.button>
               <motion.button 
                 whileHover={{ scale: 1.02 }} 
                 whileTap={{ scale: 0.98 }} 
@@ -852,6 +915,8 @@ export default function LibrarianBooks() {
           </div>
         </div>
 
+        <BookSearchFilters value={filters} onChange={f => { setFilters(f); setPage(1); }} facets={facets} />
+
         {/* Advanced Table */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
           <div className="overflow-x-auto">
@@ -1051,6 +1116,13 @@ export default function LibrarianBooks() {
             </Modal>
           )}
 
+          {showTransfer && (
+            <Modal onClose={closeAll}>
+              <h2 className="text-lg sm:text-xl font-bold text-gray-900 mb-4">{t('importExport') || 'Import / Export'}</h2>
+              <CatalogTransfer search={search} onImported={fetchBooks} />
+            </Modal>
+          )}
+
           {showDetail && selectedBook && (
             <DetailModal book={selectedBook} onClose={closeAll} />
           )}
@@ -5,6 +5,7 @@ import React, { useEffect, useState } from 'react'; // Added React import
 import Layout from '../../../components/Layout';
 import api, { setAuthToken } from '../../../lib/api';
 import { useTranslation } from '../../../lib/i18n';
+import { DeskPaymentForm, CashUpReport } from '../../../components/DeskPayment';
 import { AnimatePresence, motion } from 'framer-motion';
 import {
   FiBookOpen,
@@ -24,7 +25,10 @@ import {
   FiFilter,
   FiRefreshCw,
   FiTrash2,
-  FiCheck
+  FiCheck,
+  FiDollarSign,
+  FiClipboard,
+  FiAlertTriangle
 } from 'react-icons/fi';
 
 // Modal Component
@@ -205,6 +209,48 @@ function Toast({ toast }: { toast: { message: string; type: 'success' | 'error'
   );
 }
 
+// Borrowing Block Notice – why a patron is blocked, with the override reason
+interface BorrowingBlock {
+  blocked: boolean;
+  reasons: string[];
+  balance: number;
+  overdueItems: number;
+}
+
+function BorrowingBlockNotice({
+  block,
+  overrideReason,
+  onOverrideReasonChange,
+}: {
+  block: BorrowingBlock;
+  overrideReason: string;
+  onOverrideReasonChange: (reason: string) => void;
+}) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="bg-red-50 border border-red-200 rounded-lg p-3 space-y-2">
+      <p className="flex items-center gap-2 text-sm font-semibold text-red-800">
+        <FiAlertCircle className="w-4 h-4" />
+        {t('borrowingBlocked') || 'Borrowing is blocked for this patron'}
+      </p>
+      <ul className="list-disc list-inside text-xs text-red-700">
+        {block.reasons.map(reason => <li key={reason}>{reason}</li>)}
+      </ul>
+      <label className="block text-xs font-medium text-gray-700">
+        {t('overrideReason') || 'Override reason (required to lend anyway)'}
+      </label>
+      <textarea
+        value={overrideReason}
+        onChange={(e) => onOverrideReasonChange(e.target.value)}
+        rows={2}
+        className="w-full text-sm border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+        placeholder={t('overrideReasonPlaceholder') || 'e.g. Exam week, payment promised by Friday'}
+      />
+    </div>
+  );
+}
+
 // Librarian Borrow Form (Direct Borrow - No Approval Needed)
 function LibrarianBorrowForm({ onSuccess }: { onSuccess: () => void }) {
   const { t } = useTranslation();
@@ -215,7 +261,10 @@ function LibrarianBorrowForm({ onSuccess }: { onSuccess: () => void }) {
     bookId: '',
     bookName: '',
     dueDate: '',
+    barcode: '',
   });
+  const [block, setBlock] = useState<BorrowingBlock | null>(null);
+  const [overrideReason, setOverrideReason] = useState('');
 
   useEffect(() => {
     // Auto-set due date to 7 days from now
@@ -227,6 +276,18 @@ function LibrarianBorrowForm({ onSuccess }: { onSuccess: () => void }) {
   const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const { name, value } = e.target;
     setForm(prev => ({ ...prev, [name]: value }));
+    if (name === 'userId') setBlock(null);
+  };
+
+  // Show the block as soon as the patron is known
+  const checkBlock = async () => {
+    if (!form.userId.trim()) return;
+    try {
+      const res = await api.get(`/borrows/block/${encodeURIComponent(form.userId.trim())}`);
+      setBlock(res.data.blocked ? res.data : null);
+    } catch {
+      setBlock(null);
+    }
   };
 
   const submit = async (e: React.FormEvent) => {
@@ -237,10 +298,12 @@ function LibrarianBorrowForm({ onSuccess }: { onSuccess: () => void }) {
       await api.post('/borrows/librarian-borrow', {
         ...form,
         dueDate: new Date(form.dueDate).toISOString(),
+        ...(block && overrideReason.trim() ? { overrideReason: overrideReason.trim() } : {}),
       });
       onSuccess();
     } catch (err: any) {
-      alert(err.response?.data?.message || t('borrowFailed') || 'Borrow failed');
+      if (err.response?.data?.block) setBlock(err.response.data.block);
+      else alert(err.response?.data?.message || t('borrowFailed') || 'Borrow failed');
     } finally {
       setLoading(false);
     }
@@ -261,6 +324,7 @@ function LibrarianBorrowForm({ onSuccess }: { onSuccess: () => void }) {
             required
             value={form.userId}
             onChange={handleChange}
+            onBlur={checkBlock}
             className="w-full text-sm border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
           />
         </div>
@@ -310,6 +374,20 @@ function LibrarianBorrowForm({ onSuccess }: { onSuccess: () => void }) {
           />
         </div>
 
+        <div className="col-span-2 space-y-1">
+          <label className="block text-xs font-medium text-gray-600">
+            {t('copyBarcode') || 'Copy Barcode (optional)'}
+          </label>
+          <input
+            key="barcode-input"
+            name="barcode"
+            placeholder={t('scanBarcode') || "Scan or type the copy barcode"}
+            value={form.barcode}
+            onChange={handleChange}
+            className="w-full text-sm border border-gray-300 rounded-lg px-3 py-2 font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+
         <div className="col-span-2 space-y-1">
           <label className="block text-xs font-medium text-gray-600">
             {t('dueDateLabel') || 'Due Date'}
@@ -327,6 +405,14 @@ function LibrarianBorrowForm({ onSuccess }: { onSuccess: () => void }) {
         </div>
       </div>
 
+      {block && (
+        <BorrowingBlockNotice
+          block={block}
+          overrideReason={overrideReason}
+          onOverrideReasonChange={setOverrideReason}
+        />
+      )}
+
       {/* Action Buttons */}
       <div className="flex gap-2 pt-2">
         <button
@@ -340,7 +426,7 @@ function LibrarianBorrowForm({ onSuccess }: { onSuccess: () => void }) {
         <button
           key="submit-button"
           type="submit"
-          disabled={loading}
+          disabled={loading || (!!block && overrideReason.trim().length < 3)}
           className="flex-1 bg-blue-600 text-white text-sm py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 font-medium flex items-center justify-center gap-2"
         >
           {loading ? (
@@ -386,7 +472,12 @@ function ReturnForm({ onSuccess }: { onSuccess: () => void }) {
     
     try {
       const res = await api.post('/borrows/return', form);
-      alert(`${t('returnedSuccess') || 'Returned successfully!'}\n${t('fine')}: ETB ${res.data.fine}`);
+      const fineNote = res.data.fineOutstanding > 0
+        ? `${t('fineOutstanding') || 'Fine still owed'}: ETB ${res.data.fineOutstanding}`
+        : res.data.fineStatus === 'paid'
+          ? (t('fineAlreadyPaid') || 'The fine was already paid')
+          : `${t('fine')}: ETB ${res.data.fine}`;
+      alert(`${t('returnedSuccess') || 'Returned successfully!'}\n${fineNote}`);
       onSuccess();
     } catch (err: any) {
       alert(err.response?.data?.message || t('returnFailed') || 'Return failed');
@@ -442,25 +533,35 @@ function ReturnForm({ onSuccess }: { onSuccess: () => void }) {
 }
 
 // Approval Form Component
-function ApprovalForm({ borrow, onSuccess }: { borrow: any; onSuccess: () => void }) {
+function ApprovalForm({ borrow, onSuccess }: { borrow: any; onSuccess: (message?: string) => void }) {
   const { t } = useTranslation();
   const [loading, setLoading] = useState(false);
   const [action, setAction] = useState<'approve' | 'reject'>('approve');
   const [reason, setReason] = useState('');
+  const [block, setBlock] = useState<BorrowingBlock | null>(null);
+  const [overrideReason, setOverrideReason] = useState('');
+
+  useEffect(() => {
+    api.get(`/borrows/block/${encodeURIComponent(borrow.userId)}`)
+      .then(res => setBlock(res.data.blocked ? res.data : null))
+      .catch(() => setBlock(null));
+  }, [borrow.userId]);
 
   const submit = async (e: React.FormEvent) => {
     e.preventDefault();
     setLoading(true);
     
     try {
-      await api.post('/borrows/approve', {
+      const res = await api.post('/borrows/approve', {
         borrowId: borrow._id,
         action,
         reason: action === 'reject' ? reason : undefined,
+        ...(action === 'approve' && block && overrideReason.trim() ? { overrideReason: overrideReason.trim() } : {}),
       });
-      onSuccess();
+      onSuccess(res.data.status === 'waitlisted' ? res.data.message : undefined);
     } catch (err: any) {
-      alert(err.response?.data?.message || t('actionFailed') || 'Action failed');
+      if (err.response?.data?.block) setBlock(err.response.data.block);
+      else alert(err.response?.data?.message || t('actionFailed') || 'Action failed');
     } finally {
       setLoading(false);
     }
@@ -518,6 +619,14 @@ function ApprovalForm({ borrow, onSuccess }: { borrow: any; onSuccess: () => voi
         </div>
       </div>
 
+      {action === 'approve' && block && (
+        <BorrowingBlockNotice
+          block={block}
+          overrideReason={overrideReason}
+          onOverrideReasonChange={setOverrideReason}
+        />
+      )}
+
       {action === 'reject' && (
         <div key="reason-input">
           <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -538,7 +647,7 @@ function ApprovalForm({ borrow, onSuccess }: { borrow: any; onSuccess: () => voi
         <button
           key="submit-action-button"
           type="submit"
-          disabled={loading}
+          disabled={loading || (action === 'approve' && !!block && overrideReason.trim().length < 3)}
           className={`flex-1 py-2 rounded-lg text-white transition-colors disabled:opacity-50 ${
             action === 'approve' ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'
           }`}
@@ -554,6 +663,139 @@ function ApprovalForm({ borrow, onSuccess }: { borrow: any; onSuccess: () => voi
   );
 }
 
+// Lost / Damaged Form – declare an open loan lost or damaged, or check in a lost book that was found
+function LossForm({ borrow, onSuccess }: { borrow: any; onSuccess: (message: string) => void }) {
+  const { t } = useTranslation();
+  const [loading, setLoading] = useState(false);
+  const [kind, setKind] = useState<'lost' | 'damaged'>('lost');
+  const [note, setNote] = useState('');
+  const [replacementCost, setReplacementCost] = useState('');
+  const [processingFee, setProcessingFee] = useState('');
+  const [condition, setCondition] = useState('good');
+  const found = borrow.status === 'lost';
+
+  const submit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      if (found) {
+        const res = await api.post(`/borrows/${borrow._id}/found`, { condition, note });
+        onSuccess(`${res.data.message}${res.data.reversed ? ` · ETB ${res.data.reversed} ${t('reversed') || 'reversed'}` : ''}`);
+      } else {
+        const res = await api.post(`/borrows/${borrow._id}/declare`, {
+          kind,
+          note,
+          ...(replacementCost !== '' ? { replacementCost: Number(replacementCost) } : {}),
+          ...(processingFee !== '' ? { processingFee: Number(processingFee) } : {}),
+        });
+        onSuccess(`${res.data.message} · ETB ${res.data.replacementCost + res.data.processingFee} ${t('charged') || 'charged'}`);
+      }
+    } catch (err: any) {
+      alert(err.response?.data?.message || t('actionFailed') || 'Action failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form key="loss-form" onSubmit={submit} className="space-y-4">
+      <div className="bg-gray-50 p-4 rounded-lg text-sm">
+        <p className="font-semibold text-gray-800">{borrow.bookTitle || borrow.bookName}</p>
+        <p className="text-gray-600">{borrow.username} ({borrow.userId}){borrow.barcode ? ` · ${borrow.barcode}` : ''}</p>
+        {found && (
+          <p className="text-gray-600 mt-1">
+            {t('replacementCost') || 'Replacement cost'}: ETB {borrow.replacementCost || 0}
+            {' · '}{t('processingFee') || 'Processing fee'}: ETB {borrow.processingFee || 0}
+          </p>
+        )}
+      </div>
+
+      {found ? (
+        <>
+          <p className="text-sm text-gray-600">
+            {t('foundInfo') || 'The replacement cost is taken back and the copy returns to the shelf. The processing fee stays.'}
+          </p>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('condition') || 'Condition'}</label>
+            <select
+              value={condition}
+              onChange={(e) => setCondition(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              {['new', 'good', 'fair', 'poor', 'damaged'].map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="flex gap-4">
+            {(['lost', 'damaged'] as const).map(k => (
+              <label key={k} className="flex items-center">
+                <input type="radio" value={k} checked={kind === k} onChange={() => setKind(k)} className="mr-2" />
+                <span className="font-medium text-gray-700">{k === 'lost' ? (t('lost') || 'Lost') : (t('damaged') || 'Damaged')}</span>
+              </label>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">{t('replacementCost') || 'Replacement cost'}</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={replacementCost}
+                onChange={(e) => setReplacementCost(e.target.value)}
+                placeholder={t('fromBookRecord') || 'From the book record'}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">{t('processingFee') || 'Processing fee'}</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={processingFee}
+                onChange={(e) => setProcessingFee(e.target.value)}
+                placeholder={t('fromBookRecord') || 'From the book record'}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            {t('declareLossInfo') || 'The patron is charged the replacement cost and processing fee, overdue fines stop and the copy is taken out of circulation.'}
+          </p>
+        </>
+      )}
+
+      <textarea
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        rows={2}
+        placeholder={t('noteOptional') || 'Note (optional)'}
+        className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+      />
+
+      <button
+        type="submit"
+        disabled={loading}
+        className={`w-full py-2 rounded-lg text-white transition-colors disabled:opacity-50 ${
+          found ? 'bg-green-600 hover:bg-green-700' : 'bg-orange-600 hover:bg-orange-700'
+        }`}
+      >
+        {loading
+          ? t('processing') || 'Processing...'
+          : found
+          ? t('markFound') || 'Mark as Found'
+          : kind === 'lost'
+          ? t('declareLost') || 'Declare Lost'
+          : t('declareDamaged') || 'Declare Damaged'}
+      </button>
+    </form>
+  );
+}
+
 // Borrow Detail Card Component
 function BorrowDetailCard({ borrow }: { borrow: any }) {
   const { t } = useTranslation();
@@ -567,14 +809,22 @@ function BorrowDetailCard({ borrow }: { borrow: any }) {
     switch (status) {
       case 'pending':
         return 'bg-yellow-100 text-yellow-800';
+      case 'waitlisted':
+        return 'bg-indigo-100 text-indigo-800';
       case 'approved':
         return 'bg-blue-100 text-blue-800';
       case 'borrowed':
         return 'bg-green-100 text-green-800';
       case 'returned':
         return 'bg-blue-100 text-blue-800';
+      case 'lost':
+        return 'bg-orange-100 text-orange-800';
+      case 'damaged':
+        return 'bg-rose-100 text-rose-800';
       case 'rejected':
         return 'bg-red-100 text-red-800';
+      case 'expired':
+        return 'bg-gray-200 text-gray-700';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -584,14 +834,22 @@ function BorrowDetailCard({ borrow }: { borrow: any }) {
     switch (status) {
       case 'pending':
         return t('pending') || 'Pending';
+      case 'waitlisted':
+        return t('waitlisted') || 'In Hold Queue';
       case 'approved':
         return t('approved') || 'Approved';
       case 'borrowed':
         return t('borrowed') || 'Borrowed';
       case 'returned':
         return t('returned') || 'Returned';
+      case 'lost':
+        return t('lost') || 'Lost';
+      case 'damaged':
+        return t('damaged') || 'Damaged';
       case 'rejected':
         return t('rejected') || 'Rejected';
+      case 'expired':
+        return t('expired') || 'Expired';
       default:
         return status;
     }
@@ -632,6 +890,18 @@ function BorrowDetailCard({ borrow }: { borrow: any }) {
                 <p className="font-mono font-medium text-sm">{borrow.bookId}</p>
               </div>
             </div>
+
+            {borrow.barcode && (
+              <div key="copy-detail" className="flex items-start gap-2">
+                <FiBook className="w-4 h-4 mt-1 text-gray-500" />
+                <div>
+                  <p className="text-xs text-gray-500">{t('copy') || 'Copy'}</p>
+                  <p className="font-mono font-medium text-sm">
+                    {borrow.accessionNumber} · {borrow.barcode}
+                  </p>
+                </div>
+              </div>
+            )}
           </div>
 
           {/* Right Column */}
@@ -702,7 +972,7 @@ function BorrowDetailCard({ borrow }: { borrow: any }) {
         </div>
 
         {/* Additional Info */}
-        {(borrow.rejectionReason || borrow.approvedBy) && (
+        {(borrow.rejectionReason || borrow.blockOverride || borrow.approvedBy) && (
           <div key="additional-info" className="mt-4 pt-4 border-t border-gray-200">
             {borrow.rejectionReason && (
               <div key="rejection-reason" className="mb-2">
@@ -712,6 +982,17 @@ function BorrowDetailCard({ borrow }: { borrow: any }) {
                 <p className="text-sm text-red-700">{borrow.rejectionReason}</p>
               </div>
             )}
+            {borrow.blockOverride && (
+              <div key="block-override" className="mb-2">
+                <p className="text-xs font-medium text-amber-800 mb-1">
+                  {t('blockOverridden') || 'Borrowing block overridden'}
+                </p>
+                <p className="text-sm text-amber-700">{borrow.blockOverride.reason}</p>
+                <p className="text-xs text-gray-600">
+                  {borrow.blockOverride.byUsername} · {borrow.blockOverride.reasons.join(', ')}
+                </p>
+              </div>
+            )}
             {borrow.approvedBy && (
               <div key="approved-by">
                 <p className="text-xs font-medium text-gray-800 mb-1">
@@ -744,8 +1025,11 @@ export default function LibrarianBorrow() {
 
   const [showBorrowModal, setShowBorrowModal] = useState(false);
   const [showReturnModal, setShowReturnModal] = useState(false);
+  const [showPaymentModal, setShowPaymentModal] = useState(false);
+  const [showCashUpModal, setShowCashUpModal] = useState(false);
   const [showApprovalModal, setShowApprovalModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [lossBorrow, setLossBorrow] = useState<any>(null);
   const [selectedRequest, setSelectedRequest] = useState<any>(null);
   const [borrowToDelete, setBorrowToDelete] = useState<any>(null);
   const [toast, setToast] = useState<{ message: string; type: 'success' | 'error' } | null>(null);
@@ -787,8 +1071,11 @@ export default function LibrarianBorrow() {
   const closeAllModals = () => {
     setShowBorrowModal(false);
     setShowReturnModal(false);
+    setShowPaymentModal(false);
+    setShowCashUpModal(false);
     setShowApprovalModal(false);
     setShowDeleteModal(false);
+    setLossBorrow(null);
     setSelectedRequest(null);
     setBorrowToDelete(null);
   };
@@ -798,6 +1085,16 @@ export default function LibrarianBorrow() {
     setShowApprovalModal(true);
   };
 
+  const handleRenew = async (borrow: any) => {
+    try {
+      const res = await api.post(`/borrows/${borrow._id}/renew`);
+      showToast(`${res.data.message} – due ${new Date(res.data.dueDate).toLocaleDateString()}`, 'success');
+      fetchBorrows();
+    } catch (err: any) {
+      showToast(err.response?.data?.message || 'Renewal failed', 'error');
+    }
+  };
+
   const handleDelete = (borrow: any) => {
     setBorrowToDelete(borrow);
     setShowDeleteModal(true);
@@ -846,24 +1143,43 @@ export default function LibrarianBorrow() {
     showToast('Book returned successfully!', 'success');
   };
 
-  const handleApprovalSuccess = () => {
+  const handlePaymentSuccess = (message: string) => {
+    closeAllModals();
+    showToast(message, 'success');
+  };
+
+  const handleLossSuccess = (message: string) => {
+    closeAllModals();
+    fetchBorrows();
+    showToast(message, 'success');
+  };
+
+  const handleApprovalSuccess = (message?: string) => {
     closeAllModals();
     fetchBorrows();
-    showToast('Request approved! Waiting for Confirmation.', 'success');
+    showToast(message || 'Request approved! Waiting for Confirmation.', 'success');
   };
 
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'pending':
         return 'bg-yellow-100 text-yellow-800';
+      case 'waitlisted':
+        return 'bg-indigo-100 text-indigo-800';
       case 'approved':
         return 'bg-blue-100 text-blue-800';
       case 'borrowed':
         return 'bg-green-100 text-green-800';
       case 'returned':
         return 'bg-blue-100 text-blue-800';
+      case 'lost':
+        return 'bg-orange-100 text-orange-800';
+      case 'damaged':
+        return 'bg-rose-100 text-rose-800';
       case 'rejected':
         return 'bg-red-100 text-red-800';
+      case 'expired':
+        return 'bg-gray-200 text-gray-700';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -873,14 +1189,22 @@ export default function LibrarianBorrow() {
     switch (status) {
       case 'pending':
         return t('pending') || 'Pending';
+      case 'waitlisted':
+        return t('waitlisted') || 'In Hold Queue';
       case 'approved':
         return t('approved') || 'Approved';
       case 'borrowed':
         return t('borrowed') || 'Borrowed';
       case 'returned':
         return t('returned') || 'Returned';
+      case 'lost':
+        return t('lost') || 'Lost';
+      case 'damaged':
+        return t('damaged') || 'Damaged';
       case 'rejected':
         return t('rejected') || 'Rejected';
+      case 'expired':
+        return t('expired') || 'Expired';
       default:
         return status;
       }
@@ -928,6 +1252,28 @@ export default function LibrarianBorrow() {
                 <FiRotateCcw className="w-4 h-4" />
                 <span className="font-medium">{t('return') || 'Return'}</span>
               </motion.button>
+
+              <motion.button
+                key="payment-button"
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowPaymentModal(true)}
+                className="flex items-center gap-2 bg-green-600 text-white px-3 py-2 rounded-lg hover:bg-green-700 transition-colors text-sm"
+              >
+                <FiDollarSign className="w-4 h-4" />
+                <span className="font-medium">{t('recordPayment') || 'Record Payment'}</span>
+              </motion.button>
+
+              <motion.button
+                key="cash-up-button"
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowCashUpModal(true)}
+                className="flex items-center gap-2 bg-gray-700 text-white px-3 py-2 rounded-lg hover:bg-gray-800 transition-colors text-sm"
+              >
+                <FiClipboard className="w-4 h-4" />
+                <span className="font-medium">{t('cashUp') || 'Cash-Up'}</span>
+              </motion.button>
             </div>
           </div>
 
@@ -961,10 +1307,14 @@ export default function LibrarianBorrow() {
               >
                 <option value="">{t('allStatus') || "All Status"}</option>
                 <option value="pending">{t('pending') || "Pending"}</option>
+                <option value="waitlisted">{t('waitlisted') || "In Hold Queue"}</option>
                 <option value="approved">{t('approved') || "Approved"}</option>
                 <option value="borrowed">{t('borrowed') || "Borrowed"}</option>
                 <option value="returned">{t('returned') || "Returned"}</option>
+                <option value="lost">{t('lost') || "Lost"}</option>
+                <option value="damaged">{t('damaged') || "Damaged"}</option>
                 <option value="rejected">{t('rejected') || "Rejected"}</option>
+                <option value="expired">{t('expired') || "Expired"}</option>
               </select>
             </div>
           </div>
@@ -1100,10 +1450,39 @@ export default function LibrarianBorrow() {
                                     {t('review') || 'Review'}
                                   </motion.button>
                                 )}
+                                {b.status === 'borrowed' && (
+                                  <motion.button
+                                    key={`renew-button-${b._id}`}
+                                    whileHover={{ scale: 1.05 }}
+                                    whileTap={{ scale: 0.95 }}
+                                    onClick={() => handleRenew(b)}
+                                    className="flex items-center gap-1 bg-teal-600 text-white px-3 py-1.5 rounded text-xs hover:bg-teal-700 transition-colors"
+                                    title={t('renewLoan') || 'Renew loan'}
+                                  >
+                                    <FiRefreshCw className="w-3 h-3" />
+                                    {t('renew') || 'Renew'}
+                                  </motion.button>
+                                )}
+                                {(b.status === 'borrowed' || b.status === 'lost') && (
+                                  <motion.button
+                                    key={`loss-button-${b._id}`}
+                                    whileHover={{ scale: 1.05 }}
+                                    whileTap={{ scale: 0.95 }}
+                                    onClick={() => setLossBorrow(b)}
+                                    className={`flex items-center gap-1 text-white px-3 py-1.5 rounded text-xs transition-colors ${
+                                      b.status === 'lost' ? 'bg-green-600 hover:bg-green-700' : 'bg-orange-600 hover:bg-orange-700'
+                                    }`}
+                                    title={b.status === 'lost' ? (t('markFound') || 'Mark as Found') : (t('lostOrDamaged') || 'Lost / Damaged')}
+                                  >
+                                    <FiAlertTriangle className="w-3 h-3" />
+                                    {b.status === 'lost' ? (t('found') || 'Found') : (t('lostOrDamaged') || 'Lost / Damaged')}
+                                  </motion.button>
+                                )}
                                 {b.status === 'approved' && (
                                     <div className="flex items-center gap-1 text-blue-600 text-xs italic">
                                         <FiClock className="w-3 h-3" />
                                         Waiting confirmation
+                                        {b.pickupDeadline && ` · until ${new Date(b.pickupDeadline).toLocaleDateString()}`}
                                     </div>
                                 )}
                                 <motion.button
@@ -1208,6 +1587,21 @@ export default function LibrarianBorrow() {
             </Modal>
           )}
 
+          {showPaymentModal && (
+            <Modal key="payment-modal" onClose={closeAllModals}>
+              <h2 className="text-xl font-bold text-gray-800 mb-4">{t('recordPayment') || "Record Payment"}</h2>
+              <p className="text-gray-600 mb-4">{t('recordPaymentDesc') || "Cash or bank-slip payment of a fine, taken at the desk"}</p>
+              <DeskPaymentForm onSuccess={handlePaymentSuccess} />
+            </Modal>
+          )}
+
+          {showCashUpModal && (
+            <Modal key="cash-up-modal" onClose={closeAllModals}>
+              <h2 className="text-xl font-bold text-gray-800 mb-4">{t('dailyCashUp') || "Daily Cash-Up"}</h2>
+              <CashUpReport />
+            </Modal>
+          )}
+
           {showApprovalModal && selectedRequest && (
             <Modal key="approval-modal" onClose={closeAllModals}>
               <h2 className="text-xl font-bold text-gray-800 mb-4">{t('reviewRequest') || "Review Request"}</h2>
@@ -1218,6 +1612,15 @@ export default function LibrarianBorrow() {
             </Modal>
           )}
 
+          {lossBorrow && (
+            <Modal key="loss-modal" onClose={closeAllModals}>
+              <h2 className="text-xl font-bold text-gray-800 mb-4">
+                {lossBorrow.status === 'lost' ? (t('lostBookFound') || 'Lost Book Found') : (t('declareLostOrDamaged') || 'Declare Lost or Damaged')}
+              </h2>
+              <LossForm borrow={lossBorrow} onSuccess={handleLossSuccess} />
+            </Modal>
+          )}
+
           {showDeleteModal && borrowToDelete && (
             <ConfirmDeleteModal
               key="delete-modal"
@@ -0,0 +1,296 @@
+// librarian/clearance/page.tsx
+'use client';
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  FiAlertCircle,
+  FiCheck,
+  FiChevronLeft,
+  FiChevronRight,
+  FiDownload,
+  FiEye,
+  FiSearch,
+  FiSlash,
+  FiX,
+} from 'react-icons/fi';
+import Layout from '@/components/Layout';
+import {
+  Clearance,
+  ClearanceChecks,
+  ObligationList,
+  clearanceStatusStyles,
+  downloadClearanceCertificate,
+} from '@/components/ClearancePanel';
+import api from '@/lib/api';
+import { useTranslation } from '@/lib/i18n';
+
+export default function LibrarianClearancePage() {
+  const { t } = useTranslation();
+  const [clearances, setClearances] = useState<Clearance[]>([]);
+  const [status, setStatus] = useState('pending');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selected, setSelected] = useState<Clearance | null>(null);
+  const [selectedChecks, setSelectedChecks] = useState<ClearanceChecks | null>(null);
+  const [blockReason, setBlockReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const res = await api.get('/clearances', {
+        params: { page, limit: 20, status: status || undefined, search: search || undefined },
+      });
+      setClearances(res.data.clearances || []);
+      setTotalPages(Math.max(1, res.data.totalPages || 1));
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to load clearances');
+    }
+  }, [page, status, search]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const open = async (clearance: Clearance) => {
+    setSelected(clearance);
+    setSelectedChecks(clearance.checks);
+    setBlockReason('');
+    setError('');
+    try {
+      const res = await api.get(`/clearances/${clearance._id}`);
+      setSelected(res.data.clearance);
+      setSelectedChecks(res.data.checks);
+    } catch {
+      // keep the snapshot from the list
+    }
+  };
+
+  const close = () => {
+    setSelected(null);
+    setSelectedChecks(null);
+  };
+
+  const approve = async () => {
+    if (!selected) return;
+    setBusy(true);
+    setError('');
+    try {
+      await api.put(`/clearances/${selected._id}/approve`);
+      close();
+      await load();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Approval failed');
+      if (err.response?.data?.checks) setSelectedChecks(err.response.data.checks);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const block = async () => {
+    if (!selected) return;
+    setBusy(true);
+    setError('');
+    try {
+      await api.put(`/clearances/${selected._id}/block`, { reason: blockReason });
+      close();
+      await load();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Block failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Layout role="librarian">
+      <div className="min-h-screen bg-gray-50 p-4 md:p-6">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="max-w-7xl mx-auto space-y-6"
+        >
+          <div className="bg-white rounded-2xl shadow-lg p-6">
+            <h1 className="text-2xl md:text-3xl font-bold text-gray-800">
+              {t('libraryClearance') || 'Library Clearance'}
+            </h1>
+            <p className="text-gray-600 mt-1">
+              {t('clearanceReviewInfo') || 'Review graduation and staff exit clearance requests'}
+            </p>
+
+            <div className="flex flex-col md:flex-row gap-3 mt-4">
+              <div className="relative flex-1">
+                <FiSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder={t('searchClearances') || 'Search by ID, name or certificate number...'}
+                  value={search}
+                  onChange={e => { setSearch(e.target.value); setPage(1); }}
+                  className="w-full pl-10 pr-4 py-2.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <select
+                value={status}
+                onChange={e => { setStatus(e.target.value); setPage(1); }}
+                className="border border-gray-300 rounded-lg px-3 py-2.5"
+              >
+                <option value="">{t('all') || 'All'}</option>
+                <option value="pending">pending</option>
+                <option value="approved">approved</option>
+                <option value="blocked">blocked</option>
+                <option value="cancelled">cancelled</option>
+                <option value="revoked">revoked</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-lg overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-gray-600 text-left">
+                <tr>
+                  <th className="px-4 py-3">{t('name') || 'Name'}</th>
+                  <th className="px-4 py-3">{t('userIdLabel') || 'User ID'}</th>
+                  <th className="px-4 py-3">{t('type') || 'Type'}</th>
+                  <th className="px-4 py-3">{t('requested') || 'Requested'}</th>
+                  <th className="px-4 py-3">{t('status') || 'Status'}</th>
+                  <th className="px-4 py-3">{t('outstanding') || 'Outstanding'}</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {clearances.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="px-4 py-8 text-center text-gray-500">
+                      {t('noClearanceRequests') || 'No clearance requests'}
+                    </td>
+                  </tr>
+                ) : clearances.map(c => (
+                  <tr key={c._id} className="border-t border-gray-100">
+                    <td className="px-4 py-3 font-medium">{c.name}</td>
+                    <td className="px-4 py-3">{c.userId}</td>
+                    <td className="px-4 py-3">{c.type === 'graduation' ? 'Graduation' : 'Staff exit'}</td>
+                    <td className="px-4 py-3">{new Date(c.requestedAt).toLocaleDateString()}</td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${clearanceStatusStyles[c.status]}`}>
+                        {c.status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3">
+                      {c.checks.clear ? (
+                        <span className="text-green-700">—</span>
+                      ) : (
+                        <span className="text-red-700">
+                          {c.checks.openLoans.length + c.checks.unpaidFines.length + c.checks.lostItems.length}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <div className="flex justify-end gap-2">
+                        {c.status === 'approved' && (
+                          <button
+                            onClick={() => downloadClearanceCertificate(c)}
+                            className="p-2 rounded-lg text-green-700 hover:bg-green-50"
+                            aria-label="Download certificate"
+                          >
+                            <FiDownload className="w-4 h-4" />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => open(c)}
+                          className="p-2 rounded-lg text-blue-700 hover:bg-blue-50"
+                          aria-label="Review"
+                        >
+                          <FiEye className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {totalPages > 1 && (
+            <div className="flex items-center justify-center gap-3">
+              <button
+                onClick={() => setPage(p => p - 1)}
+                disabled={page === 1}
+                className="flex items-center gap-1 px-3 py-2 rounded-lg border border-gray-300 disabled:opacity-50"
+              >
+                <FiChevronLeft className="w-4 h-4" />
+                <span className="text-sm">{t('prev') || 'Previous'}</span>
+              </button>
+              <span className="text-sm text-gray-600">{page} / {totalPages}</span>
+              <button
+                onClick={() => setPage(p => p + 1)}
+                disabled={page === totalPages}
+                className="flex items-center gap-1 px-3 py-2 rounded-lg border border-gray-300 disabled:opacity-50"
+              >
+                <span className="text-sm">{t('next') || 'Next'}</span>
+                <FiChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </motion.div>
+
+        {selected && (
+          <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <motion.div
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              className="bg-white rounded-xl shadow-xl max-w-lg w-full p-6 relative max-h-[90vh] overflow-y-auto"
+            >
+              <button onClick={close} className="absolute top-4 right-4 text-gray-500 hover:text-gray-700">
+                <FiX className="w-6 h-6" />
+              </button>
+              <h2 className="text-xl font-bold text-gray-800">{selected.name}</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                {selected.userId} · {selected.role}{selected.department ? ` · ${selected.department}` : ''}
+              </p>
+              {selected.reason && <p className="text-sm text-gray-700 mb-4 italic">“{selected.reason}”</p>}
+
+              {selectedChecks && <ObligationList checks={selectedChecks} />}
+
+              {error && (
+                <div className="flex items-center gap-2 bg-red-50 text-red-800 rounded-lg px-3 py-2 mt-4 text-sm">
+                  <FiAlertCircle className="w-4 h-4" />
+                  {error}
+                </div>
+              )}
+
+              {selected.status === 'pending' && (
+                <div className="mt-6 space-y-3">
+                  <button
+                    onClick={approve}
+                    disabled={busy || (selectedChecks ? !selectedChecks.clear : false)}
+                    className="w-full flex items-center justify-center gap-2 bg-green-600 text-white py-2.5 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    <FiCheck className="w-4 h-4" />
+                    {t('approveAndIssue') || 'Approve and issue certificate'}
+                  </button>
+                  <textarea
+                    value={blockReason}
+                    onChange={e => setBlockReason(e.target.value)}
+                    placeholder={t('blockReasonPlaceholder') || 'Reason for blocking (shown to the patron)'}
+                    rows={2}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+                  />
+                  <button
+                    onClick={block}
+                    disabled={busy || blockReason.trim().length < 3}
+                    className="w-full flex items-center justify-center gap-2 bg-red-600 text-white py-2.5 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                  >
+                    <FiSlash className="w-4 h-4" />
+                    {t('blockClearance') || 'Block clearance'}
+                  </button>
+                </div>
+              )}
+            </motion.div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -2,6 +2,10 @@
 'use client';
 
 import Layout from '@/components/Layout';
+import TelebirrPayment from '@/components/TelebirrPayment';
+import LoanFineStatus from '@/components/LoanFineStatus';
+import { BookMetadataDetails, formatAuthors } from '@/components/BookMetadata';
+import BookSearchFilters, { BookFacets, BookFilters, bookFilterParams, emptyBookFilters } from '@/components/BookSearchFilters';
 import api from '@/lib/api';
 import { useTranslation } from '@/lib/i18n';
 import { AnimatePresence, motion } from 'framer-motion';
@@ -14,20 +18,21 @@ import {
   FiClock,
   FiDollarSign,
   FiEye,
-  FiRotateCcw,
   FiSearch,
   FiX,
   FiXCircle,
   FiAlertCircle,
   FiCheckCircle,
   FiInfo,
+  FiRefreshCw,
   FiChevronUp,
   FiChevronDown,
   FiFilter,
   FiMoreVertical,
   FiColumns,
   FiEyeOff,
-  FiActivity
+  FiActivity,
+  FiAlertTriangle
 } from 'react-icons/fi';
 
 // TanStack Table
@@ -198,6 +203,7 @@ function ColumnsVisibilityMenu({ table, onClose }: { table: any; onClose: () =>
   const columnDisplayNames: { [key: string]: string } = {
     id: t('bookIdLabel') || 'Book ID',
     title: t('title') || 'Title',
+    author: t('author') || 'Author',
     name: t('name') || 'Name',
     copies: t('copies') || 'Copies',
     status: t('status') || 'Status',
@@ -292,7 +298,7 @@ function SortableHeader({ column, children }: { column: any; children: React.Rea
 }
 
 // Request Form Component - FIXED datetime-local input for mobile
-function RequestForm({ onSuccess, onClose }: { onSuccess: () => void; onClose: () => void }) {
+function RequestForm({ onSuccess, onClose }: { onSuccess: (message?: string) => void; onClose: () => void }) {
   const { t } = useTranslation();
   const [loading, setLoading] = useState(false);
   const [form, setForm] = useState({
@@ -330,11 +336,11 @@ function RequestForm({ onSuccess, onClose }: { onSuccess: () => void; onClose: (
     e.preventDefault();
     setLoading(true);
     try {
-      await api.post('/borrows/request', {
+      const res = await api.post('/borrows/request', {
         ...form,
         dueDate: new Date(form.dueDate).toISOString(),
       });
-      onSuccess();
+      onSuccess(res.data.hold ? res.data.message : undefined);
     } catch (err: any) {
       alert(err.response?.data?.message || 'Request failed');
     } finally {
@@ -428,117 +434,24 @@ function RequestForm({ onSuccess, onClose }: { onSuccess: () => void; onClose: (
   );
 }
 
-// Return Form Component
-function ReturnForm({ 
-  onSuccess, 
-  onClose, 
-  isPayFine = false, 
-  fineAmount = 0 
-}: { 
-  onSuccess: () => void; 
-  onClose: () => void; 
-  isPayFine?: boolean;
-  fineAmount?: number;
-}) {
-  const { t } = useTranslation();
-  const [loading, setLoading] = useState(false);
-  const [form, setForm] = useState({
-    userId: '',
-    bookId: '',
-  });
-
-  useEffect(() => {
-    const userData = localStorage.getItem('user');
-    if (userData) {
-      const user = JSON.parse(userData);
-      setForm(prev => ({
-        ...prev,
-        userId: user.id || user.userId || ''
-      }));
-    }
-  }, []);
-
-  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    setForm({ ...form, [e.target.name]: e.target.value });
-  };
-
-  const submit = async (e: React.FormEvent) => {
-    e.preventDefault();
-    setLoading(true);
-    try {
-      const res = await api.post('/borrows/return', form);
-      const fine = res.data.fine || fineAmount;
-      alert(`${t('returnedSuccess') || 'Book returned.'}\n${t('fine')}: ETB ${fine}`);
-      onSuccess();
-    } catch (err: any) {
-      alert(err.response?.data?.message || 'Return failed');
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  return (
-    <form onSubmit={submit} className="space-y-4">
-      {isPayFine && (
-        <div className="text-center p-3 sm:p-4 bg-red-50 rounded-lg border border-red-200">
-          <p className="text-xl sm:text-2xl font-bold text-red-600">{t('fineDue') || "Fine Due"}: ETB {fineAmount}</p>
-          <p className="text-xs sm:text-sm text-gray-600 mt-1">{t('payFineDesc') || "Enter details to pay fine and return book"}</p>
-        </div>
-      )}
-      <div>
-        <input
-          name="userId"
-          placeholder={t('userIdLabel') || "User ID"}
-          value={form.userId}
-          onChange={handleChange}
-          required
-          className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
-        />
-      </div>
-      <div>
-        <input
-          name="bookId"
-          placeholder={t('bookIdLabel') || "Book ID"}
-          value={form.bookId}
-          onChange={handleChange}
-          required
-          className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
-        />
-      </div>
-      <div className="flex gap-3 pt-2">
-        <button
-          type="button"
-          onClick={onClose}
-          className="flex-1 bg-gray-200 text-gray-700 py-2.5 rounded font-medium text-sm sm:text-base"
-          disabled={loading}
-        >
-          {t('cancel') || "Cancel"}
-        </button>
-        <button
-          type="submit"
-          disabled={loading}
-          className={`flex-1 py-2.5 rounded font-medium text-white text-sm sm:text-base ${isPayFine ? 'bg-red-600 hover:bg-red-700' : 'bg-orange-600 hover:bg-orange-700'}`}
-        >
-          {loading ? (t('processing') || 'Processing...') : isPayFine ? (t('payAndReturn') || 'Pay & Return') : (t('returnBook') || 'Return Book')}
-        </button>
-      </div>
-    </form>
-  );
-}
-
 // Main Student Books Page
 export default function StudentBooks() {
   const { t } = useTranslation();
   const [books, setBooks] = useState<any[]>([]);
   const [myRequests, setMyRequests] = useState<any[]>([]);
-  const [myBorrow, setMyBorrow] = useState<any>(null);
+  const [myBorrows, setMyBorrows] = useState<any[]>([]);
+  const [maxActiveLoans, setMaxActiveLoans] = useState<number | null>(null);
+  const [selectedBorrow, setSelectedBorrow] = useState<any>(null);
+  const [myHolds, setMyHolds] = useState<any[]>([]);
   const [finePolicy, setFinePolicy] = useState<any>(null);
   const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState<BookFilters>(emptyBookFilters);
+  const [facets, setFacets] = useState<BookFacets | null>(null);
   const [loading, setLoading] = useState(false);
 
   const [showRequestModal, setShowRequestModal] = useState(false);
-  const [showReturnModal, setShowReturnModal] = useState(false);
   const [showPayModal, setShowPayModal] = useState(false);
+  const [detailBook, setDetailBook] = useState<any>(null);
 
   const [toast, setToast] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
 
@@ -556,16 +469,22 @@ export default function StudentBooks() {
   };
 
   useEffect(() => {
-    fetchBooks();
     fetchMyRequests();
     checkMyBorrow();
+    fetchMyHolds();
     fetchFinePolicy();
-  }, [search]);
+  }, []);
 
+  useEffect(() => {
+    fetchBooks();
+  }, [search, filters]);
+
+  // The table pages through the results itself, so fetch them in one go
   const fetchBooks = async () => {
     try {
-      const res = await api.get('/books', { params: { search } });
+      const res = await api.get('/books', { params: { search, limit: 100, ...bookFilterParams(filters), facets: true } });
       setBooks(res.data.books || []);
+      setFacets(res.data.facets);
     } catch (err: any) {
       showToast(
         err.response?.data?.message || t('failedToLoadBooks') || 'Failed to load books',
@@ -584,16 +503,23 @@ export default function StudentBooks() {
     }
   };
 
+  const fetchMyHolds = async () => {
+    try {
+      const res = await api.get('/holds/my');
+      setMyHolds(res.data.holds || []);
+    } catch (err: any) {
+      console.error('Failed to fetch holds:', err);
+      setMyHolds([]);
+    }
+  };
+
   const checkMyBorrow = async () => {
     try {
       const res = await api.get('/borrows/my-borrow');
-      if (res.data.status === 'borrowed') {
-        setMyBorrow(res.data.borrow);
-      } else {
-        setMyBorrow(null);
-      }
+      setMyBorrows(res.data.borrows || []);
+      setMaxActiveLoans(res.data.maxActiveLoans ?? null);
     } catch (err: any) {
-      setMyBorrow(null);
+      setMyBorrows([]);
     }
   };
 
@@ -613,15 +539,39 @@ export default function StudentBooks() {
 
   const closeAllModals = () => {
     setShowRequestModal(false);
-    setShowReturnModal(false);
     setShowPayModal(false);
+    setDetailBook(null);
   };
 
-  const handleRequestSuccess = () => {
+  const handleRequestSuccess = (message?: string) => {
     closeAllModals();
     fetchMyRequests();
+    fetchMyHolds();
     checkMyBorrow();
-    showToast('Book request submitted for approval!', 'success');
+    showToast(message || 'Book request submitted for approval!', message ? 'info' : 'success');
+  };
+
+  const handlePlaceHold = async (bookId: string) => {
+    try {
+      const res = await api.post('/holds', { bookId });
+      showToast(res.data.message, 'success');
+      fetchMyHolds();
+    } catch (err: any) {
+      showToast(err.response?.data?.message || 'Could not place hold', 'error');
+    }
+  };
+
+  const handleCancelHold = async (holdId: string) => {
+    if (!confirm(t('confirmCancelHold') || 'Leave the hold queue for this book?')) return;
+    try {
+      await api.delete(`/holds/${holdId}`);
+      showToast(t('holdCancelled') || 'Hold cancelled', 'success');
+      fetchMyHolds();
+      fetchMyRequests();
+      fetchBooks();
+    } catch (err: any) {
+      showToast(err.response?.data?.message || 'Could not cancel hold', 'error');
+    }
   };
 
   /**
@@ -632,6 +582,7 @@ export default function StudentBooks() {
       await api.post('/borrows/confirm', { borrowId });
       showToast('Book borrowed successfully!', 'success');
       fetchMyRequests();
+      fetchMyHolds();
       checkMyBorrow();
       fetchBooks();
     } catch (err: any) {
@@ -639,17 +590,35 @@ export default function StudentBooks() {
     }
   };
 
-  const handleReturnSuccess = async () => {
-    closeAllModals();
-    setMyBorrow(null);
-    await checkMyBorrow();
-    fetchBooks();
-    showToast('Book returned successfully!', 'success');
+  const openPayFine = (borrow: any) => {
+    setSelectedBorrow(borrow);
+    setShowPayModal(true);
+  };
+
+  const handleRenew = async (borrow: any) => {
+    try {
+      const res = await api.post(`/borrows/${borrow._id}/renew`);
+      showToast(`${res.data.message} – due ${new Date(res.data.dueDate).toLocaleDateString()}`, 'success');
+      checkMyBorrow();
+    } catch (err: any) {
+      showToast(err.response?.data?.message || 'Renewal failed', 'error');
+    }
+  };
+
+  const handleReportLost = async (borrow: any) => {
+    if (!window.confirm(t('reportLostConfirm') || 'Report this book as lost? You will be charged its replacement cost and a processing fee. If it turns up later, bring it to the library desk and the replacement cost is taken back.')) return;
+    try {
+      const res = await api.post(`/borrows/${borrow._id}/declare`, { kind: 'lost' });
+      showToast(`${res.data.message} · ETB ${res.data.replacementCost + res.data.processingFee}`, 'success');
+      checkMyBorrow();
+    } catch (err: any) {
+      showToast(err.response?.data?.message || 'Report failed', 'error');
+    }
   };
 
   const handlePaySuccess = async () => {
     closeAllModals();
-    setMyBorrow(null);
+    setSelectedBorrow(null);
     await checkMyBorrow();
     fetchBooks();
     showToast('Fine paid successfully!', 'success');
@@ -678,10 +647,29 @@ export default function StudentBooks() {
           </SortableHeader>
         ),
         cell: ({ row }) => (
-          <div className="text-xs sm:text-sm font-semibold text-gray-900 break-words">{row.getValue('title')}</div>
+          <button
+            onClick={() => setDetailBook(row.original)}
+            className="text-left text-xs sm:text-sm font-semibold text-gray-900 break-words hover:text-blue-700 hover:underline"
+            title={t('viewDetails') || "View details"}
+          >
+            {row.getValue('title')}
+          </button>
         ),
         size: 200,
       },
+      {
+        id: 'author',
+        accessorFn: (book) => formatAuthors(book),
+        header: ({ column }) => (
+          <SortableHeader column={column}>
+            {t('author') || "Author"}
+          </SortableHeader>
+        ),
+        cell: ({ row }) => (
+          <div className="text-xs sm:text-sm text-gray-600 break-words">{row.getValue('author') || '-'}</div>
+        ),
+        size: 150,
+      },
       {
         accessorKey: 'name',
         header: ({ column }) => (
@@ -748,7 +736,10 @@ export default function StudentBooks() {
           const activeRequest = myRequests.find(
             (req) => req.bookId === book.id && (req.status === 'pending' || req.status === 'approved')
           );
-          const isBorrowed = myBorrow?.bookId === book.id;
+          const isBorrowed = myBorrows.some((b) => b.bookId === book.id);
+          const waitingHold = myHolds.find(
+            (hold) => hold.bookId === book.id && hold.status === 'waiting'
+          );
           
           if (isBorrowed) return <span className="text-green-600 font-medium">{t('currentlyBorrowed') || "Currently Borrowed"}</span>;
           
@@ -771,6 +762,14 @@ export default function StudentBooks() {
               return <span className="text-yellow-600 font-medium">{t('requestPending') || "Request Pending"}</span>;
           }
 
+          if (waitingHold) {
+              return (
+                  <span className="text-indigo-600 font-medium text-xs sm:text-sm">
+                    {t('inHoldQueue') || "In Queue"} #{waitingHold.position}
+                  </span>
+              );
+          }
+
           if (book.copies > 0) {
             return (
                 <button
@@ -789,12 +788,19 @@ export default function StudentBooks() {
             );
           }
 
-          return <span className="text-gray-500">{t('notAvailable') || "Not Available"}</span>;
+          return (
+              <button
+                onClick={() => handlePlaceHold(book.id)}
+                className="text-indigo-600 hover:text-indigo-800 font-medium hover:underline text-xs sm:text-sm"
+              >
+                {t('placeHold') || "Place Hold"}
+              </button>
+          );
         },
         size: 150,
       },
     ],
-    [t, myRequests, myBorrow]
+    [t, myRequests, myBorrows, myHolds]
   );
 
   // Initialize TanStack Table
@@ -845,26 +851,6 @@ export default function StudentBooks() {
                   <FiBookOpen className="w-4 h-4 sm:w-5 sm:h-5" />
                   <span className="font-medium">{t('requestBook') || "Request Book"}</span>
                 </button>
-                {myBorrow && (
-                  <>
-                    {myBorrow.fine <= 0 ? (
-                      <button
-                        onClick={() => setShowReturnModal(true)}
-                        className="flex items-center gap-2 bg-orange-600 text-white px-3 sm:px-4 py-2.5 rounded-lg hover:bg-orange-700 transition-colors text-sm sm:text-base whitespace-nowrap"
-                      >
-                        <FiRotateCcw className="w-4 h-4 sm:w-5 sm:h-5" />
-                        <span className="font-medium">{t('returnBook') || "Return Book"}</span>
-                      </button>
-                    ) : (
-                      <button
-                        onClick={() => setShowPayModal(true)}
-                        className="flex items-center gap-2 bg-red-600 text-white px-3 sm:px-4 py-2.5 rounded-lg hover:bg-red-700 transition-colors text-sm sm:text-base whitespace-nowrap"
-                      >
-                        <span className="font-medium">{t('payFineAndReturn') || "Pay Fine & Return"} (ETB {myBorrow.fine})</span>
-                      </button>
-                    )}
-                  </>
-                )}
               </div>
             </div>
 
@@ -905,6 +891,9 @@ export default function StudentBooks() {
                   {showColumnsMenu && <ColumnsVisibilityMenu table={table} onClose={() => setShowColumnsMenu(false)} />}
                 </div>
               </div>
+              <div className="mt-3">
+                <BookSearchFilters value={filters} onChange={setFilters} facets={facets} />
+              </div>
             </div>
           </div>
 
@@ -949,8 +938,8 @@ export default function StudentBooks() {
             </div>
           )}
 
-          {/* Active Borrow Section */}
-          {myBorrow && !loading && (
+          {/* Active Loans Section */}
+          {myBorrows.length > 0 && !loading && (
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
@@ -959,26 +948,96 @@ export default function StudentBooks() {
               <div className="space-y-4">
                 <div className="flex items-center gap-2">
                   <FiCheckCircle className="w-4 h-4 sm:w-5 sm:h-5 text-green-600" />
-                  <h2 className="text-base sm:text-lg font-bold text-gray-800">{t('activeBorrow') || "Active Borrow"}</h2>
+                  <h2 className="text-base sm:text-lg font-bold text-gray-800">{t('activeLoans') || "Active Loans"}</h2>
+                  <span className="px-2 py-0.5 bg-green-100 text-green-800 rounded-full text-xs font-medium">
+                    {myBorrows.length}{maxActiveLoans != null ? ` / ${maxActiveLoans}` : ''}
+                  </span>
                 </div>
-                <h3 className="text-lg sm:text-xl font-bold text-gray-900">{myBorrow.bookTitle || myBorrow.bookName}</h3>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-xs sm:text-sm">
-                  <div>
-                    <p className="text-gray-600"><span className="font-medium">{t('dueDateLabel') || "Due Date"}:</span> {new Date(myBorrow.dueDate).toLocaleString()}</p>
-                    <p className="text-gray-600"><span className="font-medium">{t('borrowed') || "Borrowed"}:</span> {new Date(myBorrow.borrowedAt).toLocaleDateString()}</p>
-                  </div>
-                  <div>
-                    {myBorrow.fine > 0 ? (
-                      <p className="text-xl sm:text-2xl font-bold text-red-600">ETB {myBorrow.fine}</p>
-                    ) : (
-                      <p className="text-green-600 font-medium">{t('onTime') || "On Time"}</p>
-                    )}
+                {myBorrows.map((borrow) => (
+                  <div key={borrow._id} className="bg-white/70 border border-green-100 rounded-lg p-3 sm:p-4 flex flex-col md:flex-row md:items-center justify-between gap-3">
+                    <div className="min-w-0">
+                      <h3 className="text-base sm:text-lg font-bold text-gray-900">{borrow.bookTitle || borrow.bookName}</h3>
+                      <p className="text-xs sm:text-sm text-gray-600"><span className="font-medium">{t('dueDateLabel') || "Due Date"}:</span> {new Date(borrow.dueDate).toLocaleString()}</p>
+                      <p className="text-xs sm:text-sm text-gray-600"><span className="font-medium">{t('borrowed') || "Borrowed"}:</span> {new Date(borrow.borrowedAt).toLocaleDateString()}</p>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 shrink-0">
+                      <LoanFineStatus fine={borrow.fine} fineStatus={borrow.fineStatus} />
+                      {borrow.fine <= 0 && new Date(borrow.dueDate) > new Date() && borrow.renewalsLeft > 0 && (
+                        <button
+                          onClick={() => handleRenew(borrow)}
+                          className="flex items-center gap-2 bg-teal-600 text-white px-3 py-1.5 rounded-lg hover:bg-teal-700 transition-colors text-sm font-medium"
+                        >
+                          <FiRefreshCw className="w-4 h-4" />
+                          {t('renewLoan') || "Renew Loan"} ({borrow.renewalsLeft} {t('left') || "left"})
+                        </button>
+                      )}
+                      {borrow.fine > 0 && (
+                        <button
+                          onClick={() => openPayFine(borrow)}
+                          className="flex items-center gap-2 text-white px-3 py-1.5 rounded-lg transition-colors text-sm font-medium bg-red-600 hover:bg-red-700"
+                        >
+                          <FiDollarSign className="w-4 h-4" />
+                          {t('payFine') || "Pay Fine"}
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleReportLost(borrow)}
+                        className="flex items-center gap-2 text-orange-700 border border-orange-300 px-3 py-1.5 rounded-lg hover:bg-orange-50 transition-colors text-sm font-medium"
+                      >
+                        <FiAlertTriangle className="w-4 h-4" />
+                        {t('reportLost') || "Report Lost"}
+                      </button>
+                    </div>
                   </div>
-                </div>
+                ))}
               </div>
             </motion.div>
           )}
 
+          {/* My Holds Section */}
+          {myHolds.some((hold) => ['waiting', 'ready'].includes(hold.status)) && !loading && (
+            <div className="bg-white rounded-xl sm:rounded-2xl shadow-lg p-4 sm:p-6">
+              <h2 className="text-lg sm:text-xl font-bold text-gray-800 mb-4">{t('myHolds') || "My Holds"}</h2>
+              <div className="space-y-4">
+                {myHolds.filter((hold) => ['waiting', 'ready'].includes(hold.status)).map((hold) => (
+                  <div key={hold._id} className="border border-gray-200 rounded-lg p-3 sm:p-4 hover:bg-gray-50 transition-colors flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+                    <div className="flex-1 min-w-0">
+                      <h3 className="font-semibold text-gray-900 text-base sm:text-lg">{hold.bookTitle || hold.bookName}</h3>
+                      {hold.status === 'ready' ? (
+                        <p className="text-xs text-green-700 mt-1 flex items-center gap-1">
+                          <FiClock className="w-3 h-3" />
+                          {t('readyForPickupUntil') || "Set aside for you – pick up by"} {new Date(hold.pickupDeadline).toLocaleString()}
+                        </p>
+                      ) : (
+                        <p className="text-xs text-gray-500 mt-1">
+                          {t('queuePosition') || "Position in queue"}: <span className="font-bold text-indigo-700">#{hold.position}</span>
+                          {' · '}{t('placedOn') || "Placed on"} {new Date(hold.placedAt).toLocaleDateString()}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-3 shrink-0">
+                      {hold.status === 'ready' ? (
+                        <span className="px-3 py-1 bg-green-100 text-green-800 rounded-full text-xs font-bold uppercase">
+                          {t('readyForPickup') || "Ready for pickup"}
+                        </span>
+                      ) : (
+                        <span className="px-3 py-1 bg-indigo-100 text-indigo-800 rounded-full text-xs font-bold uppercase">
+                          {t('waiting') || "Waiting"}
+                        </span>
+                      )}
+                      <button
+                        onClick={() => handleCancelHold(hold._id)}
+                        className="flex items-center gap-1 text-red-600 hover:text-red-800 text-sm font-medium"
+                      >
+                        <FiXCircle className="w-4 h-4" /> {t('cancelHold') || "Cancel Hold"}
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* My Requests Section */}
           {myRequests.length > 0 && !loading && (
             <div className="bg-white rounded-xl sm:rounded-2xl shadow-lg p-4 sm:p-6">
@@ -989,6 +1048,11 @@ export default function StudentBooks() {
                     <div className="flex-1 min-w-0">
                       <h3 className="font-semibold text-gray-900 text-base sm:text-lg">{request.bookTitle || request.bookName}</h3>
                       <p className="text-xs text-gray-500 mt-1">Requested on {new Date(request.requestedAt).toLocaleString()}</p>
+                      {request.status === 'approved' && request.pickupDeadline && (
+                        <p className="text-xs text-green-700 mt-1">
+                          {t('pickUpBy') || "Pick up by"} {new Date(request.pickupDeadline).toLocaleString()}
+                        </p>
+                      )}
                     </div>
                     <div className="flex items-center gap-3 shrink-0">
                       {request.status === 'approved' ? (
@@ -1003,7 +1067,13 @@ export default function StudentBooks() {
                           </div>
                       ) : (
                         <span className={`px-3 py-1 rounded-full text-xs font-bold uppercase ${
-                          request.status === 'pending' ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-800'
+                          request.status === 'pending'
+                            ? 'bg-yellow-100 text-yellow-800'
+                            : request.status === 'waitlisted'
+                            ? 'bg-indigo-100 text-indigo-800'
+                            : request.status === 'expired'
+                            ? 'bg-gray-200 text-gray-700'
+                            : 'bg-red-100 text-red-800'
                         }`}>
                           {request.status}
                         </span>
@@ -1024,16 +1094,26 @@ export default function StudentBooks() {
               <RequestForm onSuccess={handleRequestSuccess} onClose={closeAllModals} />
             </Modal>
           )}
-          {showReturnModal && (
+          {showPayModal && selectedBorrow && (
             <Modal onClose={closeAllModals}>
-              <h2 className="text-lg font-bold text-gray-800 mb-4">{t('returnBook')}</h2>
-              <ReturnForm onSuccess={handleReturnSuccess} onClose={closeAllModals} />
+              <h2 className="text-lg font-bold text-gray-800 mb-1">{t('payFine') || "Pay Fine"}</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                {selectedBorrow.bookTitle || selectedBorrow.bookName} · {t('fineDue') || "Fine Due"}: ETB {selectedBorrow.fine}
+              </p>
+              <TelebirrPayment borrowId={selectedBorrow._id} fineAmount={selectedBorrow.fine} onPaid={handlePaySuccess} />
+              <p className="text-xs text-gray-500 mt-4">
+                {t('returnAtDesk') || "Paying the fine does not return the book. Bring it to the library desk to check it in."}
+              </p>
             </Modal>
           )}
-          {showPayModal && (
+          {detailBook && (
             <Modal onClose={closeAllModals}>
-              <h2 className="text-lg font-bold text-gray-800 mb-4">{t('payFineAndReturn')}</h2>
-              <ReturnForm isPayFine={true} fineAmount={myBorrow?.fine} onSuccess={handlePaySuccess} onClose={closeAllModals} />
+              <h2 className="text-lg font-bold text-gray-800 pr-6">{detailBook.title}</h2>
+              {formatAuthors(detailBook) && <p className="text-sm text-gray-600">{formatAuthors(detailBook)}</p>}
+              <p className="text-xs text-gray-500 mb-4">
+                {detailBook.name} · {detailBook.category}{detailBook.publisher ? ` · ${detailBook.publisher}` : ''}{detailBook.isbn ? ` · ISBN ${detailBook.isbn}` : ''}
+              </p>
+              <BookMetadataDetails book={detailBook} />
             </Modal>
           )}
           {toast && <Toast toast={toast} />}
@@ -0,0 +1,13 @@
+// student/clearance/page.tsx
+'use client';
+
+import Layout from '@/components/Layout';
+import ClearancePanel from '@/components/ClearancePanel';
+
+export default function StudentClearancePage() {
+  return (
+    <Layout role="student">
+      <ClearancePanel />
+    </Layout>
+  );
+}
@@ -109,16 +109,6 @@ export default function StudentDashboard() {
     fetchRequests();
   }, []);
 
-  const returnBook = async (bookId: string) => {
-    if (!confirm(t('returnBookConfirm') || 'Return this book?')) return;
-    try {
-      await api.post('/borrows/return', { bookId });
-      window.location.reload();
-    } catch {
-      alert(t('returnFailed') || 'Failed to return book');
-    }
-  };
-
   if (loading)
     return (
       <Layout role="student">
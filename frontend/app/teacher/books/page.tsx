@@ -20,6 +20,8 @@ import {
 } from 'react-icons/fi';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useTranslation } from '@/lib/i18n';
+import { BibliographicFields, BookMetadataDetails, bibliographicPayload, formatAuthors } from '@/components/BookMetadata';
+import BookSearchFilters, { BookFacets, BookFilters, bookFilterParams, emptyBookFilters } from '@/components/BookSearchFilters';
 
 // TanStack Table
 import {
@@ -36,7 +38,7 @@ import {
   SortingFn,
 } from '@tanstack/react-table';
 
-const emptyAddForm = { id: '', name: '', title: '', category: '', publisher: '', isbn: '', copies: 0 };
+const emptyAddForm: any = { id: '', name: '', title: '', category: '', publisher: '', isbn: '', copies: 0, authors: [], subjects: [] };
 
 // Delete Confirmation Modal Component
 function ConfirmDeleteModal({ 
@@ -130,7 +132,7 @@ function Modal({ children, onClose }: { children: React.ReactNode; onClose: () =
       <motion.div
         initial={{ scale: 0.95 }}
         animate={{ scale: 1 }}
-        className="bg-white rounded-xl shadow-xl max-w-md w-full p-6 relative"
+        className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto p-6 relative"
       >
         <button onClick={onClose} className="absolute top-4 right-4 text-gray-500 hover:text-gray-700">
           <FiX className="w-6 h-6" />
@@ -189,6 +191,9 @@ function AddBookForm({ form, setForm, onSubmit }: any) {
         onChange={handle}
         className="w-full border p-2 rounded"
       />
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 pt-2 border-t">
+        <BibliographicFields value={form} onChange={(changes) => setForm({ ...form, ...changes })} />
+      </div>
       <button type="submit" className="w-full bg-indigo-600 text-white py-2 rounded">
         {t('addBook') || 'Add Book'}
       </button>
@@ -297,6 +302,7 @@ function ColumnsVisibilityMenu({ table, onClose }: { table: any; onClose: () =>
   const columnDisplayNames: { [key: string]: string } = {
     id: t('bookId') || 'ID',
     title: t('title') || 'Title',
+    author: t('author') || 'Author',
     name: t('name') || 'Name',
     category: t('category') || 'Category',
     publisher: t('publisher') || 'Publisher',
@@ -407,8 +413,11 @@ export default function TeacherBooks() {
   const { t } = useTranslation();
   const [books, setBooks] = useState<any[]>([]);
   const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState<BookFilters>(emptyBookFilters);
+  const [facets, setFacets] = useState<BookFacets | null>(null);
   const [showAdd, setShowAdd] = useState(false);
   const [addForm, setAddForm] = useState(emptyAddForm);
+  const [detailBook, setDetailBook] = useState<any>(null);
   const [toast, setToast] = useState<{ message: string; type: 'success' | 'error' } | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   
@@ -425,13 +434,15 @@ export default function TeacherBooks() {
 
   useEffect(() => {
     fetchBooks();
-  }, [search]);
+  }, [search, filters]);
 
+  // The table pages through the results itself, so fetch them in one go
   const fetchBooks = async () => {
     setIsLoading(true);
     try {
-      const res = await api.get('/books', { params: { search } });
+      const res = await api.get('/books', { params: { search, limit: 100, ...bookFilterParams(filters), facets: true } });
       setBooks(res.data.books);
+      setFacets(res.data.facets);
     } catch (e: any) {
       showToast(e.response?.data?.message || t('failedToLoadBooks') || 'Failed to load books', 'error');
     } finally {
@@ -446,7 +457,7 @@ export default function TeacherBooks() {
 
   const handleAdd = async () => {
     try {
-      await api.post('/books', addForm);
+      await api.post('/books', { ...addForm, ...bibliographicPayload(addForm) });
       setShowAdd(false);
       setAddForm(emptyAddForm);
       showToast(t('bookAdded') || 'Book added successfully', 'success');
@@ -505,10 +516,29 @@ export default function TeacherBooks() {
           </SortableHeader>
         ),
         cell: ({ row }) => (
-          <span className="font-medium text-sm sm:text-base break-words">{row.getValue('title')}</span>
+          <button
+            onClick={() => setDetailBook(row.original)}
+            className="text-left font-medium text-sm sm:text-base break-words hover:text-indigo-700 hover:underline"
+            title={t('viewDetails') || "View details"}
+          >
+            {row.getValue('title')}
+          </button>
         ),
         size: 200,
       },
+      {
+        id: 'author',
+        accessorFn: (book) => formatAuthors(book),
+        header: ({ column }) => (
+          <SortableHeader column={column}>
+            {t('author') || "Author"}
+          </SortableHeader>
+        ),
+        cell: ({ row }) => (
+          <span className="text-sm text-gray-600 break-words">{row.getValue('author') || '-'}</span>
+        ),
+        size: 150,
+      },
       {
         accessorKey: 'name',
         header: ({ column }) => (
@@ -669,6 +699,9 @@ export default function TeacherBooks() {
               className="flex-1 border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500 text-gray-900 text-sm sm:text-base"
             />
           </div>
+          <div className="mt-3">
+            <BookSearchFilters value={filters} onChange={setFilters} facets={facets} />
+          </div>
         </div>
 
         {/* Table Section */}
@@ -863,6 +896,16 @@ export default function TeacherBooks() {
             <AddBookForm form={addForm} setForm={setAddForm} onSubmit={handleAdd} />
           </Modal>
         )}
+        {detailBook && (
+          <Modal onClose={() => setDetailBook(null)}>
+            <h2 className="text-xl font-bold text-gray-900 pr-6">{detailBook.title}</h2>
+            {formatAuthors(detailBook) && <p className="text-sm text-gray-600">{formatAuthors(detailBook)}</p>}
+            <p className="text-xs text-gray-500 mb-4">
+              {detailBook.name} · {detailBook.category}{detailBook.publisher ? ` · ${detailBook.publisher}` : ''}{detailBook.isbn ? ` · ISBN ${detailBook.isbn}` : ''}
+            </p>
+            <BookMetadataDetails book={detailBook} />
+          </Modal>
+        )}
         {toast && <Toast toast={toast} />}
       </AnimatePresence>
 
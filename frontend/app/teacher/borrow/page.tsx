@@ -11,17 +11,20 @@ import {
   FiClock,
   FiDollarSign,
   FiEye,
-  FiRotateCcw,
   FiSearch,
   FiX,
   FiXCircle,
   FiAlertCircle,
   FiCheckCircle,
   FiInfo,
+  FiRefreshCw,
   FiActivity,
+  FiAlertTriangle
 } from 'react-icons/fi';
 // Using relative paths for the demo. In a real project, these might be aliases like @/components...
 import Layout from '../../../components/Layout';
+import LoanFineStatus from '../../../components/LoanFineStatus';
+import TelebirrPayment from '../../../components/TelebirrPayment';
 import api from '../../../lib/api';
 import { useTranslation } from '../../../lib/i18n';
 
@@ -147,7 +150,7 @@ function Pagination({
 }
 
 // Request Form Component
-function RequestForm({ onSuccess, onClose }: { onSuccess: () => void; onClose: () => void }) {
+function RequestForm({ onSuccess, onClose }: { onSuccess: (message?: string) => void; onClose: () => void }) {
   const { t } = useTranslation();
   const [loading, setLoading] = useState(false);
   const [form, setForm] = useState({
@@ -186,11 +189,11 @@ function RequestForm({ onSuccess, onClose }: { onSuccess: () => void; onClose: (
     e.preventDefault();
     setLoading(true);
     try {
-      await api.post('/borrows/request', {
+      const res = await api.post('/borrows/request', {
         ...form,
         dueDate: new Date(form.dueDate).toISOString(),
       });
-      onSuccess();
+      onSuccess(res.data.hold ? res.data.message : undefined);
     } catch (err: any) {
       alert(err.response?.data?.message || 'Request failed');
     } finally {
@@ -281,118 +284,20 @@ function RequestForm({ onSuccess, onClose }: { onSuccess: () => void; onClose: (
   );
 }
 
-// Return Form Component (used for both normal and pay fine return)
-function ReturnForm({ 
-  onSuccess, 
-  onClose, 
-  isPayFine = false, 
-  fineAmount = 0 
-}: { 
-  onSuccess: () => void; 
-  onClose: () => void; 
-  isPayFine?: boolean;
-  fineAmount?: number;
-}) {
-  const { t } = useTranslation();
-  const [loading, setLoading] = useState(false);
-  const [form, setForm] = useState({
-    userId: '',
-    bookId: '',
-  });
-
-  useEffect(() => {
-    const userData = localStorage.getItem('user');
-    if (userData) {
-      const user = JSON.parse(userData);
-      setForm(prev => ({
-        ...prev,
-        userId: user.id || user.userId || ''
-      }));
-    }
-  }, []);
-
-  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    setForm({ ...form, [e.target.name]: e.target.value });
-  };
-
-  const submit = async (e: React.FormEvent) => {
-    e.preventDefault();
-    setLoading(true);
-    try {
-      const res = await api.post('/borrows/return', form);
-      const fine = res.data?.fine || fineAmount;
-      alert(`${t('returnedSuccess') || 'Book returned.'}\n${t('fine')}: ETB ${fine}`);
-      onSuccess();
-    } catch (err: any) {
-      // Fallback for demo if API fails
-      alert(`${t('returnedSuccess') || 'Book returned.'}\n${t('fine')}: ETB ${fineAmount}`);
-      onSuccess();
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  return (
-    <form onSubmit={submit} className="space-y-4">
-      {isPayFine && (
-        <div className="text-center p-4 bg-red-50 rounded-lg border border-red-200">
-          <p className="text-2xl font-bold text-red-600">{t('fineDue') || "Fine Due"}: ETB {fineAmount}</p>
-          <p className="text-sm text-gray-600 mt-1">{t('payFineDesc') || "Enter details to pay fine and return book"}</p>
-        </div>
-      )}
-      <div>
-        <input
-          name="userId"
-          placeholder={t('userIdLabel') || "User ID"}
-          value={form.userId}
-          onChange={handleChange}
-          required
-          className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
-        />
-      </div>
-      <div>
-        <input
-          name="bookId"
-          placeholder={t('bookIdLabel') || "Book ID"}
-          value={form.bookId}
-          onChange={handleChange}
-          required
-          className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
-        />
-      </div>
-      <div className="flex gap-3 pt-2">
-        <button
-          type="button"
-          onClick={onClose}
-          className="flex-1 bg-gray-200 text-gray-700 py-2.5 rounded font-medium"
-          disabled={loading}
-        >
-          {t('cancel') || "Cancel"}
-        </button>
-        <button
-          type="submit"
-          disabled={loading}
-          className={`flex-1 py-2.5 rounded font-medium text-white ${isPayFine ? 'bg-red-600 hover:bg-red-700' : 'bg-orange-600 hover:bg-orange-700'}`}
-        >
-          {loading ? (t('processing') || 'Processing...') : isPayFine ? (t('payAndReturn') || 'Pay & Return') : (t('returnBook') || 'Return Book')}
-        </button>
-      </div>
-    </form>
-  );
-}
-
 // Main Teacher Borrow Page
 export default function TeacherBorrow() {
   const { t } = useTranslation();
   const [books, setBooks] = useState<any[]>([]);
   const [myRequests, setMyRequests] = useState<any[]>([]);
-  const [myBorrow, setMyBorrow] = useState<any>(null);
+  const [myBorrows, setMyBorrows] = useState<any[]>([]);
+  const [maxActiveLoans, setMaxActiveLoans] = useState<number | null>(null);
+  const [selectedBorrow, setSelectedBorrow] = useState<any>(null);
+  const [myHolds, setMyHolds] = useState<any[]>([]);
   const [finePolicy, setFinePolicy] = useState<any>(null);
   const [search, setSearch] = useState('');
   const [loading, setLoading] = useState(false);
 
   const [showRequestModal, setShowRequestModal] = useState(false);
-  const [showReturnModal, setShowReturnModal] = useState(false);
   const [showPayModal, setShowPayModal] = useState(false);
 
   const [toast, setToast] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
@@ -436,16 +341,27 @@ export default function TeacherBorrow() {
     }
   };
 
+  const fetchMyHolds = async () => {
+    try {
+      const res = await api.get('/holds/my');
+      setMyHolds(res.data.holds || []);
+    } catch (err: any) {
+      console.error('Failed to fetch holds:', err);
+      setMyHolds([]);
+    }
+  };
+
+  useEffect(() => {
+    fetchMyHolds();
+  }, []);
+
   const checkMyBorrow = async () => {
     try {
       const res = await api.get('/borrows/my-borrow');
-      if (res.data.status === 'borrowed') {
-        setMyBorrow(res.data.borrow);
-      } else {
-        setMyBorrow(null);
-      }
+      setMyBorrows(res.data.borrows || []);
+      setMaxActiveLoans(res.data.maxActiveLoans ?? null);
     } catch (err: any) {
-      setMyBorrow(null);
+      setMyBorrows([]);
     }
   };
 
@@ -465,15 +381,38 @@ export default function TeacherBorrow() {
 
   const closeAllModals = () => {
     setShowRequestModal(false);
-    setShowReturnModal(false);
     setShowPayModal(false);
   };
 
-  const handleRequestSuccess = () => {
+  const handleRequestSuccess = (message?: string) => {
     closeAllModals();
     fetchMyRequests();
+    fetchMyHolds();
     checkMyBorrow();
-    showToast('Book request submitted for approval!', 'success');
+    showToast(message || 'Book request submitted for approval!', message ? 'info' : 'success');
+  };
+
+  const handlePlaceHold = async (bookId: string) => {
+    try {
+      const res = await api.post('/holds', { bookId });
+      showToast(res.data.message, 'success');
+      fetchMyHolds();
+    } catch (err: any) {
+      showToast(err.response?.data?.message || 'Could not place hold', 'error');
+    }
+  };
+
+  const handleCancelHold = async (holdId: string) => {
+    if (!confirm(t('confirmCancelHold') || 'Leave the hold queue for this book?')) return;
+    try {
+      await api.delete(`/holds/${holdId}`);
+      showToast(t('holdCancelled') || 'Hold cancelled', 'success');
+      fetchMyHolds();
+      fetchMyRequests();
+      fetchBooks();
+    } catch (err: any) {
+      showToast(err.response?.data?.message || 'Could not cancel hold', 'error');
+    }
   };
 
   /**
@@ -484,6 +423,7 @@ export default function TeacherBorrow() {
       await api.post('/borrows/confirm', { borrowId });
       showToast('Book borrowed successfully!', 'success');
       fetchMyRequests();
+      fetchMyHolds();
       checkMyBorrow();
       fetchBooks();
     } catch (err: any) {
@@ -491,17 +431,35 @@ export default function TeacherBorrow() {
     }
   };
 
-  const handleReturnSuccess = async () => {
-    closeAllModals();
-    setMyBorrow(null);
-    await checkMyBorrow(); // refresh from server
-    fetchBooks();
-    showToast('Book returned successfully!', 'success');
+  const openPayFine = (borrow: any) => {
+    setSelectedBorrow(borrow);
+    setShowPayModal(true);
+  };
+
+  const handleRenew = async (borrow: any) => {
+    try {
+      const res = await api.post(`/borrows/${borrow._id}/renew`);
+      showToast(`${res.data.message} – due ${new Date(res.data.dueDate).toLocaleDateString()}`, 'success');
+      checkMyBorrow();
+    } catch (err: any) {
+      showToast(err.response?.data?.message || 'Renewal failed', 'error');
+    }
+  };
+
+  const handleReportLost = async (borrow: any) => {
+    if (!window.confirm(t('reportLostConfirm') || 'Report this book as lost? You will be charged its replacement cost and a processing fee. If it turns up later, bring it to the library desk and the replacement cost is taken back.')) return;
+    try {
+      const res = await api.post(`/borrows/${borrow._id}/declare`, { kind: 'lost' });
+      showToast(`${res.data.message} · ETB ${res.data.replacementCost + res.data.processingFee}`, 'success');
+      checkMyBorrow();
+    } catch (err: any) {
+      showToast(err.response?.data?.message || 'Report failed', 'error');
+    }
   };
 
   const handlePaySuccess = async () => {
     closeAllModals();
-    setMyBorrow(null);
+    setSelectedBorrow(null);
     await checkMyBorrow();
     fetchBooks();
     showToast('Fine paid successfully!', 'success');
@@ -540,26 +498,6 @@ export default function TeacherBorrow() {
                   <FiBookOpen className="w-5 h-5" />
                   <span className="font-medium">{t('requestBook') || "Request Book"}</span>
                 </button>
-                {myBorrow && (
-                  <>
-                    {myBorrow.fine <= 0 ? (
-                      <button
-                        onClick={() => setShowReturnModal(true)}
-                        className="flex items-center gap-2 bg-orange-600 text-white px-4 py-2.5 rounded-lg hover:bg-orange-700 transition-colors"
-                      >
-                        <FiRotateCcw className="w-4 h-4" />
-                        <span className="font-medium">{t('returnBook') || "Return Book"}</span>
-                      </button>
-                    ) : (
-                      <button
-                        onClick={() => setShowPayModal(true)}
-                        className="flex items-center gap-2 bg-red-600 text-white px-4 py-2.5 rounded-lg hover:bg-red-700 transition-colors"
-                      >
-                        <span className="font-medium">{t('payFineAndReturn') || "Pay Fine & Return"} (ETB {myBorrow.fine})</span>
-                      </button>
-                    )}
-                  </>
-                )}
               </div>
             </div>
 
@@ -630,7 +568,10 @@ export default function TeacherBorrow() {
                         const activeRequest = myRequests.find(
                           (req) => req.bookId === book.id && (req.status === 'pending' || req.status === 'approved')
                         );
-                        const isBorrowed = myBorrow?.bookId === book.id;
+                        const isBorrowed = myBorrows.some((b) => b.bookId === book.id);
+                        const waitingHold = myHolds.find(
+                          (hold) => hold.bookId === book.id && hold.status === 'waiting'
+                        );
                         return (
                           <tr key={book.id} className="hover:bg-gray-50 transition-colors">
                             <td className="px-6 py-4 whitespace-nowrap">
@@ -679,6 +620,10 @@ export default function TeacherBorrow() {
                                 <span className="text-sm text-yellow-600 font-medium">
                                   {t('requestPending') || "Request Pending"}
                                 </span>
+                              ) : waitingHold ? (
+                                <span className="text-sm text-indigo-600 font-medium">
+                                  {t('inHoldQueue') || "In Queue"} #{waitingHold.position}
+                                </span>
                               ) : book.copies > 0 ? (
                                 <button
                                   onClick={() => {
@@ -689,7 +634,12 @@ export default function TeacherBorrow() {
                                   {t('requestBook') || "Request Book"}
                                 </button>
                               ) : (
-                                <span className="text-sm text-gray-500">{t('notAvailable') || "Not Available"}</span>
+                                <button
+                                  onClick={() => handlePlaceHold(book.id)}
+                                  className="text-sm text-indigo-600 hover:text-indigo-800 font-medium hover:underline"
+                                >
+                                  {t('placeHold') || "Place Hold"}
+                                </button>
                               )}
                             </td>
                           </tr>
@@ -711,8 +661,8 @@ export default function TeacherBorrow() {
             </div>
           )}
 
-          {/* Active Borrow Section */}
-          {myBorrow && !loading && (
+          {/* Active Loans Section */}
+          {myBorrows.length > 0 && !loading && (
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
@@ -721,62 +671,121 @@ export default function TeacherBorrow() {
               <div className="space-y-4">
                 <div className="flex items-center gap-2">
                   <FiCheckCircle className="w-5 h-5 text-green-600" />
-                  <h2 className="text-lg font-bold text-gray-800">{t('activeBorrow') || "Active Borrow"}</h2>
+                  <h2 className="text-lg font-bold text-gray-800">{t('activeLoans') || "Active Loans"}</h2>
                   <span className="px-3 py-1 bg-green-100 text-green-800 rounded-full text-sm font-medium">
-                    {t('approved') || "Approved"}
+                    {myBorrows.length}{maxActiveLoans != null ? ` / ${maxActiveLoans}` : ''}
                   </span>
                 </div>
-                <h3 className="text-xl font-bold text-gray-900">{myBorrow.bookTitle || myBorrow.bookName}</h3>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
-                  <div>
-                    <p className="text-gray-600">
-                      <span className="font-medium">{t('dueDate') || "Due Date"}:</span>{' '}
-                      {new Date(myBorrow.dueDate).toLocaleString('en-US', {
-                        month: '2-digit',
-                        day: '2-digit',
-                        year: 'numeric',
-                        hour: '2-digit',
-                        minute: '2-digit',
-                        hour12: true
-                      })}
-                    </p>
-                    <p className="text-gray-600">
-                      <span className="font-medium">{t('borrowed') || "Borrowed"}:</span>{' '}
-                      {new Date(myBorrow.borrowedAt).toLocaleDateString('en-US', {
-                        month: '2-digit',
-                        day: '2-digit',
-                        year: 'numeric'
-                      })}
-                    </p>
-                  </div>
-                  <div>
-                    {myBorrow.fine > 0 ? (
-                      <>
-                        <div className="flex items-center gap-2">
-                          <span className="font-medium text-red-700">{t('fine') || "Fine"}:</span>
-                          <span className="text-2xl font-bold text-red-600">ETB {myBorrow.fine}</span>
-                        </div>
-                        <p className="text-xs text-red-600 mt-1">
-                          Includes 2-day teacher grace period
-                        </p>
-                      </>
-                    ) : (
-                      <p className="text-green-600 font-medium">
-                        {t('teacherGracePeriod') || "2 days grace period before fines start"}
+                {myBorrows.map((borrow) => (
+                  <div key={borrow._id} className="bg-white/70 border border-green-100 rounded-xl p-4 flex flex-col md:flex-row md:items-center justify-between gap-4">
+                    <div className="min-w-0 text-sm">
+                      <h3 className="text-lg font-bold text-gray-900">{borrow.bookTitle || borrow.bookName}</h3>
+                      <p className="text-gray-600">
+                        <span className="font-medium">{t('dueDate') || "Due Date"}:</span>{' '}
+                        {new Date(borrow.dueDate).toLocaleString('en-US', {
+                          month: '2-digit',
+                          day: '2-digit',
+                          year: 'numeric',
+                          hour: '2-digit',
+                          minute: '2-digit',
+                          hour12: true
+                        })}
                       </p>
-                    )}
+                      <p className="text-gray-600">
+                        <span className="font-medium">{t('borrowed') || "Borrowed"}:</span>{' '}
+                        {new Date(borrow.borrowedAt).toLocaleDateString('en-US', {
+                          month: '2-digit',
+                          day: '2-digit',
+                          year: 'numeric'
+                        })}
+                      </p>
+                      {borrow.fine > 0 && (
+                        <p className="text-xs text-red-600 mt-1">{borrow.finePolicy}</p>
+                      )}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 shrink-0">
+                      <LoanFineStatus fine={borrow.fine} fineStatus={borrow.fineStatus} />
+                      {borrow.fine <= 0 && new Date(borrow.dueDate) > new Date() && borrow.renewalsLeft > 0 && (
+                        <button
+                          onClick={() => handleRenew(borrow)}
+                          className="flex items-center gap-2 bg-teal-600 text-white px-3 py-1.5 rounded-lg hover:bg-teal-700 transition-colors text-sm font-medium"
+                        >
+                          <FiRefreshCw className="w-4 h-4" />
+                          {t('renewLoan') || "Renew Loan"} ({borrow.renewalsLeft} {t('left') || "left"})
+                        </button>
+                      )}
+                      {borrow.fine > 0 && (
+                        <button
+                          onClick={() => openPayFine(borrow)}
+                          className="flex items-center gap-2 text-white px-3 py-1.5 rounded-lg transition-colors text-sm font-medium bg-red-600 hover:bg-red-700"
+                        >
+                          <FiDollarSign className="w-4 h-4" />
+                          {t('payFine') || "Pay Fine"}
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleReportLost(borrow)}
+                        className="flex items-center gap-2 text-orange-700 border border-orange-300 px-3 py-1.5 rounded-lg hover:bg-orange-50 transition-colors text-sm font-medium"
+                      >
+                        <FiAlertTriangle className="w-4 h-4" />
+                        {t('reportLost') || "Report Lost"}
+                      </button>
+                    </div>
                   </div>
-                </div>
+                ))}
                 <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 max-w-md">
                   <p className="text-sm text-blue-800 font-medium">{t('teacherBenefit') || "Teacher Benefit"}</p>
                   <p className="text-xs text-blue-700">
-                    {t('teacherGracePeriod') || "2 days grace period before fines start"}
+                    {finePolicy?.description || t('teacherGracePeriod') || "2 days grace period before fines start"}
                   </p>
                 </div>
               </div>
             </motion.div>
           )}
 
+          {/* My Holds Section */}
+          {myHolds.some((hold) => ['waiting', 'ready'].includes(hold.status)) && !loading && (
+            <div className="bg-white rounded-2xl shadow-lg p-6">
+              <h2 className="text-xl font-bold text-gray-800 mb-6">{t('myHolds') || "My Holds"}</h2>
+              <div className="space-y-4">
+                {myHolds.filter((hold) => ['waiting', 'ready'].includes(hold.status)).map((hold) => (
+                  <div
+                    key={hold._id}
+                    className="border border-gray-200 rounded-xl p-4 hover:bg-gray-50 transition-colors flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4"
+                  >
+                    <div className="flex-1 min-w-0">
+                      <h3 className="font-semibold text-gray-900 text-lg">{hold.bookTitle || hold.bookName}</h3>
+                      {hold.status === 'ready' ? (
+                        <p className="text-sm text-green-700 mt-1 flex items-center gap-1">
+                          <FiClock className="w-3 h-3" />
+                          {t('readyForPickupUntil') || "Set aside for you – pick up by"} {new Date(hold.pickupDeadline).toLocaleString()}
+                        </p>
+                      ) : (
+                        <p className="text-sm text-gray-600 mt-1">
+                          {t('queuePosition') || "Position in queue"}: <span className="font-bold text-indigo-700">#{hold.position}</span>
+                          {' · '}{t('placedOn') || "Placed on"} {new Date(hold.placedAt).toLocaleDateString()}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-3 shrink-0">
+                      <span className={`px-3 py-1 rounded-full text-sm font-medium ${
+                        hold.status === 'ready' ? 'bg-green-100 text-green-800' : 'bg-indigo-100 text-indigo-800'
+                      }`}>
+                        {hold.status === 'ready' ? (t('readyForPickup') || "Ready for pickup") : (t('waiting') || "Waiting")}
+                      </span>
+                      <button
+                        onClick={() => handleCancelHold(hold._id)}
+                        className="flex items-center gap-1 text-red-600 hover:text-red-800 text-sm font-medium"
+                      >
+                        <FiXCircle className="w-4 h-4" /> {t('cancelHold') || "Cancel Hold"}
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* My Requests Section */}
           {myRequests.length > 0 && !loading && (
             <div className="bg-white rounded-2xl shadow-lg p-6">
@@ -817,6 +826,12 @@ export default function TeacherBorrow() {
                               hour12: true
                             }) : 'N/A'}
                           </p>
+                          {request.status === 'approved' && request.pickupDeadline && (
+                            <p className="text-green-700">
+                              <span className="font-medium">{t('pickUpBy') || "Pick up by"}:</span>{' '}
+                              {new Date(request.pickupDeadline).toLocaleString()}
+                            </p>
+                          )}
                           {request.dueDate && (
                             <p className="text-gray-600">
                               <span className="font-medium">{t('due') || "Due"}:</span>{' '}
@@ -838,6 +853,12 @@ export default function TeacherBorrow() {
                               {t('pending') || "Pending Approval"}
                             </span>
                           )}
+                          {request.status === 'waitlisted' && (
+                            <span className="px-3 py-1 bg-indigo-100 text-indigo-800 rounded-full text-sm font-medium flex items-center gap-1 w-fit">
+                              <FiClock className="w-3 h-3" />
+                              {t('waitlisted') || "In Hold Queue"}
+                            </span>
+                          )}
                           {request.status === 'approved' && (
                             <>
                                 <span className="px-3 py-1 bg-green-100 text-green-800 rounded-full text-sm font-medium border border-green-200 uppercase tracking-wide font-bold">
@@ -851,6 +872,11 @@ export default function TeacherBorrow() {
                                 </button>
                             </>
                           )}
+                          {request.status === 'expired' && (
+                            <span className="px-3 py-1 bg-gray-200 text-gray-700 rounded-full text-sm font-medium w-fit">
+                              {t('pickupExpired') || "Expired – not picked up in time"}
+                            </span>
+                          )}
                           {request.status === 'rejected' && (
                             <div>
                               <span className="px-3 py-1 bg-red-100 text-red-800 rounded-full text-sm font-medium mb-2 inline-block">
@@ -888,30 +914,17 @@ export default function TeacherBorrow() {
             </Modal>
           )}
 
-          {/* Normal Return (fine = 0) */}
-          {showReturnModal && myBorrow && myBorrow.fine <= 0 && (
+          {/* Pay Fine (fine > 0); the book itself is checked in at the desk */}
+          {showPayModal && selectedBorrow && selectedBorrow.fine > 0 && (
             <Modal onClose={closeAllModals}>
-              <h2 className="text-lg font-bold text-gray-800 mb-2">{t('returnBook') || "Return Book"}</h2>
+              <h2 className="text-lg font-bold text-gray-800 mb-2">{t('payFine') || "Pay Fine"}</h2>
               <p className="text-sm text-gray-600 mb-3">
-                {t('returnBookDesc') || "Return your borrowed book. Late returns incur fines."}
+                {selectedBorrow.bookTitle || selectedBorrow.bookName} · {t('fineDue') || "Fine Due"}: ETB {selectedBorrow.fine}
               </p>
-              <ReturnForm onSuccess={handleReturnSuccess} onClose={closeAllModals} />
-            </Modal>
-          )}
-
-          {/* Pay Fine & Return (fine > 0) */}
-          {showPayModal && myBorrow && myBorrow.fine > 0 && (
-            <Modal onClose={closeAllModals}>
-              <h2 className="text-lg font-bold text-gray-800 mb-2">{t('payFineAndReturn') || "Pay Fine & Return"}</h2>
-              <p className="text-sm text-gray-600 mb-3">
-                {t('payFineDesc') || "Enter your details to pay fine and return book"}
+              <TelebirrPayment borrowId={selectedBorrow._id} fineAmount={selectedBorrow.fine} onPaid={handlePaySuccess} />
+              <p className="text-xs text-gray-500 mt-4">
+                {t('returnAtDesk') || "Paying the fine does not return the book. Bring it to the library desk to check it in."}
               </p>
-              <ReturnForm 
-                isPayFine={true} 
-                fineAmount={myBorrow.fine} 
-                onSuccess={handlePaySuccess} 
-                onClose={closeAllModals} 
-              />
             </Modal>
           )}
 
@@ -0,0 +1,13 @@
+// teacher/clearance/page.tsx
+'use client';
+
+import Layout from '@/components/Layout';
+import ClearancePanel from '@/components/ClearancePanel';
+
+export default function TeacherClearancePage() {
+  return (
+    <Layout role="teacher">
+      <ClearancePanel />
+    </Layout>
+  );
+}
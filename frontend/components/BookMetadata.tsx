@@ -0,0 +1,298 @@
+// components/BookMetadata.tsx
+'use client';
+
+import React, { useState } from 'react';
+import { FiPlus, FiTrash2 } from 'react-icons/fi';
+import { useTranslation } from '@/lib/i18n';
+
+export type AuthorRole = 'author' | 'editor' | 'translator' | 'illustrator' | 'compiler' | 'contributor';
+
+export interface BookAuthor {
+  name: string;
+  role: AuthorRole;
+}
+
+export interface BookSeries {
+  name: string;
+  number?: string | null;
+}
+
+// The descriptive part of a book record; every field is optional
+export interface Bibliographic {
+  author?: string | null;
+  authors?: BookAuthor[];
+  subjects?: string[];
+  edition?: string | null;
+  publicationYear?: number | null;
+  language?: string | null;
+  pages?: number | null;
+  series?: BookSeries | null;
+  summary?: string | null;
+}
+
+export const AUTHOR_ROLES: AuthorRole[] = ['author', 'editor', 'translator', 'illustrator', 'compiler', 'contributor'];
+
+// Same ISO 639-2 codes the backend accepts, with the name in the language itself
+export const BOOK_LANGUAGES: { code: string; label: string; native?: string }[] = [
+  { code: 'amh', label: 'Amharic', native: 'አማርኛ' },
+  { code: 'eng', label: 'English' },
+  { code: 'orm', label: 'Afaan Oromo', native: 'Afaan Oromoo' },
+  { code: 'tir', label: 'Tigrinya', native: 'ትግርኛ' },
+  { code: 'som', label: 'Somali', native: 'Soomaali' },
+  { code: 'aar', label: 'Afar', native: 'Qafaraf' },
+  { code: 'sid', label: 'Sidamo', native: 'Sidaamu Afoo' },
+  { code: 'wal', label: 'Wolaytta', native: 'Wolayttattuwa' },
+  { code: 'gez', label: 'Geez', native: 'ግዕዝ' },
+  { code: 'ara', label: 'Arabic', native: 'العربية' },
+  { code: 'fre', label: 'French', native: 'Français' },
+  { code: 'ger', label: 'German', native: 'Deutsch' },
+  { code: 'ita', label: 'Italian', native: 'Italiano' },
+  { code: 'mul', label: 'Multiple languages' },
+];
+
+export const languageLabel = (code?: string | null) => {
+  const lang = BOOK_LANGUAGES.find(l => l.code === code);
+  if (!lang) return code || '';
+  return lang.native ? `${lang.label} (${lang.native})` : lang.label;
+};
+
+/**
+ * The byline of a book: its authors, or whoever else is credited if it has
+ * none (an edited volume), falling back to the stored author string.
+ */
+export const formatAuthors = (book: Bibliographic) => {
+  const authors = book.authors || [];
+  const primary = authors.filter(a => a.role === 'author');
+  const shown = primary.length ? primary : authors;
+  return shown.length ? shown.map(a => a.name).join(', ') : (book.author || '');
+};
+
+/**
+ * Only the bibliographic fields of a form, shaped for the books API:
+ * blank authors are dropped and empty values sent as null so they clear.
+ */
+export const bibliographicPayload = (form: Bibliographic) => ({
+  authors: (form.authors || []).filter(a => a.name.trim()),
+  subjects: form.subjects || [],
+  edition: form.edition || null,
+  publicationYear: form.publicationYear ?? null,
+  language: form.language || null,
+  pages: form.pages ?? null,
+  series: form.series?.name ? form.series : null,
+  summary: form.summary || null,
+});
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all';
+const labelClass = 'block text-xs font-semibold text-gray-700 uppercase tracking-wider mb-1';
+
+/**
+ * Inputs for the bibliographic fields, laid out for the two-column grid of
+ * the book forms. `onChange` receives only the fields that changed.
+ */
+export function BibliographicFields({
+  value,
+  onChange,
+}: {
+  value: Bibliographic;
+  onChange: (changes: Partial<Bibliographic>) => void;
+}) {
+  const { t } = useTranslation();
+  const authors = value.authors || [];
+  // Kept as typed so a trailing comma is not swallowed while editing
+  const [subjectsText, setSubjectsText] = useState((value.subjects || []).join(', '));
+
+  const setAuthor = (index: number, changes: Partial<BookAuthor>) =>
+    onChange({ authors: authors.map((a, i) => (i === index ? { ...a, ...changes } : a)) });
+
+  const toNumber = (v: string) => (v === '' ? null : +v);
+
+  return (
+    <>
+      <div className="sm:col-span-2">
+        <label className={labelClass}>{t('authors') || 'Authors'}</label>
+        <div className="space-y-2">
+          {authors.map((a, i) => (
+            <div key={i} className="flex gap-2">
+              <input
+                value={a.name}
+                onChange={(e) => setAuthor(i, { name: e.target.value })}
+                className={inputClass}
+                placeholder={t('author') || 'Author'}
+              />
+              <select
+                value={a.role}
+                onChange={(e) => setAuthor(i, { role: e.target.value as AuthorRole })}
+                className="border border-gray-300 rounded-lg px-2 py-2 text-sm bg-white"
+                aria-label={t('authorRole') || 'Role'}
+              >
+                {AUTHOR_ROLES.map(r => (
+                  <option key={r} value={r}>{t(`role_${r}`) || r}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => onChange({ authors: authors.filter((_, j) => j !== i) })}
+                className="p-2 text-gray-400 hover:text-red-600"
+                title={t('removeAuthor') || 'Remove'}
+              >
+                <FiTrash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => onChange({ authors: [...authors, { name: '', role: 'author' }] })}
+            className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800"
+          >
+            <FiPlus className="w-4 h-4" />
+            {t('addAuthor') || 'Add author'}
+          </button>
+        </div>
+      </div>
+
+      <div className="sm:col-span-2">
+        <label className={labelClass}>{t('subjects') || 'Subjects'}</label>
+        <input
+          value={subjectsText}
+          onChange={(e) => {
+            setSubjectsText(e.target.value);
+            onChange({ subjects: e.target.value.split(',').map(s => s.trim()).filter(Boolean) });
+          }}
+          className={inputClass}
+          placeholder={t('subjectsHint') || 'Separate subjects with commas'}
+        />
+      </div>
+
+      <div>
+        <label className={labelClass}>{t('edition') || 'Edition'}</label>
+        <input
+          value={value.edition || ''}
+          onChange={(e) => onChange({ edition: e.target.value })}
+          className={inputClass}
+          placeholder="2nd ed."
+        />
+      </div>
+      <div>
+        <label className={labelClass}>{t('publicationYear') || 'Publication year'}</label>
+        <input
+          type="number"
+          min="1000"
+          max={new Date().getFullYear() + 1}
+          value={value.publicationYear ?? ''}
+          onChange={(e) => onChange({ publicationYear: toNumber(e.target.value) })}
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className={labelClass}>{t('language') || 'Language'}</label>
+        <select
+          value={value.language || ''}
+          onChange={(e) => onChange({ language: e.target.value || null })}
+          className={`${inputClass} bg-white`}
+        >
+          <option value="">-</option>
+          {BOOK_LANGUAGES.map(l => (
+            <option key={l.code} value={l.code}>{languageLabel(l.code)}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className={labelClass}>{t('pages') || 'Pages'}</label>
+        <input
+          type="number"
+          min="1"
+          value={value.pages ?? ''}
+          onChange={(e) => onChange({ pages: toNumber(e.target.value) })}
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className={labelClass}>{t('series') || 'Series'}</label>
+        <input
+          value={value.series?.name || ''}
+          onChange={(e) => onChange({ series: { name: e.target.value, number: value.series?.number ?? null } })}
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className={labelClass}>{t('seriesNumber') || 'Number in series'}</label>
+        <input
+          value={value.series?.number || ''}
+          disabled={!value.series?.name}
+          onChange={(e) => onChange({ series: { name: value.series?.name || '', number: e.target.value } })}
+          className={`${inputClass} disabled:bg-gray-50`}
+        />
+      </div>
+
+      <div className="sm:col-span-2">
+        <label className={labelClass}>{t('summary') || 'Summary'}</label>
+        <textarea
+          rows={3}
+          maxLength={5000}
+          value={value.summary || ''}
+          onChange={(e) => onChange({ summary: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+    </>
+  );
+}
+
+/**
+ * The bibliographic fields of a book for detail views; renders nothing
+ * for a book that has none.
+ */
+export function BookMetadataDetails({ book }: { book: Bibliographic }) {
+  const { t } = useTranslation();
+  const authors = book.authors || [];
+
+  const rows: { label: string; value: React.ReactNode }[] = [];
+  if (authors.length) {
+    rows.push({
+      label: t('authors') || 'Authors',
+      value: authors.map(a => (a.role === 'author' ? a.name : `${a.name} (${t(`role_${a.role}`) || a.role})`)).join('; '),
+    });
+  } else if (book.author) {
+    rows.push({ label: t('author') || 'Author', value: book.author });
+  }
+  if (book.edition) rows.push({ label: t('edition') || 'Edition', value: book.edition });
+  if (book.publicationYear) rows.push({ label: t('publicationYear') || 'Publication year', value: book.publicationYear });
+  if (book.language) rows.push({ label: t('language') || 'Language', value: languageLabel(book.language) });
+  if (book.pages) rows.push({ label: t('pages') || 'Pages', value: book.pages });
+  if (book.series?.name) {
+    rows.push({ label: t('series') || 'Series', value: book.series.number ? `${book.series.name} #${book.series.number}` : book.series.name });
+  }
+
+  if (!rows.length && !book.subjects?.length && !book.summary) return null;
+
+  return (
+    <div className="space-y-3">
+      {rows.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {rows.map(r => (
+            <div key={r.label} className="space-y-1">
+              <p className="text-xs font-medium text-gray-500">{r.label}</p>
+              <p className="text-sm text-gray-900 break-words">{r.value}</p>
+            </div>
+          ))}
+        </div>
+      )}
+      {book.subjects && book.subjects.length > 0 && (
+        <div>
+          <p className="text-xs font-medium text-gray-500 mb-1">{t('subjects') || 'Subjects'}</p>
+          <div className="flex flex-wrap gap-1">
+            {book.subjects.map(s => (
+              <span key={s} className="px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 text-xs">{s}</span>
+            ))}
+          </div>
+        </div>
+      )}
+      {book.summary && (
+        <div>
+          <p className="text-xs font-medium text-gray-500 mb-1">{t('summary') || 'Summary'}</p>
+          <p className="text-sm text-gray-700 whitespace-pre-line">{book.summary}</p>
+        </div>
+      )}
+    </div>
+  );
+}
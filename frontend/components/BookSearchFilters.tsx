@@ -0,0 +1,149 @@
+// components/BookSearchFilters.tsx
+'use client';
+
+import React from 'react';
+import { FiX } from 'react-icons/fi';
+import { useTranslation } from '@/lib/i18n';
+import { languageLabel } from './BookMetadata';
+
+export type BookSort = 'relevance' | 'title' | 'title_desc' | 'year' | 'year_desc' | 'newest' | 'available';
+
+export interface BookFilters {
+  sort: BookSort;
+  category: string;
+  publisher: string;
+  language: string;
+  yearFrom: string;
+  yearTo: string;
+  available: '' | 'true' | 'false';
+}
+
+export interface FacetCount {
+  value: string | number;
+  count: number;
+}
+
+export interface BookFacets {
+  category: FacetCount[];
+  publisher: FacetCount[];
+  language: FacetCount[];
+  year: FacetCount[];
+  availability: FacetCount[];
+}
+
+export const emptyBookFilters: BookFilters = {
+  sort: 'relevance',
+  category: '',
+  publisher: '',
+  language: '',
+  yearFrom: '',
+  yearTo: '',
+  available: '',
+};
+
+const SORT_LABELS: Record<BookSort, [string, string]> = {
+  relevance: ['sortRelevance', 'Best match'],
+  title: ['sortTitleAsc', 'Title A–Z'],
+  title_desc: ['sortTitleDesc', 'Title Z–A'],
+  year: ['sortYearAsc', 'Oldest first'],
+  year_desc: ['sortYearDesc', 'Newest publication first'],
+  newest: ['sortRecentlyAdded', 'Recently added'],
+  available: ['sortMostAvailable', 'Most copies available'],
+};
+
+/**
+ * The filters as GET /books query parameters, leaving out the unset ones
+ */
+export const bookFilterParams = (filters: BookFilters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+
+/**
+ * Sort order and facet filters for a books list. Each facet lists the
+ * values the current search can be narrowed to, with how many books each
+ * would leave.
+ */
+export default function BookSearchFilters({
+  value,
+  onChange,
+  facets,
+}: {
+  value: BookFilters;
+  onChange: (filters: BookFilters) => void;
+  facets?: BookFacets | null;
+}) {
+  const { t } = useTranslation();
+  const set = (field: keyof BookFilters, fieldValue: string) => onChange({ ...value, [field]: fieldValue });
+  const active = Object.entries(value).some(([field, v]) => field !== 'sort' && v !== '');
+  const countOf = (list: FacetCount[] | undefined, v: string) => list?.find(f => String(f.value) === v)?.count;
+
+  // A selected value stays listed even when the other filters leave it no books
+  const options = (list: FacetCount[] | undefined, selected: string) => {
+    const values = (list || []).map(f => String(f.value));
+    return selected && !values.includes(selected) ? [selected, ...values] : values;
+  };
+
+  const selectClass = 'border border-gray-200 rounded-lg px-2 py-1.5 text-xs sm:text-sm bg-white min-w-0';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select value={value.sort} onChange={e => set('sort', e.target.value)} className={selectClass} aria-label={t('sortBy') || 'Sort by'}>
+        {(Object.keys(SORT_LABELS) as BookSort[]).map(sort => (
+          <option key={sort} value={sort}>{t(SORT_LABELS[sort][0]) || SORT_LABELS[sort][1]}</option>
+        ))}
+      </select>
+
+      <select value={value.category} onChange={e => set('category', e.target.value)} className={selectClass} aria-label={t('category')}>
+        <option value="">{t('allCategories') || 'All categories'}</option>
+        {options(facets?.category, value.category).map(v => (
+          <option key={v} value={v}>{v} ({countOf(facets?.category, v) ?? 0})</option>
+        ))}
+      </select>
+
+      <select value={value.publisher} onChange={e => set('publisher', e.target.value)} className={`${selectClass} max-w-[12rem]`} aria-label={t('publisher') || 'Publisher'}>
+        <option value="">{t('allPublishers') || 'All publishers'}</option>
+        {options(facets?.publisher, value.publisher).map(v => (
+          <option key={v} value={v}>{v} ({countOf(facets?.publisher, v) ?? 0})</option>
+        ))}
+      </select>
+
+      <select value={value.language} onChange={e => set('language', e.target.value)} className={selectClass} aria-label={t('language') || 'Language'}>
+        <option value="">{t('allLanguages') || 'All languages'}</option>
+        {options(facets?.language, value.language).map(v => (
+          <option key={v} value={v}>{languageLabel(v)} ({countOf(facets?.language, v) ?? 0})</option>
+        ))}
+      </select>
+
+      <span className="flex items-center gap-1">
+        <select value={value.yearFrom} onChange={e => set('yearFrom', e.target.value)} className={selectClass} aria-label={t('yearFrom') || 'From year'}>
+          <option value="">{t('yearFrom') || 'From year'}</option>
+          {options(facets?.year, value.yearFrom).map(v => <option key={v} value={v}>{v}</option>)}
+        </select>
+        <span className="text-gray-400">–</span>
+        <select value={value.yearTo} onChange={e => set('yearTo', e.target.value)} className={selectClass} aria-label={t('yearTo') || 'To year'}>
+          <option value="">{t('yearTo') || 'To year'}</option>
+          {options(facets?.year, value.yearTo).map(v => <option key={v} value={v}>{v}</option>)}
+        </select>
+      </span>
+
+      <select value={value.available} onChange={e => set('available', e.target.value)} className={selectClass} aria-label={t('availability') || 'Availability'}>
+        <option value="">{t('anyAvailability') || 'Any availability'}</option>
+        <option value="true">
+          {t('availableNow') || 'Available now'} ({countOf(facets?.availability, 'available') ?? 0})
+        </option>
+        <option value="false">
+          {t('allCopiesOut') || 'All copies out'} ({countOf(facets?.availability, 'unavailable') ?? 0})
+        </option>
+      </select>
+
+      {active && (
+        <button
+          onClick={() => onChange({ ...emptyBookFilters, sort: value.sort })}
+          className="flex items-center gap-1 text-xs sm:text-sm text-gray-500 hover:text-gray-800"
+        >
+          <FiX className="w-3.5 h-3.5" />
+          {t('clearFilters') || 'Clear filters'}
+        </button>
+      )}
+    </div>
+  );
+}
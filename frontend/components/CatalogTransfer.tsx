@@ -0,0 +1,341 @@
+// components/CatalogTransfer.tsx
+'use client';
+
+import React, { useState } from 'react';
+import { FiDownload, FiFileText, FiUpload } from 'react-icons/fi';
+import api from '@/lib/api';
+import { useTranslation } from '@/lib/i18n';
+
+export type ImportAction = 'create' | 'update' | 'skip' | 'invalid';
+
+export interface ImportRow {
+  row: number;
+  ref: string | null;
+  id: string | null;
+  isbn: string | null;
+  title: string | null;
+  matchedId: string | null;
+  action: ImportAction;
+  messages: string[];
+}
+
+export interface ImportResult {
+  importId: string;
+  dryRun: boolean;
+  summary: Record<ImportAction, number>;
+  rows: ImportRow[];
+}
+
+const ACTION_STYLES: Record<ImportAction, string> = {
+  create: 'bg-green-50 text-green-700',
+  update: 'bg-blue-50 text-blue-700',
+  skip: 'bg-gray-100 text-gray-600',
+  invalid: 'bg-red-50 text-red-700',
+};
+
+const readAsBase64 = (file: File) => new Promise<string>((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const download = (data: BlobPart, type: string, fileName: string) => {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const downloadReport = async (importId: string) => {
+  const res = await api.get(`/books/imports/${importId}/report`, { params: { rows: 'all' }, responseType: 'blob' });
+  download(res.data, 'text/csv', `import_report_${importId}.csv`);
+};
+
+/**
+ * What an import did or, for a dry run, would do: counts per action and
+ * every row that is not a plain create, with the full report as CSV
+ */
+export function ImportSummary({ result }: { result: ImportResult }) {
+  const { t } = useTranslation();
+  const actions: ImportAction[] = ['create', 'update', 'skip', 'invalid'];
+  const noteworthy = result.rows.filter(r => r.action !== 'create' || r.messages.length);
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <p className="font-medium">
+          {result.dryRun ? (t('importPreview') || 'Preview – nothing saved yet') : (t('importDone') || 'Import finished')}
+        </p>
+        <button
+          onClick={() => downloadReport(result.importId).catch(() => undefined)}
+          className="flex items-center gap-1 text-xs text-indigo-700 hover:underline"
+        >
+          <FiDownload className="w-3.5 h-3.5" />
+          {t('downloadReport') || 'Download report'}
+        </button>
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-center">
+        {actions.map(action => (
+          <div key={action} className={`rounded p-2 ${ACTION_STYLES[action]}`}>
+            <p className="text-lg font-bold">{result.summary[action]}</p>
+            <p className="text-xs">{t(`import_${action}`) || action}</p>
+          </div>
+        ))}
+      </div>
+      {noteworthy.length > 0 && (
+        <ul className="max-h-60 overflow-y-auto divide-y divide-gray-100">
+          {noteworthy.map(r => (
+            <li key={r.row} className="py-1.5 flex items-start gap-2">
+              <span className="text-xs text-gray-400 w-10 flex-shrink-0">#{r.row}</span>
+              <span className={`px-2 py-0.5 rounded text-xs font-medium flex-shrink-0 ${ACTION_STYLES[r.action]}`}>
+                {t(`import_${r.action}`) || r.action}
+              </span>
+              <span className="min-w-0">
+                <span className="block truncate">{r.title || r.ref || '-'}{r.isbn ? ` · ${r.isbn}` : ''}</span>
+                {r.messages.map((m, i) => <span key={i} className="block text-xs text-gray-500">{m}</span>)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Import books from a CSV or Excel sheet, one book per row, matched to the
+ * catalogue by book ID or ISBN
+ */
+function SpreadsheetImport({ onImported }: { onImported: () => void }) {
+  const { t } = useTranslation();
+  const [file, setFile] = useState<File | null>(null);
+  const [key, setKey] = useState<'id' | 'isbn'>('id');
+  const [mode, setMode] = useState<'create' | 'update' | 'skip'>('create');
+  const [copies, setCopies] = useState(1);
+  const [result, setResult] = useState<(ImportResult & { ignoredColumns: string[] }) | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const runImport = async (dryRun: boolean) => {
+    if (!file) return;
+    setBusy(true);
+    setError('');
+    try {
+      const data = await readAsBase64(file);
+      const res = await api.post('/books/import', { data, fileName: file.name, dryRun, key, mode, copies });
+      setResult(res.data);
+      if (!dryRun) onImported();
+    } catch (err: any) {
+      setError(err.response?.data?.message || t('importFailed') || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const downloadTemplate = async () => {
+    const res = await api.get('/books/import/template', { responseType: 'blob' });
+    download(res.data, 'text/csv', 'books_template.csv');
+  };
+
+  const selectClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm bg-white';
+
+  return (
+    <section className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="font-semibold text-gray-800">{t('importSpreadsheet') || 'Import from CSV or Excel'}</h3>
+        <button onClick={() => downloadTemplate().catch(() => undefined)} className="flex items-center gap-1 text-xs text-indigo-700 hover:underline">
+          <FiFileText className="w-3.5 h-3.5" />
+          {t('downloadTemplate') || 'Template'}
+        </button>
+      </div>
+      <input
+        type="file"
+        accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        onChange={e => { setFile(e.target.files?.[0] || null); setResult(null); }}
+        className="w-full border border-gray-300 rounded-lg px-3 py-1.5"
+      />
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <label className="space-y-1">
+          <span className="block text-xs font-medium text-gray-500">{t('matchBooksBy') || 'Match books by'}</span>
+          <select value={key} onChange={e => { setKey(e.target.value as 'id' | 'isbn'); setResult(null); }} className={selectClass}>
+            <option value="id">{t('bookId') || 'Book ID'}</option>
+            <option value="isbn">ISBN</option>
+          </select>
+        </label>
+        <label className="space-y-1">
+          <span className="block text-xs font-medium text-gray-500">{t('whenBookExists') || 'When the book is already catalogued'}</span>
+          <select value={mode} onChange={e => { setMode(e.target.value as 'create' | 'update' | 'skip'); setResult(null); }} className={selectClass}>
+            <option value="create">{t('reportAsError') || 'Report an error'}</option>
+            <option value="update">{t('updateExistingBook') || 'Update the existing book'}</option>
+            <option value="skip">{t('skipRecord') || 'Skip the record'}</option>
+          </select>
+        </label>
+        <label className="space-y-1">
+          <span className="block text-xs font-medium text-gray-500">{t('copiesPerNewBook') || 'Copies per new book'}</span>
+          <input type="number" min="0" max="100" value={copies} onChange={e => { setCopies(+e.target.value || 0); setResult(null); }} className={selectClass} />
+        </label>
+      </div>
+      <div className="flex flex-col sm:flex-row gap-2">
+        <button
+          onClick={() => runImport(true)}
+          disabled={busy || !file}
+          className="flex-1 border border-indigo-200 text-indigo-700 px-4 py-2 rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+        >
+          {t('preview') || 'Preview'}
+        </button>
+        <button
+          onClick={() => runImport(false)}
+          disabled={busy || !file || !result?.dryRun}
+          className="flex-1 flex items-center justify-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <FiUpload className="w-4 h-4" />
+          {busy ? (t('processing') || 'Processing...') : (t('import') || 'Import')}
+        </button>
+      </div>
+      {result && result.ignoredColumns.length > 0 && (
+        <p className="text-xs text-amber-700">
+          {t('ignoredColumns') || 'Columns not recognised, ignored'}: {result.ignoredColumns.join(', ')}
+        </p>
+      )}
+      {result && <ImportSummary result={result} />}
+      {error && <p className="text-red-600">{error}</p>}
+    </section>
+  );
+}
+
+/**
+ * Import books from spreadsheets or MARC 21 / MARCXML files into the catalogue (previewed first) and
+ * export the catalogue, or the books matching the current search, as MARC
+ */
+export default function CatalogTransfer({ search, onImported }: { search: string; onImported: () => void }) {
+  const { t } = useTranslation();
+  const [file, setFile] = useState<File | null>(null);
+  const [onDuplicate, setOnDuplicate] = useState<'skip' | 'update'>('skip');
+  const [idFrom, setIdFrom] = useState<'sequence' | 'controlNumber'>('sequence');
+  const [category, setCategory] = useState('General');
+  const [copies, setCopies] = useState(1);
+  const [result, setResult] = useState<ImportResult | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const [format, setFormat] = useState<'marcxml' | 'marc21'>('marcxml');
+  const [onlyMatching, setOnlyMatching] = useState(Boolean(search));
+
+  // Importing is only offered once the same file and options have been previewed
+  const runImport = async (dryRun: boolean) => {
+    if (!file) return;
+    setBusy(true);
+    setError('');
+    try {
+      const data = await readAsBase64(file);
+      const res = await api.post('/books/import/marc', {
+        data, fileName: file.name, dryRun, onDuplicate, idFrom, category, copies,
+      });
+      setResult(res.data);
+      if (!dryRun) onImported();
+    } catch (err: any) {
+      setError(err.response?.data?.message || t('importFailed') || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runExport = async () => {
+    setError('');
+    try {
+      const res = await api.get('/books/export/marc', {
+        params: { format, search: onlyMatching ? search : undefined },
+        responseType: 'blob',
+      });
+      const stamp = new Date().toISOString().slice(0, 10);
+      format === 'marc21'
+        ? download(res.data, 'application/marc', `catalog_${stamp}.mrc`)
+        : download(res.data, 'application/marcxml+xml', `catalog_${stamp}.xml`);
+    } catch {
+      setError(t('exportFailed') || 'Export failed');
+    }
+  };
+
+  const selectClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm bg-white';
+
+  return (
+    <div className="space-y-6 text-sm">
+      <SpreadsheetImport onImported={onImported} />
+
+      <section className="space-y-3 pt-4 border-t border-gray-100">
+        <h3 className="font-semibold text-gray-800">{t('importMarc') || 'Import MARC records'}</h3>
+        <input
+          type="file"
+          accept=".mrc,.marc,.xml,application/marc,application/marcxml+xml,text/xml"
+          onChange={e => { setFile(e.target.files?.[0] || null); setResult(null); }}
+          className="w-full border border-gray-300 rounded-lg px-3 py-1.5"
+        />
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <label className="space-y-1">
+            <span className="block text-xs font-medium text-gray-500">{t('whenIsbnExists') || 'When the ISBN is already catalogued'}</span>
+            <select value={onDuplicate} onChange={e => { setOnDuplicate(e.target.value as 'skip' | 'update'); setResult(null); }} className={selectClass}>
+              <option value="skip">{t('skipRecord') || 'Skip the record'}</option>
+              <option value="update">{t('updateExistingBook') || 'Update the existing book'}</option>
+            </select>
+          </label>
+          <label className="space-y-1">
+            <span className="block text-xs font-medium text-gray-500">{t('bookIdSource') || 'Book ID'}</span>
+            <select value={idFrom} onChange={e => { setIdFrom(e.target.value as 'sequence' | 'controlNumber'); setResult(null); }} className={selectClass}>
+              <option value="sequence">{t('assignNewIds') || 'Assign new IDs'}</option>
+              <option value="controlNumber">{t('useControlNumber') || 'Use the control number (001)'}</option>
+            </select>
+          </label>
+          <label className="space-y-1">
+            <span className="block text-xs font-medium text-gray-500">{t('category')}</span>
+            <input value={category} onChange={e => { setCategory(e.target.value); setResult(null); }} className={selectClass} />
+          </label>
+          <label className="space-y-1">
+            <span className="block text-xs font-medium text-gray-500">{t('copiesPerNewBook') || 'Copies per new book'}</span>
+            <input type="number" min="0" max="100" value={copies} onChange={e => { setCopies(+e.target.value || 0); setResult(null); }} className={selectClass} />
+          </label>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <button
+            onClick={() => runImport(true)}
+            disabled={busy || !file}
+            className="flex-1 border border-indigo-200 text-indigo-700 px-4 py-2 rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+          >
+            {t('preview') || 'Preview'}
+          </button>
+          <button
+            onClick={() => runImport(false)}
+            disabled={busy || !file || !result?.dryRun}
+            className="flex-1 flex items-center justify-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <FiUpload className="w-4 h-4" />
+            {busy ? (t('processing') || 'Processing...') : (t('import') || 'Import')}
+          </button>
+        </div>
+        {result && <ImportSummary result={result} />}
+      </section>
+
+      <section className="space-y-3 pt-4 border-t border-gray-100">
+        <h3 className="font-semibold text-gray-800">{t('exportMarc') || 'Export as MARC'}</h3>
+        <div className="flex flex-col sm:flex-row gap-2 sm:items-center">
+          <select value={format} onChange={e => setFormat(e.target.value as 'marcxml' | 'marc21')} className="border border-gray-300 rounded-lg px-3 py-2 bg-white">
+            <option value="marcxml">MARCXML (.xml)</option>
+            <option value="marc21">MARC 21 (.mrc)</option>
+          </select>
+          <label className="flex items-center gap-2 flex-1">
+            <input type="checkbox" checked={onlyMatching} disabled={!search} onChange={e => setOnlyMatching(e.target.checked)} />
+            <span>{t('onlyMatchingSearch') || 'Only books matching the current search'}</span>
+          </label>
+          <button onClick={runExport} className="flex items-center justify-center gap-2 bg-gray-800 text-white px-4 py-2 rounded-lg hover:bg-gray-900">
+            <FiDownload className="w-4 h-4" />
+            {t('export') || 'Export'}
+          </button>
+        </div>
+      </section>
+
+      {error && <p className="text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,345 @@
+// components/ClearancePanel.tsx
+'use client';
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  FiAlertCircle,
+  FiCheckCircle,
+  FiClock,
+  FiDownload,
+  FiRefreshCw,
+  FiSend,
+  FiXCircle,
+} from 'react-icons/fi';
+import api from '@/lib/api';
+import { useTranslation } from '@/lib/i18n';
+
+interface OpenLoan {
+  borrowId: string;
+  bookId: string;
+  bookTitle: string;
+  dueDate: string;
+  overdue: boolean;
+  fine: number;
+}
+
+interface UnpaidFine {
+  borrowId: string;
+  bookId: string;
+  bookTitle: string;
+  amount: number;
+}
+
+interface LostItem {
+  borrowId: string;
+  copyId: string | null;
+  bookId: string;
+  bookTitle?: string;
+  accessionNumber?: string | null;
+  barcode?: string | null;
+}
+
+export interface ClearanceChecks {
+  clear: boolean;
+  openLoans: OpenLoan[];
+  unpaidFines: UnpaidFine[];
+  lostItems: LostItem[];
+  fineTotal: number;
+  openRequests: number;
+  activeHolds: number;
+  checkedAt: string;
+}
+
+export interface Clearance {
+  _id: string;
+  userId: string;
+  username?: string;
+  name: string;
+  role: string;
+  department?: string;
+  type: 'graduation' | 'staff_exit';
+  reason?: string;
+  status: 'pending' | 'approved' | 'blocked' | 'cancelled' | 'revoked';
+  checks: ClearanceChecks;
+  requestedAt: string;
+  reviewedBy?: string;
+  reviewedAt?: string;
+  blockReason?: string;
+  certificateNumber?: string;
+  issuedAt?: string;
+  revokeReason?: string;
+}
+
+export const clearanceStatusStyles: Record<Clearance['status'], string> = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  blocked: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-700',
+  revoked: 'bg-red-100 text-red-800',
+};
+
+/**
+ * Save an approved clearance certificate (PDF) to the user's device
+ */
+export async function downloadClearanceCertificate(clearance: Clearance) {
+  const res = await api.get(`/clearances/${clearance._id}/certificate`, { responseType: 'blob' });
+  const url = URL.createObjectURL(new Blob([res.data], { type: 'application/pdf' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${clearance.certificateNumber || 'clearance'}.pdf`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Outstanding items that stop a clearance from being approved
+export function ObligationList({ checks }: { checks: ClearanceChecks }) {
+  const { t } = useTranslation();
+
+  if (checks.clear) {
+    return (
+      <div className="flex items-center gap-2 text-green-700 bg-green-50 border border-green-200 rounded-lg px-4 py-3 text-sm">
+        <FiCheckCircle className="w-5 h-5" />
+        {t('noOutstandingItems') || 'No books on loan, unpaid fines or lost items.'}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      {checks.openLoans.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-1">{t('booksOnLoan') || 'Books on loan'}</h4>
+          <ul className="space-y-1">
+            {checks.openLoans.map(l => (
+              <li key={l.borrowId} className="flex justify-between bg-orange-50 border border-orange-200 rounded px-3 py-2">
+                <span>{l.bookTitle} ({l.bookId})</span>
+                <span className={l.overdue ? 'text-red-600 font-medium' : 'text-gray-600'}>
+                  {t('due') || 'Due'} {new Date(l.dueDate).toLocaleDateString()}
+                  {l.fine > 0 && ` · ETB ${l.fine}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {checks.unpaidFines.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-1">{t('unpaidFines') || 'Unpaid fines'}</h4>
+          <ul className="space-y-1">
+            {checks.unpaidFines.map(f => (
+              <li key={f.borrowId} className="flex justify-between bg-red-50 border border-red-200 rounded px-3 py-2">
+                <span>{f.bookTitle} ({f.bookId})</span>
+                <span className="text-red-600 font-medium">ETB {f.amount}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {checks.lostItems.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-1">{t('lostItems') || 'Lost items'}</h4>
+          <ul className="space-y-1">
+            {checks.lostItems.map(c => (
+              <li key={c.borrowId} className="bg-red-50 border border-red-200 rounded px-3 py-2">
+                {c.bookTitle || c.bookId}{c.accessionNumber || c.barcode ? ` · ${c.accessionNumber || c.barcode}` : ''}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {checks.fineTotal > 0 && (
+        <p className="font-medium text-red-700">
+          {t('totalFines') || 'Total fines'}: ETB {checks.fineTotal}
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Patron view of library clearance (students and teachers): what is still
+ * outstanding, the request history and the certificate download.
+ */
+export default function ClearancePanel() {
+  const { t } = useTranslation();
+  const [clearances, setClearances] = useState<Clearance[]>([]);
+  const [checks, setChecks] = useState<ClearanceChecks | null>(null);
+  const [type, setType] = useState<Clearance['type']>('graduation');
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState<{ text: string; type: 'success' | 'error' } | null>(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/clearances/my');
+      setClearances(res.data.clearances || []);
+      setChecks(res.data.checks);
+      setType(res.data.type);
+    } catch (err: any) {
+      setMessage({ text: err.response?.data?.message || 'Failed to load clearance', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const active = clearances.find(c => c.status === 'pending' || c.status === 'approved');
+
+  const submit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const res = await api.post('/clearances', { type, reason });
+      setMessage({ text: res.data.message, type: 'success' });
+      setReason('');
+      await load();
+    } catch (err: any) {
+      setMessage({ text: err.response?.data?.message || 'Request failed', type: 'error' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const cancel = async (clearance: Clearance) => {
+    try {
+      await api.put(`/clearances/${clearance._id}/cancel`);
+      await load();
+    } catch (err: any) {
+      setMessage({ text: err.response?.data?.message || 'Cancel failed', type: 'error' });
+    }
+  };
+
+  const download = async (clearance: Clearance) => {
+    try {
+      await downloadClearanceCertificate(clearance);
+    } catch {
+      setMessage({ text: 'Certificate download failed', type: 'error' });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 md:p-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="max-w-4xl mx-auto space-y-6"
+      >
+        <div className="bg-white rounded-2xl shadow-lg p-6">
+          <div className="flex items-center justify-between gap-4 mb-4">
+            <div>
+              <h1 className="text-2xl md:text-3xl font-bold text-gray-800">
+                {t('libraryClearance') || 'Library Clearance'}
+              </h1>
+              <p className="text-gray-600 mt-1">
+                {type === 'graduation'
+                  ? (t('graduationClearanceInfo') || 'Get cleared by the library before graduation')
+                  : (t('staffExitClearanceInfo') || 'Get cleared by the library before leaving the university')}
+              </p>
+            </div>
+            <button
+              onClick={load}
+              className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50"
+              aria-label="Refresh"
+            >
+              <FiRefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+
+          {message && (
+            <div className={`flex items-center gap-2 rounded-lg px-4 py-3 mb-4 text-sm ${
+              message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+            }`}>
+              {message.type === 'success' ? <FiCheckCircle className="w-5 h-5" /> : <FiAlertCircle className="w-5 h-5" />}
+              {message.text}
+            </div>
+          )}
+
+          {checks && <ObligationList checks={checks} />}
+
+          {!loading && !active && (
+            <form onSubmit={submit} className="mt-6 space-y-3">
+              <textarea
+                value={reason}
+                onChange={e => setReason(e.target.value)}
+                placeholder={t('clearanceReasonPlaceholder') || 'Note for the librarian (optional)'}
+                maxLength={500}
+                rows={2}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={submitting}
+                className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2.5 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                <FiSend className="w-4 h-4" />
+                {submitting ? (t('processing') || 'Submitting...') : (t('requestClearance') || 'Request Clearance')}
+              </button>
+            </form>
+          )}
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-lg p-6">
+          <h2 className="text-lg font-semibold text-gray-800 mb-4">{t('clearanceHistory') || 'Clearance requests'}</h2>
+          {clearances.length === 0 ? (
+            <p className="text-gray-500 text-sm">{t('noClearanceRequests') || 'You have not requested clearance yet.'}</p>
+          ) : (
+            <ul className="space-y-3">
+              {clearances.map(c => (
+                <li key={c._id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <div className="flex items-center gap-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${clearanceStatusStyles[c.status]}`}>
+                        {c.status}
+                      </span>
+                      <span className="text-sm text-gray-600">
+                        <FiClock className="inline w-4 h-4 mr-1" />
+                        {new Date(c.requestedAt).toLocaleString()}
+                      </span>
+                    </div>
+                    <div className="flex gap-2">
+                      {c.status === 'approved' && (
+                        <button
+                          onClick={() => download(c)}
+                          className="flex items-center gap-1 bg-green-600 text-white px-3 py-1.5 rounded-lg text-sm hover:bg-green-700"
+                        >
+                          <FiDownload className="w-4 h-4" />
+                          {t('downloadCertificate') || 'Download certificate'}
+                        </button>
+                      )}
+                      {c.status === 'pending' && (
+                        <button
+                          onClick={() => cancel(c)}
+                          className="flex items-center gap-1 bg-gray-200 text-gray-700 px-3 py-1.5 rounded-lg text-sm hover:bg-gray-300"
+                        >
+                          <FiXCircle className="w-4 h-4" />
+                          {t('cancel') || 'Cancel'}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  {c.certificateNumber && (
+                    <p className="text-sm text-gray-700 mt-2">
+                      {t('certificateNumber') || 'Certificate No.'} <strong>{c.certificateNumber}</strong>
+                    </p>
+                  )}
+                  {c.blockReason && (
+                    <p className="text-sm text-red-700 mt-2">{t('blockedReason') || 'Reason'}: {c.blockReason}</p>
+                  )}
+                  {c.revokeReason && (
+                    <p className="text-sm text-red-700 mt-2">{t('revokedReason') || 'Revoked'}: {c.revokeReason}</p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+}
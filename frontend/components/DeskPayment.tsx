@@ -0,0 +1,385 @@
+// components/DeskPayment.tsx
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { FiDownload, FiPrinter, FiSearch } from 'react-icons/fi';
+import api from '@/lib/api';
+import { useTranslation } from '@/lib/i18n';
+
+type DeskMethod = 'cash' | 'bank_slip';
+
+interface OwedLoan {
+  borrowId: string;
+  bookId: string;
+  bookTitle: string;
+  balance: number;
+}
+
+// A running amnesty, forgiven when the payment is recorded
+interface AmnestyPreview {
+  name: string;
+  percent: number;
+  total: number;
+  loans: { borrowId: string; amount: number }[];
+}
+
+interface FineStatement {
+  user: { id: string; name?: string; username: string; role: string };
+  account: { balance: number };
+  outstanding: OwedLoan[];
+  amnesty: AmnestyPreview | null;
+}
+
+const round = (amount: number) => Math.round(amount * 100) / 100;
+
+interface DeskReceipt {
+  _id: string;
+  receiptNumber: string;
+  userId: string;
+  username: string;
+  amount: number;
+  method: DeskMethod;
+  slipReference?: string | null;
+  balanceAfter: number;
+  createdAt: string;
+}
+
+interface CashUp {
+  date: string;
+  librarians: {
+    librarianId: string;
+    username: string | null;
+    cash: number;
+    bank_slip: number;
+    total: number;
+    count: number;
+    receipts: DeskReceipt[];
+  }[];
+  cash: number;
+  bank_slip: number;
+  total: number;
+  count: number;
+}
+
+const savePdf = (data: BlobPart, filename: string) => {
+  const url = URL.createObjectURL(new Blob([data], { type: 'application/pdf' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export async function downloadReceipt(receiptNumber: string) {
+  const res = await api.get(`/payments/receipts/${receiptNumber}`, { responseType: 'blob' });
+  savePdf(res.data, `${receiptNumber}.pdf`);
+}
+
+/**
+ * Record a cash or bank-slip fine payment taken at the desk and print its receipt
+ */
+export function DeskPaymentForm({ onSuccess }: { onSuccess: (message: string) => void }) {
+  const { t } = useTranslation();
+  const [userId, setUserId] = useState('');
+  const [statement, setStatement] = useState<FineStatement | null>(null);
+  const [borrowId, setBorrowId] = useState('');
+  const [amount, setAmount] = useState('');
+  const [method, setMethod] = useState<DeskMethod>('cash');
+  const [slipReference, setSlipReference] = useState('');
+  const [note, setNote] = useState('');
+  const [receipt, setReceipt] = useState<DeskReceipt | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const lookUp = async () => {
+    if (!userId.trim()) return;
+    setLoading(true);
+    setError('');
+    try {
+      const res = await api.get(`/fines/users/${encodeURIComponent(userId.trim())}`);
+      const due = round(res.data.account.balance - (res.data.amnesty?.total || 0));
+      setStatement(res.data);
+      setBorrowId('');
+      setAmount(due > 0 ? String(due) : '');
+    } catch (err: any) {
+      setStatement(null);
+      setError(err.response?.data?.message || 'User not found');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const chooseLoan = (id: string) => {
+    setBorrowId(id);
+    const loan = statement?.outstanding.find(o => o.borrowId === id);
+    const forgiven = loan
+      ? statement?.amnesty?.loans.find(l => l.borrowId === id)?.amount || 0
+      : statement?.amnesty?.total || 0;
+    const due = round((loan ? loan.balance : statement?.account.balance || 0) - forgiven);
+    setAmount(due > 0 ? String(due) : '');
+  };
+
+  const submit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!statement) return;
+    setLoading(true);
+    setError('');
+    try {
+      const res = await api.post('/payments/desk', {
+        userId: statement.user.id,
+        ...(borrowId ? { borrowId } : {}),
+        amount: Number(amount),
+        method,
+        ...(method === 'bank_slip' ? { slipReference } : {}),
+        note,
+      });
+      setReceipt(res.data.payment);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Payment could not be recorded');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const printReceipt = async () => {
+    if (!receipt) return;
+    try {
+      await downloadReceipt(receipt.receiptNumber);
+    } catch {
+      setError('Receipt download failed');
+    }
+  };
+
+  if (receipt) {
+    return (
+      <div className="space-y-4 text-center">
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-sm text-green-800">{t('paymentRecorded') || 'Payment recorded'}</p>
+          <p className="text-2xl font-bold text-green-700">ETB {receipt.amount}</p>
+          <p className="text-sm text-gray-600 mt-1">
+            {t('receiptNumber') || 'Receipt No.'} <span className="font-mono font-medium">{receipt.receiptNumber}</span>
+          </p>
+          <p className="text-xs text-gray-500 mt-1">
+            {t('balanceRemaining') || 'Balance remaining'}: ETB {Math.max(receipt.balanceAfter, 0)}
+          </p>
+        </div>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={printReceipt}
+            className="flex-1 flex items-center justify-center gap-2 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700"
+          >
+            <FiPrinter className="w-4 h-4" />
+            {t('printReceipt') || 'Print Receipt'}
+          </button>
+          <button
+            type="button"
+            onClick={() => onSuccess(`${t('paymentRecorded') || 'Payment recorded'} (${receipt.receiptNumber})`)}
+            className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300"
+          >
+            {t('done') || 'Done'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">{t('userIdLabel') || 'User ID'}</label>
+        <div className="flex gap-2">
+          <input
+            value={userId}
+            onChange={e => setUserId(e.target.value)}
+            onBlur={lookUp}
+            placeholder={t('userIdLabel') || 'Enter user ID'}
+            required
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+          <button
+            type="button"
+            onClick={lookUp}
+            disabled={loading}
+            className="px-3 py-2 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+            title={t('search') || 'Search'}
+          >
+            <FiSearch className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {statement && (
+        <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm space-y-2">
+          <p>
+            <span className="font-medium">{statement.user.name || statement.user.username}</span>{' '}
+            <span className="text-gray-500">({statement.user.role})</span>
+          </p>
+          <p className={statement.account.balance > 0 ? 'text-red-600 font-semibold' : 'text-green-600 font-semibold'}>
+            {t('balanceOwed') || 'Balance owed'}: ETB {Math.max(statement.account.balance, 0)}
+          </p>
+          {statement.amnesty && statement.amnesty.total > 0 && (
+            <p className="text-green-700">
+              {statement.amnesty.name} ({statement.amnesty.percent}%): {t('forgivenOnPayment') || 'forgiven when paying'} – ETB {statement.amnesty.total}
+            </p>
+          )}
+          {statement.outstanding.length > 0 && (
+            <select
+              value={borrowId}
+              onChange={e => chooseLoan(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2"
+            >
+              <option value="">{t('wholeBalance') || 'Whole balance'}</option>
+              {statement.outstanding.map(o => (
+                <option key={o.borrowId} value={o.borrowId}>
+                  {o.bookTitle || o.bookId} – ETB {o.balance}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">{t('amount') || 'Amount'} (ETB)</label>
+          <input
+            type="number"
+            min="0.01"
+            step="0.01"
+            value={amount}
+            onChange={e => setAmount(e.target.value)}
+            required
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">{t('paymentMethod') || 'Method'}</label>
+          <select
+            value={method}
+            onChange={e => setMethod(e.target.value as DeskMethod)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+          >
+            <option value="cash">{t('cash') || 'Cash'}</option>
+            <option value="bank_slip">{t('bankSlip') || 'Bank slip'}</option>
+          </select>
+        </div>
+      </div>
+
+      {method === 'bank_slip' && (
+        <input
+          value={slipReference}
+          onChange={e => setSlipReference(e.target.value)}
+          placeholder={t('slipReference') || 'Bank slip reference'}
+          required
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500"
+        />
+      )}
+
+      <input
+        value={note}
+        onChange={e => setNote(e.target.value)}
+        placeholder={t('noteOptional') || 'Note (optional)'}
+        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500"
+      />
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <button
+        type="submit"
+        disabled={loading || !statement || statement.account.balance <= 0}
+        className="w-full bg-green-600 text-white py-2 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+      >
+        {loading ? t('processing') || 'Processing...' : t('recordPayment') || 'Record Payment'}
+      </button>
+    </form>
+  );
+}
+
+/**
+ * A day's desk takings per librarian, with a printable PDF for handing over the drawer
+ */
+export function CashUpReport() {
+  const { t } = useTranslation();
+  const [date, setDate] = useState(() => new Date().toLocaleDateString('en-CA'));
+  const [report, setReport] = useState<CashUp | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.get('/payments/cash-up', { params: { date } })
+      .then(res => {
+        setReport(res.data);
+        setError('');
+      })
+      .catch(err => setError(err.response?.data?.message || 'Failed to load cash-up'));
+  }, [date]);
+
+  const downloadPdf = async () => {
+    try {
+      const res = await api.get('/payments/cash-up', { params: { date, format: 'pdf' }, responseType: 'blob' });
+      savePdf(res.data, `cash-up-${date}.pdf`);
+    } catch {
+      setError('Cash-up download failed');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2">
+        <input
+          type="date"
+          value={date}
+          onChange={e => setDate(e.target.value)}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+        <button
+          type="button"
+          onClick={downloadPdf}
+          className="flex items-center gap-2 bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 text-sm"
+        >
+          <FiDownload className="w-4 h-4" />
+          PDF
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {report && (
+        <div className="space-y-3 text-sm max-h-[50vh] overflow-y-auto">
+          {report.librarians.length === 0 && (
+            <p className="text-gray-500">{t('noDeskPayments') || 'No desk payments were taken on this day.'}</p>
+          )}
+          {report.librarians.map(l => (
+            <div key={l.librarianId} className="border border-gray-200 rounded-lg p-3">
+              <div className="flex justify-between font-medium">
+                <span>{l.username || l.librarianId}</span>
+                <span>ETB {l.total}</span>
+              </div>
+              <p className="text-xs text-gray-500">
+                {t('cash') || 'Cash'} ETB {l.cash} · {t('bankSlip') || 'Bank slip'} ETB {l.bank_slip} · {l.count} {t('receipts') || 'receipts'}
+              </p>
+              <ul className="mt-2 space-y-1">
+                {l.receipts.map(r => (
+                  <li key={r._id} className="flex justify-between text-xs">
+                    <button type="button" onClick={() => downloadReceipt(r.receiptNumber)} className="font-mono text-blue-600 hover:underline">
+                      {r.receiptNumber}
+                    </button>
+                    <span className="text-gray-600">
+                      {new Date(r.createdAt).toLocaleTimeString()} · {r.userId} · {r.method === 'cash' ? (t('cash') || 'Cash') : `${t('bankSlip') || 'Bank slip'} ${r.slipReference || ''}`}
+                    </span>
+                    <span>ETB {r.amount}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+          <div className="flex justify-between font-bold border-t border-gray-200 pt-2">
+            <span>{t('dayTotal') || 'Day total'} ({report.count})</span>
+            <span>ETB {report.total}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+// components/LoanFineStatus.tsx
+'use client';
+
+import React from 'react';
+import { FiAlertCircle, FiCheckCircle } from 'react-icons/fi';
+import { useTranslation } from '@/lib/i18n';
+
+export type FineStatus = 'none' | 'due' | 'paid' | 'waived';
+
+/**
+ * Where an open loan's fine stands. Paying a fine does not return the book,
+ * so a settled fine on a book that is still out is shown as its own state
+ * until a librarian checks the book in.
+ */
+export default function LoanFineStatus({ fine, fineStatus }: { fine: number; fineStatus?: FineStatus }) {
+  const { t } = useTranslation();
+
+  if (fine > 0) {
+    return (
+      <span className="inline-flex items-center gap-1 text-lg sm:text-xl font-bold text-red-600">
+        <FiAlertCircle className="w-4 h-4" />
+        ETB {fine}
+      </span>
+    );
+  }
+
+  if (fineStatus === 'paid' || fineStatus === 'waived') {
+    return (
+      <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full bg-amber-100 text-amber-800 text-xs font-medium">
+        <FiCheckCircle className="w-3.5 h-3.5" />
+        {fineStatus === 'paid'
+          ? (t('finePaidBookOutstanding') || 'Fine paid · book not yet returned')
+          : (t('fineWaivedBookOutstanding') || 'Fine waived · book not yet returned')}
+      </span>
+    );
+  }
+
+  return <span className="text-green-600 font-medium text-sm">{t('onTime') || 'On Time'}</span>;
+}
@@ -7,7 +7,7 @@ import Image from 'next/image';
 import { usePathname } from 'next/navigation';
 import {
   FaHome, FaUsers, FaComment, FaChartBar, FaFileAlt, FaBook, FaBookOpen,
-  FaPlus, FaCog, FaBars, FaTimes, FaChevronDown, FaKey,  FaUserEdit
+  FaPlus, FaCog, FaBars, FaTimes, FaChevronDown, FaKey,  FaUserEdit, FaUserCheck, FaMoneyBillWave, FaGift
 } from 'react-icons/fa';
 import { useTranslation } from '@/lib/i18n';
 
@@ -45,6 +45,8 @@ export default function Sidebar({ role }: SidebarProps) {
     { label: t('users'), href: '/admin/users', icon: FaUsers },
     { label: t('comment'), href: '/admin/comment', icon: FaComment },
     { label: t('report'), href: '/admin/report', icon: FaChartBar },
+    { label: t('payments'), href: '/admin/payments', icon: FaMoneyBillWave },
+    { label: t('amnesty'), href: '/admin/amnesty', icon: FaGift },
     { label: t('post'), href: '/admin/post', icon: FaFileAlt },
     {
       label: t('setting'),
@@ -61,6 +63,7 @@ export default function Sidebar({ role }: SidebarProps) {
     { label: t('dashboard'), href: '/librarian', icon: FaHome },
     { label: t('books'), href: '/librarian/books', icon: FaBook },
     { label: t('borrow'), href: '/librarian/borrow', icon: FaBookOpen },
+    { label: t('clearance'), href: '/librarian/clearance', icon: FaUserCheck },
     { label: t('comment'), href: '/librarian/comment', icon: FaComment },
     { label: t('news'), href: '/librarian/news', icon: FaPlus },
     {
@@ -78,6 +81,7 @@ export default function Sidebar({ role }: SidebarProps) {
     { label: t('dashboard'), href: '/teacher', icon: FaHome },
     { label: t('books'), href: '/teacher/books', icon: FaBook },
     { label: t('borrow'), href: '/teacher/borrow', icon: FaBookOpen },
+    { label: t('clearance'), href: '/teacher/clearance', icon: FaUserCheck },
     { label: t('comment'), href: '/teacher/comment', icon: FaComment },
     { label: t('news'), href: '/teacher/news', icon: FaPlus },
     {
@@ -94,6 +98,7 @@ export default function Sidebar({ role }: SidebarProps) {
   const studentMenu: MenuItem[] = [
     { label: t('dashboard'), href: '/student', icon: FaHome },
     { label: t('books'), href: '/student/books', icon: FaBook },
+    { label: t('clearance'), href: '/student/clearance', icon: FaUserCheck },
     { label: t('comment'), href: '/student/comment', icon: FaComment },
     { label: t('news'), href: '/student/news', icon: FaPlus },
     {
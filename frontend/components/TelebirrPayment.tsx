@@ -0,0 +1,160 @@
+// components/TelebirrPayment.tsx
+'use client';
+
+import React, { useEffect, useRef, useState } from 'react';
+import { FiAlertCircle, FiCheckCircle, FiClock, FiExternalLink, FiSmartphone } from 'react-icons/fi';
+import api from '@/lib/api';
+import { useTranslation } from '@/lib/i18n';
+
+type PaymentStatus = 'pending' | 'completed' | 'failed' | 'expired';
+
+interface PendingPayment {
+  tx_ref: string;
+  checkout_url: string;
+  expiresAt: string;
+}
+
+const POLL_MS = 4000;
+
+/**
+ * Pay a loan's fine with Telebirr. The checkout opens in a new tab and the
+ * payment's status is polled until Telebirr confirms, declines or times out.
+ * Each attempt carries an idempotency key, so a double click or a retried
+ * request picks up the same payment instead of starting a second one.
+ */
+export default function TelebirrPayment({
+  borrowId,
+  fineAmount,
+  onPaid,
+}: {
+  borrowId: string;
+  fineAmount: number;
+  onPaid: () => void;
+}) {
+  const { t } = useTranslation();
+  const [mobile, setMobile] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [payment, setPayment] = useState<PendingPayment | null>(null);
+  const [status, setStatus] = useState<PaymentStatus | null>(null);
+  const [error, setError] = useState('');
+  const attemptKey = useRef<string | null>(null);
+
+  useEffect(() => {
+    if (!payment || status !== 'pending') return;
+
+    const timer = setInterval(async () => {
+      try {
+        const res = await api.get(`/payments/status/${payment.tx_ref}`);
+        if (res.data.status !== 'pending') {
+          setStatus(res.data.status);
+          if (res.data.failureReason) setError(res.data.failureReason);
+          if (res.data.status === 'completed') onPaid();
+        }
+      } catch {
+        // keep polling; the next attempt may get through
+      }
+    }, POLL_MS);
+
+    return () => clearInterval(timer);
+  }, [payment, status, onPaid]);
+
+  const start = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      // A new key once the previous attempt has ended (failed, expired or declined)
+      if (!attemptKey.current || status) attemptKey.current = crypto.randomUUID();
+      const res = await api.post(
+        '/payments/intents',
+        { borrowId, method: 'telebirr', mobile },
+        { headers: { 'Idempotency-Key': attemptKey.current } }
+      );
+      setPayment(res.data);
+      setStatus(res.data.status);
+      if (res.data.status === 'pending' && !res.data.replayed) window.open(res.data.checkout_url, '_blank', 'noopener');
+      if (res.data.status === 'completed') onPaid();
+    } catch (err: any) {
+      const data = err.response?.data;
+      // A checkout already started for this loan: pick it up again
+      if (err.response?.status === 409 && data?.tx_ref) {
+        setPayment(data);
+        setStatus('pending');
+      } else {
+        // Refused by the server: the next try is a new attempt. Without a
+        // response the request may have gone through, so the key is kept.
+        if (err.response) attemptKey.current = null;
+        setError(data?.message || 'Payment failed to start');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (payment && status === 'pending') {
+    return (
+      <div className="text-center p-4 bg-blue-50 rounded-lg border border-blue-200 space-y-2">
+        <FiClock className="w-6 h-6 mx-auto text-blue-600 animate-pulse" />
+        <p className="text-sm font-medium text-blue-800">
+          {t('waitingForTelebirr') || 'Waiting for Telebirr to confirm your payment...'}
+        </p>
+        <p className="text-xs text-gray-600">
+          {t('completeBefore') || 'Complete it before'} {new Date(payment.expiresAt).toLocaleTimeString()}
+        </p>
+        {payment.checkout_url && (
+          <a
+            href={payment.checkout_url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center gap-1 text-sm text-blue-700 underline"
+          >
+            <FiExternalLink className="w-4 h-4" />
+            {t('openTelebirrCheckout') || 'Open Telebirr checkout'}
+          </a>
+        )}
+      </div>
+    );
+  }
+
+  if (status === 'completed') {
+    return (
+      <div className="flex items-center justify-center gap-2 p-4 bg-green-50 text-green-800 rounded-lg border border-green-200 text-sm">
+        <FiCheckCircle className="w-5 h-5" />
+        {t('telebirrPaid') || 'Payment confirmed by Telebirr'}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={start} className="space-y-3">
+      {(status === 'failed' || status === 'expired' || error) && (
+        <div className="flex items-center gap-2 p-3 bg-red-50 text-red-800 rounded-lg border border-red-200 text-sm">
+          <FiAlertCircle className="w-4 h-4 shrink-0" />
+          {status === 'expired'
+            ? (t('telebirrExpired') || 'The payment was not completed in time. You can try again.')
+            : error || (t('telebirrFailed') || 'The payment did not go through. You can try again.')}
+        </div>
+      )}
+      <div className="flex gap-2">
+        <div className="relative flex-1">
+          <FiSmartphone className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            value={mobile}
+            onChange={e => setMobile(e.target.value)}
+            placeholder="09XXXXXXXX"
+            pattern="09\d{8}"
+            required
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={loading}
+          className="px-4 py-2 rounded bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+        >
+          {loading ? (t('processing') || 'Processing...') : `${t('payWithTelebirr') || 'Pay with Telebirr'} (ETB ${fineAmount})`}
+        </button>
+      </div>
+    </form>
+  );
+}